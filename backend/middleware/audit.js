@@ -0,0 +1,68 @@
+// Audit logging for patient-scoped resources.
+// Must run after the access checks in patientAccess.js so the patient and any
+// loaded req.resource have already been authorized.
+const auditService = require('../services/auditService');
+
+const snapshot = (resource) => {
+  if (!resource) return null;
+  return typeof resource.get === 'function' ? resource.get({ plain: true }) : { ...resource };
+};
+
+// Record `action` on `resourceType` once the response has gone out successfully
+const audit = (resourceType, action) => {
+  return (req, res, next) => {
+    const before = action === 'update' ? snapshot(req.resource) : null;
+
+    // Keep a handle on the response payload to learn ids of created or listed rows
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      // Handlers can opt out (e.g. a dry run that touched nothing)
+      if (res.statusCode >= 400 || !req.patientId || res.locals.audit === false) return;
+
+      const data = responseBody && responseBody.data;
+      const resource = req.resource;
+      const patientId = (resource && resource.patientId) || req.params.patientId ||
+        (req.body && req.body.patientId) || (data && data.patientId);
+      if (!patientId) return;
+
+      let resourceId = resource ? resource.id : null;
+      let changes = null;
+      let details = null;
+
+      if (action === 'create' && data && !Array.isArray(data)) {
+        resourceId = data.id;
+      }
+
+      if (action === 'update' && resource) {
+        changes = auditService.diff(before, snapshot(resource));
+      }
+
+      if (action === 'read' && Array.isArray(data)) {
+        details = {
+          count: data.length,
+          resourceIds: data.slice(0, auditService.maxListedIds).map(row => row.id).filter(Boolean)
+        };
+      }
+
+      // Handlers can describe bulk operations the response shape can't
+      if (res.locals.auditDetails) {
+        details = { ...details, ...res.locals.auditDetails };
+        if (Array.isArray(details.resourceIds)) {
+          details.resourceIds = details.resourceIds.slice(0, auditService.maxListedIds);
+        }
+      }
+
+      auditService.record({ req, patientId, action, resourceType, resourceId, changes, details });
+    });
+
+    next();
+  };
+};
+
+module.exports = audit;
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { Patient } = require('../models');
+const sessionService = require('../services/sessionService');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -26,6 +27,14 @@ const authMiddleware = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'chronic-care-ai-secret-key');
+
+    // Reject access tokens whose session was logged out or revoked
+    if (decoded.sessionId && !(await sessionService.isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Session has been revoked.' 
+      });
+    }
     
     // Check if patient exists
     const patient = await Patient.findByPk(decoded.patientId, {
@@ -39,9 +48,11 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Add patient to request
+    // Add patient to request; role comes from the account, not the token
     req.patientId = decoded.patientId;
     req.patient = patient;
+    req.role = patient.role;
+    req.sessionId = decoded.sessionId;
     
     next();
   } catch (error) {
@@ -86,6 +97,10 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'chronic-care-ai-secret-key');
+    if (decoded.sessionId && !(await sessionService.isSessionActive(decoded.sessionId))) {
+      return next();
+    }
+
     const patient = await Patient.findByPk(decoded.patientId, {
       attributes: { exclude: ['password'] }
     });
@@ -93,6 +108,8 @@ const optionalAuthMiddleware = async (req, res, next) => {
     if (patient) {
       req.patientId = decoded.patientId;
       req.patient = patient;
+      req.role = patient.role;
+      req.sessionId = decoded.sessionId;
     }
     
     next();
@@ -102,5 +119,19 @@ const optionalAuthMiddleware = async (req, res, next) => {
   }
 };
 
+// Restrict a route to the given account roles (run after authMiddleware)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.role)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied' 
+      });
+    }
+    next();
+  };
+};
+
 module.exports = authMiddleware;
-module.exports.optionalAuth = optionalAuthMiddleware;
\ No newline at end of file
+module.exports.optionalAuth = optionalAuthMiddleware;
+module.exports.requireRole = requireRole;
\ No newline at end of file
@@ -0,0 +1,100 @@
+// Patient-scoped authorization helpers.
+// Must run after authMiddleware so req.patientId is populated.
+const careTeamService = require('../services/careTeamService');
+
+// Decide whether the authenticated caller may act for the given patient.
+// `permission` is a care permission (or list of which any one suffices) that
+// lets a linked caregiver or clinician through; without it only the patient may act.
+// A matching care relationship is exposed as req.careRelationship.
+const canAccessPatient = async (req, patientId, permission = null) => {
+  if (!req.patientId || !patientId) return false;
+
+  // Patients always have access to their own record
+  if (String(req.patientId) === String(patientId)) {
+    req.careRelationship = null;
+    return true;
+  }
+
+  if (!permission || !req.patient || req.patient.role === 'patient') return false;
+
+  const relationship = await careTeamService.getActiveRelationship(req.patientId, patientId);
+  const required = Array.isArray(permission) ? permission : [permission];
+  if (!required.some(p => careTeamService.hasPermission(relationship, p))) return false;
+
+  req.careRelationship = relationship;
+  return true;
+};
+
+const denyAccess = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied'
+  });
+};
+
+// Check the patientId carried in the URL params or request body.
+// When the body omits patientId it defaults to the caller's own id.
+const requirePatientAccess = (source = 'params', permission = null) => {
+  return async (req, res, next) => {
+    try {
+      let patientId;
+
+      if (source === 'body') {
+        req.body = req.body || {};
+        if (!req.body.patientId) {
+          req.body.patientId = req.patientId;
+        }
+        patientId = req.body.patientId;
+      } else {
+        patientId = req.params.patientId;
+      }
+
+      if (!(await canAccessPatient(req, patientId, permission))) {
+        return denyAccess(res);
+      }
+
+      next();
+    } catch (error) {
+      console.error('Patient access check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Authorization failed.'
+      });
+    }
+  };
+};
+
+// Load a patient-owned row by its URL param and check the caller may act for its patient.
+// The loaded instance is exposed as req.resource.
+const requireResourceAccess = (Model, paramName, permission = null, label = Model.name) => {
+  return async (req, res, next) => {
+    try {
+      const resource = await Model.findByPk(req.params[paramName]);
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} not found`
+        });
+      }
+
+      if (!(await canAccessPatient(req, resource.patientId, permission))) {
+        return denyAccess(res);
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error('Resource access check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Authorization failed.'
+      });
+    }
+  };
+};
+
+module.exports = {
+  canAccessPatient,
+  requirePatientAccess,
+  requireResourceAccess
+};
@@ -0,0 +1,89 @@
+module.exports = (sequelize, DataTypes) => {
+  const AuditEvent = sequelize.define('AuditEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Whose record was touched. Deliberately not a foreign key: the log outlives accounts.
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    // Who touched it; the patient themselves or a care team member
+    actorId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    actorRole: {
+      type: DataTypes.ENUM('patient', 'caregiver', 'clinician'),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.ENUM('read', 'create', 'update', 'delete'),
+      allowNull: false
+    },
+    resourceType: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // Null for list reads; their row ids are kept in details.resourceIds
+    resourceId: {
+      type: DataTypes.STRING
+    },
+    method: {
+      type: DataTypes.STRING(10)
+    },
+    path: {
+      type: DataTypes.STRING
+    },
+    ipAddress: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.STRING
+    },
+    // Field-level diff for updates: { field: { from, to } }
+    changes: {
+      type: DataTypes.JSON
+    },
+    details: {
+      type: DataTypes.JSON
+    }
+  }, {
+    tableName: 'audit_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['patientId', 'createdAt']
+      },
+      {
+        fields: ['actorId', 'createdAt']
+      }
+    ],
+    // The log is append-only. Account erasure alone bypasses this, to clear the values
+    // an erased patient's events carry (see accountDeletionService.eraseAccount).
+    hooks: {
+      beforeUpdate() {
+        throw new Error('Audit events are immutable');
+      },
+      beforeDestroy() {
+        throw new Error('Audit events are immutable');
+      },
+      beforeBulkUpdate() {
+        throw new Error('Audit events are immutable');
+      },
+      beforeBulkDestroy() {
+        throw new Error('Audit events are immutable');
+      }
+    }
+  });
+
+  AuditEvent.associate = function(models) {
+    AuditEvent.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient', constraints: false });
+    AuditEvent.belongsTo(models.Patient, { foreignKey: 'actorId', as: 'actor', constraints: false });
+  };
+
+  return AuditEvent;
+};
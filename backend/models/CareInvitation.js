@@ -0,0 +1,78 @@
+module.exports = (sequelize, DataTypes) => {
+  const CareInvitation = sequelize.define('CareInvitation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // The patient sharing their record
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    name: {
+      type: DataTypes.STRING
+    },
+    // How the patient describes them, e.g. "Spouse" or "Home nurse"
+    relationship: {
+      type: DataTypes.STRING
+    },
+    relationshipType: {
+      type: DataTypes.ENUM('caregiver', 'clinician'),
+      allowNull: false,
+      defaultValue: 'caregiver'
+    },
+    // Permissions the patient consented to share; copied onto the CareRelationship on acceptance
+    permissions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'accepted', 'declined', 'revoked'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    respondedAt: {
+      type: DataTypes.DATE
+    },
+    // Account that accepted the invitation
+    acceptedById: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'care_invitations',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['patientId', 'status']
+      }
+    ]
+  });
+
+  CareInvitation.associate = function(models) {
+    CareInvitation.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+    CareInvitation.belongsTo(models.Patient, { foreignKey: 'acceptedById', as: 'acceptedBy' });
+  };
+
+  return CareInvitation;
+};
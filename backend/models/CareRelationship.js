@@ -0,0 +1,75 @@
+module.exports = (sequelize, DataTypes) => {
+  const CareRelationship = sequelize.define('CareRelationship', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // The patient whose record is being shared
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    // The caregiver or clinician account the record is shared with
+    caregiverId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    relationshipType: {
+      type: DataTypes.ENUM('caregiver', 'clinician'),
+      allowNull: false
+    },
+    // Subset of careTeamService.PERMISSIONS
+    permissions: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'active', 'revoked'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    // Invitation the patient's consent was given through
+    invitationId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'care_invitations',
+        key: 'id'
+      }
+    },
+    grantedAt: {
+      type: DataTypes.DATE
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'care_relationships',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['patientId', 'caregiverId']
+      },
+      {
+        fields: ['caregiverId', 'status']
+      }
+    ]
+  });
+
+  CareRelationship.associate = function(models) {
+    CareRelationship.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+    CareRelationship.belongsTo(models.Patient, { foreignKey: 'caregiverId', as: 'caregiver' });
+  };
+
+  return CareRelationship;
+};
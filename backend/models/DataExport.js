@@ -0,0 +1,48 @@
+module.exports = (sequelize, DataTypes) => {
+  const DataExport = sequelize.define('DataExport', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'ready', 'failed', 'expired'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Name of the archive inside the export directory
+    fileName: {
+      type: DataTypes.STRING
+    },
+    fileSize: {
+      type: DataTypes.INTEGER
+    },
+    error: {
+      type: DataTypes.TEXT
+    },
+    completedAt: {
+      type: DataTypes.DATE
+    },
+    // Archives are deleted after this point
+    expiresAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'data_exports',
+    timestamps: true
+  });
+
+  DataExport.associate = function(models) {
+    DataExport.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return DataExport;
+};
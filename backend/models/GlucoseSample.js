@@ -0,0 +1,53 @@
+// Continuous glucose monitor samples. A sensor reports every 5-15 minutes, so these
+// are kept apart from HealthData and stored as compact rows without per-row analysis.
+module.exports = (sequelize, DataTypes) => {
+  const GlucoseSample = sequelize.define('GlucoseSample', {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    recordedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Always mg/dL; mmol/L uploads are converted on the way in
+    glucose: {
+      type: DataTypes.SMALLINT,
+      allowNull: false
+    },
+    // e.g. dexcom, libreview, json
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    deviceName: {
+      type: DataTypes.STRING
+    }
+  }, {
+    tableName: 'glucose_samples',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        // One sample per instant; re-uploading an overlapping export skips what's stored
+        unique: true,
+        fields: ['patientId', 'recordedAt']
+      }
+    ]
+  });
+
+  GlucoseSample.associate = function(models) {
+    GlucoseSample.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return GlucoseSample;
+};
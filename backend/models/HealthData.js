@@ -1,3 +1,5 @@
+const { DATA_TYPES } = require('../utils/readingTypes');
+
 module.exports = (sequelize, DataTypes) => {
   const HealthData = sequelize.define('HealthData', {
     id: {
@@ -14,16 +16,8 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     dataType: {
-      type: DataTypes.ENUM(
-        'blood_pressure',
-        'blood_sugar',
-        'heart_rate',
-        'weight',
-        'cholesterol',
-        'oxygen_saturation',
-        'activity_level',
-        'sleep_quality'
-      ),
+      // Types (and their units) are defined once in utils/readingTypes.js
+      type: DataTypes.ENUM(...DATA_TYPES),
       allowNull: false
     },
     value: {
@@ -37,10 +31,30 @@ module.exports = (sequelize, DataTypes) => {
     notes: {
       type: DataTypes.TEXT
     },
+    // When the reading was taken, as reported by the patient or device
     recordedAt: {
       type: DataTypes.DATE,
       allowNull: false
     },
+    // When a blood sugar reading was taken relative to meals; each has its own target range
+    measurementContext: {
+      type: DataTypes.ENUM('fasting', 'pre_meal', 'post_meal', 'bedtime', 'random')
+    },
+    // Where the reading came from: manual, csv_import, fhir_import, apple_health, google_fit
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    // Device or app that took the reading, when the source reports one
+    sourceName: {
+      type: DataTypes.STRING
+    },
+    // When the reading reached us; null for rows stored before this was tracked
+    enteredAt: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
     riskLevel: {
       type: DataTypes.ENUM('low', 'moderate', 'high', 'critical'),
       defaultValue: 'low'
@@ -51,6 +65,8 @@ module.exports = (sequelize, DataTypes) => {
   }, {
     tableName: 'health_data',
     timestamps: true,
+    // Deleted readings are kept (with their revision history) but hidden from every query
+    paranoid: true,
     indexes: [
       {
         fields: ['patientId', 'dataType', 'recordedAt']
@@ -60,6 +76,7 @@ module.exports = (sequelize, DataTypes) => {
 
   HealthData.associate = function(models) {
     HealthData.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+    HealthData.hasMany(models.HealthDataRevision, { foreignKey: 'healthDataId', as: 'revisions' });
   };
 
   return HealthData;
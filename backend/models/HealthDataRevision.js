@@ -0,0 +1,62 @@
+module.exports = (sequelize, DataTypes) => {
+  const HealthDataRevision = sequelize.define('HealthDataRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    healthDataId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'health_data',
+        key: 'id'
+      }
+    },
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    // Account that made the change
+    editedById: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.ENUM('update', 'delete'),
+      allowNull: false
+    },
+    // The reading as it stood before this change
+    previous: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // Field-level diff { field: { from, to } }; null for deletions
+    changes: {
+      type: DataTypes.JSON
+    },
+    reason: {
+      type: DataTypes.TEXT
+    }
+  }, {
+    tableName: 'health_data_revisions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['healthDataId', 'createdAt']
+      }
+    ]
+  });
+
+  HealthDataRevision.associate = function(models) {
+    HealthDataRevision.belongsTo(models.HealthData, { foreignKey: 'healthDataId', as: 'healthData' });
+    HealthDataRevision.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return HealthDataRevision;
+};
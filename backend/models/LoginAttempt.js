@@ -0,0 +1,55 @@
+module.exports = (sequelize, DataTypes) => {
+  const LoginAttempt = sequelize.define('LoginAttempt', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Set only when the email matched an account
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    ipAddress: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.STRING
+    },
+    successful: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    failureReason: {
+      type: DataTypes.ENUM('invalid_credentials', 'invalid_2fa', 'locked', 'throttled'),
+      allowNull: true
+    }
+  }, {
+    tableName: 'login_attempts',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['ipAddress', 'createdAt']
+      },
+      {
+        fields: ['email', 'createdAt']
+      }
+    ]
+  });
+
+  LoginAttempt.associate = function(models) {
+    LoginAttempt.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return LoginAttempt;
+};
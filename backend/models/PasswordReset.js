@@ -0,0 +1,39 @@
+module.exports = (sequelize, DataTypes) => {
+  const PasswordReset = sequelize.define('PasswordReset', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the emailed token; the raw token is never stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'password_resets',
+    timestamps: true
+  });
+
+  PasswordReset.associate = function(models) {
+    PasswordReset.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return PasswordReset;
+};
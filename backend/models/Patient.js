@@ -25,13 +25,17 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    // Accounts share this table; caregivers and clinicians carry no clinical profile of their own
+    role: {
+      type: DataTypes.ENUM('patient', 'caregiver', 'clinician'),
+      allowNull: false,
+      defaultValue: 'patient'
+    },
     dateOfBirth: {
-      type: DataTypes.DATE,
-      allowNull: false
+      type: DataTypes.DATE
     },
     gender: {
-      type: DataTypes.ENUM('male', 'female', 'other'),
-      allowNull: false
+      type: DataTypes.ENUM('male', 'female', 'other')
     },
     chronicConditions: {
       type: DataTypes.JSON,
@@ -46,9 +50,14 @@ module.exports = (sequelize, DataTypes) => {
     phoneNumber: {
       type: DataTypes.STRING
     },
+    // { name, phone, email, relationship }; an emailed contact can be invited to the care team
     emergencyContact: {
       type: DataTypes.JSON
     },
+    // Last time the emergency contact was emailed about a critical reading
+    emergencyContactAlertedAt: {
+      type: DataTypes.DATE
+    },
     medicationAdherence: {
       type: DataTypes.FLOAT,
       defaultValue: 0
@@ -71,12 +80,57 @@ emailNotifications: {
   type: DataTypes.BOOLEAN,
   defaultValue: true
 },
+    // Units this account reads values in, e.g. { blood_sugar: 'mmol/L', weight: 'lb' };
+    // types left out use the unit readings are stored in
+    unitPreferences: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
     lastAssessment: {
       type: DataTypes.DATE
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE
+    },
+    // Consecutive failed sign-ins since the last success, unlock or lockout
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastFailedLoginAt: {
+      type: DataTypes.DATE
+    },
+    lockedUntil: {
+      type: DataTypes.DATE
+    },
+    // Set while a requested account deletion is in its grace period
+    deletionRequestedAt: {
+      type: DataTypes.DATE
+    },
+    deletionScheduledFor: {
+      type: DataTypes.DATE
     }
   }, {
     tableName: 'patients',
-    timestamps: true
+    timestamps: true,
+    validate: {
+      patientDemographics() {
+        if (this.role === 'patient' && (!this.dateOfBirth || !this.gender)) {
+          throw new Error('Date of birth and gender are required for patients');
+        }
+      }
+    }
   });
 
   Patient.associate = function(models) {
@@ -85,6 +139,18 @@ emailNotifications: {
     Patient.hasMany(models.Reminder, { foreignKey: 'patientId', as: 'reminders' });
     Patient.hasMany(models.Goal, { foreignKey: 'patientId', as: 'goals' });
     Patient.hasMany(models.Feedback, { foreignKey: 'patientId', as: 'feedbacks' });
+    Patient.hasMany(models.Session, { foreignKey: 'patientId', as: 'sessions' });
+    Patient.hasMany(models.PasswordReset, { foreignKey: 'patientId', as: 'passwordResets' });
+    Patient.hasOne(models.TwoFactorAuth, { foreignKey: 'patientId', as: 'twoFactorAuth' });
+    Patient.hasMany(models.LoginAttempt, { foreignKey: 'patientId', as: 'loginAttempts' });
+    Patient.hasMany(models.CareRelationship, { foreignKey: 'patientId', as: 'careTeam' });
+    Patient.hasMany(models.CareRelationship, { foreignKey: 'caregiverId', as: 'caringFor' });
+    Patient.hasMany(models.CareInvitation, { foreignKey: 'patientId', as: 'careInvitations' });
+    Patient.hasMany(models.AuditEvent, { foreignKey: 'patientId', as: 'auditEvents', constraints: false });
+    Patient.hasMany(models.DataExport, { foreignKey: 'patientId', as: 'dataExports' });
+    Patient.hasMany(models.HealthDataRevision, { foreignKey: 'patientId', as: 'healthDataRevisions' });
+    Patient.hasMany(models.GlucoseSample, { foreignKey: 'patientId', as: 'glucoseSamples' });
+    Patient.hasMany(models.PatientTarget, { foreignKey: 'patientId', as: 'targets' });
   };
 
   return Patient;
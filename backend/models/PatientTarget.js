@@ -0,0 +1,59 @@
+const { DATA_TYPES } = require('../utils/readingTypes');
+
+// A clinician's target range for one of a patient's reading types. `ranges` holds
+// only the thresholds that differ from the defaults in AIAnalysisService.normalRanges,
+// in the same shape and the type's stored unit.
+module.exports = (sequelize, DataTypes) => {
+  const PatientTarget = sequelize.define('PatientTarget', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    dataType: {
+      type: DataTypes.ENUM(...DATA_TYPES),
+      allowNull: false
+    },
+    ranges: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Why the target differs, shown to the patient and the rest of the care team
+    notes: {
+      type: DataTypes.TEXT
+    },
+    // The clinician who last set it; cleared if their account is erased
+    setById: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'patient_targets',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['patientId', 'dataType']
+      }
+    ]
+  });
+
+  PatientTarget.associate = function(models) {
+    PatientTarget.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+    PatientTarget.belongsTo(models.Patient, { foreignKey: 'setById', as: 'setBy' });
+  };
+
+  return PatientTarget;
+};
@@ -0,0 +1,56 @@
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the current refresh token secret; rotated on every refresh
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    userAgent: {
+      type: DataTypes.STRING
+    },
+    ipAddress: {
+      type: DataTypes.STRING
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    },
+    revokedReason: {
+      type: DataTypes.ENUM('logout', 'revoked', 'token_reuse', 'password_reset', 'password_change'),
+      allowNull: true
+    }
+  }, {
+    tableName: 'sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['patientId', 'revokedAt']
+      }
+    ]
+  });
+
+  Session.associate = function(models) {
+    Session.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return Session;
+};
@@ -0,0 +1,45 @@
+module.exports = (sequelize, DataTypes) => {
+  const TwoFactorAuth = sequelize.define('TwoFactorAuth', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    patientId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'patients',
+        key: 'id'
+      }
+    },
+    // Base32 TOTP shared secret
+    secret: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Null while enrollment is pending verification
+    enabledAt: {
+      type: DataTypes.DATE
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    // Last accepted TOTP time step, to stop a code being replayed
+    lastUsedStep: {
+      type: DataTypes.BIGINT
+    }
+  }, {
+    tableName: 'two_factor_auth',
+    timestamps: true
+  });
+
+  TwoFactorAuth.associate = function(models) {
+    TwoFactorAuth.belongsTo(models.Patient, { foreignKey: 'patientId', as: 'patient' });
+  };
+
+  return TwoFactorAuth;
+};
@@ -44,7 +44,18 @@ const db = {
   Medication: require('./Medication')(sequelize, Sequelize),
   Reminder: require('./Reminder')(sequelize, Sequelize),
   Goal: require('./Goal')(sequelize, Sequelize),
-  Feedback: require('./Feedback')(sequelize, Sequelize)
+  Feedback: require('./Feedback')(sequelize, Sequelize),
+  Session: require('./Session')(sequelize, Sequelize),
+  PasswordReset: require('./PasswordReset')(sequelize, Sequelize),
+  TwoFactorAuth: require('./TwoFactorAuth')(sequelize, Sequelize),
+  LoginAttempt: require('./LoginAttempt')(sequelize, Sequelize),
+  CareRelationship: require('./CareRelationship')(sequelize, Sequelize),
+  CareInvitation: require('./CareInvitation')(sequelize, Sequelize),
+  AuditEvent: require('./AuditEvent')(sequelize, Sequelize),
+  DataExport: require('./DataExport')(sequelize, Sequelize),
+  HealthDataRevision: require('./HealthDataRevision')(sequelize, Sequelize),
+  GlucoseSample: require('./GlucoseSample')(sequelize, Sequelize),
+  PatientTarget: require('./PatientTarget')(sequelize, Sequelize)
 };
 
 // Load associations
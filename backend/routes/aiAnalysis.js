@@ -3,19 +3,25 @@ const router = express.Router();
 const { HealthData, Patient, Feedback, Medication, Goal } = require('../models');
 const aiAnalysisService = require('../services/aiAnalysisService');
 const authMiddleware = require('../middleware/auth');
+const { requirePatientAccess } = require('../middleware/patientAccess');
+const audit = require('../middleware/audit');
+const { PERMISSIONS } = require('../services/careTeamService');
+const cgmService = require('../services/cgmService');
+const trendService = require('../services/trendService');
+const { MEASUREMENT_CONTEXTS, parseMeasurementContext } = require('../utils/healthReadings');
+const { DATA_TYPES } = require('../utils/readingTypes');
+const { CgmError } = cgmService;
+
+// Prediction intervals widen quickly past the readings; further out they say little
+const MAX_FORECAST_DAYS = 90;
+
+// Longest window a trend is drawn over; older readings describe a different patient
+const MAX_TREND_DAYS = 365;
 
 // Get comprehensive AI analysis for patient
-router.get('/patient/:patientId/comprehensive', authMiddleware, async (req, res) => {
+router.get('/patient/:patientId/comprehensive', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
-    
-    // Verify patient access
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
 
     const patient = await Patient.findByPk(patientId);
     if (!patient) {
@@ -63,16 +69,9 @@ router.get('/patient/:patientId/comprehensive', authMiddleware, async (req, res)
 });
 
 // Get risk assessment
-router.get('/patient/:patientId/risk-assessment', authMiddleware, async (req, res) => {
+router.get('/patient/:patientId/risk-assessment', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
 
     const patient = await Patient.findByPk(patientId);
     if (!patient) {
@@ -110,29 +109,41 @@ router.get('/patient/:patientId/risk-assessment', authMiddleware, async (req, re
 });
 
 // Get trend analysis for specific health parameter
-router.get('/patient/:patientId/trends/:dataType', authMiddleware, async (req, res) => {
+router.get('/patient/:patientId/trends/:dataType', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId, dataType } = req.params;
     const { days = 30 } = req.query;
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
+
+    const { measurementContext, error: contextError } = parseMeasurementContext(dataType, req.query.context);
+    if (contextError) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: contextError
+      });
+    }
+
+    const windowDays = parseInt(days);
+    if (isNaN(windowDays) || windowDays < 1 || windowDays > MAX_TREND_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be between 1 and ${MAX_TREND_DAYS}`
       });
     }
 
     const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(days));
+    startDate.setDate(startDate.getDate() - windowDays);
+
+    const where = {
+      patientId,
+      dataType,
+      recordedAt: {
+        [require('sequelize').Op.gte]: startDate
+      }
+    };
+    if (measurementContext) where.measurementContext = measurementContext;
 
     const healthData = await HealthData.findAll({
-      where: {
-        patientId,
-        dataType,
-        recordedAt: {
-          [require('sequelize').Op.gte]: startDate
-        }
-      },
+      where,
       order: [['recordedAt', 'ASC']]
     });
 
@@ -148,15 +159,29 @@ router.get('/patient/:patientId/trends/:dataType', authMiddleware, async (req, r
       });
     }
 
-    const trendAnalysis = await analyzeHealthTrends(healthData, dataType);
+    const { unitPreferences } = req.patient;
+    const trendAnalysis = trendService.analyze(healthData, { unitPreferences });
+
+    // Mixed-context blood sugar isn't one series; trend each context on its own as well
+    const byContext = {};
+    if (dataType === 'blood_sugar' && !measurementContext) {
+      for (const context of MEASUREMENT_CONTEXTS) {
+        const contextData = healthData.filter(d => d.measurementContext === context);
+        if (contextData.length >= trendService.MIN_TREND_READINGS) {
+          byContext[context] = trendService.analyze(contextData, { unitPreferences });
+        }
+      }
+    }
 
     res.json({
       success: true,
       data: {
         dataType,
+        measurementContext,
         dataPoints: healthData.length,
-        timeRange: `${days} days`,
-        ...trendAnalysis
+        timeRange: `${windowDays} days`,
+        ...trendAnalysis,
+        ...(Object.keys(byContext).length > 0 && { byContext })
       }
     });
   } catch (error) {
@@ -168,18 +193,37 @@ router.get('/patient/:patientId/trends/:dataType', authMiddleware, async (req, r
   }
 });
 
-// Get medication adherence insights
-router.get('/patient/:patientId/medication-insights', authMiddleware, async (req, res) => {
+// Continuous glucose monitor summary: time in ranges, GMI, variability and the
+// ambulatory glucose profile. `timeZone` places readings on the patient's clock for the AGP.
+router.get('/patient/:patientId/cgm-metrics', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
+    const { days, timeZone } = req.query;
+
+    const metrics = await cgmService.getMetrics(patientId, { days, timeZone });
+
+    res.json({
+      success: true,
+      data: metrics
+    });
+  } catch (error) {
+    if (error instanceof CgmError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
     }
 
+    console.error('Error generating CGM metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate CGM metrics'
+    });
+  }
+});
+
+// Get medication adherence insights
+router.get('/patient/:patientId/medication-insights', authMiddleware, requirePatientAccess('params', PERMISSIONS.MANAGE_MEDICATIONS), audit('AIAnalysis', 'read'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+
     const adherence = await aiAnalysisService.calculateMedicationAdherence(patientId);
     const medications = await Medication.findAll({
       where: { patientId, isActive: true }
@@ -201,16 +245,9 @@ router.get('/patient/:patientId/medication-insights', authMiddleware, async (req
 });
 
 // Get motivational insights and recommendations
-router.get('/patient/:patientId/motivational-insights', authMiddleware, async (req, res) => {
+router.get('/patient/:patientId/motivational-insights', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
 
     const patient = await Patient.findByPk(patientId);
     const motivation = await aiAnalysisService.assessPatientMotivation(patientId);
@@ -239,19 +276,35 @@ router.get('/patient/:patientId/motivational-insights', authMiddleware, async (r
 });
 
 // Predict health outcomes based on current trends
-router.post('/patient/:patientId/predictions', authMiddleware, async (req, res) => {
+router.post('/patient/:patientId/predictions', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { dataType, forecastDays = 30 } = req.body;
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
+
+    if (!DATA_TYPES.includes(dataType)) {
+      return res.status(400).json({
+        success: false,
+        message: `dataType must be one of: ${DATA_TYPES.join(', ')}`
+      });
+    }
+
+    const days = parseInt(forecastDays);
+    if (isNaN(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `forecastDays must be between 1 and ${MAX_FORECAST_DAYS}`
+      });
+    }
+
+    const { measurementContext, error: contextError } = parseMeasurementContext(dataType, req.body.measurementContext);
+    if (contextError) {
+      return res.status(400).json({
         success: false,
-        message: 'Access denied'
+        message: contextError
       });
     }
 
-    const predictions = await generateHealthPredictions(patientId, dataType, parseInt(forecastDays));
+    const predictions = await generateHealthPredictions(patientId, dataType, days, measurementContext, req.patient.unitPreferences);
 
     res.json({
       success: true,
@@ -267,16 +320,9 @@ router.post('/patient/:patientId/predictions', authMiddleware, async (req, res)
 });
 
 // Get personalized health recommendations
-router.get('/patient/:patientId/recommendations', authMiddleware, async (req, res) => {
+router.get('/patient/:patientId/recommendations', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
 
     const patient = await Patient.findByPk(patientId);
     const recentData = await HealthData.findAll({
@@ -304,18 +350,13 @@ router.get('/patient/:patientId/recommendations', authMiddleware, async (req, re
 });
 
 // Analyze specific health data entry
-router.post('/analyze-health-data', authMiddleware, async (req, res) => {
+router.post('/analyze-health-data', authMiddleware, requirePatientAccess('body', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId, healthData } = req.body;
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
 
     const analysis = await aiAnalysisService.analyzeHealthData(patientId, healthData);
+    // Nothing is stored or alerted here, so the caller can wait for the explanation
+    analysis.explanation = await aiAnalysisService.explainAnalysis(healthData, analysis);
 
     res.json({
       success: true,
@@ -331,17 +372,10 @@ router.post('/analyze-health-data', authMiddleware, async (req, res) => {
 });
 
 // Get patient progress report
-router.get('/patient/:patientId/progress-report', authMiddleware, async (req, res) => {
+router.get('/patient/:patientId/progress-report', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('AIAnalysis', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { period = 'week' } = req.query; // week, month, quarter
-    
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
 
     const progressReport = await generateProgressReport(patientId, period);
 
@@ -389,7 +423,7 @@ async function performComprehensiveAnalysis(patient, healthData, medications, go
   analysis.riskAssessment = await generateRiskAssessment(patient, healthData);
 
   // Trends analysis
-  analysis.trends = await analyzeOverallTrends(healthData);
+  analysis.trends = await analyzeOverallTrends(healthData, patient.unitPreferences);
 
   // Generate recommendations
   analysis.recommendations = await generateComprehensiveRecommendations(patient, healthData, medications, goals);
@@ -402,22 +436,23 @@ async function performComprehensiveAnalysis(patient, healthData, medications, go
 
 async function analyzeMetricType(data, dataType) {
   const recentData = data.slice(0, 7); // Last 7 entries
-  const values = recentData.map(d => d.value);
-  
+
   const stats = {
     recentCount: recentData.length,
-    average: values.reduce((a, b) => a + b, 0) / values.length,
-    min: Math.min(...values),
-    max: Math.max(...values),
     lastValue: recentData[0]?.value,
     riskLevel: recentData[0]?.riskLevel || 'low'
   };
 
-  // Add type-specific analysis
+  // Values are stored as text, and blood pressure as JSON: two numbers, not one
   if (dataType === 'blood_pressure') {
     const bpValues = recentData.map(d => JSON.parse(d.value));
-    stats.systolicAvg = bpValues.reduce((sum, bp) => sum + bp.systolic, 0) / bpValues.length;
-    stats.diastolicAvg = bpValues.reduce((sum, bp) => sum + bp.diastolic, 0) / bpValues.length;
+    stats.systolicAvg = bpValues.reduce((sum, bp) => sum + Number(bp.systolic), 0) / bpValues.length;
+    stats.diastolicAvg = bpValues.reduce((sum, bp) => sum + Number(bp.diastolic), 0) / bpValues.length;
+  } else {
+    const values = recentData.map(d => parseFloat(d.value)).filter(value => !isNaN(value));
+    stats.average = values.reduce((a, b) => a + b, 0) / values.length;
+    stats.min = Math.min(...values);
+    stats.max = Math.max(...values);
   }
 
   return stats;
@@ -439,7 +474,7 @@ async function generateRiskAssessment(patient, healthData) {
       types: [...new Set(highRiskReadings.map(d => d.dataType))],
       message: `${highRiskReadings.length} high-risk readings detected`
     });
-    overallRisk = 'high';
+    overallRisk = highRiskReadings.some(d => d.riskLevel === 'critical') ? 'critical' : 'high';
   }
 
   // Analyze moderate risk readings
@@ -455,9 +490,14 @@ async function generateRiskAssessment(patient, healthData) {
   }
 
   // Condition-specific risk assessment
+  // Judged against the patient's own targets where a clinician has set them
+  const ranges = await aiAnalysisService.getRanges(patient.id);
+
   if (patient.chronicConditions.includes('diabetes')) {
     const bloodSugarReadings = healthData.filter(d => d.dataType === 'blood_sugar');
-    const highSugarCount = bloodSugarReadings.filter(d => d.value > 180).length;
+    const highSugarCount = bloodSugarReadings.filter(d =>
+      aiAnalysisService.isHighRisk(aiAnalysisService.classifyBloodSugar(d.value, d.measurementContext, ranges).riskLevel)
+    ).length;
     
     if (highSugarCount > 2) {
       risks.push({
@@ -470,10 +510,9 @@ async function generateRiskAssessment(patient, healthData) {
 
   if (patient.chronicConditions.includes('hypertension')) {
     const bpReadings = healthData.filter(d => d.dataType === 'blood_pressure');
-    const highBpCount = bpReadings.filter(d => {
-      const bp = JSON.parse(d.value);
-      return bp.systolic > 140 || bp.diastolic > 90;
-    }).length;
+    const highBpCount = bpReadings.filter(d =>
+      aiAnalysisService.isHighRisk(aiAnalysisService.classifyBloodPressure(d.value, ranges).riskLevel)
+    ).length;
 
     if (highBpCount > 2) {
       risks.push({
@@ -487,57 +526,13 @@ async function generateRiskAssessment(patient, healthData) {
   return {
     overallRisk,
     risks,
-    summary: overallRisk === 'high' ? 'Requires immediate attention' :
+    summary: overallRisk === 'critical' ? 'Requires urgent medical attention' :
+             overallRisk === 'high' ? 'Requires immediate attention' :
              overallRisk === 'moderate' ? 'Monitor closely' :
              'Stable condition'
   };
 }
 
-async function analyzeHealthTrends(healthData, dataType) {
-  if (healthData.length < 3) {
-    return {
-      trend: 'insufficient_data',
-      confidence: 'low',
-      insights: ['Need more data points for trend analysis']
-    };
-  }
-
-  const values = healthData.map(d => d.value);
-  const timestamps = healthData.map(d => new Date(d.recordedAt));
-
-  // Simple linear regression for trend detection
-  const n = values.length;
-  const x = Array.from({ length: n }, (_, i) => i);
-  const sumX = x.reduce((a, b) => a + b, 0);
-  const sumY = values.reduce((a, b) => a + b, 0);
-  const sumXY = x.reduce((sum, xi, i) => sum + xi * values[i], 0);
-  const sumX2 = x.reduce((sum, xi) => sum + xi * xi, 0);
-
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-  const trend = slope > 0.1 ? 'increasing' : slope < -0.1 ? 'decreasing' : 'stable';
-
-  // Calculate rate of change
-  const firstValue = values[0];
-  const lastValue = values[values.length - 1];
-  const percentageChange = ((lastValue - firstValue) / firstValue) * 100;
-
-  const insights = [];
-  if (trend === 'increasing' && percentageChange > 10) {
-    insights.push(`Significant increase detected (${percentageChange.toFixed(1)}%)`);
-  } else if (trend === 'decreasing' && percentageChange < -10) {
-    insights.push(`Significant decrease detected (${Math.abs(percentageChange).toFixed(1)}%)`);
-  }
-
-  return {
-    trend,
-    slope: slope.toFixed(3),
-    percentageChange: percentageChange.toFixed(1),
-    dataPoints: n,
-    confidence: n >= 7 ? 'high' : n >= 3 ? 'medium' : 'low',
-    insights
-  };
-}
-
 async function generateMedicationInsights(patientId, adherence, medications) {
   const insights = {
     overallAdherence: adherence,
@@ -629,54 +624,49 @@ async function generateMotivationalInsights(patient, motivation, recentDataCount
   return insights;
 }
 
-async function generateHealthPredictions(patientId, dataType, forecastDays) {
+// Forecast from the last 90 days: the least-squares line through the readings, with
+// the range a new reading should fall in, each day for `forecastDays`
+async function generateHealthPredictions(patientId, dataType, forecastDays, measurementContext = null, unitPreferences = null) {
+  const where = {
+    patientId,
+    dataType,
+    recordedAt: {
+      [require('sequelize').Op.gte]: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) // 90 days
+    }
+  };
+  // A fasting forecast should only learn from fasting readings
+  if (measurementContext) where.measurementContext = measurementContext;
+
   // Get historical data
   const historicalData = await HealthData.findAll({
-    where: {
-      patientId,
-      dataType,
-      recordedAt: {
-        [require('sequelize').Op.gte]: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000) // 90 days
-      }
-    },
+    where,
     order: [['recordedAt', 'ASC']]
   });
 
-  if (historicalData.length < 7) {
+  // Unreadable values are dropped, so count what the analysis could use
+  const analysis = trendService.analyze(historicalData, { unitPreferences, forecastDays });
+  if (!analysis.components[0]?.forecast) {
     return {
+      dataType,
+      measurementContext,
       prediction: 'insufficient_data',
-      confidence: 'low',
-      message: 'Need more historical data for accurate predictions'
+      message: `Need at least ${trendService.MIN_FORECAST_READINGS} readings from the last 90 days for a forecast`
     };
   }
-
-  // Simple moving average prediction
-  const values = historicalData.map(d => d.value);
-  const recentValues = values.slice(-7); // Last 7 values
-  const average = recentValues.reduce((a, b) => a + b, 0) / recentValues.length;
-
-  // Add some variation based on trend
-  const trend = await analyzeHealthTrends(historicalData.slice(-14), dataType);
-  let predictedValue = average;
-
-  if (trend.trend === 'increasing') {
-    predictedValue = average * 1.05; // 5% increase
-  } else if (trend.trend === 'decreasing') {
-    predictedValue = average * 0.95; // 5% decrease
-  }
+  const valueOf = (pick) => Object.fromEntries(analysis.components.map(c => [c.key, pick(c)]));
+  const single = (values) => (dataType === 'blood_pressure' ? values : values.value);
 
   return {
-    dataType,
+    measurementContext,
     forecastDays,
-    currentValue: values[values.length - 1],
-    predictedValue: Math.round(predictedValue * 100) / 100,
-    confidence: trend.confidence,
-    trend: trend.trend,
-    recommendation: generatePredictionRecommendation(dataType, predictedValue, trend.trend)
+    ...analysis,
+    currentValue: single(valueOf(c => c.points[c.points.length - 1].value)),
+    predictedValue: single(valueOf(c => c.forecast[c.forecast.length - 1].value)),
+    recommendation: generatePredictionRecommendation(dataType, analysis.trend)
   };
 }
 
-function generatePredictionRecommendation(dataType, predictedValue, trend) {
+function generatePredictionRecommendation(dataType, trend) {
   const recommendations = {
     blood_pressure: {
       increasing: 'Consider lifestyle modifications to manage blood pressure',
@@ -701,14 +691,18 @@ function generatePredictionRecommendation(dataType, predictedValue, trend) {
 async function generatePersonalizedRecommendations(patient, recentData) {
   const recommendations = [];
   const conditions = patient.chronicConditions;
+  const ranges = await aiAnalysisService.getRanges(patient.id);
 
   // Condition-specific recommendations
   if (conditions.includes('diabetes')) {
+    // Judge each reading against its own context's target rather than averaging
+    // fasting and post-meal values together
     const bloodSugarReadings = recentData.filter(d => d.dataType === 'blood_sugar');
-    const avgBloodSugar = bloodSugarReadings.length > 0 ? 
-      bloodSugarReadings.reduce((sum, d) => sum + d.value, 0) / bloodSugarReadings.length : 0;
+    const aboveTarget = bloodSugarReadings.filter(d =>
+      aiAnalysisService.classifyBloodSugar(d.value, d.measurementContext, ranges).status === 'high'
+    ).length;
 
-    if (avgBloodSugar > 140) {
+    if (bloodSugarReadings.length > 0 && aboveTarget / bloodSugarReadings.length > 0.5) {
       recommendations.push({
         category: 'diet',
         priority: 'high',
@@ -720,10 +714,9 @@ async function generatePersonalizedRecommendations(patient, recentData) {
 
   if (conditions.includes('hypertension')) {
     const bpReadings = recentData.filter(d => d.dataType === 'blood_pressure');
-    const highBpCount = bpReadings.filter(d => {
-      const bp = JSON.parse(d.value);
-      return bp.systolic > 140 || bp.diastolic > 90;
-    }).length;
+    const highBpCount = bpReadings.filter(d =>
+      aiAnalysisService.isHighRisk(aiAnalysisService.classifyBloodPressure(d.value, ranges).riskLevel)
+    ).length;
 
     if (highBpCount > 0) {
       recommendations.push({
@@ -841,17 +834,19 @@ async function generateProgressReport(patientId, period) {
     'Work on achieving set health goals'
   );
 
+  report.narrative = await aiAnalysisService.summarizeProgress(report);
+
   return report;
 }
 
-async function analyzeOverallTrends(healthData) {
+async function analyzeOverallTrends(healthData, unitPreferences) {
   const trends = {};
   const dataTypes = [...new Set(healthData.map(d => d.dataType))];
 
   for (const type of dataTypes) {
     const typeData = healthData.filter(d => d.dataType === type);
-    if (typeData.length >= 3) {
-      trends[type] = await analyzeHealthTrends(typeData, type);
+    if (typeData.length >= trendService.MIN_TREND_READINGS) {
+      trends[type] = trendService.analyze(typeData, { unitPreferences });
     }
   }
 
@@ -890,8 +885,8 @@ async function generateComprehensiveRecommendations(patient, healthData, medicat
   // Health metric-based recommendations
   const bpData = healthData.filter(d => d.dataType === 'blood_pressure');
   if (bpData.length > 0) {
-    const recentBP = JSON.parse(bpData[0].value);
-    if (recentBP.systolic > 140 || recentBP.diastolic > 90) {
+    const ranges = await aiAnalysisService.getRanges(patient.id);
+    if (aiAnalysisService.isHighRisk(aiAnalysisService.classifyBloodPressure(bpData[0].value, ranges).riskLevel)) {
       recommendations.push({
         type: 'lifestyle',
         priority: 'high',
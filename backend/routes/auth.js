@@ -1,10 +1,127 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { Patient } = require('../models');
+const { Op } = require('sequelize');
+const { Patient, Medication, Session, PasswordReset } = require('../models');
 const authMiddleware = require('../middleware/auth');
+const { requireResourceAccess } = require('../middleware/patientAccess');
 const emailScheduler = require('../services/emailScheduler');
+const sessionService = require('../services/sessionService');
+const { SessionError } = sessionService;
+const emailService = require('../services/emailService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const accountDeletionService = require('../services/accountDeletionService');
+const { PERMISSIONS } = require('../services/careTeamService');
+const { parseUnitPreferences } = require('../utils/units');
+
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const ACCOUNT_ROLES = ['patient', 'caregiver', 'clinician'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Invalidate every outstanding reset link for a patient
+const invalidatePasswordResets = (patientId) => {
+  return PasswordReset.update(
+    { usedAt: new Date() },
+    { where: { patientId, usedAt: null } }
+  );
+};
+
+// Signed verification link token; bound to the address so it dies if the email changes
+const signEmailVerificationToken = (patient) => {
+  return jwt.sign(
+    { patientId: patient.id, email: patient.email, type: 'email_verification' },
+    process.env.JWT_SECRET || 'chronic-care-ai-secret-key',
+    { expiresIn: '24h' }
+  );
+};
+
+const sendVerificationEmail = async (patient) => {
+  const result = await emailService.sendVerificationEmail(patient, signEmailVerificationToken(patient));
+  if (result.error) {
+    console.error(`Failed to send verification email to ${patient.email}:`, result.error);
+  }
+  return result;
+};
+
+const lockedMessage = (minutes) => {
+  return `Too many failed login attempts. Your account is locked for up to ${minutes} minutes - check your email for a link to unlock it sooner.`;
+};
+
+// Refuse locked accounts and enforce the progressive delay between failed attempts.
+// Returns the sent response when the attempt was refused.
+const rejectIfLocked = async (patient, req, res) => {
+  if (loginProtectionService.isLocked(patient)) {
+    await loginProtectionService.recordFailure(req, patient.email, patient, 'locked');
+    const minutes = Math.ceil((new Date(patient.lockedUntil) - Date.now()) / 60000);
+    return res.status(423).json({ 
+      success: false, 
+      message: lockedMessage(minutes)
+    });
+  }
+
+  const retryAfter = loginProtectionService.getRetryDelay(patient);
+  if (retryAfter > 0) {
+    await loginProtectionService.recordFailure(req, patient.email, patient, 'throttled');
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ 
+      success: false, 
+      message: `Too many failed login attempts. Please wait ${retryAfter} seconds and try again.`,
+      data: { retryAfter }
+    });
+  }
+
+  return null;
+};
+
+// Issue tokens and the patient payload once every login step has passed
+const completeLogin = async (patient, req, res) => {
+  // Clears any failed-attempt counter left by earlier typos
+  await loginProtectionService.recordSuccess(req, patient);
+
+  // Start a session and issue access + refresh tokens
+  const { token, refreshToken } = await sessionService.createSession(patient, req);
+
+  // Update last login time
+  await patient.update({ lastAssessment: new Date() });
+
+  // Return patient data (excluding password)
+  const patientResponse = {
+    id: patient.id,
+    email: patient.email,
+    role: patient.role,
+    firstName: patient.firstName,
+    lastName: patient.lastName,
+    dateOfBirth: patient.dateOfBirth,
+    gender: patient.gender,
+    chronicConditions: patient.chronicConditions,
+    preferredEmailTime: patient.preferredEmailTime,
+    phoneNumber: patient.phoneNumber,
+    emergencyContact: patient.emergencyContact,
+    emailVerified: patient.emailVerified,
+    medicationAdherence: patient.medicationAdherence,
+    motivationLevel: patient.motivationLevel,
+    lastAssessment: patient.lastAssessment,
+    twoFactorEnabled: patient.twoFactorEnabled,
+    unitPreferences: patient.unitPreferences,
+    deletionScheduledFor: patient.deletionScheduledFor,
+    createdAt: patient.createdAt,
+    updatedAt: patient.updatedAt
+  };
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      patient: patientResponse,
+      token,
+      refreshToken
+    }
+  });
+};
 
 // Patient registration
 router.post('/register', async (req, res) => {
@@ -19,11 +136,20 @@ router.post('/register', async (req, res) => {
       chronicConditions,
       preferredEmailTime,
       phoneNumber,
-      emergencyContact
+      emergencyContact,
+      role = 'patient'
     } = req.body;
 
-    // Validation
-    if (!email || !password || !firstName || !lastName || !dateOfBirth || !gender) {
+    if (!ACCOUNT_ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid account type' 
+      });
+    }
+
+    // Validation - only patients need a clinical profile
+    if (!email || !password || !firstName || !lastName ||
+        (role === 'patient' && (!dateOfBirth || !gender))) {
       return res.status(400).json({ 
         success: false, 
         message: 'Please fill in all required fields' 
@@ -53,30 +179,28 @@ router.post('/register', async (req, res) => {
     const patient = await Patient.create({
       email,
       password: hashedPassword,
+      role,
       firstName,
       lastName,
-      dateOfBirth,
-      gender,
-      chronicConditions: chronicConditions || [],
+      dateOfBirth: dateOfBirth || null,
+      gender: gender || null,
+      chronicConditions: role === 'patient' ? (chronicConditions || []) : [],
       preferredEmailTime: preferredEmailTime || '09:00:00',
       phoneNumber,
       emergencyContact
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        patientId: patient.id, 
-        email: patient.email 
-      },
-      process.env.JWT_SECRET || 'chronic-care-ai-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Confirm the address before any reminders go out
+    await sendVerificationEmail(patient);
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken } = await sessionService.createSession(patient, req);
 
     // Return patient data (excluding password)
     const patientResponse = {
       id: patient.id,
       email: patient.email,
+      role: patient.role,
       firstName: patient.firstName,
       lastName: patient.lastName,
       dateOfBirth: patient.dateOfBirth,
@@ -85,6 +209,8 @@ router.post('/register', async (req, res) => {
       preferredEmailTime: patient.preferredEmailTime,
       phoneNumber: patient.phoneNumber,
       emergencyContact: patient.emergencyContact,
+      emailVerified: patient.emailVerified,
+      unitPreferences: patient.unitPreferences,
       createdAt: patient.createdAt,
       updatedAt: patient.updatedAt
     };
@@ -94,7 +220,8 @@ router.post('/register', async (req, res) => {
       message: 'Patient registered successfully',
       data: {
         patient: patientResponse,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -120,66 +247,119 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Too many failures from this address across any accounts
+    if (await loginProtectionService.isIpBlocked(req.ip)) {
+      await loginProtectionService.recordAttempt(req, email, null, false, 'throttled');
+      return res.status(429).json({ 
+        success: false, 
+        message: 'Too many failed login attempts from this network. Please try again later.' 
+      });
+    }
+
     // Find patient
     const patient = await Patient.findOne({ where: { email } });
     if (!patient) {
+      await loginProtectionService.recordFailure(req, email, null);
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid email or password' 
       });
     }
 
+    const lockResponse = await rejectIfLocked(patient, req, res);
+    if (lockResponse) return lockResponse;
+
     // Check password
     const isPasswordValid = await bcrypt.compare(password, patient.password);
     if (!isPasswordValid) {
+      const { locked } = await loginProtectionService.recordFailure(req, email, patient);
+      if (locked) {
+        return res.status(423).json({ 
+          success: false, 
+          message: lockedMessage(loginProtectionService.lockoutMinutes)
+        });
+      }
+
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid email or password' 
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        patientId: patient.id, 
-        email: patient.email 
-      },
-      process.env.JWT_SECRET || 'chronic-care-ai-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Second step required before any tokens are issued
+    if (patient.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.signChallenge(patient)
+        }
+      });
+    }
 
-    // Update last login time
-    await patient.update({ lastAssessment: new Date() });
+    await completeLogin(patient, req, res);
+  } catch (error) {
+    console.error('Error during login:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-    // Return patient data (excluding password)
-    const patientResponse = {
-      id: patient.id,
-      email: patient.email,
-      firstName: patient.firstName,
-      lastName: patient.lastName,
-      dateOfBirth: patient.dateOfBirth,
-      gender: patient.gender,
-      chronicConditions: patient.chronicConditions,
-      preferredEmailTime: patient.preferredEmailTime,
-      phoneNumber: patient.phoneNumber,
-      emergencyContact: patient.emergencyContact,
-      medicationAdherence: patient.medicationAdherence,
-      motivationLevel: patient.motivationLevel,
-      lastAssessment: patient.lastAssessment,
-      createdAt: patient.createdAt,
-      updatedAt: patient.updatedAt
-    };
+// Second login step - verify TOTP or recovery code for a 2FA-enabled account
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        patient: patientResponse,
-        token
+    if (!challengeToken || !code) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Challenge token and code are required' 
+      });
+    }
+
+    const patientId = twoFactorService.verifyChallenge(challengeToken);
+    if (!patientId) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login challenge expired. Please sign in again.' 
+      });
+    }
+
+    const patient = await Patient.findByPk(patientId);
+    const twoFactorAuth = patient && await twoFactorService.getEnabled(patient.id);
+    if (!twoFactorAuth) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Login challenge expired. Please sign in again.' 
+      });
+    }
+
+    const lockResponse = await rejectIfLocked(patient, req, res);
+    if (lockResponse) return lockResponse;
+
+    const result = await twoFactorService.verifyCode(twoFactorAuth, code);
+    if (!result.valid) {
+      const { locked } = await loginProtectionService.recordFailure(req, patient.email, patient, 'invalid_2fa');
+      if (locked) {
+        return res.status(423).json({ 
+          success: false, 
+          message: lockedMessage(loginProtectionService.lockoutMinutes)
+        });
       }
-    });
+
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid authentication code' 
+      });
+    }
+
+    await completeLogin(patient, req, res);
   } catch (error) {
-    console.error('Error during login:', error);
+    console.error('Error during two-factor login:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Login failed',
@@ -257,6 +437,11 @@ router.post('/change-password', authMiddleware, async (req, res) => {
     // Update password
     await patient.update({ password: hashedNewPassword });
 
+    // Any reset link issued before the change must no longer work
+    await invalidatePasswordResets(patient.id);
+    // Sign out every other device; a stolen refresh token dies with the old password
+    await sessionService.revokeAllSessions(patient.id, 'password_change', { except: req.sessionId });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -283,7 +468,8 @@ router.put('/profile', authMiddleware, async (req, res) => {
       phoneNumber,
       emergencyContact,
       emailNotifications,
-      emailPreferences
+      emailPreferences,
+      unitPreferences
     } = req.body;
 
     const patient = await Patient.findByPk(req.patientId);
@@ -306,6 +492,16 @@ router.put('/profile', authMiddleware, async (req, res) => {
     if (emergencyContact) updateData.emergencyContact = emergencyContact;
     if (emailNotifications !== undefined) updateData.emailNotifications = emailNotifications;
     if (emailPreferences) updateData.emailPreferences = emailPreferences;
+    if (unitPreferences !== undefined) {
+      const { unitPreferences: parsedPreferences, error: unitError } = parseUnitPreferences(unitPreferences);
+      if (unitError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: unitError 
+        });
+      }
+      updateData.unitPreferences = parsedPreferences;
+    }
 
     await patient.update(updateData);
 
@@ -313,6 +509,7 @@ router.put('/profile', authMiddleware, async (req, res) => {
     const updatedPatient = {
       id: patient.id,
       email: patient.email,
+      role: patient.role,
       firstName: patient.firstName,
       lastName: patient.lastName,
       dateOfBirth: patient.dateOfBirth,
@@ -321,11 +518,15 @@ router.put('/profile', authMiddleware, async (req, res) => {
       preferredEmailTime: patient.preferredEmailTime,
       phoneNumber: patient.phoneNumber,
       emergencyContact: patient.emergencyContact,
+      emailVerified: patient.emailVerified,
       emailNotifications: patient.emailNotifications,
       emailPreferences: patient.emailPreferences,
       medicationAdherence: patient.medicationAdherence,
       motivationLevel: patient.motivationLevel,
       lastAssessment: patient.lastAssessment,
+      twoFactorEnabled: patient.twoFactorEnabled,
+      unitPreferences: patient.unitPreferences,
+      deletionScheduledFor: patient.deletionScheduledFor,
       createdAt: patient.createdAt,
       updatedAt: patient.updatedAt
     };
@@ -344,39 +545,51 @@ router.put('/profile', authMiddleware, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh-token', authMiddleware, async (req, res) => {
+// Refresh token - rotate the refresh token and issue a new access token
+router.post('/refresh-token', async (req, res) => {
   try {
-    const patient = await Patient.findByPk(req.patientId, {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Refresh token is required' 
+      });
+    }
+
+    const { session, refreshToken: newRefreshToken } = await sessionService.rotateSession(refreshToken, req);
+
+    const patient = await Patient.findByPk(session.patientId, {
       attributes: { exclude: ['password'] }
     });
 
     if (!patient) {
+      await sessionService.revokeSession(session);
       return res.status(404).json({ 
         success: false, 
         message: 'Patient not found' 
       });
     }
 
-    // Generate new token
-    const token = jwt.sign(
-      { 
-        patientId: patient.id, 
-        email: patient.email 
-      },
-      process.env.JWT_SECRET || 'chronic-care-ai-secret-key',
-      { expiresIn: '24h' }
-    );
+    const token = sessionService.signAccessToken(patient, session);
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
         patient,
-        token
+        token,
+        refreshToken: newRefreshToken
       }
     });
   } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+
     console.error('Error refreshing token:', error);
     res.status(500).json({ 
       success: false, 
@@ -385,11 +598,19 @@ router.post('/refresh-token', authMiddleware, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', authMiddleware, async (req, res) => {
+// Logout - revoke the refresh token's session
+router.post('/logout', authMiddleware.optionalAuth, async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled client-side by removing the token
-    // We could implement a token blacklist here if needed
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await sessionService.revokeByRefreshToken(refreshToken, 'logout');
+    } else if (req.sessionId) {
+      const session = await Session.findByPk(req.sessionId);
+      if (session) {
+        await sessionService.revokeSession(session, 'logout');
+      }
+    }
     
     res.json({
       success: true,
@@ -404,6 +625,384 @@ router.post('/logout', authMiddleware, async (req, res) => {
   }
 });
 
+// List active sessions for the logged-in patient
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.patientId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch sessions' 
+    });
+  }
+});
+
+// End one of the logged-in patient's sessions
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: { id: req.params.sessionId, patientId: req.patientId }
+    });
+
+    if (!session) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Session not found' 
+      });
+    }
+
+    await sessionService.revokeSession(session, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session ended successfully'
+    });
+  } catch (error) {
+    console.error('Error ending session:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to end session' 
+    });
+  }
+});
+
+// EMAIL VERIFICATION
+
+// Verify email address from the signed link
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Verification token is required' 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || 'chronic-care-ai-secret-key');
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid or expired verification link' 
+      });
+    }
+
+    if (decoded.type !== 'email_verification') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid verification link' 
+      });
+    }
+
+    const patient = await Patient.findByPk(decoded.patientId);
+    if (!patient || patient.email !== decoded.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid verification link' 
+      });
+    }
+
+    if (!patient.emailVerified) {
+      await patient.update({ emailVerified: true, emailVerifiedAt: new Date() });
+
+      // Pick up the newly verified patient for daily updates
+      await emailScheduler.loadPatientSchedules();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { email: patient.email, emailVerified: true }
+    });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to verify email' 
+    });
+  }
+});
+
+// Resend the verification link to the logged-in patient
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const patient = await Patient.findByPk(req.patientId);
+    if (!patient) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Patient not found' 
+      });
+    }
+
+    if (patient.emailVerified) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email is already verified' 
+      });
+    }
+
+    const result = await sendVerificationEmail(patient);
+    if (result.error) {
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to send verification email' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to send verification email' 
+    });
+  }
+});
+
+// TWO-FACTOR AUTHENTICATION
+
+// Start 2FA enrollment - returns the otpauth URI and a QR code
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const patient = await Patient.findByPk(req.patientId);
+    if (!patient) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Patient not found' 
+      });
+    }
+
+    if (patient.twoFactorEnabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is already enabled' 
+      });
+    }
+
+    const enrollment = await twoFactorService.beginEnrollment(patient);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish',
+      data: enrollment
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to start two-factor setup' 
+    });
+  }
+});
+
+// Verify the first code to enable 2FA; recovery codes are returned only here
+router.post('/2fa/enable', authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Verification code is required' 
+      });
+    }
+
+    const patient = await Patient.findByPk(req.patientId);
+    if (!patient) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Patient not found' 
+      });
+    }
+
+    const result = await twoFactorService.completeEnrollment(patient, code);
+    if (result.error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: result.error 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes: result.recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to enable two-factor authentication' 
+    });
+  }
+});
+
+// Disable 2FA - requires the password and a current code or recovery code
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password and authentication code are required' 
+      });
+    }
+
+    const patient = await Patient.findByPk(req.patientId);
+    if (!patient) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Patient not found' 
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, patient.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password is incorrect' 
+      });
+    }
+
+    const twoFactorAuth = await twoFactorService.getEnabled(patient.id);
+    if (!twoFactorAuth) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    const result = await twoFactorService.verifyCode(twoFactorAuth, code);
+    if (!result.valid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid authentication code' 
+      });
+    }
+
+    await twoFactorService.disable(patient);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to disable two-factor authentication' 
+    });
+  }
+});
+
+// Request account deletion; erasure happens once the grace period ends
+router.delete('/account', authMiddleware, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Password is required to delete your account' 
+      });
+    }
+
+    const patient = await Patient.findByPk(req.patientId);
+    if (!patient) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Patient not found' 
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, patient.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password is incorrect' 
+      });
+    }
+
+    if (accountDeletionService.isScheduled(patient)) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Account deletion is already scheduled',
+        data: { deletionScheduledFor: patient.deletionScheduledFor }
+      });
+    }
+
+    const deletionScheduledFor = await accountDeletionService.scheduleDeletion(patient);
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${deletionScheduledFor.toDateString()}. You can cancel until then.`,
+      data: { deletionScheduledFor }
+    });
+  } catch (error) {
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to schedule account deletion' 
+    });
+  }
+});
+
+// Cancel a pending account deletion during the grace period
+router.post('/account/cancel-deletion', authMiddleware, async (req, res) => {
+  try {
+    const patient = await Patient.findByPk(req.patientId);
+    if (!patient) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Patient not found' 
+      });
+    }
+
+    if (!accountDeletionService.isScheduled(patient)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No account deletion is scheduled' 
+      });
+    }
+
+    await accountDeletionService.cancelDeletion(patient);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to cancel account deletion' 
+    });
+  }
+});
+
 // Forgot password - initiate reset
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -426,24 +1025,21 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    // Generate reset token (valid for 1 hour)
-    const resetToken = jwt.sign(
-      { 
-        patientId: patient.id,
-        type: 'password_reset'
-      },
-      process.env.JWT_SECRET || 'chronic-care-ai-secret-key',
-      { expiresIn: '1h' }
-    );
+    // Only the most recent link stays valid
+    await invalidatePasswordResets(patient.id);
 
-    // In a real application, you would send an email with the reset link
-    // For now, we'll just return the token (in production, never do this)
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`Password reset token for ${email}:`, resetToken);
-    }
+    // Generate single-use reset token (stored hashed)
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await PasswordReset.create({
+      patientId: patient.id,
+      tokenHash: hashToken(resetToken),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
 
-    // TODO: Send email with reset link using Resend
-    // await emailService.sendPasswordResetEmail(patient, resetToken);
+    const emailResult = await emailService.sendPasswordResetEmail(patient, resetToken, PASSWORD_RESET_TTL_MINUTES);
+    if (emailResult.error) {
+      console.error(`Failed to send password reset email to ${email}:`, emailResult.error);
+    }
 
     res.json({
       success: true,
@@ -477,26 +1073,35 @@ router.post('/reset-password', async (req, res) => {
       });
     }
 
-    // Verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'chronic-care-ai-secret-key');
-    } catch (error) {
-      return res.status(401).json({ 
+    // Look up an unused, unexpired reset token
+    const passwordReset = await PasswordReset.findOne({
+      where: {
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!passwordReset) {
+      return res.status(400).json({ 
         success: false, 
         message: 'Invalid or expired reset token' 
       });
     }
 
-    // Check if token is a password reset token
-    if (decoded.type !== 'password_reset') {
-      return res.status(401).json({ 
+    // Claim the token atomically so a concurrent request can't reuse it
+    const [claimed] = await PasswordReset.update(
+      { usedAt: new Date() },
+      { where: { id: passwordReset.id, usedAt: null } }
+    );
+    if (!claimed) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Invalid reset token' 
+        message: 'Invalid or expired reset token' 
       });
     }
 
-    const patient = await Patient.findByPk(decoded.patientId);
+    const patient = await Patient.findByPk(passwordReset.patientId);
     if (!patient) {
       return res.status(404).json({ 
         success: false, 
@@ -510,6 +1115,13 @@ router.post('/reset-password', async (req, res) => {
     // Update password
     await patient.update({ password: hashedPassword });
 
+    // Burn any other outstanding links and sign out every device
+    await invalidatePasswordResets(patient.id);
+    await sessionService.revokeAllSessions(patient.id, 'password_reset');
+
+    // Proving control of the inbox is enough to lift a lockout
+    await loginProtectionService.unlock(patient);
+
     res.json({
       success: true,
       message: 'Password reset successfully'
@@ -523,6 +1135,44 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// Lift a lockout early using the link from the lockout email
+router.post('/unlock-account', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Unlock token is required' 
+      });
+    }
+
+    const decoded = loginProtectionService.verifyUnlockToken(token);
+    const patient = decoded && await Patient.findByPk(decoded.patientId);
+
+    // Links only work for the lock they were issued for
+    if (!patient || !patient.lockedUntil || new Date(patient.lockedUntil).getTime() !== decoded.lockedUntil) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'This unlock link is invalid or has already been used' 
+      });
+    }
+
+    await loginProtectionService.unlock(patient);
+
+    res.json({
+      success: true,
+      message: 'Your account has been unlocked. You can sign in again.'
+    });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to unlock account' 
+    });
+  }
+});
+
 // EMAIL-RELATED ENDPOINTS
 
 // Send test email
@@ -594,7 +1244,7 @@ router.get('/scheduler-status', authMiddleware, async (req, res) => {
 });
 
 // Send immediate medication reminder
-router.post('/send-reminder/:medicationId', authMiddleware, async (req, res) => {
+router.post('/send-reminder/:medicationId', authMiddleware, requireResourceAccess(Medication, 'medicationId', PERMISSIONS.MANAGE_MEDICATIONS), async (req, res) => {
   try {
     const { medicationId } = req.params;
     
@@ -605,8 +1255,9 @@ router.post('/send-reminder/:medicationId', authMiddleware, async (req, res) =>
       });
     }
 
+    // The reminder goes to the medication's patient, who may not be the caller
     const result = await emailScheduler.sendImmediateMedicationReminder(
-      req.patientId, 
+      req.resource.patientId,
       medicationId
     );
     
@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const { CareRelationship, CareInvitation } = require('../models');
+const authMiddleware = require('../middleware/auth');
+const { requireRole } = authMiddleware;
+const careTeamService = require('../services/careTeamService');
+const { CareInvitationError } = careTeamService;
+
+const CARE_TEAM_ROLES = ['caregiver', 'clinician'];
+
+// Shape an invitation for the invitee without exposing the patient's other details
+const invitationPreview = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  name: invitation.name,
+  relationship: invitation.relationship,
+  relationshipType: invitation.relationshipType,
+  permissions: invitation.permissions,
+  expiresAt: invitation.expiresAt,
+  patient: {
+    firstName: invitation.patient.firstName,
+    lastName: invitation.patient.lastName
+  }
+});
+
+const handleInvitationError = (res, error, fallbackMessage) => {
+  if (error instanceof CareInvitationError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, message: fallbackMessage });
+};
+
+// Patients shared with the signed-in caregiver or clinician
+router.get('/patients', authMiddleware, requireRole('caregiver', 'clinician'), async (req, res) => {
+  try {
+    const relationships = await careTeamService.getPatientsFor(req.patientId);
+
+    res.json({ success: true, data: relationships });
+  } catch (error) {
+    console.error('Error fetching cared-for patients:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch patients' });
+  }
+});
+
+// Everyone the signed-in patient has shared their record with
+router.get('/', authMiddleware, requireRole('patient'), async (req, res) => {
+  try {
+    const careTeam = await careTeamService.getCareTeam(req.patientId);
+
+    res.json({ success: true, data: careTeam });
+  } catch (error) {
+    console.error('Error fetching care team:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch care team' });
+  }
+});
+
+// INVITATIONS
+
+// Invitations the signed-in patient has sent
+router.get('/invitations', authMiddleware, requireRole('patient'), async (req, res) => {
+  try {
+    const invitations = await careTeamService.getInvitations(req.patientId);
+
+    res.json({ success: true, data: invitations });
+  } catch (error) {
+    console.error('Error fetching care invitations:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite someone by email, choosing exactly which categories to share
+router.post('/invitations', authMiddleware, requireRole('patient'), async (req, res) => {
+  try {
+    const { email, name, relationship, relationshipType = 'caregiver', permissions } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    if (!CARE_TEAM_ROLES.includes(relationshipType)) {
+      return res.status(400).json({ success: false, message: 'Invalid relationship type' });
+    }
+
+    if (String(email).trim().toLowerCase() === req.patient.email.toLowerCase()) {
+      return res.status(400).json({ success: false, message: 'You cannot invite yourself' });
+    }
+
+    const granted = careTeamService.sanitizePermissions(permissions);
+    if (granted.length === 0) {
+      return res.status(400).json({ success: false, message: 'Choose at least one category to share' });
+    }
+
+    // A new invitation replaces any still-pending one for the same address
+    await CareInvitation.update(
+      { status: 'revoked', respondedAt: new Date() },
+      { where: { patientId: req.patientId, email: String(email).trim().toLowerCase(), status: 'pending' } }
+    );
+
+    const invitation = await careTeamService.createInvitation(req.patient, {
+      email,
+      name,
+      relationship,
+      relationshipType,
+      permissions: granted
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ success: false, message: 'Please enter a valid email address' });
+    }
+
+    console.error('Error creating care invitation:', error);
+    res.status(500).json({ success: false, message: 'Failed to send invitation' });
+  }
+});
+
+// Withdraw an invitation that hasn't been answered yet
+router.delete('/invitations/:invitationId', authMiddleware, requireRole('patient'), async (req, res) => {
+  try {
+    const invitation = await CareInvitation.findByPk(req.params.invitationId);
+    if (!invitation || String(invitation.patientId) !== String(req.patientId)) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Only pending invitations can be withdrawn' });
+    }
+
+    await careTeamService.revokeInvitation(invitation);
+
+    res.json({ success: true, message: 'Invitation withdrawn' });
+  } catch (error) {
+    console.error('Error revoking care invitation:', error);
+    res.status(500).json({ success: false, message: 'Failed to withdraw invitation' });
+  }
+});
+
+// Public: what an invitation link offers, so the invitee can decide before signing in
+router.get('/invitations/preview', async (req, res) => {
+  try {
+    const invitation = await careTeamService.getPendingInvitation(req.query.token);
+
+    res.json({ success: true, data: invitationPreview(invitation) });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to load invitation');
+  }
+});
+
+// The invitee consents from a caregiver or clinician account registered to the invited email
+router.post('/invitations/accept', authMiddleware, async (req, res) => {
+  try {
+    const invitation = await careTeamService.getPendingInvitation(req.body.token);
+    const relationship = await careTeamService.acceptInvitation(invitation, req.patient);
+
+    res.json({
+      success: true,
+      message: `You are now part of ${invitation.patient.firstName}'s care team`,
+      data: relationship
+    });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to accept invitation');
+  }
+});
+
+// Holding the link is enough to turn the invitation down
+router.post('/invitations/decline', async (req, res) => {
+  try {
+    const invitation = await careTeamService.getPendingInvitation(req.body.token);
+    await careTeamService.declineInvitation(invitation);
+
+    res.json({ success: true, message: 'Invitation declined' });
+  } catch (error) {
+    handleInvitationError(res, error, 'Failed to decline invitation');
+  }
+});
+
+// CARE RELATIONSHIPS
+
+// Change what a care team member can see or do
+router.patch('/:relationshipId', authMiddleware, requireRole('patient'), async (req, res) => {
+  try {
+    const relationship = await CareRelationship.findByPk(req.params.relationshipId);
+    if (!relationship || String(relationship.patientId) !== String(req.patientId)) {
+      return res.status(404).json({ success: false, message: 'Care relationship not found' });
+    }
+
+    const granted = careTeamService.sanitizePermissions(req.body.permissions);
+    if (granted.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one permission, or revoke access instead'
+      });
+    }
+
+    await relationship.update({ permissions: granted });
+
+    res.json({
+      success: true,
+      message: 'Permissions updated',
+      data: relationship
+    });
+  } catch (error) {
+    console.error('Error updating care permissions:', error);
+    res.status(500).json({ success: false, message: 'Failed to update permissions' });
+  }
+});
+
+// Revoke access - either the patient or the care team member may end it
+router.delete('/:relationshipId', authMiddleware, async (req, res) => {
+  try {
+    const relationship = await CareRelationship.findByPk(req.params.relationshipId);
+    const isParty = relationship && [relationship.patientId, relationship.caregiverId]
+      .some(id => String(id) === String(req.patientId));
+
+    if (!isParty) {
+      return res.status(404).json({ success: false, message: 'Care relationship not found' });
+    }
+
+    await careTeamService.revoke(relationship);
+
+    res.json({
+      success: true,
+      message: 'Access revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking care access:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke access' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const { Goal } = require('../models');
+const authMiddleware = require('../middleware/auth');
+const { requirePatientAccess, requireResourceAccess } = require('../middleware/patientAccess');
+const audit = require('../middleware/audit');
+const { PERMISSIONS } = require('../services/careTeamService');
+const targetService = require('../services/targetService');
 
 // Create goal
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePatientAccess('body'), audit('Goal', 'create'), async (req, res) => {
   try {
     const { patientId, title, description, targetValue, unit, deadline, category } = req.body;
 
@@ -31,7 +36,7 @@ router.post('/', async (req, res) => {
 });
 
 // Get patient goals
-router.get('/patient/:patientId', async (req, res) => {
+router.get('/patient/:patientId', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_GOALS), audit('Goal', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { achieved } = req.query;
@@ -51,16 +56,23 @@ router.get('/patient/:patientId', async (req, res) => {
   }
 });
 
+// Goals worth setting, from how recent readings compare with the patient's targets.
+// They're drawn from vitals, so care team members need that permission.
+router.get('/patient/:patientId/suggestions', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('Goal', 'read'), async (req, res) => {
+  try {
+    const suggestions = await targetService.suggestGoals(req.params.patientId, req.patient.unitPreferences);
+    res.json({ success: true, data: suggestions });
+  } catch (error) {
+    console.error('Error suggesting goals:', error);
+    res.status(500).json({ success: false, message: 'Failed to suggest goals' });
+  }
+});
+
 // Update goal progress
-router.patch('/:goalId/progress', async (req, res) => {
+router.patch('/:goalId/progress', authMiddleware, requireResourceAccess(Goal, 'goalId'), audit('Goal', 'update'), async (req, res) => {
   try {
-    const { goalId } = req.params;
     const { currentValue } = req.body;
-
-    const goal = await Goal.findByPk(goalId);
-    if (!goal) {
-      return res.status(404).json({ success: false, message: 'Goal not found' });
-    }
+    const goal = req.resource;
 
     const progress = Math.min(100, (currentValue / goal.targetValue) * 100);
     const isAchieved = progress >= 100;
@@ -83,14 +95,9 @@ router.patch('/:goalId/progress', async (req, res) => {
 });
 
 // Delete goal
-router.delete('/:goalId', async (req, res) => {
+router.delete('/:goalId', authMiddleware, requireResourceAccess(Goal, 'goalId'), audit('Goal', 'delete'), async (req, res) => {
   try {
-    const { goalId } = req.params;
-
-    const goal = await Goal.findByPk(goalId);
-    if (!goal) {
-      return res.status(404).json({ success: false, message: 'Goal not found' });
-    }
+    const goal = req.resource;
 
     await goal.destroy();
 
@@ -2,14 +2,33 @@ const express = require('express');
 const router = express.Router();
 const { HealthData, Patient, Feedback } = require('../models');
 const aiAnalysisService = require('../services/aiAnalysisService');
-const emailService = require('../services/emailService');
+const authMiddleware = require('../middleware/auth');
+const { requirePatientAccess, requireResourceAccess } = require('../middleware/patientAccess');
+const audit = require('../middleware/audit');
+const careTeamService = require('../services/careTeamService');
+const { PERMISSIONS } = careTeamService;
+const healthImportService = require('../services/healthImportService');
+const healthReadingService = require('../services/healthReadingService');
+const { HealthImportError } = healthImportService;
+const deviceImportService = require('../services/deviceImportService');
+const { DeviceImportError } = deviceImportService;
+const cgmService = require('../services/cgmService');
+const { CgmError } = cgmService;
+const { normalizeReadingValue, parseRecordedAt, parseMeasurementContext } = require('../utils/healthReadings');
+const { toCanonical, preferredUnit, presentReading } = require('../utils/units');
+const { describeReadingTypes } = require('../utils/readingTypes');
+
+// Reading types with their labels and accepted units, for the client's forms and pickers
+router.get('/types', authMiddleware, (req, res) => {
+  res.json({ success: true, data: describeReadingTypes() });
+});
 
 // Add health data
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePatientAccess('body'), audit('HealthData', 'create'), async (req, res) => {
   try {
     const { patientId, dataType, value, unit, notes } = req.body;
 
-    console.log('Received health data request:', { patientId, dataType, value, unit, notes });
+    console.log('Received health data request:', { patientId, dataType, value, unit, notes, recordedAt: req.body.recordedAt });
 
     // Validate required fields
     if (!patientId || !dataType || value === undefined || value === null) {
@@ -19,6 +38,24 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // Readings may be backdated or carry the device's timestamp; enteredAt is always server time
+    const enteredAt = new Date();
+    const { recordedAt, error: recordedAtError } = parseRecordedAt(req.body.recordedAt, enteredAt);
+    if (recordedAtError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: recordedAtError 
+      });
+    }
+
+    const { measurementContext, error: contextError } = parseMeasurementContext(dataType, req.body.measurementContext);
+    if (contextError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: contextError 
+      });
+    }
+
     // Validate patient exists
     const patient = await Patient.findByPk(patientId);
     if (!patient) {
@@ -29,44 +66,37 @@ router.post('/', async (req, res) => {
     }
 
     // Process the value based on data type
-    let processedValue = value;
-    
-    if (dataType === 'blood_pressure' && typeof value === 'string') {
-      try {
-        const [systolic, diastolic] = value.split('/').map(v => parseInt(v.trim()));
-        if (isNaN(systolic) || isNaN(diastolic)) {
-          return res.status(400).json({ 
-            success: false, 
-            message: 'Invalid blood pressure format. Use format: 120/80' 
-          });
-        }
-        processedValue = JSON.stringify({ systolic, diastolic });
-      } catch (error) {
-        return res.status(400).json({ 
-          success: false, 
-          message: 'Invalid blood pressure format' 
-        });
-      }
-    } else {
-      // For other data types, convert to number if possible
-      if (typeof value === 'string' && !isNaN(parseFloat(value))) {
-        processedValue = parseFloat(value);
-      }
+    const { value: processedValue, error: valueError } = normalizeReadingValue(dataType, value);
+    if (valueError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: valueError 
+      });
     }
 
-    console.log('Creating health data:', { patientId, dataType, value: processedValue, unit, notes });
+    // Stored in the type's canonical unit; a value sent without a unit is in the sender's preferred unit
+    const canonical = toCanonical(dataType, processedValue, unit, preferredUnit(dataType, req.patient.unitPreferences));
+    if (canonical.error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: canonical.error 
+      });
+    }
+
+    console.log('Creating health data:', { patientId, dataType, value: canonical.value, unit: canonical.unit, notes, recordedAt });
 
     const healthData = await HealthData.create({
       patientId,
       dataType,
-      value: processedValue,
-      unit,
+      value: canonical.value,
+      unit: canonical.unit,
       notes,
-      recordedAt: new Date()
+      measurementContext,
+      recordedAt,
+      enteredAt
     });
 
-    let analysis = { riskLevel: 'low', insights: [], recommendations: [] };
-    
+    let analysis;
     try {
       // Analyze the data with timeout
       analysis = await Promise.race([
@@ -75,51 +105,40 @@ router.post('/', async (req, res) => {
           setTimeout(() => reject(new Error('Analysis timeout')), 10000)
         )
       ]);
-      
-      // Update health data with analysis
-      await healthData.update({
-        riskLevel: analysis.riskLevel,
-        aiAnalysis: analysis
-      });
-
-      // Create feedback if risk level is moderate or high
-      if (analysis.riskLevel === 'moderate' || analysis.riskLevel === 'high') {
-        await Feedback.create({
-          patientId,
-          type: 'risk_alert',
-          title: `Health Alert: ${dataType.replace('_', ' ').toUpperCase()}`,
-          message: analysis.insights?.[0] || 'Abnormal reading detected',
-          severity: analysis.riskLevel === 'high' ? 'alert' : 'warning',
-          recommendations: analysis.recommendations || [],
-          dataContext: { healthDataId: healthData.id, analysis }
-        });
-
-        // Send immediate email alert for critical issues
-        if (analysis.riskLevel === 'high') {
-          try {
-            await emailService.sendHealthAlert(patient, healthData, analysis);
-          } catch (emailError) {
-            console.error('Failed to send email alert:', emailError);
-            // Don't fail the entire request if email fails
-          }
-        }
-      }
-
     } catch (analysisError) {
       console.error('Analysis service error:', analysisError);
-      // Continue even if analysis fails, but log the error
-      await healthData.update({
-        riskLevel: 'unknown',
-        aiAnalysis: { error: 'Analysis failed', riskLevel: 'unknown' }
-      });
+      // The single-reading rules need no history, so the reading still gets a risk
+      // level - and a dangerous one still gets its alert
+      const { riskLevel, insight, rule } = aiAnalysisService.analyzeSingleReading(healthData);
+      analysis = { riskLevel, insights: insight ? [insight] : [], recommendations: [], rule, error: 'Full analysis failed' };
+    }
+
+    // Update health data with analysis
+    await healthData.update({
+      riskLevel: analysis.riskLevel,
+      aiAnalysis: analysis
+    });
+
+    // Create feedback if risk level is moderate or worse
+    if (['moderate', 'high', 'critical'].includes(analysis.riskLevel)) {
+      await Feedback.create(healthReadingService.riskAlertAttributes(healthData, analysis));
+
+      // Send immediate email alert for high and critical risk; a failed email
+      // doesn't fail the request
+      if (aiAnalysisService.isHighRisk(analysis.riskLevel)) {
+        await healthReadingService.sendRiskAlerts(patient, healthData, analysis);
+      }
     }
 
     res.json({
       success: true,
-      data: healthData,
+      data: presentReading(healthData, req.patient.unitPreferences),
       analysis: analysis
     });
 
+    // Classified and alerted; the plain-language explanation follows in its own time
+    healthReadingService.addExplanation(healthData, analysis);
+
   } catch (error) {
     console.error('Error adding health data:', error);
     
@@ -141,8 +160,121 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Bulk import historical readings from CSV. Without a mapping the file is only
+// inspected; with `dryRun` every row is validated and previewed but nothing is saved.
+// Dates without an offset are read as local times in `timeZone`.
+router.post('/import', authMiddleware, requirePatientAccess('body'), audit('HealthData', 'create'), async (req, res) => {
+  try {
+    const { patientId, csv, mapping, defaults, timeZone, dryRun = true } = req.body;
+
+    if (!csv) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'CSV content is required' 
+      });
+    }
+
+    const result = await healthImportService.importCsv(patientId, {
+      csv,
+      mapping,
+      defaults,
+      unitPreferences: req.patient.unitPreferences,
+      timeZone: timeZone || 'UTC',
+      dryRun
+    });
+
+    if (result.dryRun) {
+      res.locals.audit = false;
+      return res.json({ success: true, data: result });
+    }
+
+    if (result.errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `${result.errors.length} problem(s) found. Nothing was imported.`,
+        data: result
+      });
+    }
+
+    res.locals.auditDetails = { source: 'csv_import', count: result.imported, resourceIds: result.ids };
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.imported} reading(s)`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof HealthImportError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    console.error('Error importing health data:', error);
+    res.status(500).json({ success: false, message: 'Failed to import health data' });
+  }
+});
+
+// Import an Apple Health (export.zip or export.xml) or Google Takeout (.zip) export.
+// The file is the raw request body; `timeZone` decides which day daily totals fall on.
+// Each Google Fit JSON file is parsed whole, so files over DEVICE_IMPORT_MAX_JSON_MB
+// (default 100) are refused with a 413.
+router.post('/patient/:patientId/import/:source(apple-health|google-fit)', authMiddleware, requirePatientAccess('params'), audit('HealthData', 'create'), async (req, res) => {
+  try {
+    const source = req.params.source.replace('-', '_');
+    const { ids, ...result } = await deviceImportService.importExport(req.params.patientId, source, req, {
+      timeZone: req.query.timeZone || 'UTC'
+    });
+
+    res.locals.auditDetails = { source, count: result.imported, resourceIds: ids };
+    res.status(201).json({
+      success: true,
+      message: result.imported > 0
+        ? `Imported ${result.imported} reading(s)`
+        : 'No new readings found in this export',
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof DeviceImportError || error instanceof HealthImportError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    console.error('Error importing device export:', error);
+    res.status(500).json({ success: false, message: 'Failed to import device export' });
+  }
+});
+
+// Upload continuous glucose monitor data: a Dexcom Clarity or LibreView CSV export,
+// or { samples: [{ recordedAt, glucose }] }. Samples are stored apart from HealthData.
+router.post('/cgm', authMiddleware, requirePatientAccess('body'), audit('GlucoseSample', 'create'), async (req, res) => {
+  try {
+    const { patientId, csv, samples, unit, deviceName, timeZone } = req.body;
+
+    const result = await cgmService.ingest(patientId, { csv, samples, unit, deviceName, timeZone });
+
+    if (result.imported === 0 && result.duplicates === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'No usable glucose readings were found',
+        data: result
+      });
+    }
+
+    res.locals.auditDetails = { source: result.format, count: result.imported, from: result.from, to: result.to };
+    res.status(201).json({
+      success: true,
+      message: `Imported ${result.imported} glucose reading(s)`,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof CgmError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
+    console.error('Error importing CGM data:', error);
+    res.status(500).json({ success: false, message: 'Failed to import CGM data' });
+  }
+});
+
 // Get patient health data
-router.get('/patient/:patientId', async (req, res) => {
+router.get('/patient/:patientId', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('HealthData', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { dataType, limit = 50 } = req.query;
@@ -156,7 +288,7 @@ router.get('/patient/:patientId', async (req, res) => {
       limit: parseInt(limit)
     });
 
-    res.json({ success: true, data: healthData });
+    res.json({ success: true, data: healthData.map(reading => presentReading(reading, req.patient.unitPreferences)) });
   } catch (error) {
     console.error('Error fetching health data:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch health data' });
@@ -164,7 +296,7 @@ router.get('/patient/:patientId', async (req, res) => {
 });
 
 // Get health data trends
-router.get('/patient/:patientId/trends', async (req, res) => {
+router.get('/patient/:patientId/trends', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('HealthData', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { dataType, days = 30 } = req.query;
@@ -182,11 +314,11 @@ router.get('/patient/:patientId/trends', async (req, res) => {
     });
 
     // Calculate trends
-    const analysis = await aiAnalysisService.analyzeTrends(healthData, dataType);
+    const analysis = aiAnalysisService.analyzeTrends(healthData, dataType, null, req.patient.unitPreferences);
 
     res.json({
       success: true,
-      data: healthData,
+      data: healthData.map(reading => presentReading(reading, req.patient.unitPreferences)),
       trends: analysis.trends,
       recommendations: analysis.recommendations
     });
@@ -196,4 +328,116 @@ router.get('/patient/:patientId/trends', async (req, res) => {
   }
 });
 
+// Correct a reading. The previous version is kept as a revision and the
+// reading is re-analysed, updating or withdrawing its risk alert.
+router.put('/:healthDataId', authMiddleware, requireResourceAccess(HealthData, 'healthDataId'), audit('HealthData', 'update'), async (req, res) => {
+  try {
+    const healthData = req.resource;
+    const { dataType, value, unit, notes, measurementContext, recordedAt, reason } = req.body;
+    const updates = {};
+
+    if (dataType && dataType !== healthData.dataType) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "A reading's type can't be changed. Delete it and add a new reading instead." 
+      });
+    }
+
+    let newValue = healthData.value;
+    if (value !== undefined) {
+      if (value === null || value === '') {
+        return res.status(400).json({ success: false, message: 'Value cannot be empty' });
+      }
+      const { value: processedValue, error: valueError } = normalizeReadingValue(healthData.dataType, value);
+      if (valueError) {
+        return res.status(400).json({ success: false, message: valueError });
+      }
+      newValue = processedValue;
+    }
+
+    if (unit !== undefined && !unit) {
+      return res.status(400).json({ success: false, message: 'Unit cannot be empty' });
+    }
+
+    // A unit sent on its own relabels the stored value, e.g. 6.5 saved as mg/dL that was really mmol/L
+    if (value !== undefined || unit !== undefined) {
+      const canonical = toCanonical(healthData.dataType, newValue, unit, preferredUnit(healthData.dataType, req.patient.unitPreferences));
+      if (canonical.error) {
+        return res.status(400).json({ success: false, message: canonical.error });
+      }
+      updates.value = canonical.value;
+      updates.unit = canonical.unit;
+    }
+
+    if (notes !== undefined) {
+      updates.notes = notes;
+    }
+
+    if (measurementContext !== undefined) {
+      const { measurementContext: parsedContext, error: contextError } = parseMeasurementContext(healthData.dataType, measurementContext);
+      if (contextError) {
+        return res.status(400).json({ success: false, message: contextError });
+      }
+      updates.measurementContext = parsedContext;
+    }
+
+    if (recordedAt) {
+      const { recordedAt: parsedRecordedAt, error: recordedAtError } = parseRecordedAt(recordedAt);
+      if (recordedAtError) {
+        return res.status(400).json({ success: false, message: recordedAtError });
+      }
+      updates.recordedAt = parsedRecordedAt;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, message: 'No changes provided' });
+    }
+
+    const analysis = await healthReadingService.updateReading(healthData, updates, {
+      editorId: req.patientId,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Health data updated successfully',
+      data: presentReading(healthData, req.patient.unitPreferences),
+      analysis
+    });
+  } catch (error) {
+    console.error('Error updating health data:', error);
+    res.status(500).json({ success: false, message: 'Failed to update health data' });
+  }
+});
+
+// Delete a reading. It's soft-deleted so the revision history survives.
+router.delete('/:healthDataId', authMiddleware, requireResourceAccess(HealthData, 'healthDataId'), audit('HealthData', 'delete'), async (req, res) => {
+  try {
+    await healthReadingService.deleteReading(req.resource, {
+      editorId: req.patientId,
+      reason: req.body && req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Health data deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting health data:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete health data' });
+  }
+});
+
+// Revision history of a reading, newest first
+router.get('/:healthDataId/revisions', authMiddleware, requireResourceAccess(HealthData, 'healthDataId', PERMISSIONS.READ_VITALS), audit('HealthDataRevision', 'read'), async (req, res) => {
+  try {
+    const revisions = await healthReadingService.getRevisions(req.resource.id);
+
+    res.json({ success: true, data: revisions });
+  } catch (error) {
+    console.error('Error fetching health data revisions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch revision history' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,9 +2,13 @@ const express = require('express');
 const router = express.Router();
 const { Medication, Reminder } = require('../models');
 const emailScheduler = require('../services/emailScheduler');
+const authMiddleware = require('../middleware/auth');
+const { requirePatientAccess, requireResourceAccess } = require('../middleware/patientAccess');
+const audit = require('../middleware/audit');
+const { PERMISSIONS } = require('../services/careTeamService');
 
 // Add medication
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePatientAccess('body', PERMISSIONS.MANAGE_MEDICATIONS), audit('Medication', 'create'), async (req, res) => {
   try {
     const { patientId, name, dosage, frequency, schedule, purpose } = req.body;
 
@@ -32,7 +36,7 @@ router.post('/', async (req, res) => {
 });
 
 // Get patient medications
-router.get('/patient/:patientId', async (req, res) => {
+router.get('/patient/:patientId', authMiddleware, requirePatientAccess('params', PERMISSIONS.MANAGE_MEDICATIONS), audit('Medication', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { activeOnly = true } = req.query;
@@ -55,15 +59,11 @@ router.get('/patient/:patientId', async (req, res) => {
 });
 
 // Update medication
-router.put('/:medicationId', async (req, res) => {
+router.put('/:medicationId', authMiddleware, requireResourceAccess(Medication, 'medicationId', PERMISSIONS.MANAGE_MEDICATIONS), audit('Medication', 'update'), async (req, res) => {
   try {
-    const { medicationId } = req.params;
-    const updates = req.body;
-
-    const medication = await Medication.findByPk(medicationId);
-    if (!medication) {
-      return res.status(404).json({ success: false, message: 'Medication not found' });
-    }
+    // A medication can't be moved to another patient
+    const { patientId, ...updates } = req.body;
+    const medication = req.resource;
 
     await medication.update(updates);
 
@@ -79,15 +79,10 @@ router.put('/:medicationId', async (req, res) => {
 });
 
 // Mark medication as taken
-router.post('/:medicationId/taken', async (req, res) => {
+router.post('/:medicationId/taken', authMiddleware, requireResourceAccess(Medication, 'medicationId', PERMISSIONS.MANAGE_MEDICATIONS), audit('Medication', 'update'), async (req, res) => {
   try {
-    const { medicationId } = req.params;
     const { takenAt } = req.body;
-
-    const medication = await Medication.findByPk(medicationId);
-    if (!medication) {
-      return res.status(404).json({ success: false, message: 'Medication not found' });
-    }
+    const medication = req.resource;
 
     await medication.update({
       lastTaken: takenAt || new Date()
@@ -1,21 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { Patient, HealthData, Medication, Goal, Feedback } = require('../models');
+const { Patient, HealthData, Medication, Goal, Feedback, DataExport } = require('../models');
 const aiAnalysisService = require('../services/aiAnalysisService');
 const authMiddleware = require('../middleware/auth');
+const { requireRole } = authMiddleware;
+const { requirePatientAccess } = require('../middleware/patientAccess');
+const audit = require('../middleware/audit');
+const auditService = require('../services/auditService');
+const dataExportService = require('../services/dataExportService');
+const fhirService = require('../services/fhirService');
+const healthImportService = require('../services/healthImportService');
+const careTeamService = require('../services/careTeamService');
+const targetService = require('../services/targetService');
+const { PERMISSIONS } = careTeamService;
+const { TargetError } = targetService;
+const { presentReading } = require('../utils/units');
 
-// Get patient dashboard data
-router.get('/:patientId/dashboard', authMiddleware, async (req, res) => {
+// Get patient dashboard data.
+// Care team members get the sections their permissions cover; the rest come back empty.
+router.get('/:patientId/dashboard', authMiddleware, requirePatientAccess('params', Object.values(PERMISSIONS)), audit('Dashboard', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
-    
-    // Verify patient access
-    if (req.patientId !== patientId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
+    const relationship = req.careRelationship;
+    const can = (permission) => !relationship || careTeamService.hasPermission(relationship, permission);
 
     const patient = await Patient.findByPk(patientId);
     if (!patient) {
@@ -26,7 +33,7 @@ router.get('/:patientId/dashboard', authMiddleware, async (req, res) => {
     }
 
     // Get recent health data (last 7 days)
-    const recentHealthData = await HealthData.findAll({
+    const recentHealthData = can(PERMISSIONS.READ_VITALS) ? await HealthData.findAll({
       where: {
         patientId,
         recordedAt: {
@@ -35,41 +42,51 @@ router.get('/:patientId/dashboard', authMiddleware, async (req, res) => {
       },
       order: [['recordedAt', 'DESC']],
       limit: 20
-    });
+    }) : [];
 
     // Get medications
-    const medications = await Medication.findAll({
+    const medications = can(PERMISSIONS.MANAGE_MEDICATIONS) ? await Medication.findAll({
       where: { patientId, isActive: true }
-    });
+    }) : [];
 
     // Get goals
-    const goals = await Goal.findAll({
+    const goals = can(PERMISSIONS.READ_GOALS) ? await Goal.findAll({
       where: { patientId, isAchieved: false }
-    });
+    }) : [];
 
     // Get recent feedback/alerts
-    const feedback = await Feedback.findAll({
+    const feedback = can(PERMISSIONS.RECEIVE_ALERTS) ? await Feedback.findAll({
       where: { patientId },
       order: [['createdAt', 'DESC']],
       limit: 10
-    });
+    }) : [];
 
     // Get motivation assessment
-    const motivation = await aiAnalysisService.assessPatientMotivation(patientId);
+    const motivation = can(PERMISSIONS.READ_VITALS)
+      ? await aiAnalysisService.assessPatientMotivation(patientId)
+      : {};
 
     // Calculate medication adherence
-    const adherence = await aiAnalysisService.calculateMedicationAdherence(patientId);
+    const adherence = can(PERMISSIONS.MANAGE_MEDICATIONS)
+      ? await aiAnalysisService.calculateMedicationAdherence(patientId)
+      : null;
 
     // Prepare response
     const dashboardData = {
-      recentHealthData,
+      recentHealthData: recentHealthData.map(reading => presentReading(reading, req.patient.unitPreferences)),
       medications,
       goals,
       feedback,
       motivation: {
         ...motivation,
         adherenceScore: adherence
-      }
+      },
+      // Effective target ranges, for drawing target bands on charts
+      targets: can(PERMISSIONS.READ_VITALS) ? await aiAnalysisService.getRanges(patientId) : null,
+      // Lets the client label a shared view and hide empty sections
+      access: relationship
+        ? { relationshipType: relationship.relationshipType, permissions: relationship.permissions }
+        : { relationshipType: 'self', permissions: Object.values(PERMISSIONS) }
     };
 
     res.json({
@@ -86,4 +103,262 @@ router.get('/:patientId/dashboard', authMiddleware, async (req, res) => {
   }
 });
 
+// Target ranges this patient's readings are judged against: the defaults, any
+// clinician override and the effective result for every reading type
+router.get('/:patientId/targets', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('PatientTarget', 'read'), async (req, res) => {
+  try {
+    const targets = await targetService.listTargets(req.params.patientId);
+    res.json({ success: true, data: targets });
+  } catch (error) {
+    console.error('Error fetching target ranges:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch target ranges' });
+  }
+});
+
+// Set a reading type's targets. Only a clinician on the care team can.
+router.put('/:patientId/targets/:dataType', authMiddleware, requireRole('clinician'), requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('PatientTarget', 'update'), async (req, res) => {
+  try {
+    const { patientId, dataType } = req.params;
+    const target = await targetService.setTarget(patientId, dataType, req.body, req.patientId);
+
+    res.locals.auditDetails = { dataType, ranges: target.ranges };
+    res.json({ success: true, message: 'Target range saved', data: target });
+  } catch (error) {
+    if (error instanceof TargetError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error saving target range:', error);
+    res.status(500).json({ success: false, message: 'Failed to save target range' });
+  }
+});
+
+// Go back to the default ranges for a reading type
+router.delete('/:patientId/targets/:dataType', authMiddleware, requireRole('clinician'), requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('PatientTarget', 'delete'), async (req, res) => {
+  try {
+    const { patientId, dataType } = req.params;
+    const removed = await targetService.clearTarget(patientId, dataType);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'No target range set for this reading type' });
+    }
+
+    res.locals.auditDetails = { dataType };
+    res.json({ success: true, message: 'Target range removed; the defaults apply again' });
+  } catch (error) {
+    console.error('Error removing target range:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove target range' });
+  }
+});
+
+// Who has read or changed this patient's record. Only the patient can see it.
+router.get('/:patientId/audit-log', authMiddleware, requirePatientAccess(), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { rows, count } = await auditService.getEvents(patientId, {
+      limit,
+      offset,
+      // ?others=true hides the patient's own activity
+      excludeActorId: req.query.others === 'true' ? patientId : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        events: rows,
+        total: count,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+// Start a full export of the patient's data. The archive is built in the background
+// and the patient is emailed when it's ready; poll the returned export for status.
+router.get('/:patientId/export', authMiddleware, requirePatientAccess(), audit('DataExport', 'read'), async (req, res) => {
+  try {
+    const patient = await Patient.findByPk(req.params.patientId);
+    const dataExport = await dataExportService.requestExport(patient);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your export is being prepared. We will email you when it is ready.',
+      data: dataExport
+    });
+  } catch (error) {
+    console.error('Error requesting data export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start data export'
+    });
+  }
+});
+
+// Exports the patient has requested, newest first
+router.get('/:patientId/exports', authMiddleware, requirePatientAccess(), async (req, res) => {
+  try {
+    // So a patient polling an interrupted export sees it fail
+    await dataExportService.failStalled();
+
+    const exports = await DataExport.findAll({
+      where: { patientId: req.params.patientId },
+      attributes: { exclude: ['fileName'] },
+      order: [['createdAt', 'DESC']],
+      limit: 10
+    });
+
+    res.json({ success: true, data: exports });
+  } catch (error) {
+    console.error('Error fetching data exports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch data exports'
+    });
+  }
+});
+
+// Download a finished export archive
+router.get('/:patientId/export/:exportId/download', authMiddleware, requirePatientAccess(), audit('DataExport', 'read'), async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({
+      where: { id: req.params.exportId, patientId: req.params.patientId }
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    if (dataExport.status !== 'ready' || new Date(dataExport.expiresAt) <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: dataExport.status === 'ready' ? 'This export has expired' : 'This export is not ready yet'
+      });
+    }
+
+    const date = new Date(dataExport.completedAt).toISOString().slice(0, 10);
+    res.download(dataExportService.filePath(dataExport), `chronic-care-data-${date}.zip`);
+  } catch (error) {
+    console.error('Error downloading data export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download data export'
+    });
+  }
+});
+
+// FHIR R4 interface for partner systems. Responses are bare FHIR resources
+// (application/fhir+json) rather than the usual { success, data } envelope.
+const sendFhir = (res, status, resource) => {
+  return res.status(status).type('application/fhir+json').json(resource);
+};
+
+const sendFhirError = (res, status, diagnostics, code = 'exception') => {
+  return sendFhir(res, status, fhirService.operationOutcome([{ code, diagnostics }]));
+};
+
+router.get('/:patientId/fhir/Patient', authMiddleware, requirePatientAccess('params', Object.values(PERMISSIONS)), audit('Patient', 'read'), async (req, res) => {
+  try {
+    const patient = await Patient.findByPk(req.params.patientId);
+    if (!patient) {
+      return sendFhirError(res, 404, 'Patient not found', 'not-found');
+    }
+
+    res.locals.auditDetails = { format: 'fhir' };
+    sendFhir(res, 200, fhirService.toPatient(patient));
+  } catch (error) {
+    console.error('Error exporting FHIR Patient:', error);
+    sendFhirError(res, 500, 'Failed to export patient');
+  }
+});
+
+// Readings as Observations; `?code=` narrows to one LOINC code
+router.get('/:patientId/fhir/Observation', authMiddleware, requirePatientAccess('params', PERMISSIONS.READ_VITALS), audit('HealthData', 'read'), async (req, res) => {
+  try {
+    const where = { patientId: req.params.patientId };
+
+    if (req.query.code) {
+      const dataType = fhirService.dataTypeForCode({ coding: [{ code: req.query.code }] });
+      if (!dataType) {
+        return sendFhirError(res, 400, `Unsupported observation code ${req.query.code}`, 'not-supported');
+      }
+      where.dataType = dataType;
+    }
+
+    const healthData = await HealthData.findAll({ where, order: [['recordedAt', 'DESC']] });
+
+    res.locals.auditDetails = {
+      format: 'fhir',
+      count: healthData.length,
+      resourceIds: healthData.map(row => row.id)
+    };
+    sendFhir(res, 200, fhirService.toBundle(healthData.map(row => fhirService.toObservation(row))));
+  } catch (error) {
+    console.error('Error exporting FHIR Observations:', error);
+    sendFhirError(res, 500, 'Failed to export observations');
+  }
+});
+
+router.get('/:patientId/fhir/MedicationStatement', authMiddleware, requirePatientAccess('params', PERMISSIONS.MANAGE_MEDICATIONS), audit('Medication', 'read'), async (req, res) => {
+  try {
+    const medications = await Medication.findAll({
+      where: { patientId: req.params.patientId },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.locals.auditDetails = {
+      format: 'fhir',
+      count: medications.length,
+      resourceIds: medications.map(row => row.id)
+    };
+    sendFhir(res, 200, fhirService.toBundle(medications.map(row => fhirService.toMedicationStatement(row))));
+  } catch (error) {
+    console.error('Error exporting FHIR MedicationStatements:', error);
+    sendFhirError(res, 500, 'Failed to export medication statements');
+  }
+});
+
+// Import a Bundle of Observations (or a single one), each with this patient as its
+// subject. All-or-nothing: any invalid entry rejects the whole import with an
+// OperationOutcome listing every problem.
+router.post('/:patientId/fhir/Observation', authMiddleware, requirePatientAccess(), audit('HealthData', 'create'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    const { readings, errors, skipped, total } = fhirService.parseObservations(req.body, patientId);
+
+    if (total === 0) {
+      return sendFhirError(res, 400, 'The bundle contains no entries', 'required');
+    }
+    if (total > healthImportService.maxRows) {
+      return sendFhirError(res, 413, `Bundles are limited to ${healthImportService.maxRows} entries`, 'too-costly');
+    }
+    if (errors.length > 0) {
+      return sendFhir(res, 422, fhirService.operationOutcome(errors));
+    }
+
+    const { readings: unique, duplicates } = await healthImportService.removeDuplicates(patientId, readings);
+    const created = await healthImportService.saveReadings(patientId, unique, 'fhir_import');
+
+    res.locals.auditDetails = { source: 'fhir_import', count: created.length, resourceIds: created.map(row => row.id) };
+    sendFhir(res, 200, fhirService.operationOutcome([{
+      severity: 'information',
+      code: 'informational',
+      diagnostics: `Imported ${created.length} observation(s); ${duplicates} already recorded, ${skipped} skipped as entered-in-error or cancelled`
+    }]));
+  } catch (error) {
+    console.error('Error importing FHIR Observations:', error);
+    sendFhirError(res, 500, 'Failed to import observations');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
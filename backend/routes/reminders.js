@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { Reminder } = require('../models');
+const authMiddleware = require('../middleware/auth');
+const { requirePatientAccess, requireResourceAccess } = require('../middleware/patientAccess');
+const audit = require('../middleware/audit');
 
 // Get patient reminders
-router.get('/patient/:patientId', async (req, res) => {
+router.get('/patient/:patientId', authMiddleware, requirePatientAccess(), audit('Reminder', 'read'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const { type, completed, upcoming = true } = req.query;
@@ -29,7 +32,7 @@ router.get('/patient/:patientId', async (req, res) => {
 });
 
 // Create reminder
-router.post('/', async (req, res) => {
+router.post('/', authMiddleware, requirePatientAccess('body'), audit('Reminder', 'create'), async (req, res) => {
   try {
     const { patientId, type, title, message, scheduledFor, priority, recurrence } = req.body;
 
@@ -55,14 +58,9 @@ router.post('/', async (req, res) => {
 });
 
 // Mark reminder as completed
-router.patch('/:reminderId/complete', async (req, res) => {
+router.patch('/:reminderId/complete', authMiddleware, requireResourceAccess(Reminder, 'reminderId'), audit('Reminder', 'update'), async (req, res) => {
   try {
-    const { reminderId } = req.params;
-
-    const reminder = await Reminder.findByPk(reminderId);
-    if (!reminder) {
-      return res.status(404).json({ success: false, message: 'Reminder not found' });
-    }
+    const reminder = req.resource;
 
     await reminder.update({ isCompleted: true });
 
@@ -77,14 +75,9 @@ router.patch('/:reminderId/complete', async (req, res) => {
 });
 
 // Delete reminder
-router.delete('/:reminderId', async (req, res) => {
+router.delete('/:reminderId', authMiddleware, requireResourceAccess(Reminder, 'reminderId'), audit('Reminder', 'delete'), async (req, res) => {
   try {
-    const { reminderId } = req.params;
-
-    const reminder = await Reminder.findByPk(reminderId);
-    if (!reminder) {
-      return res.status(404).json({ success: false, message: 'Reminder not found' });
-    }
+    const reminder = req.resource;
 
     await reminder.destroy();
 
@@ -0,0 +1,24 @@
+// Check a risk rule set before it's deployed: node scripts/validateRules.js [file]
+// Defaults to rules/riskRules.json. Exits non-zero listing every problem found.
+const fs = require('fs');
+const path = require('path');
+const { RULES_FILE, validateRuleSet } = require('../utils/riskRules');
+
+const file = process.argv[2] ? path.resolve(process.argv[2]) : RULES_FILE;
+
+let ruleSet;
+try {
+  ruleSet = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+  console.error(`Could not read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const errors = validateRuleSet(ruleSet);
+if (errors.length > 0) {
+  console.error(`${file} has ${errors.length} problem${errors.length === 1 ? '' : 's'}:`);
+  errors.forEach(error => console.error(`  ${error}`));
+  process.exit(1);
+}
+
+console.log(`Risk rules ${ruleSet.version} are valid (${ruleSet.rules.length} rules)`);
@@ -2,23 +2,74 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { sequelize } = require('./models');
+const { sequelize, Patient } = require('./models');
 const emailScheduler = require('./services/emailScheduler');
+const accountDeletionService = require('./services/accountDeletionService');
+const riskRules = require('./utils/riskRules');
+const { activePromptSet } = require('./utils/insightPrompts');
 require('dotenv').config();
 
 const app = express();
 
+// Behind a proxy the client address is in X-Forwarded-For, and without trusting it
+// req.ip is the proxy's - so per-IP sign-in limits would block everyone at once.
+// TRUST_PROXY is the number of proxy hops, or anything Express accepts ('loopback', a
+// subnet list). Off by default: with nothing in front of the server, trusting the
+// header would let clients choose their own address. The Railway and Vercel configs
+// set it to 1.
+const parseTrustProxy = (value = 'false') => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || undefined));
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
+// CSV imports carry whole files in the body; everything else keeps the default limit
+app.use('/api/health-data/import', express.json({ limit: '5mb' }));
+// A 90-day CGM export runs to tens of thousands of rows
+app.use('/api/health-data/cgm', express.json({ limit: '20mb' }));
+// FHIR partners send application/fhir+json bundles
+app.use(/^\/api\/patients\/[^/]+\/fhir\//, express.json({ type: ['application/json', 'application/fhir+json'], limit: '5mb' }));
 app.use(express.json());
 
-// Rate limiting
-const limiter = rateLimit({
+// Rate limiting - auth endpoints have their own budgets so API traffic can't starve sign-in
+const apiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  skip: (req) => req.path.startsWith('/api/auth')
+});
+app.use(apiLimiter);
+
+const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+app.use('/api/auth', authLimiter);
+
+// Credential-handling endpoints get a much smaller budget per IP
+const credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts, please try again later.'
+  }
 });
-app.use(limiter);
+app.use([
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/forgot-password',
+  '/api/auth/reset-password',
+  '/api/auth/resend-verification',
+  '/api/auth/unlock-account',
+  '/api/auth/account'
+], credentialLimiter);
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
@@ -28,6 +79,7 @@ app.use('/api/medications', require('./routes/medications'));
 app.use('/api/reminders', require('./routes/reminders'));
 app.use('/api/goals', require('./routes/goals'));
 app.use('/api/ai-analysis', require('./routes/aiAnalysis'));
+app.use('/api/care-team', require('./routes/careTeam'));
 app.use('/api/email',require('./routes/email'));
 
 // Health check
@@ -43,16 +95,37 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
+// Accounts from before email verification are trusted as they are: the column arrives
+// false for everyone, and unverified addresses get no reminders. Only sign-ups after it
+// was added have to confirm. emailVerifiedAt stays null, marking who was grandfathered.
+async function grandfatherEmailVerification(patientColumns) {
+  if (!patientColumns || patientColumns.emailVerified) return;
+
+  // validate: false - the bulk update would otherwise run the per-patient demographics check
+  const [count] = await Patient.update({ emailVerified: true }, { where: {}, validate: false });
+  console.log(`Marked ${count} existing accounts as email-verified`);
+}
+
 // --- IMPORTANT FIX (Railway Safe) ---
 async function startServer() {
   try {
     await sequelize.authenticate();
     console.log("Connected to database");
 
+    // Read before sync adds the columns it's looking for
+    const patientColumns = await sequelize.getQueryInterface().describeTable('patients').catch(() => null);
+
     // ✅ ADD alter: true HERE
     await sequelize.sync({ force: false, alter: true });
     console.log("Database synchronized with schema updates");
 
+    await grandfatherEmailVerification(patientColumns);
+
+    // Refuse to start with broken risk rules or prompts rather than fail on the first reading
+    const ruleSet = riskRules.activeRuleSet();
+    console.log(`Risk rules ${ruleSet.version} loaded`);
+    console.log(`Insight prompts ${activePromptSet().version} loaded`);
+
     const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
@@ -61,6 +134,9 @@ async function startServer() {
     emailScheduler.start();
     console.log("Email scheduler started");
 
+    accountDeletionService.start();
+    console.log("Account deletion sweep started");
+
   } catch (error) {
     console.error("Server startup failed:", error);
   }
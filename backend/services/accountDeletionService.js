@@ -0,0 +1,159 @@
+const fs = require('fs');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  Patient,
+  HealthData,
+  HealthDataRevision,
+  GlucoseSample,
+  PatientTarget,
+  Medication,
+  Reminder,
+  Goal,
+  Feedback,
+  Session,
+  PasswordReset,
+  TwoFactorAuth,
+  LoginAttempt,
+  CareRelationship,
+  CareInvitation,
+  DataExport,
+  AuditEvent
+} = require('../models');
+const emailService = require('./emailService');
+const emailScheduler = require('./emailScheduler');
+const dataExportService = require('./dataExportService');
+
+class AccountDeletionService {
+  constructor() {
+    this.graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    this.checkInterval = 60 * 60 * 1000; // hourly
+  }
+
+  start() {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      this.processDueDeletions();
+    }, this.checkInterval);
+
+    // Catch up on anything that came due while the server was down
+    this.processDueDeletions();
+  }
+
+  stop() {
+    if (this.interval) clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  isScheduled(patient) {
+    return !!patient.deletionScheduledFor;
+  }
+
+  // Start the grace period; the account keeps working so the patient can change their mind
+  async scheduleDeletion(patient) {
+    const deletionScheduledFor = new Date(Date.now() + this.graceDays * 24 * 60 * 60 * 1000);
+
+    await patient.update({ deletionRequestedAt: new Date(), deletionScheduledFor });
+
+    // No more reminders or daily updates from this point on
+    emailScheduler.removePatient(patient.id);
+
+    const result = await emailService.sendAccountDeletionScheduledEmail(patient);
+    if (result.error) {
+      console.error(`Failed to send deletion notice to ${patient.email}:`, result.error);
+    }
+
+    return deletionScheduledFor;
+  }
+
+  async cancelDeletion(patient) {
+    await patient.update({ deletionRequestedAt: null, deletionScheduledFor: null });
+
+    // Put the patient back on the email schedule
+    await emailScheduler.loadPatientSchedules();
+  }
+
+  async processDueDeletions() {
+    try {
+      const due = await Patient.findAll({
+        where: { deletionScheduledFor: { [Op.lte]: new Date() } },
+        attributes: ['id', 'email']
+      });
+
+      for (const patient of due) {
+        try {
+          await this.eraseAccount(patient.id);
+          console.log(`🗑️ Erased account ${patient.id}`);
+        } catch (error) {
+          console.error(`❌ Failed to erase account ${patient.id}:`, error);
+        }
+      }
+
+      return due.length;
+    } catch (error) {
+      console.error('❌ Error processing account deletions:', error);
+      return 0;
+    }
+  }
+
+  // Permanently remove the account and everything stored against it. Audit events are
+  // kept, since who accessed what and when must survive the account, but their
+  // `changes` and `details` are cleared: edits record the values before and after
+  // (readings, notes, targets), which erasure must not leave behind.
+  async eraseAccount(patientId) {
+    emailScheduler.removePatient(patientId);
+
+    const exports = await DataExport.findAll({ where: { patientId, fileName: { [Op.ne]: null } } });
+
+    await sequelize.transaction(async (transaction) => {
+      const where = { patientId };
+
+      await Reminder.destroy({ where, transaction });
+      await Feedback.destroy({ where, transaction });
+      await HealthDataRevision.destroy({ where, transaction });
+      // Bypass soft delete - erasure must remove the rows
+      await HealthData.destroy({ where, force: true, transaction });
+      await GlucoseSample.destroy({ where, transaction });
+      await PatientTarget.destroy({ where, transaction });
+      await PatientTarget.update(
+        { setById: null },
+        { where: { setById: patientId }, transaction }
+      );
+      await Goal.destroy({ where, transaction });
+      await Medication.destroy({ where, transaction });
+
+      await CareRelationship.destroy({
+        where: { [Op.or]: [{ patientId }, { caregiverId: patientId }] },
+        transaction
+      });
+      await CareInvitation.destroy({ where, transaction });
+      await CareInvitation.update(
+        { acceptedById: null },
+        { where: { acceptedById: patientId }, transaction }
+      );
+
+      await DataExport.destroy({ where, transaction });
+      await Session.destroy({ where, transaction });
+      await PasswordReset.destroy({ where, transaction });
+      await TwoFactorAuth.destroy({ where, transaction });
+      await LoginAttempt.destroy({ where, transaction });
+
+      // The one write the append-only log allows, hence skipping its hooks
+      await AuditEvent.update(
+        { changes: null, details: null },
+        { where, hooks: false, transaction }
+      );
+
+      await Patient.destroy({ where: { id: patientId }, transaction });
+    });
+
+    for (const dataExport of exports) {
+      await fs.promises.rm(dataExportService.filePath(dataExport), { force: true });
+    }
+  }
+}
+
+const accountDeletionService = new AccountDeletionService();
+
+module.exports = accountDeletionService;
@@ -1,18 +1,21 @@
-const { HealthData, Patient, Medication, Reminder } = require('../models');
+const { HealthData, Patient, Medication, Reminder, PatientTarget } = require('../models');
+const { isLateEntry, MEASUREMENT_CONTEXT_LABELS } = require('../utils/healthReadings');
+const { DEFAULT_RANGES, mergeRanges } = require('../utils/targetRanges');
+const riskRules = require('../utils/riskRules');
+const { stageSession } = require('../utils/bloodPressure');
+const trendService = require('./trendService');
+const insightService = require('./insightService');
+
+const isBound = (bound) => typeof bound === 'number';
 
 class AIAnalysisService {
   constructor() {
-    this.normalRanges = {
-      blood_pressure: { systolic: { min: 90, max: 120 }, diastolic: { min: 60, max: 80 } },
-      blood_sugar: { fasting: { min: 70, max: 100 }, postprandial: { min: 70, max: 140 } },
-      heart_rate: { min: 60, max: 100 },
-      cholesterol: { min: 0, max: 200 },
-      weight: { // Based on BMI calculation
-        underweight: 18.5,
-        normal: 24.9,
-        overweight: 29.9
-      }
-    };
+    // Default thresholds in each type's stored unit; see utils/targetRanges. Clinicians
+    // override these per patient with a PatientTarget, so analysis code reads them
+    // through getRanges() rather than comparing against numbers of its own.
+    this.normalRanges = DEFAULT_RANGES;
+    // Readings needed before the highest peak flow counts as a personal best
+    this.peakFlowMinReadings = 5;
   }
 
   async calculateMedicationAdherence(patientId) {
@@ -51,17 +54,20 @@ class AIAnalysisService {
 
   async assessPatientMotivation(patientId) {
     try {
-      // Count recent health data entries (last 7 days)
+      // Count readings taken in the last 7 days, by when they were taken rather than entered
       const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
       
-      const recentActivities = await HealthData.count({
+      const recentReadings = await HealthData.findAll({
         where: {
           patientId,
           recordedAt: {
             [require('sequelize').Op.gte]: sevenDaysAgo
           }
-        }
+        },
+        attributes: ['recordedAt', 'enteredAt']
       });
+      const recentActivities = recentReadings.length;
+      const lateEntries = recentReadings.filter(isLateEntry).length;
 
       const medicationAdherence = await this.calculateMedicationAdherence(patientId);
 
@@ -76,6 +82,8 @@ class AIAnalysisService {
       return {
         motivationLevel,
         activityScore: recentActivities,
+        liveEntries: recentActivities - lateEntries,
+        lateEntries,
         adherenceScore: medicationAdherence
       };
     } catch (error) {
@@ -83,11 +91,25 @@ class AIAnalysisService {
       return {
         motivationLevel: 'medium',
         activityScore: 0,
+        liveEntries: 0,
+        lateEntries: 0,
         adherenceScore: 0
       };
     }
   }
 
+  // The default ranges with the patient's clinician-set targets laid over them
+  async getRanges(patientId) {
+    return this.applyTargets(await PatientTarget.findAll({ where: { patientId } }));
+  }
+
+  applyTargets(targets) {
+    return targets.reduce((ranges, target) => ({
+      ...ranges,
+      [target.dataType]: mergeRanges(this.normalRanges[target.dataType], target.ranges)
+    }), this.normalRanges);
+  }
+
   async analyzeHealthData(patientId, healthData) {
     try {
       const patient = await Patient.findByPk(patientId);
@@ -100,35 +122,51 @@ class AIAnalysisService {
         order: [['recordedAt', 'DESC']],
         limit: 30
       });
+      const ranges = await this.getRanges(patientId);
 
       const analysis = {
         riskLevel: 'low',
         insights: [],
         trends: [],
         recommendations: [],
-        predictions: []
+        predictions: [],
+        // Backdated readings describe the past, not how the patient is right now
+        lateEntry: isLateEntry(healthData)
       };
 
-      // Analyze current reading
-      const currentAnalysis = this.analyzeSingleReading(healthData);
+      // Analyze current reading; peak flow is judged against the patient's own best
+      const personalBest = healthData.dataType === 'peak_flow' && !ranges.peak_flow.personalBest
+        ? await this.peakFlowPersonalBest(patientId)
+        : null;
+      const currentAnalysis = this.analyzeSingleReading(healthData, {
+        ranges,
+        personalBest,
+        history: await this.ruleHistory(patientId, healthData),
+        conditions: patient.chronicConditions
+      });
       analysis.riskLevel = currentAnalysis.riskLevel;
+      analysis.rule = currentAnalysis.rule;
+      if (currentAnalysis.bloodPressureStage) {
+        analysis.bloodPressureStage = currentAnalysis.bloodPressureStage;
+      }
       if (currentAnalysis.insight) {
         analysis.insights.push(currentAnalysis.insight);
       }
 
-      // Analyze trends
-      const trendAnalysis = this.analyzeTrends(recentData, healthData.dataType);
+      // Analyze trends against comparable readings only
+      const series = this.comparableReadings(recentData, healthData);
+      const trendAnalysis = this.analyzeTrends(series, healthData.dataType, healthData.measurementContext, patient.unitPreferences);
       analysis.trends = trendAnalysis.trends;
       if (trendAnalysis.recommendations && trendAnalysis.recommendations.length > 0) {
         analysis.recommendations.push(...trendAnalysis.recommendations);
       }
 
       // Generate predictions
-      const predictions = this.generatePredictions(recentData, healthData.dataType);
+      const predictions = this.generatePredictions(series, healthData.dataType, healthData.measurementContext, patient.unitPreferences);
       analysis.predictions = predictions;
 
       // Personalize recommendations based on patient profile
-      const personalizedRecs = await this.generatePersonalizedRecommendations(patient, healthData, analysis);
+      const personalizedRecs = await this.generatePersonalizedRecommendations(patient, healthData, analysis, ranges);
       if (personalizedRecs && personalizedRecs.length > 0) {
         analysis.recommendations.push(...personalizedRecs);
       }
@@ -146,86 +184,172 @@ class AIAnalysisService {
     }
   }
 
-  analyzeSingleReading(healthData) {
-    const { dataType, value } = healthData;
-    let riskLevel = 'low';
-    let insight = '';
+  // A reading as the insight prompts show it, e.g. "fasting blood sugar: 130 mg/dL"
+  describeReading(healthData) {
+    let value = healthData.value;
+    if (healthData.dataType === 'blood_pressure') {
+      try {
+        const bp = typeof value === 'string' ? JSON.parse(value) : value;
+        value = `${bp.systolic}/${bp.diastolic}`;
+      } catch {
+        // Shown as stored
+      }
+    }
+    return `${this.seriesLabel(healthData.dataType, healthData.measurementContext)}: ${value} ${healthData.unit || ''}`.trim();
+  }
 
-    try {
-      switch (dataType) {
-        case 'blood_pressure':
-          const bp = typeof value === 'string' ? JSON.parse(value) : value;
-          if (bp.systolic > 140 || bp.diastolic > 90) {
-            riskLevel = 'high';
-            insight = 'Elevated blood pressure detected. Consider consulting your healthcare provider.';
-          } else if (bp.systolic > 130 || bp.diastolic > 85) {
-            riskLevel = 'moderate';
-            insight = 'Borderline high blood pressure. Monitor closely.';
-          } else {
-            insight = 'Blood pressure within normal range.';
-          }
-          break;
-
-        case 'blood_sugar':
-          const sugarValue = parseFloat(value);
-          if (sugarValue > 180) {
-            riskLevel = 'high';
-            insight = 'High blood sugar level detected. Monitor symptoms and consider medical advice.';
-          } else if (sugarValue > 140) {
-            riskLevel = 'moderate';
-            insight = 'Elevated blood sugar level. Watch your carbohydrate intake.';
-          } else {
-            insight = 'Blood sugar within target range.';
-          }
-          break;
-
-        case 'heart_rate':
-          const hrValue = parseFloat(value);
-          if (hrValue > 100) {
-            riskLevel = 'moderate';
-            insight = 'Elevated heart rate. Consider rest and hydration.';
-          } else if (hrValue < 60) {
-            riskLevel = 'moderate';
-            insight = 'Low heart rate. Monitor for symptoms like dizziness.';
-          } else {
-            insight = 'Heart rate within normal range.';
-          }
-          break;
-
-        case 'cholesterol':
-          const cholValue = parseFloat(value);
-          if (cholValue > 240) {
-            riskLevel = 'high';
-            insight = 'High cholesterol level. Important to discuss with healthcare provider.';
-          } else if (cholValue > 200) {
-            riskLevel = 'moderate';
-            insight = 'Borderline high cholesterol. Consider dietary changes.';
-          } else {
-            insight = 'Cholesterol level within desirable range.';
-          }
-          break;
+  // The analysis of one reading explained in plain language by the insight provider;
+  // the rule-based insights, joined, when it can't. Slow with a real model, so it runs
+  // after classification and alerts (see healthReadingService.addExplanation).
+  async explainAnalysis(healthData, analysis) {
+    return insightService.narrate('reading_explanation', {
+      reading: this.describeReading(healthData),
+      riskLevel: analysis.riskLevel,
+      insights: analysis.insights,
+      trends: analysis.trends,
+      predictions: analysis.predictions,
+      lateEntry: analysis.lateEntry
+    }, analysis.insights.join(' '));
+  }
 
-        case 'weight':
-          const weightValue = parseFloat(value);
-          insight = `Current weight: ${weightValue} kg. Monitor for healthy BMI.`;
-          break;
+  // A progress report (see the progress-report route) as a short narrative
+  async summarizeProgress(report) {
+    const { summary } = report;
+    const periodLabel = `last ${report.period === 'quarter' ? 'quarter' : report.period === 'month' ? 'month' : 'week'}`;
+    const fallback = [
+      `Over the ${periodLabel} you logged ${summary.dataEntries} readings and your medication adherence was ${Math.round(summary.medicationAdherence)}%.`,
+      report.achievements.length > 0 && `Well done on: ${report.achievements.join(', ').toLowerCase()}.`,
+      report.areasForImprovement.length > 0 && `To work on: ${report.areasForImprovement.join(', ').toLowerCase()}.`,
+      report.nextSteps[0] && `${report.nextSteps[0]}.`
+    ].filter(Boolean).join(' ');
+
+    return insightService.narrate('progress_summary', {
+      period: periodLabel,
+      dataEntries: summary.dataEntries,
+      medicationAdherence: Math.round(summary.medicationAdherence),
+      motivationLevel: summary.motivationLevel,
+      activeGoals: summary.activeGoals,
+      achievedGoals: summary.achievedGoals,
+      achievements: report.achievements,
+      areasForImprovement: report.areasForImprovement,
+      nextSteps: report.nextSteps
+    }, fallback);
+  }
 
-        default:
-          insight = 'Data recorded successfully.';
+  // Risk and insight for one reading from the risk rules (rules/riskRules.json), with
+  // the rule that decided them. `ranges` are the patient's from getRanges() or the
+  // defaults; `history` their earlier readings, for rules over several readings;
+  // `conditions` their chronic conditions, for condition-specific rules. Blood
+  // pressure also gets the ACC/AHA stage of the sitting it was taken in.
+  analyzeSingleReading(healthData, { ranges = this.normalRanges, personalBest = null, history = [], conditions = [] } = {}) {
+    try {
+      const result = riskRules.evaluate(healthData, { ranges, personalBest, history, conditions });
+      if (result && healthData.dataType === 'blood_pressure') {
+        return { ...result, bloodPressureStage: stageSession(healthData, history) };
       }
+      if (result) return result;
     } catch (error) {
       console.error('Error analyzing single reading:', error);
-      insight = 'Unable to analyze this reading.';
+      return { riskLevel: 'low', insight: 'Unable to analyze this reading.', rule: null };
     }
+    return { riskLevel: 'low', insight: 'Data recorded successfully.', rule: null };
+  }
+
+  isHighRisk(riskLevel) {
+    return riskLevel === 'high' || riskLevel === 'critical';
+  }
+
+  // Readings of the same type the rules may look back over for `healthData`
+  async ruleHistory(patientId, healthData) {
+    const hours = riskRules.maxWindowHours(healthData.dataType);
+    if (!hours) return [];
+
+    const end = healthData.recordedAt ? new Date(healthData.recordedAt) : new Date();
+    return HealthData.findAll({
+      where: {
+        patientId,
+        dataType: healthData.dataType,
+        recordedAt: { [require('sequelize').Op.between]: [new Date(end.getTime() - hours * 60 * 60 * 1000), end] }
+      },
+      order: [['recordedAt', 'ASC']]
+    });
+  }
+
+  // Where a value falls in a { low, min, max, high } band
+  bandStatus(value, band) {
+    if (isBound(band.low) && value < band.low) return 'very_low';
+    if (isBound(band.high) && value > band.high) return 'very_high';
+    if (isBound(band.min) && value < band.min) return 'low';
+    if (isBound(band.max) && value > band.max) return 'high';
+    return 'in_range';
+  }
 
-    return { riskLevel, insight };
+  // Rule result for a single blood pressure value, plus whether it's above or below
+  // target. The worse of systolic and diastolic decides the status.
+  classifyBloodPressure(value, ranges = this.normalRanges) {
+    const bp = typeof value === 'string' ? JSON.parse(value) : value;
+    const statuses = [
+      this.bandStatus(bp.systolic, ranges.blood_pressure.systolic),
+      this.bandStatus(bp.diastolic, ranges.blood_pressure.diastolic)
+    ];
+    const status = ['very_high', 'very_low', 'high', 'low']
+      .find(s => statuses.includes(s))
+      ?.replace('very_', '') || 'in_range';
+
+    return { ...this.analyzeSingleReading({ dataType: 'blood_pressure', value: bp }, { ranges }), status };
   }
 
-  analyzeTrends(data, dataType) {
+  // Rule result for a single blood sugar value against the range for when it was taken
+  classifyBloodSugar(value, measurementContext, ranges = this.normalRanges) {
+    const context = ranges.blood_sugar[measurementContext] ? measurementContext : 'random';
+    const status = this.bandStatus(parseFloat(value), ranges.blood_sugar[context]).replace('very_', '');
+
+    return {
+      ...this.analyzeSingleReading({ dataType: 'blood_sugar', value, measurementContext }, { ranges }),
+      status
+    };
+  }
+
+  // Highest peak flow on record, once there are enough readings for it to mean something
+  async peakFlowPersonalBest(patientId) {
+    const readings = await HealthData.findAll({
+      where: { patientId, dataType: 'peak_flow' },
+      attributes: ['value']
+    });
+    const values = readings.map(reading => parseFloat(reading.value)).filter(value => !isNaN(value));
+    if (values.length < this.peakFlowMinReadings) return null;
+    return values.reduce((best, value) => Math.max(best, value));
+  }
+
+  // Earlier readings that can be compared with this one: same type and, for blood
+  // sugar, the same measurement context - fasting and post-meal values aren't a series
+  comparableReadings(data, reading) {
+    return (data || []).filter(d =>
+      d.dataType === reading.dataType &&
+      (reading.dataType !== 'blood_sugar' || (d.measurementContext || null) === (reading.measurementContext || null))
+    );
+  }
+
+  seriesLabel(dataType, measurementContext) {
+    const label = dataType.replace('_', ' ');
+    return measurementContext && measurementContext !== 'random' && MEASUREMENT_CONTEXT_LABELS[measurementContext]
+      ? `${MEASUREMENT_CONTEXT_LABELS[measurementContext].toLowerCase()} ${label}`
+      : label;
+  }
+
+  // Label for one series of a trend: the reading, or for blood pressure which number
+  componentLabel(component, dataType, measurementContext) {
+    const label = this.seriesLabel(dataType, measurementContext);
+    return component.key === 'value' ? label : `${component.key} ${label}`;
+  }
+
+  // Trend statements for comparable readings (see comparableReadings), from a
+  // Mann-Kendall test on each series - systolic and diastolic separately
+  analyzeTrends(data, dataType, measurementContext = null, unitPreferences = null) {
     const trends = [];
     const recommendations = [];
 
-    if (!data || data.length < 3) {
+    if (!data || data.length < trendService.MIN_TREND_READINGS) {
       return { 
         trends: ['Insufficient data for trend analysis'], 
         recommendations: ['Continue tracking more data points'] 
@@ -233,37 +357,27 @@ class AIAnalysisService {
     }
 
     try {
-      const values = data.map(d => {
-        if (dataType === 'blood_pressure') {
-          try {
-            const bp = typeof d.value === 'string' ? JSON.parse(d.value) : d.value;
-            return (bp.systolic + bp.diastolic) / 2; // Average for trend analysis
-          } catch {
-            return 0;
-          }
-        }
-        return parseFloat(d.value) || 0;
-      }).filter(val => val > 0);
-
-      if (values.length < 3) {
+      const analysis = trendService.analyze(data, { unitPreferences });
+      if (analysis.trend === 'insufficient_data') {
         return { 
           trends: ['Not enough valid data for trend analysis'], 
           recommendations: [] 
         };
       }
 
-      const increasing = this.isTrendIncreasing(values);
-      const decreasing = this.isTrendDecreasing(values);
-
-      if (increasing) {
-        trends.push(`Increasing trend in ${dataType.replace('_', ' ')}`);
-        recommendations.push(`Monitor ${dataType.replace('_', ' ')} closely as it shows an increasing trend`);
-      } else if (decreasing) {
-        trends.push(`Decreasing trend in ${dataType.replace('_', ' ')}`);
-        recommendations.push(`Continue current management as ${dataType.replace('_', ' ')} shows improvement`);
-      } else {
-        trends.push(`Stable trend in ${dataType.replace('_', ' ')}`);
-        recommendations.push(`Maintain current healthy habits for ${dataType.replace('_', ' ')} management`);
+      for (const component of analysis.components) {
+        const label = this.componentLabel(component, dataType, measurementContext);
+
+        if (component.direction === 'increasing') {
+          trends.push(`Increasing trend in ${label}`);
+          recommendations.push(`Monitor ${label} closely as it shows an increasing trend`);
+        } else if (component.direction === 'decreasing') {
+          trends.push(`Decreasing trend in ${label}`);
+          recommendations.push(`Continue current management as ${label} shows improvement`);
+        } else {
+          trends.push(`Stable trend in ${label}`);
+          recommendations.push(`Maintain current healthy habits for ${label} management`);
+        }
       }
     } catch (error) {
       console.error('Error analyzing trends:', error);
@@ -273,55 +387,29 @@ class AIAnalysisService {
     return { trends, recommendations };
   }
 
-  isTrendIncreasing(values) {
-    if (values.length < 3) return false;
-    
-    const recentAvg = values.slice(0, Math.min(3, values.length)).reduce((a, b) => a + b, 0) / Math.min(3, values.length);
-    const previousAvg = values.slice(-Math.min(3, values.length)).reduce((a, b) => a + b, 0) / Math.min(3, values.length);
-    return recentAvg > previousAvg * 1.05; // 5% increase threshold
-  }
-
-  isTrendDecreasing(values) {
-    if (values.length < 3) return false;
-    
-    const recentAvg = values.slice(0, Math.min(3, values.length)).reduce((a, b) => a + b, 0) / Math.min(3, values.length);
-    const previousAvg = values.slice(-Math.min(3, values.length)).reduce((a, b) => a + b, 0) / Math.min(3, values.length);
-    return recentAvg < previousAvg * 0.95; // 5% decrease threshold
-  }
-
-  generatePredictions(data, dataType) {
-    if (!data || data.length < 5) {
+  // A week's forecast for each series of comparable readings, with its prediction interval
+  generatePredictions(data, dataType, measurementContext = null, unitPreferences = null) {
+    if (!data || data.length < trendService.MIN_FORECAST_READINGS) {
       return ['Need more data points for accurate predictions'];
     }
 
     const predictions = [];
     
     try {
-      const values = data.map(d => {
-        if (dataType === 'blood_pressure') {
-          try {
-            const bp = typeof d.value === 'string' ? JSON.parse(d.value) : d.value;
-            return (bp.systolic + bp.diastolic) / 2;
-          } catch {
-            return null;
-          }
-        }
-        return parseFloat(d.value);
-      }).filter(val => val !== null && !isNaN(val));
-
-      if (values.length < 3) {
+      const analysis = trendService.analyze(data, { unitPreferences, forecastDays: 7 });
+      if (!analysis.components.some(component => component.forecast)) {
         return ['Insufficient valid data for predictions'];
       }
 
-      const recentValues = values.slice(0, 7);
-      const avg = recentValues.reduce((a, b) => a + b, 0) / recentValues.length;
-
-      predictions.push(`Based on recent trends, your ${dataType.replace('_', ' ')} is expected to remain around ${avg.toFixed(1)}`);
-
-      // Simple trend-based prediction
-      const trend = this.isTrendIncreasing(values) ? 'increase' : this.isTrendDecreasing(values) ? 'decrease' : 'stabilize';
-      predictions.push(`Expected to ${trend} in the coming days`);
-
+      for (const component of analysis.components) {
+        const end = component.forecast[component.forecast.length - 1];
+        const label = this.componentLabel(component, dataType, measurementContext);
+        const shown = (value) => value.toFixed(analysis.decimals);
+        predictions.push(
+          `Based on recent trends, your ${label} is expected to be around ${shown(end.value)} ${analysis.unit} in a week ` +
+          `(likely between ${shown(end.lower)} and ${shown(end.upper)})`
+        );
+      }
     } catch (error) {
       console.error('Error generating predictions:', error);
       predictions.push('Unable to generate predictions at this time');
@@ -330,7 +418,7 @@ class AIAnalysisService {
     return predictions;
   }
 
-  async generatePersonalizedRecommendations(patient, healthData, analysis) {
+  async generatePersonalizedRecommendations(patient, healthData, analysis, ranges = this.normalRanges) {
     const recommendations = [];
     
     try {
@@ -338,12 +426,12 @@ class AIAnalysisService {
 
       // Condition-specific recommendations
       if (conditions.includes('Diabetes') && healthData.dataType === 'blood_sugar') {
-        const sugarValue = parseFloat(healthData.value);
-        if (sugarValue > 180) {
+        const { riskLevel, status } = this.classifyBloodSugar(healthData.value, healthData.measurementContext, ranges);
+        if (status === 'high' && this.isHighRisk(riskLevel)) {
           recommendations.push('Consider checking for ketones if you have type 1 diabetes');
           recommendations.push('Stay hydrated and avoid sugary foods');
           recommendations.push('Monitor for symptoms of hyperglycemia');
-        } else if (sugarValue > 140) {
+        } else if (status === 'high') {
           recommendations.push('Review your carbohydrate intake from recent meals');
           recommendations.push('Consider light physical activity to help lower blood sugar');
         }
@@ -351,8 +439,8 @@ class AIAnalysisService {
 
       if (conditions.includes('Hypertension') && healthData.dataType === 'blood_pressure') {
         try {
-          const bp = typeof healthData.value === 'string' ? JSON.parse(healthData.value) : healthData.value;
-          if (bp.systolic > 140) {
+          const { riskLevel, status } = this.classifyBloodPressure(healthData.value, ranges);
+          if (status === 'high' && this.isHighRisk(riskLevel)) {
             recommendations.push('Reduce sodium intake in your diet');
             recommendations.push('Practice stress-reduction techniques like deep breathing');
             recommendations.push('Limit caffeine and alcohol consumption');
@@ -363,7 +451,7 @@ class AIAnalysisService {
       }
 
       // General lifestyle recommendations based on risk level
-      if (analysis.riskLevel === 'high') {
+      if (this.isHighRisk(analysis.riskLevel)) {
         recommendations.push('Consider contacting your healthcare provider for advice');
         recommendations.push('Monitor your symptoms closely and seek emergency care if needed');
       } else if (analysis.riskLevel === 'moderate') {
@@ -435,25 +523,28 @@ class AIAnalysisService {
         order: [['recordedAt', 'DESC']],
         limit: 30
       });
+      const ranges = await this.getRanges(patientId);
+      const patient = await Patient.findByPk(patientId, { attributes: ['chronicConditions'] });
+      const conditions = patient?.chronicConditions || [];
 
       let overallRisk = 'low';
       const parameterRisks = [];
 
       for (const data of recentData) {
-        const analysis = this.analyzeSingleReading(data);
+        // Rules over several readings see the others in this batch as history
+        const analysis = this.analyzeSingleReading(data, { ranges, history: recentData, conditions });
         parameterRisks.push({
           parameter: data.dataType,
           riskLevel: analysis.riskLevel,
           insight: analysis.insight,
+          rule: analysis.rule,
           value: data.value,
           recordedAt: data.recordedAt
         });
 
-        // Elevate overall risk if any parameter is high risk
-        if (analysis.riskLevel === 'high' && overallRisk !== 'critical') {
-          overallRisk = 'high';
-        } else if (analysis.riskLevel === 'moderate' && overallRisk === 'low') {
-          overallRisk = 'moderate';
+        // Overall risk is the worst of any parameter
+        if (riskRules.RISK_LEVELS.indexOf(analysis.riskLevel) > riskRules.RISK_LEVELS.indexOf(overallRisk)) {
+          overallRisk = analysis.riskLevel;
         }
       }
 
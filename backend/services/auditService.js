@@ -0,0 +1,76 @@
+const { Op } = require('sequelize');
+const { AuditEvent, Patient } = require('../models');
+
+// Bookkeeping columns that change on every write and say nothing about the record
+const IGNORED_FIELDS = ['updatedAt', 'createdAt'];
+
+class AuditService {
+  constructor() {
+    this.maxListedIds = 100;
+  }
+
+  // Field-level diff between two plain snapshots: { field: { from, to } }
+  diff(before, after) {
+    if (!before || !after) return null;
+
+    const changes = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const field of fields) {
+      if (IGNORED_FIELDS.includes(field)) continue;
+
+      const from = before[field] === undefined ? null : before[field];
+      const to = after[field] === undefined ? null : after[field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  // Append one event. Failures are logged, never thrown - auditing must not break the request it describes.
+  async record({ req, patientId, action, resourceType, resourceId = null, changes = null, details = null }) {
+    try {
+      return await AuditEvent.create({
+        patientId,
+        actorId: req.patientId,
+        actorRole: req.role || 'patient',
+        action,
+        resourceType,
+        resourceId: resourceId === null || resourceId === undefined ? null : String(resourceId),
+        method: req.method,
+        path: (req.originalUrl || '').split('?')[0].substring(0, 255),
+        ipAddress: req.ip || null,
+        userAgent: (req.get('User-Agent') || '').substring(0, 255) || null,
+        changes,
+        details
+      });
+    } catch (error) {
+      console.error('Failed to record audit event:', error);
+      return null;
+    }
+  }
+
+  async getEvents(patientId, { limit = 50, offset = 0, actorId, excludeActorId } = {}) {
+    const where = { patientId };
+    if (actorId) where.actorId = actorId;
+    if (excludeActorId) where.actorId = { [Op.ne]: excludeActorId };
+
+    return AuditEvent.findAndCountAll({
+      where,
+      include: [{
+        model: Patient,
+        as: 'actor',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'role']
+      }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+  }
+}
+
+const auditService = new AuditService();
+
+module.exports = auditService;
@@ -0,0 +1,215 @@
+const jwt = require('jsonwebtoken');
+const { CareRelationship, CareInvitation, Patient } = require('../models');
+const emailService = require('./emailService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'chronic-care-ai-secret-key';
+
+// What a caregiver or clinician can be granted on a patient's record
+const PERMISSIONS = {
+  READ_VITALS: 'read_vitals',
+  MANAGE_MEDICATIONS: 'manage_medications',
+  READ_GOALS: 'read_goals',
+  RECEIVE_ALERTS: 'receive_alerts'
+};
+
+class CareInvitationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CareInvitationError';
+    this.statusCode = statusCode;
+  }
+}
+
+class CareTeamService {
+  constructor() {
+    this.permissions = Object.values(PERMISSIONS);
+    this.invitationDays = 7;
+  }
+
+  // Drop unknown and duplicate entries from a client-supplied permission list
+  sanitizePermissions(permissions) {
+    if (!Array.isArray(permissions)) return [];
+    return [...new Set(permissions.filter(p => this.permissions.includes(p)))];
+  }
+
+  hasPermission(relationship, permission) {
+    return !!relationship && relationship.status === 'active' &&
+      (relationship.permissions || []).includes(permission);
+  }
+
+  async getActiveRelationship(caregiverId, patientId) {
+    return CareRelationship.findOne({
+      where: { caregiverId, patientId, status: 'active' }
+    });
+  }
+
+  // Patients a caregiver or clinician currently has access to
+  async getPatientsFor(caregiverId) {
+    return CareRelationship.findAll({
+      where: { caregiverId, status: 'active' },
+      include: [{
+        model: Patient,
+        as: 'patient',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'chronicConditions']
+      }],
+      order: [['grantedAt', 'DESC']]
+    });
+  }
+
+  // Everyone sharing a patient's record, including pending and revoked entries
+  async getCareTeam(patientId) {
+    return CareRelationship.findAll({
+      where: { patientId },
+      include: [{
+        model: Patient,
+        as: 'caregiver',
+        attributes: ['id', 'firstName', 'lastName', 'email', 'role']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  // Caregiver and clinician accounts that should be copied on a patient's health alerts
+  async getAlertRecipients(patientId) {
+    const relationships = await CareRelationship.findAll({
+      where: { patientId, status: 'active' },
+      include: [{
+        model: Patient,
+        as: 'caregiver',
+        attributes: ['id', 'email', 'firstName', 'lastName', 'emailVerified']
+      }]
+    });
+
+    return relationships
+      .filter(r => this.hasPermission(r, PERMISSIONS.RECEIVE_ALERTS) && r.caregiver && r.caregiver.emailVerified)
+      .map(r => r.caregiver);
+  }
+
+  // Forward a health alert to everyone holding receive_alerts on the patient
+  async notifyHealthAlert(patient, healthData, analysis) {
+    const recipients = await this.getAlertRecipients(patient.id);
+
+    for (const recipient of recipients) {
+      const result = await emailService.sendCareTeamHealthAlert(recipient, patient, healthData, analysis);
+      if (result.error) {
+        console.error(`Failed to send care team alert to ${recipient.email}:`, result.error);
+      }
+    }
+
+    return recipients.length;
+  }
+
+  async revoke(relationship) {
+    return relationship.update({ status: 'revoked', revokedAt: new Date() });
+  }
+
+  // Invitation links carry only the invitation id; its state lives in the database so it can be revoked
+  signInvitationToken(invitation) {
+    return jwt.sign(
+      { invitationId: invitation.id, type: 'care_invitation' },
+      JWT_SECRET,
+      { expiresIn: `${this.invitationDays}d` }
+    );
+  }
+
+  // Resolve a link token to its still-pending invitation, or throw a CareInvitationError
+  async getPendingInvitation(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      throw new CareInvitationError('This invitation link is invalid or has expired');
+    }
+
+    if (decoded.type !== 'care_invitation') {
+      throw new CareInvitationError('This invitation link is invalid or has expired');
+    }
+
+    const invitation = await CareInvitation.findByPk(decoded.invitationId, {
+      include: [{ model: Patient, as: 'patient', attributes: ['id', 'firstName', 'lastName'] }]
+    });
+
+    if (!invitation || invitation.status !== 'pending' || new Date(invitation.expiresAt) <= new Date()) {
+      throw new CareInvitationError('This invitation is no longer available');
+    }
+
+    return invitation;
+  }
+
+  async createInvitation(patient, { email, name, relationship, relationshipType, permissions }) {
+    const invitation = await CareInvitation.create({
+      patientId: patient.id,
+      email: String(email).trim().toLowerCase(),
+      name,
+      relationship,
+      relationshipType,
+      permissions,
+      expiresAt: new Date(Date.now() + this.invitationDays * 24 * 60 * 60 * 1000)
+    });
+
+    const result = await emailService.sendCareInvitationEmail(
+      patient,
+      invitation,
+      this.signInvitationToken(invitation)
+    );
+    if (result.error) {
+      console.error(`Failed to send care invitation to ${invitation.email}:`, result.error);
+    }
+
+    return invitation;
+  }
+
+  // The invitee consents: turn the invitation into an active relationship for their account
+  async acceptInvitation(invitation, account) {
+    if (account.role === 'patient') {
+      throw new CareInvitationError('Invitations must be accepted from a caregiver or clinician account', 403);
+    }
+
+    if (account.email.toLowerCase() !== invitation.email) {
+      throw new CareInvitationError(`This invitation was sent to ${invitation.email}. Sign in with that account to accept it.`, 403);
+    }
+
+    if (String(account.id) === String(invitation.patientId)) {
+      throw new CareInvitationError('You cannot accept your own invitation', 403);
+    }
+
+    const [relationship] = await CareRelationship.findOrCreate({
+      where: { patientId: invitation.patientId, caregiverId: account.id },
+      defaults: { relationshipType: account.role }
+    });
+
+    await relationship.update({
+      relationshipType: account.role,
+      permissions: this.sanitizePermissions(invitation.permissions),
+      status: 'active',
+      invitationId: invitation.id,
+      grantedAt: new Date(),
+      revokedAt: null
+    });
+
+    await invitation.update({ status: 'accepted', respondedAt: new Date(), acceptedById: account.id });
+
+    return relationship;
+  }
+
+  async declineInvitation(invitation) {
+    return invitation.update({ status: 'declined', respondedAt: new Date() });
+  }
+
+  async revokeInvitation(invitation) {
+    return invitation.update({ status: 'revoked', respondedAt: new Date() });
+  }
+
+  async getInvitations(patientId) {
+    return CareInvitation.findAll({
+      where: { patientId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+}
+
+const careTeamService = new CareTeamService();
+
+module.exports = careTeamService;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.CareInvitationError = CareInvitationError;
@@ -0,0 +1,402 @@
+const { Op } = require('sequelize');
+const { sequelize, GlucoseSample } = require('../models');
+const { parseCsv } = require('../utils/csv');
+const { isValidTimeZone, localParts, zonedTime } = require('../utils/timeZone');
+
+const MG_PER_MMOL = 18.016;
+
+// Sensors report anything outside this span as "Low" or "High"
+const SENSOR_RANGE = { min: 40, max: 400 };
+
+// Glucose bands (mg/dL) and targets from the international consensus on time in range
+// (Battelino et al., Diabetes Care 2019) for adults with type 1 or type 2 diabetes
+const GLUCOSE_RANGES = {
+  veryLow: { max: 53 },
+  low: { min: 54, max: 69 },
+  inRange: { min: 70, max: 180 },
+  high: { min: 181, max: 250 },
+  veryHigh: { min: 251 }
+};
+
+const TARGETS = {
+  timeInRange: 70, // more than
+  timeBelowRange: 4, // less than
+  veryLow: 1,
+  timeAboveRange: 25,
+  veryHigh: 5,
+  coefficientOfVariation: 36, // at most
+  dataSufficiency: 70 // percent of expected sensor readings
+};
+
+const AGP_PERCENTILES = [5, 25, 50, 75, 95];
+
+class CgmError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CgmError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Linear interpolation between closest ranks; `sorted` must be ascending
+const percentile = (sorted, p) => {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+class CgmService {
+  constructor() {
+    this.maxSamples = 50000;
+    this.defaultDays = 14;
+    this.maxDays = 90;
+    this.agpBinMinutes = 15;
+    this.insertBatchSize = 1000;
+    this.maxReportedErrors = 20;
+  }
+
+  // mg/dL, clamped to what a sensor can report; null if the value isn't usable
+  parseGlucose(value, unit = 'mg/dL') {
+    const text = String(value ?? '').trim();
+    if (/^(low|lo)$/i.test(text)) return SENSOR_RANGE.min;
+    if (/^(high|hi)$/i.test(text)) return SENSOR_RANGE.max;
+
+    const number = parseFloat(text.replace(',', '.'));
+    if (isNaN(number) || number <= 0) return null;
+
+    const mgDl = /mmol/i.test(unit) ? number * MG_PER_MMOL : number;
+    return Math.round(Math.min(SENSOR_RANGE.max, Math.max(SENSOR_RANGE.min, mgDl)));
+  }
+
+  // Timestamps with an offset are taken as-is. Device CSVs write local wall-clock
+  // time, read in `timeZone`: 2024-03-01T08:05:00, 2024-03-01 08:05, 03-01-2024 08:05 AM
+  // (US, with AM/PM) or 01-03-2024 08:05 (day first, as LibreView writes it elsewhere).
+  parseTimestamp(text, timeZone) {
+    const value = String(text || '').trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(value) && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    let wallClock;
+    let match = /^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(value);
+    if (match) {
+      wallClock = { day: match[1], hour: Number(match[2]), minute: Number(match[3]), second: Number(match[4] || 0) };
+    } else {
+      match = /^(\d{2})[-/](\d{2})[-/](\d{4}) (\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?(AM|PM))?$/i.exec(value);
+      if (!match) return null;
+
+      const meridiem = match[7] && match[7].toUpperCase();
+      const [month, date] = meridiem ? [match[1], match[2]] : [match[2], match[1]];
+      wallClock = {
+        day: `${match[3]}-${month}-${date}`,
+        hour: meridiem ? Number(match[4]) % 12 + (meridiem === 'PM' ? 12 : 0) : Number(match[4]),
+        minute: Number(match[5]),
+        second: Number(match[6] || 0)
+      };
+    }
+
+    const date = zonedTime(wallClock, timeZone);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // Work out which export a CSV came from. Both Dexcom Clarity and LibreView put
+  // metadata above (or among) the readings, so the header row is searched for.
+  detectFormat(records) {
+    for (let index = 0; index < Math.min(records.length, 5); index++) {
+      const headers = records[index].map(header => header.trim());
+      const find = (pattern) => headers.findIndex(header => pattern.test(header));
+
+      const dexcomGlucose = find(/^Glucose Value \((mg\/dL|mmol\/L)\)$/i);
+      if (dexcomGlucose !== -1) {
+        return {
+          format: 'dexcom',
+          headerIndex: index,
+          unit: headers[dexcomGlucose].match(/\((.+)\)/)[1],
+          columns: {
+            timestamp: find(/^Timestamp/i),
+            glucose: dexcomGlucose,
+            eventType: find(/^Event Type$/i),
+            device: find(/^Source Device ID$/i)
+          },
+          // Only estimated glucose values; calibrations and alerts are other event types
+          include: (record, columns) => record[columns.eventType] === 'EGV'
+        };
+      }
+
+      const libreGlucose = find(/^Historic Glucose/i);
+      if (libreGlucose !== -1) {
+        return {
+          format: 'libreview',
+          headerIndex: index,
+          unit: /mmol/i.test(headers[libreGlucose]) ? 'mmol/L' : 'mg/dL',
+          columns: {
+            timestamp: find(/^Device Timestamp$/i),
+            glucose: libreGlucose,
+            recordType: find(/^Record Type$/i),
+            device: find(/^Device$/i)
+          },
+          // Record type 0 is the sensor's automatic reading; scans (1) would count time twice
+          include: (record, columns) => record[columns.recordType] === '0'
+        };
+      }
+
+      const timestamp = find(/^(timestamp|date ?time|time|recorded ?at)$/i);
+      const glucose = find(/^(glucose|sgv|value|reading)( \(.+\))?$/i);
+      if (timestamp !== -1 && glucose !== -1) {
+        return {
+          format: 'csv',
+          headerIndex: index,
+          unit: null,
+          columns: { timestamp, glucose, device: find(/^device$/i) },
+          include: () => true
+        };
+      }
+    }
+
+    throw new CgmError('Unrecognised CGM export. Upload a Dexcom Clarity or LibreView CSV, or a file with timestamp and glucose columns');
+  }
+
+  parseCsv(csv, { unit, timeZone }) {
+    const records = parseCsv(csv);
+    const layout = this.detectFormat(records);
+    const sourceUnit = layout.unit || unit || 'mg/dL';
+
+    const samples = [];
+    const errors = [];
+    let deviceName = null;
+
+    records.slice(layout.headerIndex + 1).forEach((record, index) => {
+      if (!layout.include(record, layout.columns)) return;
+
+      const row = layout.headerIndex + index + 2;
+      const recordedAt = this.parseTimestamp(record[layout.columns.timestamp], timeZone);
+      const glucose = this.parseGlucose(record[layout.columns.glucose], sourceUnit);
+
+      if (!recordedAt) {
+        errors.push({ row, message: `Unrecognised timestamp "${record[layout.columns.timestamp] || ''}"` });
+      } else if (glucose === null) {
+        errors.push({ row, message: `Invalid glucose value "${record[layout.columns.glucose] || ''}"` });
+      } else {
+        samples.push({ recordedAt, glucose });
+        deviceName = deviceName || (record[layout.columns.device] || '').trim() || null;
+      }
+    });
+
+    return { format: layout.format, samples, errors, deviceName };
+  }
+
+  // JSON uploads: [{ recordedAt, glucose }] with ISO timestamps
+  parseJson(entries, { unit, timeZone }) {
+    const samples = [];
+    const errors = [];
+
+    entries.forEach((entry, index) => {
+      const recordedAt = this.parseTimestamp(entry?.recordedAt, timeZone);
+      const glucose = this.parseGlucose(entry?.glucose, unit);
+
+      if (!recordedAt) {
+        errors.push({ row: index, message: `Unrecognised timestamp "${entry?.recordedAt || ''}"` });
+      } else if (glucose === null) {
+        errors.push({ row: index, message: `Invalid glucose value "${entry?.glucose ?? ''}"` });
+      } else {
+        samples.push({ recordedAt, glucose });
+      }
+    });
+
+    return { format: 'json', samples, errors, deviceName: null };
+  }
+
+  // Store a CGM export. Unusable rows are reported and skipped rather than failing
+  // the whole upload - device exports routinely contain a few.
+  async ingest(patientId, { csv, samples, unit, deviceName, timeZone = 'UTC' }) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new CgmError(`Unknown timezone "${timeZone}"`);
+    }
+    if (!csv && !Array.isArray(samples)) {
+      throw new CgmError('Provide a CGM export as csv or a samples array');
+    }
+
+    const parsed = csv ? this.parseCsv(csv, { unit, timeZone }) : this.parseJson(samples, { unit, timeZone });
+    if (parsed.samples.length > this.maxSamples) {
+      throw new CgmError(`Uploads are limited to ${this.maxSamples} readings; split the export into shorter periods`);
+    }
+
+    const now = Date.now();
+    const valid = parsed.samples.filter(sample => sample.recordedAt.getTime() <= now);
+    const { unique, duplicates } = await this.removeDuplicates(patientId, valid);
+
+    await sequelize.transaction(async (transaction) => {
+      for (let i = 0; i < unique.length; i += this.insertBatchSize) {
+        await GlucoseSample.bulkCreate(unique.slice(i, i + this.insertBatchSize).map(sample => ({
+          ...sample,
+          patientId,
+          source: parsed.format,
+          deviceName: deviceName || parsed.deviceName
+        })), { transaction, ignoreDuplicates: true });
+      }
+    });
+
+    return {
+      format: parsed.format,
+      received: parsed.samples.length + parsed.errors.length,
+      imported: unique.length,
+      duplicates,
+      from: unique[0]?.recordedAt || null,
+      to: unique[unique.length - 1]?.recordedAt || null,
+      errorCount: parsed.errors.length,
+      errors: parsed.errors.slice(0, this.maxReportedErrors)
+    };
+  }
+
+  // Drop samples already stored (or repeated in the upload); returned oldest first
+  async removeDuplicates(patientId, samples) {
+    const sorted = [...samples].sort((a, b) => a.recordedAt - b.recordedAt);
+    if (sorted.length === 0) return { unique: sorted, duplicates: 0 };
+
+    const existing = await GlucoseSample.findAll({
+      where: {
+        patientId,
+        recordedAt: { [Op.between]: [sorted[0].recordedAt, sorted[sorted.length - 1].recordedAt] }
+      },
+      attributes: ['recordedAt'],
+      raw: true
+    });
+
+    const seen = new Set(existing.map(row => new Date(row.recordedAt).getTime()));
+    const unique = sorted.filter(sample => {
+      const time = sample.recordedAt.getTime();
+      if (seen.has(time)) return false;
+      seen.add(time);
+      return true;
+    });
+
+    return { unique, duplicates: sorted.length - unique.length };
+  }
+
+  async getMetrics(patientId, { days = this.defaultDays, timeZone = 'UTC' } = {}) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new CgmError(`Unknown timezone "${timeZone}"`);
+    }
+    const period = Math.min(this.maxDays, Math.max(1, parseInt(days) || this.defaultDays));
+    const to = new Date();
+    const from = new Date(to.getTime() - period * 24 * 60 * 60 * 1000);
+
+    const samples = await GlucoseSample.findAll({
+      where: { patientId, recordedAt: { [Op.between]: [from, to] } },
+      attributes: ['recordedAt', 'glucose'],
+      order: [['recordedAt', 'ASC']],
+      raw: true
+    });
+
+    return this.computeMetrics(samples, { days: period, from, to, timeZone });
+  }
+
+  // Typical gap between readings in minutes: 5 for Dexcom, 15 for Libre history
+  sampleInterval(samples) {
+    if (samples.length < 2) return 5;
+    const gaps = [];
+    for (let i = 1; i < samples.length; i++) {
+      gaps.push((new Date(samples[i].recordedAt) - new Date(samples[i - 1].recordedAt)) / 60000);
+    }
+    gaps.sort((a, b) => a - b);
+    return Math.min(15, Math.max(1, Math.round(percentile(gaps, 50))));
+  }
+
+  // Standard CGM summary for samples sorted oldest first. Time in each range is the
+  // share of readings in it, which equals share of time at a fixed sensor interval.
+  computeMetrics(samples, { days, from, to, timeZone }) {
+    const summary = { days, from, to, sampleCount: samples.length, targets: TARGETS };
+    if (samples.length === 0) {
+      return { ...summary, insights: ['No CGM data for this period. Upload an export from your sensor app to see time in range.'] };
+    }
+
+    const values = samples.map(sample => sample.glucose);
+    const count = values.length;
+    const mean = values.reduce((sum, value) => sum + value, 0) / count;
+    const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, count - 1));
+
+    const share = (range) => round(values.filter(value =>
+      (range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max)
+    ).length / count * 100);
+    const ranges = Object.fromEntries(Object.entries(GLUCOSE_RANGES).map(([key, range]) => [key, share(range)]));
+
+    const sampleIntervalMinutes = this.sampleInterval(samples);
+    const expected = (days * 24 * 60) / sampleIntervalMinutes;
+
+    const metrics = {
+      ...summary,
+      sampleIntervalMinutes,
+      dataSufficiency: round(Math.min(100, count / expected * 100)),
+      meanGlucose: Math.round(mean),
+      standardDeviation: round(sd),
+      // Glucose management indicator: estimated HbA1c (%) from mean glucose (Bergenstal et al., 2018)
+      glucoseManagementIndicator: round(3.31 + 0.02392 * mean),
+      coefficientOfVariation: round(sd / mean * 100),
+      ranges,
+      timeInRange: ranges.inRange,
+      timeBelowRange: round(ranges.veryLow + ranges.low),
+      timeAboveRange: round(ranges.high + ranges.veryHigh),
+      agp: this.ambulatoryGlucoseProfile(samples, timeZone)
+    };
+
+    return { ...metrics, insights: this.insights(metrics) };
+  }
+
+  // Percentiles of glucose by time of day, every sample folded onto a single day
+  ambulatoryGlucoseProfile(samples, timeZone) {
+    const bins = Array.from({ length: (24 * 60) / this.agpBinMinutes }, () => []);
+    for (const sample of samples) {
+      const { hour, minute } = localParts(new Date(sample.recordedAt), timeZone);
+      bins[Math.floor((hour * 60 + minute) / this.agpBinMinutes)].push(sample.glucose);
+    }
+
+    return bins.map((values, index) => {
+      const minutes = index * this.agpBinMinutes;
+      const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      values.sort((a, b) => a - b);
+
+      const point = { time, count: values.length };
+      for (const p of AGP_PERCENTILES) {
+        point[`p${p}`] = values.length > 0 ? Math.round(percentile(values, p)) : null;
+      }
+      return point;
+    });
+  }
+
+  insights(metrics) {
+    const insights = [];
+
+    if (metrics.dataSufficiency < TARGETS.dataSufficiency) {
+      insights.push(`The sensor covered ${metrics.dataSufficiency}% of this period. At least ${TARGETS.dataSufficiency}% over 14 days gives reliable metrics.`);
+    }
+    if (metrics.ranges.veryLow >= TARGETS.veryLow) {
+      insights.push(`${metrics.ranges.veryLow}% of readings were below 54 mg/dL (target under ${TARGETS.veryLow}%). Discuss these lows with your care team.`);
+    } else if (metrics.timeBelowRange >= TARGETS.timeBelowRange) {
+      insights.push(`Time below range is ${metrics.timeBelowRange}% (target under ${TARGETS.timeBelowRange}%). Look for patterns in when lows happen.`);
+    }
+    if (metrics.timeInRange > TARGETS.timeInRange) {
+      insights.push(`Time in range is ${metrics.timeInRange}%, above the ${TARGETS.timeInRange}% target. Keep it up!`);
+    } else {
+      insights.push(`Time in range is ${metrics.timeInRange}% (target over ${TARGETS.timeInRange}%).`);
+    }
+    if (metrics.timeAboveRange >= TARGETS.timeAboveRange) {
+      insights.push(`Time above range is ${metrics.timeAboveRange}% (target under ${TARGETS.timeAboveRange}%). Meals and activity timing are common causes.`);
+    }
+    if (metrics.coefficientOfVariation > TARGETS.coefficientOfVariation) {
+      insights.push(`Glucose variability (CV ${metrics.coefficientOfVariation}%) is above ${TARGETS.coefficientOfVariation}%, which raises the risk of lows.`);
+    }
+
+    return insights;
+  }
+}
+
+const cgmService = new CgmService();
+
+module.exports = cgmService;
+module.exports.CgmError = CgmError;
+module.exports.GLUCOSE_RANGES = GLUCOSE_RANGES;
+module.exports.TARGETS = TARGETS;
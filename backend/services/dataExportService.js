@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { Op } = require('sequelize');
+const {
+  DataExport,
+  Patient,
+  HealthData,
+  HealthDataRevision,
+  GlucoseSample,
+  PatientTarget,
+  Medication,
+  Reminder,
+  Goal,
+  Feedback
+} = require('../models');
+const emailService = require('./emailService');
+const { toCsv } = require('../utils/csv');
+
+// Account internals that are not the patient's personal data
+const PROFILE_EXCLUDED_FIELDS = [
+  'password',
+  'failedLoginAttempts',
+  'lastFailedLoginAt',
+  'lockedUntil',
+  'emergencyContactAlertedAt'
+];
+
+class DataExportService {
+  constructor() {
+    this.exportDir = process.env.EXPORT_DIR || path.join(__dirname, '..', 'exports');
+    this.retentionDays = parseInt(process.env.EXPORT_RETENTION_DAYS) || 7;
+    // An export takes seconds; one still unfinished after this died with its process
+    this.stallMinutes = parseInt(process.env.EXPORT_STALL_MINUTES) || 30;
+  }
+
+  filePath(dataExport) {
+    return path.join(this.exportDir, dataExport.fileName);
+  }
+
+  // Queue a new export, reusing one that's already in flight for this patient
+  async requestExport(patient) {
+    await this.cleanupExpired();
+    await this.failStalled();
+
+    const inFlight = await DataExport.findOne({
+      where: { patientId: patient.id, status: { [Op.in]: ['pending', 'processing'] } }
+    });
+    if (inFlight) return inFlight;
+
+    const dataExport = await DataExport.create({ patientId: patient.id });
+
+    // Build the archive off the request cycle
+    setImmediate(() => {
+      this.processExport(dataExport.id).catch(error => {
+        console.error(`Data export ${dataExport.id} crashed:`, error);
+      });
+    });
+
+    return dataExport;
+  }
+
+  async processExport(exportId) {
+    const dataExport = await DataExport.findByPk(exportId);
+    if (!dataExport || dataExport.status !== 'pending') return;
+
+    await dataExport.update({ status: 'processing' });
+
+    try {
+      const patient = await Patient.findByPk(dataExport.patientId);
+      const datasets = await this.collectData(patient);
+
+      await fs.promises.mkdir(this.exportDir, { recursive: true });
+      const fileName = `${dataExport.id}.zip`;
+      const fileSize = await this.writeArchive(path.join(this.exportDir, fileName), datasets);
+
+      await dataExport.update({
+        status: 'ready',
+        fileName,
+        fileSize,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000)
+      });
+
+      console.log(`📦 Data export ${dataExport.id} ready for ${patient.email}`);
+
+      const result = await emailService.sendDataExportReadyEmail(patient, dataExport);
+      if (result.error) {
+        console.error(`Failed to send export email to ${patient.email}:`, result.error);
+      }
+    } catch (error) {
+      console.error(`Data export ${dataExport.id} failed:`, error);
+      await dataExport.update({ status: 'failed', error: error.message });
+    }
+  }
+
+  // Everything stored about the patient, keyed by the file name stem it's written under
+  async collectData(patient) {
+    const where = { patientId: patient.id };
+    const plain = (rows) => rows.map(row => row.get({ plain: true }));
+
+    const profile = patient.get({ plain: true });
+    PROFILE_EXCLUDED_FIELDS.forEach(field => delete profile[field]);
+
+    return {
+      profile: [profile],
+      // Deleted readings are still stored, so they're part of the export
+      health_data: plain(await HealthData.findAll({ where, order: [['recordedAt', 'ASC']], paranoid: false })),
+      health_data_revisions: plain(await HealthDataRevision.findAll({ where, order: [['createdAt', 'ASC']] })),
+      glucose_samples: plain(await GlucoseSample.findAll({ where, order: [['recordedAt', 'ASC']] })),
+      targets: plain(await PatientTarget.findAll({ where, order: [['dataType', 'ASC']] })),
+      medications: plain(await Medication.findAll({ where, order: [['createdAt', 'ASC']] })),
+      reminders: plain(await Reminder.findAll({ where, order: [['scheduledFor', 'ASC']] })),
+      goals: plain(await Goal.findAll({ where, order: [['createdAt', 'ASC']] })),
+      feedback: plain(await Feedback.findAll({ where, order: [['createdAt', 'ASC']] }))
+    };
+  }
+
+  // Write one JSON and one CSV file per dataset; resolves with the archive size in bytes
+  writeArchive(targetPath, datasets) {
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(targetPath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => resolve(archive.pointer()));
+      archive.on('error', reject);
+      archive.pipe(output);
+
+      archive.append(this.readme(datasets), { name: 'README.txt' });
+      for (const [name, rows] of Object.entries(datasets)) {
+        archive.append(JSON.stringify(name === 'profile' ? rows[0] : rows, null, 2), { name: `json/${name}.json` });
+        archive.append(toCsv(rows), { name: `csv/${name}.csv` });
+      }
+
+      archive.finalize();
+    });
+  }
+
+  readme(datasets) {
+    const counts = Object.entries(datasets)
+      .map(([name, rows]) => `  ${name}: ${rows.length} record(s)`)
+      .join('\n');
+
+    return [
+      'Chronic Care AI - personal data export',
+      `Generated: ${new Date().toISOString()}`,
+      '',
+      'Every dataset is included twice: json/ keeps nested values such as AI analysis intact,',
+      'csv/ flattens them into JSON-encoded cells for spreadsheets.',
+      '',
+      counts,
+      ''
+    ].join('\n');
+  }
+
+  // Fail exports that were queued or started but never finished - the server restarted
+  // or crashed mid-build - so they stop blocking new requests
+  async failStalled() {
+    const [count] = await DataExport.update(
+      { status: 'failed', error: 'The export was interrupted. Please request a new one.' },
+      {
+        where: {
+          status: { [Op.in]: ['pending', 'processing'] },
+          updatedAt: { [Op.lt]: new Date(Date.now() - this.stallMinutes * 60 * 1000) }
+        }
+      }
+    );
+
+    if (count > 0) {
+      console.warn(`⚠️ Marked ${count} stalled data export(s) as failed`);
+    }
+  }
+
+  // Drop archives past their retention window
+  async cleanupExpired() {
+    const expired = await DataExport.findAll({
+      where: { status: 'ready', expiresAt: { [Op.lte]: new Date() } }
+    });
+
+    for (const dataExport of expired) {
+      await fs.promises.rm(this.filePath(dataExport), { force: true });
+      await dataExport.update({ status: 'expired' });
+    }
+  }
+}
+
+const dataExportService = new DataExportService();
+
+module.exports = dataExportService;
@@ -0,0 +1,458 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const sax = require('sax');
+const yauzl = require('yauzl');
+const healthImportService = require('./healthImportService');
+const { DEFAULT_UNITS } = require('../utils/healthReadings');
+const { toCanonical } = require('../utils/units');
+const { isValidTimeZone, localParts, zonedTime } = require('../utils/timeZone');
+
+// Apple Health record types we keep, and how each is summarised
+const APPLE_RECORD_TYPES = {
+  HKQuantityTypeIdentifierHeartRate: 'heart_rate',
+  HKQuantityTypeIdentifierBodyMass: 'weight',
+  HKQuantityTypeIdentifierOxygenSaturation: 'oxygen_saturation',
+  HKQuantityTypeIdentifierAppleExerciseTime: 'activity_level',
+  HKCategoryTypeIdentifierSleepAnalysis: 'sleep_quality',
+  HKQuantityTypeIdentifierBodyTemperature: 'temperature',
+  HKQuantityTypeIdentifierRespiratoryRate: 'respiratory_rate',
+  HKQuantityTypeIdentifierPeakExpiratoryFlowRate: 'peak_flow'
+};
+
+// In-bed and awake segments don't count towards sleep time
+const APPLE_ASLEEP_VALUES = [
+  'HKCategoryValueSleepAnalysisAsleep',
+  'HKCategoryValueSleepAnalysisAsleepUnspecified',
+  'HKCategoryValueSleepAnalysisAsleepCore',
+  'HKCategoryValueSleepAnalysisAsleepDeep',
+  'HKCategoryValueSleepAnalysisAsleepREM'
+];
+
+// Google Fit data types in a Takeout "All data" folder
+const GOOGLE_FIT_TYPES = {
+  'com.google.heart_rate.bpm': 'heart_rate',
+  'com.google.weight': 'weight',
+  'com.google.oxygen_saturation': 'oxygen_saturation',
+  'com.google.active_minutes': 'activity_level',
+  'com.google.sleep.segment': 'sleep_quality'
+};
+
+// Sleep stages in com.google.sleep.segment that mean asleep (1 is awake, 3 out of bed)
+const GOOGLE_ASLEEP_STAGES = [2, 4, 5, 6];
+
+const POUNDS_TO_KG = 0.45359237;
+const HOUR = 60 * 60 * 1000;
+
+class DeviceImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeviceImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Total length of possibly overlapping [start, end] intervals, so a watch and a
+// phone recording the same night isn't counted twice
+const coveredMillis = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let current = null;
+  for (const [start, end] of sorted) {
+    if (!current || start > current[1]) {
+      if (current) total += current[1] - current[0];
+      current = [start, end];
+    } else if (end > current[1]) {
+      current[1] = end;
+    }
+  }
+  return current ? total + current[1] - current[0] : total;
+};
+
+// Apple dates look like "2024-03-01 08:30:00 +0100"
+const parseAppleDate = (text) => {
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(text || '');
+  return match ? new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : null;
+};
+
+// Summarises raw device samples into readings. Devices sample far more often than
+// anyone enters readings by hand, so heart rate becomes hourly averages and exercise
+// and sleep become daily totals. Each summary sits at a fixed local time (top of the
+// hour, or noon for daily totals) so a later export of the same data lands on the
+// same instant and is recognised as already imported.
+class ReadingCollector {
+  constructor(timeZone) {
+    this.timeZone = timeZone;
+    this.samples = new Map();
+    this.intervals = new Map();
+    this.readings = [];
+    this.records = 0;
+  }
+
+  bucket(map, key, create) {
+    if (!map.has(key)) map.set(key, create());
+    return map.get(key);
+  }
+
+  addSample(dataType, date, value, sourceName) {
+    const { day, hour } = localParts(date, this.timeZone);
+    const bucket = this.bucket(this.samples, `${dataType}|${day}|${hour}`, () => ({ dataType, day, hour, total: 0, count: 0, sources: new Set() }));
+    bucket.total += value;
+    bucket.count++;
+    if (sourceName) bucket.sources.add(sourceName);
+    this.records++;
+  }
+
+  addInterval(dataType, day, start, end, sourceName) {
+    const bucket = this.bucket(this.intervals, `${dataType}|${day}`, () => ({ dataType, day, spans: [], sources: new Set() }));
+    bucket.spans.push([start.getTime(), end.getTime()]);
+    if (sourceName) bucket.sources.add(sourceName);
+    this.records++;
+  }
+
+  addReading(dataType, date, value, sourceName) {
+    this.readings.push({ dataType, value: String(value), unit: DEFAULT_UNITS[dataType], notes: null, recordedAt: date, sourceName: sourceName || null });
+    this.records++;
+  }
+
+  dayOf(date) {
+    return localParts(date, this.timeZone).day;
+  }
+
+  // Nights are filed under the day the patient woke up
+  wakeDayOf(start) {
+    return this.dayOf(new Date(start.getTime() + 12 * HOUR));
+  }
+
+  sourceName(sources) {
+    return [...sources].join(', ').slice(0, 255) || null;
+  }
+
+  // Single readings, hourly averages and daily totals, oldest first; nothing in the future
+  toReadings() {
+    const readings = [...this.readings];
+
+    for (const bucket of this.samples.values()) {
+      readings.push({
+        dataType: bucket.dataType,
+        value: String(Math.round(bucket.total / bucket.count)),
+        unit: DEFAULT_UNITS[bucket.dataType],
+        notes: null,
+        recordedAt: zonedTime({ day: bucket.day, hour: bucket.hour }, this.timeZone),
+        sourceName: this.sourceName(bucket.sources)
+      });
+    }
+
+    for (const bucket of this.intervals.values()) {
+      const minutes = coveredMillis(bucket.spans) / 60000;
+      if (minutes <= 0) continue;
+      readings.push({
+        dataType: bucket.dataType,
+        value: bucket.dataType === 'sleep_quality' ? String(Math.round(minutes / 6) / 10) : String(Math.round(minutes)),
+        unit: DEFAULT_UNITS[bucket.dataType],
+        notes: null,
+        recordedAt: zonedTime({ day: bucket.day, hour: 12 }, this.timeZone),
+        sourceName: this.sourceName(bucket.sources)
+      });
+    }
+
+    const now = Date.now();
+    return readings
+      .filter(reading => !isNaN(reading.recordedAt.getTime()) && reading.recordedAt.getTime() <= now)
+      .sort((a, b) => a.recordedAt - b.recordedAt);
+  }
+}
+
+class DeviceImportService {
+  constructor() {
+    this.maxBytes = (parseInt(process.env.DEVICE_IMPORT_MAX_MB) || 1024) * 1024 * 1024;
+    // Google Fit files are parsed whole, at several times their size in memory. Takeout
+    // splits data by type and source, so even years of one stream stay well under this.
+    this.maxJsonEntryBytes = (parseInt(process.env.DEVICE_IMPORT_MAX_JSON_MB) || 100) * 1024 * 1024;
+    this.tmpDir = process.env.DEVICE_IMPORT_TMP_DIR || os.tmpdir();
+    this.sources = {
+      apple_health: (filePath, collector) => this.readAppleHealth(filePath, collector),
+      google_fit: (filePath, collector) => this.readGoogleFit(filePath, collector)
+    };
+  }
+
+  validateTimeZone(timeZone) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new DeviceImportError(`Unknown timezone "${timeZone}"`);
+    }
+  }
+
+  // Spool the request body to a temporary file; exports are far too big to hold in memory
+  async saveUpload(req) {
+    if (parseInt(req.headers['content-length']) > this.maxBytes) {
+      throw new DeviceImportError('The export file is too large', 413);
+    }
+
+    const filePath = path.join(this.tmpDir, `device-import-${crypto.randomBytes(8).toString('hex')}`);
+    let received = 0;
+    const limit = new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        if (received > this.maxBytes) {
+          return callback(new DeviceImportError('The export file is too large', 413));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(req, limit, fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    if (received === 0) {
+      await fs.promises.rm(filePath, { force: true });
+      throw new DeviceImportError('Upload the export file as the request body');
+    }
+
+    return filePath;
+  }
+
+  async isZip(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+      return bytesRead === 4 && buffer.readUInt32LE(0) === 0x04034b50;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Entry metadata for every file in the archive; contents are read on demand
+  openZip(filePath) {
+    return new Promise((resolve, reject) => {
+      yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zipFile) => {
+        if (error) return reject(new DeviceImportError('The file is not a readable zip archive'));
+
+        const entries = [];
+        zipFile.on('entry', (entry) => {
+          if (!entry.fileName.endsWith('/')) entries.push(entry);
+          zipFile.readEntry();
+        });
+        zipFile.on('end', () => resolve({ zipFile, entries }));
+        zipFile.on('error', () => reject(new DeviceImportError('The file is not a readable zip archive')));
+        zipFile.readEntry();
+      });
+    });
+  }
+
+  openEntry(zipFile, entry) {
+    return new Promise((resolve, reject) => {
+      zipFile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+    });
+  }
+
+  // Apple Health exports either as export.zip or the export.xml inside it
+  async readAppleHealth(filePath, collector) {
+    if (!(await this.isZip(filePath))) {
+      return this.parseAppleXml(fs.createReadStream(filePath), collector);
+    }
+
+    const { zipFile, entries } = await this.openZip(filePath);
+    try {
+      const entry = entries.find(e => path.posix.basename(e.fileName) === 'export.xml');
+      if (!entry) {
+        throw new DeviceImportError('export.xml was not found in the archive');
+      }
+      await this.parseAppleXml(await this.openEntry(zipFile, entry), collector);
+    } finally {
+      zipFile.close();
+    }
+  }
+
+  parseAppleXml(input, collector) {
+    return new Promise((resolve, reject) => {
+      const parser = sax.createStream(true);
+      let root = null;
+
+      parser.on('opentag', (node) => {
+        if (!root) root = node.name;
+        if (node.name === 'Record') this.addAppleRecord(node.attributes, collector);
+      });
+      parser.on('error', () => {
+        input.destroy();
+        reject(new DeviceImportError('The file is not a valid Apple Health export'));
+      });
+      parser.on('end', () => {
+        if (root !== 'HealthData') {
+          return reject(new DeviceImportError('The file is not a valid Apple Health export'));
+        }
+        resolve();
+      });
+
+      input.on('error', reject);
+      input.pipe(parser);
+    });
+  }
+
+  addAppleRecord(record, collector) {
+    const dataType = APPLE_RECORD_TYPES[record.type];
+    if (!dataType) return;
+
+    const start = parseAppleDate(record.startDate);
+    const end = parseAppleDate(record.endDate) || start;
+    if (!start) return;
+
+    if (dataType === 'sleep_quality') {
+      if (APPLE_ASLEEP_VALUES.includes(record.value)) {
+        collector.addInterval(dataType, collector.wakeDayOf(start), start, end, record.sourceName);
+      }
+      return;
+    }
+
+    const value = parseFloat(record.value);
+    if (isNaN(value)) return;
+
+    if (dataType === 'heart_rate' || dataType === 'respiratory_rate') {
+      // The watch samples these many times an hour (respiratory rate while asleep)
+      collector.addSample(dataType, start, value, record.sourceName);
+    } else if (dataType === 'activity_level') {
+      // Exercise minutes come as short intervals; the value is their length
+      collector.addInterval(dataType, collector.dayOf(start), start, new Date(start.getTime() + value * 60000), record.sourceName);
+    } else if (dataType === 'weight') {
+      const kg = record.unit === 'lb' ? value * POUNDS_TO_KG : record.unit === 'g' ? value / 1000 : value;
+      collector.addReading(dataType, start, Math.round(kg * 10) / 10, record.sourceName);
+    } else if (dataType === 'oxygen_saturation') {
+      // Apple stores a fraction; we store a percentage
+      collector.addReading(dataType, start, Math.round((value <= 1 ? value * 100 : value) * 10) / 10, record.sourceName);
+    } else {
+      // Temperature and peak flow carry their unit (degF, degC, L/min); skip anything implausible
+      const canonical = toCanonical(dataType, value, record.unit);
+      if (!canonical.error) {
+        collector.addReading(dataType, start, canonical.value, record.sourceName);
+      }
+    }
+  }
+
+  // Google Fit's own merged stream for a data type, or every raw stream if it has none
+  googleFitFiles(entries) {
+    const files = entries
+      .filter(entry => entry.fileName.toLowerCase().endsWith('.json'))
+      .map(entry => {
+        const name = path.posix.basename(entry.fileName);
+        const fitType = Object.keys(GOOGLE_FIT_TYPES).find(type =>
+          name.startsWith(`derived_${type}_`) || name.startsWith(`raw_${type}_`)
+        );
+        return fitType && { entry, fitType, merged: name.startsWith('derived_') && name.includes('merge') };
+      })
+      .filter(Boolean);
+
+    return files.filter(file => file.merged || !files.some(other => other.fitType === file.fitType && other.merged));
+  }
+
+  async readGoogleFit(filePath, collector) {
+    if (!(await this.isZip(filePath))) {
+      throw new DeviceImportError('Upload the Google Takeout .zip archive');
+    }
+
+    const { zipFile, entries } = await this.openZip(filePath);
+    try {
+      const files = this.googleFitFiles(entries);
+      if (files.length === 0) {
+        throw new DeviceImportError('No Google Fit data was found in the archive. Include "Fit" when creating the Takeout export');
+      }
+
+      // One data source per file, so only one file's points are in memory at a time.
+      // The size is what the archive declares; yauzl fails the read if the data runs past it.
+      for (const { entry, fitType } of files) {
+        if (entry.uncompressedSize > this.maxJsonEntryBytes) {
+          throw new DeviceImportError(
+            `${path.posix.basename(entry.fileName)} is larger than ${this.maxJsonEntryBytes / 1024 / 1024} MB, the most a single Google Fit file may be`,
+            413
+          );
+        }
+
+        const chunks = [];
+        for await (const chunk of await this.openEntry(zipFile, entry)) chunks.push(chunk);
+
+        let dataSource;
+        try {
+          dataSource = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+          throw new DeviceImportError(`${path.posix.basename(entry.fileName)} is not valid JSON`);
+        }
+
+        for (const point of dataSource['Data Points'] || []) {
+          this.addGoogleFitPoint(GOOGLE_FIT_TYPES[fitType], point, collector);
+        }
+      }
+    } finally {
+      zipFile.close();
+    }
+  }
+
+  addGoogleFitPoint(dataType, point, collector) {
+    const field = (point.fitValue || [])[0]?.value || {};
+    const value = field.fpVal !== undefined ? field.fpVal : field.intVal;
+    const start = new Date(Number(point.startTimeNanos) / 1e6);
+    const end = new Date(Number(point.endTimeNanos) / 1e6);
+    const sourceName = point.originDataSourceId || null;
+    if (typeof value !== 'number' || isNaN(start.getTime())) return;
+
+    if (dataType === 'heart_rate') {
+      collector.addSample(dataType, start, value, sourceName);
+    } else if (dataType === 'activity_level') {
+      // Each point covers `value` active minutes inside its interval
+      collector.addInterval(dataType, collector.dayOf(start), start, new Date(start.getTime() + value * 60000), sourceName);
+    } else if (dataType === 'sleep_quality') {
+      if (GOOGLE_ASLEEP_STAGES.includes(value) && end > start) {
+        collector.addInterval(dataType, collector.wakeDayOf(start), start, end, sourceName);
+      }
+    } else if (dataType === 'weight') {
+      collector.addReading(dataType, start, Math.round(value * 10) / 10, sourceName);
+    } else if (dataType === 'oxygen_saturation') {
+      collector.addReading(dataType, start, Math.round((value <= 1 ? value * 100 : value) * 10) / 10, sourceName);
+    }
+  }
+
+  // Parse an uploaded export and store every reading not already imported.
+  // Re-importing a newer export of the same account only adds what's new.
+  async importExport(patientId, source, req, { timeZone = 'UTC' } = {}) {
+    if (!this.sources[source]) {
+      throw new DeviceImportError(`Unknown import source "${source}"`);
+    }
+    this.validateTimeZone(timeZone);
+
+    const filePath = await this.saveUpload(req);
+    try {
+      const collector = new ReadingCollector(timeZone);
+      await this.sources[source](filePath, collector);
+
+      const parsed = collector.toReadings();
+      const { readings, duplicates } = await healthImportService.removeDuplicates(patientId, parsed, { matchValue: false });
+      const created = await healthImportService.saveReadings(patientId, readings, source);
+
+      const byType = {};
+      for (const reading of readings) {
+        byType[reading.dataType] = (byType[reading.dataType] || 0) + 1;
+      }
+
+      return {
+        source,
+        records: collector.records,
+        readings: parsed.length,
+        duplicates,
+        imported: created.length,
+        byType,
+        ids: created.map(row => row.id)
+      };
+    } finally {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+}
+
+const deviceImportService = new DeviceImportService();
+
+module.exports = deviceImportService;
+module.exports.DeviceImportError = DeviceImportError;
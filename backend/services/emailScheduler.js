@@ -65,14 +65,18 @@ class EmailScheduler {
           preferredEmailTime: { 
             [Op.ne]: null,
             [Op.not]: ''
-          }
+          },
+          emailVerified: true,
+          role: 'patient',
+          deletionScheduledFor: null
         },
-        attributes: ['id', 'email', 'firstName', 'preferredEmailTime']
+        attributes: ['id', 'email', 'firstName', 'lastName', 'preferredEmailTime', 'emailVerified']
       });
 
       console.log(`📧 Loaded ${patients.length} patients with email preferences`);
 
-      // Update schedule cache
+      // Rebuild the cache so patients who no longer qualify drop out
+      this.patientSchedules.clear();
       patients.forEach(patient => {
         if (patient.preferredEmailTime) {
           this.patientSchedules.set(patient.id, {
@@ -89,6 +93,11 @@ class EmailScheduler {
     }
   }
 
+  // Drop a patient from the cache straight away instead of waiting for the hourly reload
+  removePatient(patientId) {
+    this.patientSchedules.delete(patientId);
+  }
+
   async checkMedicationReminders() {
     try {
       const now = new Date();
@@ -118,7 +127,9 @@ class EmailScheduler {
           as: 'patient',
           where: { 
             email: { [Op.ne]: null },
-            emailNotifications: true
+            emailNotifications: true,
+            emailVerified: true,
+            deletionScheduledFor: null
           }
         }],
         raw: false // Keep as Sequelize instances to use getters
@@ -296,6 +307,11 @@ class EmailScheduler {
 
   async sendDailyUpdate(patient) {
     try {
+      if (!patient.emailVerified) {
+        console.log(`⏸️ Skipping daily update for unverified address ${patient.email}`);
+        return { error: 'Email address not verified' };
+      }
+
       console.log(`📤 Sending daily update to ${patient.email}`);
 
       // Prepare context data
@@ -415,10 +431,15 @@ class EmailScheduler {
       const patient = await Patient.findByPk(patientId);
       const medication = await Medication.findByPk(medicationId);
       
-      if (!patient || !medication) {
+      // Never email one patient's medication to another
+      if (!patient || !medication || medication.patientId !== patientId) {
         return { error: 'Patient or medication not found' };
       }
 
+      if (!patient.emailVerified) {
+        return { error: 'Email address not verified' };
+      }
+
       console.log(`🚀 Sending immediate reminder to ${patient.email}`);
       return await emailService.sendMedicationReminder(patient, medication);
     } catch (error) {
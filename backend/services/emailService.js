@@ -54,12 +54,39 @@ function getRandomMessage() {
   return `${randomMessage}\n\n${randomTip}`;
 }
 
+// Text for an HTML body. Names, notes and insights are typed by users, and mail goes to
+// addresses they choose, so none of it may arrive as markup.
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// A reading's value as people write it: blood pressure as "120/80" rather than the stored JSON
+function formatReadingValue(healthData) {
+  if (healthData.dataType === 'blood_pressure') {
+    try {
+      const bp = typeof healthData.value === 'string' ? JSON.parse(healthData.value) : healthData.value;
+      return `${bp.systolic}/${bp.diastolic} ${healthData.unit}`;
+    } catch {
+      // fall through to the raw value
+    }
+  }
+  return `${healthData.value} ${healthData.unit}`;
+}
+
+// "Stage 2 hypertension (average of 3 readings)" for a blood pressure analysis
+function formatStage(analysis) {
+  const stage = analysis.bloodPressureStage;
+  if (!stage) return null;
+  return stage.readings > 1 ? `${stage.label} (average of ${stage.readings} readings)` : stage.label;
+}
+
 class EmailService {
   constructor() {
     this.isEnabled = !!process.env.BREVO_API_KEY;
     this.fromEmail = process.env.BREVO_FROM_EMAIL || 'no-reply@chroniccare.ai';
     this.fromName = process.env.BREVO_FROM_NAME || 'Chronic Care AI';
     this.brevoApiUrl = 'https://api.brevo.com/v3/smtp/email';
+    this.clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
   }
 
   // Helper method to send email via Brevo API
@@ -278,9 +305,10 @@ class EmailService {
         
         <div style="background:white; padding:15px; border-radius:5px; margin:15px 0;">
           <p><strong>Measurement:</strong> ${healthData.dataType.replace('_', ' ').toUpperCase()}</p>
-          <p><strong>Value:</strong> ${healthData.value} ${healthData.unit}</p>
+          <p><strong>Value:</strong> ${formatReadingValue(healthData)}</p>
+          ${formatStage(analysis) ? `<p><strong>Stage:</strong> ${formatStage(analysis)}</p>` : ''}
           <p><strong>Risk Level:</strong> <span style="color:${color}; font-weight:bold;">${healthData.riskLevel.toUpperCase()}</span></p>
-          <p><strong>Analysis:</strong> ${analysis.insight || 'Unusual reading detected'}</p>
+          <p><strong>Analysis:</strong> ${analysis.insights?.[0] || analysis.insight || 'Unusual reading detected'}</p>
         </div>
       </div>
 
@@ -332,6 +360,239 @@ class EmailService {
     }
   }
 
+  // Copy of a patient's health alert for a caregiver or clinician with alert access
+  async sendCareTeamHealthAlert(recipient, patient, healthData, analysis) {
+    try {
+      const color = { moderate: '#ffa502', critical: '#ff4757' }[healthData.riskLevel] || '#ff6b6b';
+      const patientName = `${patient.firstName} ${patient.lastName}`;
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:${color}; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">⚠️ Health Alert for ${patientName}</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello ${recipient.firstName},</p>
+      
+      <p>${patient.firstName} just recorded a reading that our system flagged as <strong style="color:${color};">${healthData.riskLevel.toUpperCase()}</strong> risk.</p>
+
+      <div style="background:#fff5f5; padding:15px; border-radius:8px; margin:20px 0; border-left:6px solid ${color};">
+        <p><strong>Measurement:</strong> ${healthData.dataType.replace('_', ' ').toUpperCase()}</p>
+        <p><strong>Value:</strong> ${formatReadingValue(healthData)}</p>
+        ${formatStage(analysis) ? `<p><strong>Stage:</strong> ${formatStage(analysis)}</p>` : ''}
+        <p style="margin-bottom:0;"><strong>Analysis:</strong> ${analysis.insights?.[0] || analysis.insight || 'Unusual reading detected'}</p>
+      </div>
+
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${this.clientUrl}/care/patients/${patient.id}" style="background:#667eea; color:white; padding:14px 28px; border-radius:8px; text-decoration:none; font-weight:bold;">
+          View ${patient.firstName}'s Dashboard
+        </a>
+      </div>
+
+      <p style="font-size:14px; color:#6b7280;">
+        You receive these alerts because ${patient.firstName} shared alert access with you. They can change this at any time.
+      </p>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated message from Chronic Care AI System.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: recipient.email,
+          name: `${recipient.firstName} ${recipient.lastName}`
+        }],
+        subject: `⚠️ Health Alert: ${patientName} - ${healthData.riskLevel.toUpperCase()}`,
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Care team health alert sent to ${recipient.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending care team health alert:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
+  // A patient's emergency contact, told about a critical reading. They may not have an
+  // account, so there's no dashboard link - just what happened and what to do.
+  async sendEmergencyContactAlert(contact, patient, healthData, analysis) {
+    try {
+      const patientName = `${patient.firstName} ${patient.lastName}`;
+      const firstName = escapeHtml(patient.firstName);
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:#ff4757; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">🚨 Urgent: ${escapeHtml(patientName)}</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello ${escapeHtml(contact.name || 'there')},</p>
+      
+      <p>${firstName} lists you as their emergency contact. They just recorded a reading that needs urgent attention.</p>
+
+      <div style="background:#fff5f5; padding:15px; border-radius:8px; margin:20px 0; border-left:6px solid #ff4757;">
+        <p><strong>Measurement:</strong> ${healthData.dataType.replace('_', ' ').toUpperCase()}</p>
+        <p><strong>Value:</strong> ${escapeHtml(formatReadingValue(healthData))}</p>
+        ${formatStage(analysis) ? `<p><strong>Stage:</strong> ${escapeHtml(formatStage(analysis))}</p>` : ''}
+        <p style="margin-bottom:0;"><strong>Analysis:</strong> ${escapeHtml(analysis.insights?.[0] || analysis.insight || 'Critical reading detected')}</p>
+      </div>
+
+      <div style="background:#ffebe6; padding:15px; border-radius:5px; margin:15px 0;">
+        <p style="margin:0; font-weight:bold;">
+          Please check on ${firstName}${patient.phoneNumber ? ` (${escapeHtml(patient.phoneNumber)})` : ''} now. If they have chest pain, trouble breathing, weakness or confusion, call emergency services.
+        </p>
+      </div>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated message from Chronic Care AI System, sent because ${firstName} added you as their emergency contact.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: contact.email,
+          name: contact.name || contact.email
+        }],
+        subject: `🚨 Urgent health alert for ${patientName}`,
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Emergency contact alert sent to ${contact.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending emergency contact alert:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
+  // =====================================
+  // CARE TEAM INVITATION
+  // =====================================
+
+  async sendCareInvitationEmail(patient, invitation, invitationToken) {
+    try {
+      const inviteUrl = `${this.clientUrl}/care-invite?token=${encodeURIComponent(invitationToken)}`;
+      const patientName = `${patient.firstName} ${patient.lastName}`;
+      const firstName = escapeHtml(patient.firstName);
+      const permissionLabels = {
+        read_vitals: 'Vitals and health readings',
+        manage_medications: 'Medications',
+        read_goals: 'Health goals',
+        receive_alerts: 'Health alerts by email'
+      };
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:#667eea; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">🤝 You're Invited to ${firstName}'s Care Team</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello${invitation.name ? ` ${escapeHtml(invitation.name)}` : ''},</p>
+      
+      <p>${escapeHtml(patientName)} would like you to follow their care on Chronic Care AI as their ${escapeHtml(invitation.relationship || invitation.relationshipType)}.</p>
+
+      <div style="background:#f0f4ff; padding:15px 20px; border-radius:8px; margin:20px 0;">
+        <p style="margin-top:0;"><strong>${firstName} is sharing:</strong></p>
+        <ul style="margin:0; padding-left:20px;">
+          ${invitation.permissions.map(p => `<li style="margin:6px 0;">${escapeHtml(permissionLabels[p] || p)}</li>`).join('')}
+        </ul>
+      </div>
+
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${escapeHtml(inviteUrl)}" style="background:#667eea; color:white; padding:14px 28px; border-radius:8px; text-decoration:none; font-weight:bold;">
+          Review Invitation
+        </a>
+      </div>
+
+      <p style="font-size:14px; color:#6b7280;">
+        This invitation expires in 7 days. ${firstName} can withdraw access at any time.
+        If you weren't expecting this, you can ignore this email.
+      </p>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated message from Chronic Care AI System.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: invitation.email,
+          name: invitation.name || invitation.email
+        }],
+        subject: `🤝 ${patientName} invited you to their care team`,
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Care invitation sent to ${invitation.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending care invitation:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
   // =====================================
   // TEST EMAIL FUNCTION
   // =====================================
@@ -401,6 +662,369 @@ class EmailService {
     }
   }
 
+  // =====================================
+  // EMAIL VERIFICATION
+  // =====================================
+
+  async sendVerificationEmail(patient, verificationToken) {
+    try {
+      const verifyUrl = `${this.clientUrl}/verify-email?token=${encodeURIComponent(verificationToken)}`;
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:#667eea; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">📧 Confirm Your Email</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello ${patient.firstName},</p>
+      
+      <p>Welcome to Chronic Care AI! Please confirm this is your email address so we can send your medication reminders and health updates.</p>
+
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${verifyUrl}" style="background:#667eea; color:white; padding:14px 28px; border-radius:8px; text-decoration:none; font-weight:bold;">
+          Verify Email Address
+        </a>
+      </div>
+
+      <p style="font-size:14px; color:#6b7280;">
+        This link expires in 24 hours. If you didn't create an account, you can ignore this email.
+      </p>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated message from Chronic Care AI System.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: patient.email,
+          name: `${patient.firstName} ${patient.lastName}`
+        }],
+        subject: '📧 Please verify your email address',
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Verification email sent to ${patient.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending verification email:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
+  // =====================================
+  // PASSWORD RESET EMAIL
+  // =====================================
+
+  async sendPasswordResetEmail(patient, resetToken, expiresInMinutes = 60) {
+    try {
+      const resetUrl = `${this.clientUrl}/reset-password?token=${encodeURIComponent(resetToken)}`;
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:#667eea; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">🔑 Reset Your Password</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello ${patient.firstName},</p>
+      
+      <p>We received a request to reset the password for your Chronic Care AI account.</p>
+
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${resetUrl}" style="background:#667eea; color:white; padding:14px 28px; border-radius:8px; text-decoration:none; font-weight:bold;">
+          Reset Password
+        </a>
+      </div>
+
+      <p style="font-size:14px; color:#6b7280;">
+        This link can only be used once and expires in ${expiresInMinutes} minutes.
+        If you didn't request a password reset, you can safely ignore this email - your password will not change.
+      </p>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated security message from Chronic Care AI System.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: patient.email,
+          name: `${patient.firstName} ${patient.lastName}`
+        }],
+        subject: '🔑 Reset your Chronic Care AI password',
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Password reset email sent to ${patient.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending password reset email:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
+  // =====================================
+  // ACCOUNT LOCKOUT SECURITY ALERT
+  // =====================================
+
+  async sendAccountLockedEmail(patient, { unlockToken, lockedUntil, ipAddress, userAgent }) {
+    try {
+      const unlockUrl = `${this.clientUrl}/unlock-account?token=${encodeURIComponent(unlockToken)}`;
+      // Request details come from the attacker's side
+      const escape = (value) => escapeHtml(value || 'Unknown');
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:#dc2626; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">🔒 Account Temporarily Locked</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello ${patient.firstName},</p>
+      
+      <p>We locked your Chronic Care AI account after several failed sign-in attempts. The lock lifts automatically at <strong>${new Date(lockedUntil).toLocaleString()}</strong>.</p>
+
+      <div style="background:#fef2f2; padding:15px; border-radius:8px; margin:20px 0; font-size:14px;">
+        <p style="margin:0 0 6px 0;"><strong>IP address:</strong> ${escape(ipAddress)}</p>
+        <p style="margin:0;"><strong>Device:</strong> ${escape(userAgent)}</p>
+      </div>
+
+      <p>If this was you, you can unlock your account now:</p>
+
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${unlockUrl}" style="background:#667eea; color:white; padding:14px 28px; border-radius:8px; text-decoration:none; font-weight:bold;">
+          Unlock My Account
+        </a>
+      </div>
+
+      <p style="font-size:14px; color:#6b7280;">
+        If this wasn't you, someone may be trying to guess your password. We recommend resetting your password and turning on two-factor authentication.
+      </p>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated security message from Chronic Care AI System.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: patient.email,
+          name: `${patient.firstName} ${patient.lastName}`
+        }],
+        subject: '🔒 Security alert: your account has been locked',
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Account lockout email sent to ${patient.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending account lockout email:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
+  // =====================================
+  // DATA EXPORT READY
+  // =====================================
+
+  async sendDataExportReadyEmail(patient, dataExport) {
+    try {
+      const downloadUrl = `${this.clientUrl}/profile?tab=data`;
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:#667eea; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">📦 Your Data Export Is Ready</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello ${patient.firstName},</p>
+      
+      <p>The copy of your Chronic Care AI data you requested is ready. It includes your profile, health readings with their AI analysis, medications, reminders, goals and feedback, in both JSON and CSV formats.</p>
+
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${downloadUrl}" style="background:#667eea; color:white; padding:14px 28px; border-radius:8px; text-decoration:none; font-weight:bold;">
+          Download My Data
+        </a>
+      </div>
+
+      <p style="font-size:14px; color:#6b7280;">
+        You'll need to sign in to download it. For your privacy the file is deleted on ${new Date(dataExport.expiresAt).toLocaleDateString()}.
+        If you didn't request this export, please change your password.
+      </p>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated message from Chronic Care AI System.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: patient.email,
+          name: `${patient.firstName} ${patient.lastName}`
+        }],
+        subject: '📦 Your Chronic Care AI data export is ready',
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Data export email sent to ${patient.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending data export email:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
+  // =====================================
+  // ACCOUNT DELETION SCHEDULED
+  // =====================================
+
+  async sendAccountDeletionScheduledEmail(patient) {
+    try {
+      const cancelUrl = `${this.clientUrl}/profile?tab=data`;
+
+      const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: Arial; background:#f8fafc; padding:20px;">
+  <div style="max-width:600px; margin:auto; background:white; border-radius:12px; overflow:hidden;">
+    
+    <div style="background:#dc2626; padding:25px; color:white; text-align:center;">
+      <h1 style="margin:0;">Account Deletion Scheduled</h1>
+    </div>
+
+    <div style="padding:30px;">
+      <p style="font-size:18px;">Hello ${patient.firstName},</p>
+      
+      <p>We received a request to delete your Chronic Care AI account. It will be permanently deleted on <strong>${new Date(patient.deletionScheduledFor).toLocaleDateString()}</strong>, together with your health readings, medications, reminders, goals and feedback.</p>
+
+      <p>Reminder and update emails have stopped. Until the deletion date you can still sign in, download a copy of your data, or cancel the deletion:</p>
+
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${cancelUrl}" style="background:#667eea; color:white; padding:14px 28px; border-radius:8px; text-decoration:none; font-weight:bold;">
+          Keep My Account
+        </a>
+      </div>
+
+      <p style="font-size:14px; color:#6b7280;">
+        If you didn't request this, sign in and cancel the deletion, then change your password.
+      </p>
+    </div>
+
+    <div style="background:#f8fafc; padding:20px; text-align:center; font-size:12px; color:#9ca3af;">
+      This is an automated security message from Chronic Care AI System.
+    </div>
+
+  </div>
+</body>
+</html>
+`;
+
+      const mailOptions = {
+        sender: {
+          name: this.fromName,
+          email: this.fromEmail
+        },
+        to: [{
+          email: patient.email,
+          name: `${patient.firstName} ${patient.lastName}`
+        }],
+        subject: 'Your Chronic Care AI account is scheduled for deletion',
+        htmlContent: htmlContent
+      };
+
+      const data = await this.sendViaBrevo(mailOptions);
+      console.log(`✅ Account deletion email sent to ${patient.email}`);
+      return data;
+
+    } catch (error) {
+      console.error("❌ Error sending account deletion email:", error);
+      return { error: error.message, simulated: true };
+    }
+  }
+
   // =====================================
   // PROGRESS REPORT EMAIL
   // =====================================
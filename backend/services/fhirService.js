@@ -0,0 +1,290 @@
+// FHIR R4 mapping for patients, health readings and medications
+const { DEFAULT_UNITS, bloodPressureError } = require('../utils/healthReadings');
+const { READING_TYPES } = require('../utils/readingTypes');
+const { toCanonical, resolveUnit } = require('../utils/units');
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+// LOINC code and observation category for each reading type, from the type registry
+const OBSERVATION_CODES = Object.fromEntries(
+  Object.entries(READING_TYPES).map(([dataType, { loinc }]) => [dataType, loinc])
+);
+
+const BP_COMPONENTS = {
+  systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  diastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+};
+
+// Observations in these states carry no usable measurement
+const SKIPPED_STATUSES = ['entered-in-error', 'cancelled'];
+
+class FhirService {
+  quantity(value, unit, dataType) {
+    const quantity = { value: Number(value), unit };
+    const definition = READING_TYPES[dataType]?.units[unit];
+    if (definition) {
+      quantity.system = UCUM;
+      quantity.code = definition.ucum;
+    }
+    return quantity;
+  }
+
+  // UCUM code (or free-text unit) back to one of the type's unit labels
+  unitFromQuantity(quantity, dataType) {
+    return resolveUnit(dataType, quantity.code) || quantity.unit || quantity.code || DEFAULT_UNITS[dataType];
+  }
+
+  toObservation(healthData) {
+    const mapping = OBSERVATION_CODES[healthData.dataType];
+    const observation = {
+      resourceType: 'Observation',
+      id: healthData.id,
+      meta: { lastUpdated: new Date(healthData.updatedAt).toISOString() },
+      status: 'final',
+      category: [{
+        coding: [{ system: OBSERVATION_CATEGORY, code: mapping.category }]
+      }],
+      code: {
+        coding: [{ system: LOINC, code: mapping.code, display: mapping.display }],
+        text: mapping.display
+      },
+      subject: { reference: `Patient/${healthData.patientId}` },
+      effectiveDateTime: new Date(healthData.recordedAt).toISOString(),
+      issued: new Date(healthData.enteredAt || healthData.createdAt).toISOString()
+    };
+
+    if (healthData.dataType === 'blood_pressure') {
+      const bp = typeof healthData.value === 'string' ? JSON.parse(healthData.value) : healthData.value;
+      observation.component = ['systolic', 'diastolic'].map(part => ({
+        code: { coding: [{ system: LOINC, ...BP_COMPONENTS[part] }] },
+        valueQuantity: this.quantity(bp[part], healthData.unit || 'mmHg', healthData.dataType)
+      }));
+    } else {
+      observation.valueQuantity = this.quantity(healthData.value, healthData.unit, healthData.dataType);
+    }
+
+    if (healthData.notes) {
+      observation.note = [{ text: healthData.notes }];
+    }
+
+    return observation;
+  }
+
+  toPatient(patient) {
+    const telecom = [{ system: 'email', value: patient.email }];
+    if (patient.phoneNumber) {
+      telecom.push({ system: 'phone', value: patient.phoneNumber });
+    }
+
+    const resource = {
+      resourceType: 'Patient',
+      id: patient.id,
+      meta: { lastUpdated: new Date(patient.updatedAt).toISOString() },
+      active: true,
+      name: [{ use: 'official', family: patient.lastName, given: [patient.firstName] }],
+      telecom,
+      gender: patient.gender || 'unknown'
+    };
+
+    if (patient.dateOfBirth) {
+      resource.birthDate = new Date(patient.dateOfBirth).toISOString().slice(0, 10);
+    }
+
+    const contact = patient.emergencyContact;
+    if (contact && contact.name) {
+      resource.contact = [{
+        relationship: [{ text: contact.relationship || 'Emergency contact' }],
+        name: { text: contact.name },
+        telecom: [
+          contact.phone && { system: 'phone', value: contact.phone },
+          contact.email && { system: 'email', value: contact.email }
+        ].filter(Boolean)
+      }];
+    }
+
+    return resource;
+  }
+
+  toMedicationStatement(medication) {
+    const statement = {
+      resourceType: 'MedicationStatement',
+      id: medication.id,
+      meta: { lastUpdated: new Date(medication.updatedAt).toISOString() },
+      status: medication.isActive ? 'active' : 'completed',
+      medicationCodeableConcept: { text: medication.name },
+      subject: { reference: `Patient/${medication.patientId}` },
+      dateAsserted: new Date(medication.createdAt).toISOString(),
+      dosage: [{
+        text: [medication.dosage, medication.frequency].filter(Boolean).join(', '),
+        timing: {
+          repeat: {
+            // FHIR times are hh:mm:ss
+            timeOfDay: (medication.reminderTimes || []).map(time => `${time.trim().slice(0, 5)}:00`)
+          }
+        }
+      }]
+    };
+
+    if (medication.startDate || medication.endDate) {
+      statement.effectivePeriod = {};
+      if (medication.startDate) statement.effectivePeriod.start = new Date(medication.startDate).toISOString();
+      if (medication.endDate) statement.effectivePeriod.end = new Date(medication.endDate).toISOString();
+    }
+    if (medication.purpose) {
+      statement.reasonCode = [{ text: medication.purpose }];
+    }
+    if (medication.instructions) {
+      statement.dosage[0].patientInstruction = medication.instructions;
+    }
+    if (medication.notes) {
+      statement.note = [{ text: medication.notes }];
+    }
+
+    return statement;
+  }
+
+  toBundle(resources, type = 'searchset') {
+    return {
+      resourceType: 'Bundle',
+      type,
+      timestamp: new Date().toISOString(),
+      total: resources.length,
+      entry: resources.map(resource => ({
+        fullUrl: `urn:uuid:${resource.id}`,
+        resource
+      }))
+    };
+  }
+
+  // FHIR's error envelope; issues are { severity, code, diagnostics, expression? }
+  operationOutcome(issues) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: issues.map(issue => ({ severity: 'error', code: 'invalid', ...issue }))
+    };
+  }
+
+  dataTypeForCode(codeableConcept) {
+    const codes = (codeableConcept?.coding || [])
+      .filter(coding => !coding.system || coding.system === LOINC)
+      .map(coding => coding.code);
+
+    return Object.keys(OBSERVATION_CODES).find(dataType => {
+      const mapping = OBSERVATION_CODES[dataType];
+      return codes.some(code => code === mapping.code || mapping.aliases.includes(code));
+    }) || null;
+  }
+
+  componentValue(observation, part) {
+    const component = (observation.component || []).find(c =>
+      (c.code?.coding || []).some(coding => coding.code === BP_COMPONENTS[part].code)
+    );
+    return component?.valueQuantity;
+  }
+
+  // Whether a reference ("Patient/<id>", or an absolute or versioned URL of it) points
+  // at this patient
+  referencesPatient(reference, patientId) {
+    const match = /(?:^|\/)Patient\/([^/]+)(?:\/_history\/[^/]+)?$/.exec(reference || '');
+    return !!match && match[1] === patientId;
+  }
+
+  // Map one Observation about `patientId` onto reading attributes; returns { reading },
+  // { skipped } or { errors }
+  fromObservation(observation, path, patientId) {
+    const errors = [];
+    const fail = (expression, diagnostics) => errors.push({ expression: [`${path}.${expression}`], diagnostics });
+
+    if (!observation || observation.resourceType !== 'Observation') {
+      return { errors: [{ expression: [path], diagnostics: 'Only Observation resources can be imported' }] };
+    }
+    // One patient's observations must never be filed under another
+    if (!this.referencesPatient(observation.subject?.reference, patientId)) {
+      return { errors: [{ expression: [`${path}.subject`], diagnostics: `Observation subject must be Patient/${patientId}` }] };
+    }
+    if (SKIPPED_STATUSES.includes(observation.status)) {
+      return { skipped: true };
+    }
+
+    const dataType = this.dataTypeForCode(observation.code);
+    if (!dataType) {
+      const codes = (observation.code?.coding || []).map(c => c.code).join(', ') || 'none';
+      return { errors: [{ expression: [`${path}.code`], diagnostics: `Unsupported observation code (${codes})`, code: 'not-supported' }] };
+    }
+
+    const effective = observation.effectiveDateTime || observation.effectiveInstant || observation.effectivePeriod?.start;
+    const recordedAt = new Date(effective);
+    if (!effective || isNaN(recordedAt.getTime())) {
+      fail('effectiveDateTime', 'Observation needs an effective date and time');
+    } else if (recordedAt > new Date()) {
+      fail('effectiveDateTime', 'Effective time is in the future');
+    }
+
+    let value = null;
+    let unit = null;
+    if (dataType === 'blood_pressure') {
+      const systolic = this.componentValue(observation, 'systolic');
+      const diastolic = this.componentValue(observation, 'diastolic');
+      if (typeof systolic?.value !== 'number' || typeof diastolic?.value !== 'number') {
+        fail('component', 'Blood pressure needs systolic (8480-6) and diastolic (8462-4) components');
+      } else {
+        const bloodPressure = { systolic: Math.round(systolic.value), diastolic: Math.round(diastolic.value) };
+        const error = bloodPressureError(bloodPressure);
+        if (error) {
+          fail('component', error);
+        } else {
+          value = JSON.stringify(bloodPressure);
+          unit = this.unitFromQuantity(systolic, dataType);
+        }
+      }
+    } else if (typeof observation.valueQuantity?.value !== 'number') {
+      fail('valueQuantity', 'Observation needs a numeric valueQuantity');
+    } else {
+      value = String(observation.valueQuantity.value);
+      unit = this.unitFromQuantity(observation.valueQuantity, dataType);
+    }
+
+    // Quantities in another accepted unit (mmol/L, [lb_av]) are stored converted
+    if (value !== null) {
+      const canonical = toCanonical(dataType, value, unit);
+      if (canonical.error) {
+        fail(dataType === 'blood_pressure' ? 'component' : 'valueQuantity.unit', canonical.error);
+      } else {
+        value = String(canonical.value);
+        unit = canonical.unit;
+      }
+    }
+
+    if (errors.length > 0) return { errors };
+
+    const notes = (observation.note || []).map(note => note.text).filter(Boolean).join('\n');
+    return { reading: { dataType, value, unit, notes: notes || null, recordedAt } };
+  }
+
+  // Accepts a Bundle of Observations or a single Observation, all about `patientId`
+  parseObservations(body, patientId) {
+    const entries = body?.resourceType === 'Bundle'
+      ? (body.entry || []).map((entry, index) => [entry.resource, `Bundle.entry[${index}].resource`])
+      : [[body, 'Observation']];
+
+    const readings = [];
+    const errors = [];
+    let skipped = 0;
+
+    for (const [resource, path] of entries) {
+      const result = this.fromObservation(resource, path, patientId);
+      if (result.errors) errors.push(...result.errors);
+      else if (result.skipped) skipped++;
+      else readings.push(result.reading);
+    }
+
+    return { readings, errors, skipped, total: entries.length };
+  }
+}
+
+const fhirService = new FhirService();
+
+module.exports = fhirService;
+module.exports.OBSERVATION_CODES = OBSERVATION_CODES;
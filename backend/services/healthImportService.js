@@ -0,0 +1,386 @@
+const { Op } = require('sequelize');
+const { sequelize, HealthData, Patient } = require('../models');
+const aiAnalysisService = require('./aiAnalysisService');
+const { parseCsv } = require('../utils/csv');
+const { parseBloodPressure, parseMeasurementContext } = require('../utils/healthReadings');
+const { toCanonical, preferredUnit } = require('../utils/units');
+const { isValidTimeZone, zonedTime } = require('../utils/timeZone');
+
+// Reading fields a CSV column can be mapped onto
+const IMPORT_FIELDS = ['recordedAt', 'time', 'dataType', 'value', 'systolic', 'diastolic', 'unit', 'measurementContext', 'notes'];
+
+// A whole number or decimal; semicolon-separated files write decimals with a comma (6,5)
+const NUMBER_PATTERN = /^[+-]?\d+(?:[.,]\d+)?$/;
+
+// Day, month and year in either order, with an optional time: 01/02/2024, 1.2.2024 8:05 PM
+const NUMERIC_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?(?: ?(AM|PM))?)?$/i;
+
+// Header names we recognise when suggesting a mapping
+const HEADER_HINTS = {
+  recordedAt: /^(date|date ?time|timestamp|recorded( at)?|measured( at)?|time ?stamp)$/i,
+  time: /^(time|clock)$/i,
+  dataType: /^(type|data ?type|measurement|metric|reading type)$/i,
+  value: /^(value|reading|result|glucose|blood ?sugar|bp|blood ?pressure|weight|pulse|heart ?rate)$/i,
+  systolic: /^(sys|systolic)/i,
+  diastolic: /^(dia|diastolic)/i,
+  unit: /^(unit|units)$/i,
+  measurementContext: /^(context|meal|meal ?tag|tag|timing|measurement context|before\/after meal)$/i,
+  notes: /^(note|notes|comment|comments)$/i
+};
+
+class HealthImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'HealthImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+class HealthImportService {
+  constructor() {
+    this.maxRows = 5000;
+    this.previewRows = 20;
+    this.insertBatchSize = 1000;
+  }
+
+  get dataTypes() {
+    return HealthData.rawAttributes.dataType.values;
+  }
+
+  // Split the file into a header row and data records
+  parse(csv) {
+    const records = parseCsv(csv);
+    if (records.length < 2) {
+      throw new HealthImportError('The file needs a header row and at least one reading');
+    }
+
+    const headers = records[0].map(header => header.trim());
+    const rows = records.slice(1);
+    if (rows.length > this.maxRows) {
+      throw new HealthImportError(`Files are limited to ${this.maxRows} readings; split the file and import each part`);
+    }
+
+    return { headers, rows };
+  }
+
+  suggestMapping(headers) {
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+      const header = headers.find(h => HEADER_HINTS[field].test(h) && !Object.values(mapping).includes(h));
+      if (header) mapping[field] = header;
+    }
+    return mapping;
+  }
+
+  // Check the mapping only points at columns that exist and covers the required fields
+  validateMapping(headers, mapping, defaults) {
+    for (const [field, header] of Object.entries(mapping)) {
+      if (!IMPORT_FIELDS.includes(field)) {
+        throw new HealthImportError(`Unknown field "${field}" in column mapping`);
+      }
+      if (header && !headers.includes(header)) {
+        throw new HealthImportError(`Column "${header}" was not found in the file`);
+      }
+    }
+
+    if (!mapping.recordedAt) {
+      throw new HealthImportError('Map a column to the reading date');
+    }
+    if (!mapping.dataType && !defaults.dataType) {
+      throw new HealthImportError('Map a column to the reading type or choose one type for the whole file');
+    }
+    if (defaults.dataType && !this.dataTypes.includes(defaults.dataType)) {
+      throw new HealthImportError(`Unknown reading type "${defaults.dataType}"`);
+    }
+    if (!mapping.value && !(mapping.systolic && mapping.diastolic)) {
+      throw new HealthImportError('Map a column to the reading value (or systolic and diastolic columns)');
+    }
+  }
+
+  // Whether numeric dates are day-first ('dmy') or month-first ('mdy'). A file that
+  // has a first part over 12 anywhere is day-first, one with a second part over 12
+  // month-first; a file that never says either way is read month-first.
+  detectDateOrder(dateTexts) {
+    let dayFirst = false;
+    let monthFirst = false;
+    for (const text of dateTexts) {
+      const match = NUMERIC_DATE_PATTERN.exec(text);
+      if (!match) continue;
+      if (Number(match[1]) > 12) dayFirst = true;
+      if (Number(match[2]) > 12) monthFirst = true;
+    }
+    return dayFirst && !monthFirst ? 'dmy' : 'mdy';
+  }
+
+  // Timestamps with an offset are taken as-is; anything else is local wall-clock time
+  // in `timeZone`, including date-only values (midnight there). Returns null when the
+  // text isn't a date.
+  parseDate(text, timeZone, dateOrder = 'mdy') {
+    const value = text.trim();
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    let wallClock;
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+    if (match) {
+      wallClock = { year: match[1], month: match[2], date: match[3], hour: match[4], minute: match[5], second: match[6] };
+    } else if ((match = NUMERIC_DATE_PATTERN.exec(value))) {
+      const [month, date] = dateOrder === 'dmy' ? [match[2], match[1]] : [match[1], match[2]];
+      const meridiem = match[7] && match[7].toUpperCase();
+      const hour = meridiem ? Number(match[4]) % 12 + (meridiem === 'PM' ? 12 : 0) : match[4];
+      wallClock = { year: match[3], month, date, hour, minute: match[5], second: match[6] };
+    } else {
+      // Written-out dates ("Mar 1, 2024 08:00"): let Date read the parts, then place
+      // them in the patient's zone rather than the server's
+      const parsed = new Date(value);
+      if (isNaN(parsed.getTime()) || /(Z|[+-]\d{2}:?\d{2}|GMT|UTC)/i.test(value)) {
+        return isNaN(parsed.getTime()) ? null : parsed;
+      }
+      wallClock = {
+        year: parsed.getFullYear(),
+        month: parsed.getMonth() + 1,
+        date: parsed.getDate(),
+        hour: parsed.getHours(),
+        minute: parsed.getMinutes(),
+        second: parsed.getSeconds()
+      };
+    }
+
+    const [year, month, date, hour, minute, second] = ['year', 'month', 'date', 'hour', 'minute', 'second']
+      .map(part => Number(wallClock[part] || 0));
+    if (month < 1 || month > 12 || date < 1 || date > 31 || hour > 23 || minute > 59 || second > 59) return null;
+    // Catch 31 February and the like, which Date.UTC would roll into March
+    if (new Date(Date.UTC(year, month - 1, date)).getUTCDate() !== date) return null;
+
+    const day = `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+    const recordedAt = zonedTime({ day, hour, minute, second }, timeZone);
+    return isNaN(recordedAt.getTime()) ? null : recordedAt;
+  }
+
+  // Accept enum keys as well as labels such as "Blood Pressure" or "blood-sugar"
+  normalizeDataType(text) {
+    const key = String(text || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return this.dataTypes.includes(key) ? key : null;
+  }
+
+  // Turn one CSV record into reading attributes, collecting every problem with it.
+  // Values without a unit column are taken to be in the importer's preferred unit;
+  // dates without an offset are local times in `timeZone`.
+  buildReading(record, headers, mapping, defaults, unitPreferences = {}, { timeZone = 'UTC', dateOrder = 'mdy' } = {}) {
+    const cell = (field) => {
+      if (!mapping[field]) return '';
+      return (record[headers.indexOf(mapping[field])] || '').trim();
+    };
+    const errors = [];
+
+    const dataTypeText = cell('dataType');
+    const dataType = dataTypeText ? this.normalizeDataType(dataTypeText) : defaults.dataType;
+    if (!dataType) {
+      errors.push({ field: 'dataType', message: `Unknown reading type "${dataTypeText}"` });
+    }
+
+    const dateText = [cell('recordedAt'), cell('time')].filter(Boolean).join(' ');
+    const recordedAt = dateText ? this.parseDate(dateText, timeZone, dateOrder) : null;
+    if (!dateText) {
+      errors.push({ field: 'recordedAt', message: 'Date is missing' });
+    } else if (!recordedAt) {
+      errors.push({ field: 'recordedAt', message: `Unrecognised date "${dateText}"` });
+    } else if (recordedAt > new Date()) {
+      errors.push({ field: 'recordedAt', message: 'Date is in the future' });
+    }
+
+    let valueText = cell('value');
+    if (!valueText && cell('systolic') && cell('diastolic')) {
+      valueText = `${cell('systolic')}/${cell('diastolic')}`;
+    }
+
+    let value = null;
+    if (!valueText) {
+      errors.push({ field: 'value', message: 'Value is missing' });
+    } else if (dataType === 'blood_pressure') {
+      const { bloodPressure, error } = parseBloodPressure(valueText);
+      if (bloodPressure) {
+        value = JSON.stringify(bloodPressure);
+      } else {
+        errors.push({ field: 'value', message: `Invalid blood pressure "${valueText}": ${error}` });
+      }
+    } else if (dataType) {
+      if (!NUMBER_PATTERN.test(valueText)) {
+        errors.push({ field: 'value', message: `"${valueText}" is not a number` });
+      } else {
+        value = String(Number(valueText.replace(',', '.')));
+      }
+    }
+
+    let unit = null;
+    if (value !== null) {
+      const canonical = toCanonical(dataType, value, cell('unit') || defaults.unit, preferredUnit(dataType, unitPreferences));
+      if (canonical.error) {
+        errors.push({ field: 'unit', message: canonical.error });
+      } else {
+        value = String(canonical.value);
+        unit = canonical.unit;
+      }
+    }
+
+    // Meal tags only mean something for blood sugar; other rows in a mixed file ignore them
+    let measurementContext = null;
+    if (dataType === 'blood_sugar') {
+      const context = parseMeasurementContext(dataType, cell('measurementContext'));
+      if (context.error) {
+        errors.push({ field: 'measurementContext', message: `Unknown measurement context "${cell('measurementContext')}"` });
+      }
+      measurementContext = context.measurementContext || null;
+    }
+
+    if (errors.length > 0) return { errors };
+
+    return {
+      reading: {
+        dataType,
+        value,
+        unit,
+        notes: cell('notes') || null,
+        measurementContext,
+        recordedAt
+      }
+    };
+  }
+
+  readingKey(reading, matchValue = true) {
+    const key = `${reading.dataType}|${new Date(reading.recordedAt).getTime()}`;
+    return matchValue ? `${key}|${reading.value}` : key;
+  }
+
+  // Readings already stored for the patient (or repeated within the file) are skipped.
+  // With `matchValue` off, any reading of the same type at the same instant counts as a
+  // duplicate - used for device summaries whose latest day can change between exports.
+  async removeDuplicates(patientId, readings, { matchValue = true } = {}) {
+    if (readings.length === 0) return { readings, duplicates: 0 };
+
+    const times = readings.map(r => r.recordedAt.getTime());
+    const existing = await HealthData.findAll({
+      where: {
+        patientId,
+        dataType: { [Op.in]: [...new Set(readings.map(r => r.dataType))] },
+        recordedAt: {
+          [Op.between]: [new Date(times.reduce((a, b) => Math.min(a, b))), new Date(times.reduce((a, b) => Math.max(a, b)))]
+        }
+      },
+      attributes: ['dataType', 'value', 'recordedAt']
+    });
+
+    const seen = new Set(existing.map(row => this.readingKey(row, matchValue)));
+    const unique = readings.filter(reading => {
+      const key = this.readingKey(reading, matchValue);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    return { readings: unique, duplicates: readings.length - unique.length };
+  }
+
+  // Validate every row; nothing is written unless `dryRun` is false and every row is valid
+  async importCsv(patientId, { csv, mapping, defaults, unitPreferences, timeZone = 'UTC', dryRun = true }) {
+    if (!isValidTimeZone(timeZone)) {
+      throw new HealthImportError(`Unknown timezone "${timeZone}"`);
+    }
+    const { headers, rows } = this.parse(csv);
+    defaults = defaults || {};
+
+    // No mapping yet: describe the file so the client can build one
+    if (!mapping) {
+      return {
+        dryRun: true,
+        headers,
+        totalRows: rows.length,
+        sampleRows: rows.slice(0, 5),
+        suggestedMapping: this.suggestMapping(headers)
+      };
+    }
+
+    this.validateMapping(headers, mapping, defaults);
+    if (defaults.dateOrder && !['dmy', 'mdy'].includes(defaults.dateOrder)) {
+      throw new HealthImportError('dateOrder must be "dmy" (day first) or "mdy" (month first)');
+    }
+
+    const dateColumn = headers.indexOf(mapping.recordedAt);
+    const dateOrder = defaults.dateOrder || this.detectDateOrder(rows.map(record => (record[dateColumn] || '').trim()));
+
+    const errors = [];
+    const parsed = [];
+    rows.forEach((record, index) => {
+      // Row 1 is the header, so the first reading is on row 2
+      const row = index + 2;
+      const result = this.buildReading(record, headers, mapping, defaults, unitPreferences, { timeZone, dateOrder });
+      if (result.errors) {
+        result.errors.forEach(error => errors.push({ row, ...error }));
+      } else {
+        parsed.push(result.reading);
+      }
+    });
+
+    const { readings, duplicates } = await this.removeDuplicates(patientId, parsed);
+    const summary = {
+      dryRun,
+      headers,
+      dateOrder,
+      totalRows: rows.length,
+      validRows: parsed.length,
+      duplicateRows: duplicates,
+      errors
+    };
+
+    if (dryRun || errors.length > 0) {
+      return { ...summary, imported: 0, preview: readings.slice(0, this.previewRows) };
+    }
+
+    const created = await this.saveReadings(patientId, readings, 'csv_import');
+
+    return { ...summary, imported: created.length, ids: created.map(row => row.id) };
+  }
+
+  // Insert already-validated readings in one transaction so a failure leaves nothing behind
+  async saveReadings(patientId, readings, source) {
+    const ranges = await aiAnalysisService.getRanges(patientId);
+    const patient = await Patient.findByPk(patientId, { attributes: ['chronicConditions'] });
+    const conditions = patient?.chronicConditions || [];
+
+    return sequelize.transaction(async (transaction) => {
+      const created = [];
+
+      // Device exports can hold tens of thousands of readings; keep each INSERT a sane size
+      for (let i = 0; i < readings.length; i += this.insertBatchSize) {
+        const batch = readings.slice(i, i + this.insertBatchSize);
+        created.push(...await HealthData.bulkCreate(batch.map(reading => this.withAnalysis(patientId, reading, source, { ranges, conditions })), {
+          validate: true,
+          transaction
+        }));
+      }
+
+      return created;
+    });
+  }
+
+  // Historical readings get the single-reading risk check against the patient's
+  // targets and conditions, but no multi-reading rules, alerts or feedback
+  withAnalysis(patientId, reading, source, { ranges, conditions }) {
+    const { riskLevel, insight, rule, bloodPressureStage } = aiAnalysisService.analyzeSingleReading(reading, { ranges, conditions });
+    return {
+      ...reading,
+      patientId,
+      source,
+      riskLevel,
+      aiAnalysis: { riskLevel, insights: insight ? [insight] : [], recommendations: [], rule, bloodPressureStage, source }
+    };
+  }
+}
+
+const healthImportService = new HealthImportService();
+
+module.exports = healthImportService;
+module.exports.HealthImportError = HealthImportError;
+module.exports.IMPORT_FIELDS = IMPORT_FIELDS;
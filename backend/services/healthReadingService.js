@@ -0,0 +1,204 @@
+const { isDeepStrictEqual } = require('util');
+const { Op } = require('sequelize');
+const { sequelize, Patient, HealthData, Feedback, HealthDataRevision } = require('../models');
+const aiAnalysisService = require('./aiAnalysisService');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const careTeamService = require('./careTeamService');
+const { RISK_LEVELS } = require('../utils/riskRules');
+
+// Reading fields captured in each revision
+const REVISED_FIELDS = ['dataType', 'value', 'unit', 'notes', 'measurementContext', 'recordedAt', 'riskLevel'];
+
+const ALERT_LEVELS = ['moderate', 'high', 'critical'];
+
+const ALERT_SEVERITY = { moderate: 'warning', high: 'alert', critical: 'critical' };
+
+// An emergency contact hears about critical readings at most this often; a run of
+// them, or edits to one, would otherwise send a string of urgent emails
+const EMERGENCY_ALERT_INTERVAL_MS = 60 * 60 * 1000;
+
+class HealthReadingService {
+  snapshot(healthData) {
+    const plain = healthData.get({ plain: true });
+    return Object.fromEntries(REVISED_FIELDS.map(field => [field, plain[field]]));
+  }
+
+  // Feedback shown to the patient when a reading is moderate risk or worse
+  riskAlertAttributes(healthData, analysis) {
+    return {
+      patientId: healthData.patientId,
+      type: 'risk_alert',
+      title: `Health Alert: ${healthData.dataType.replace('_', ' ').toUpperCase()}`,
+      message: analysis.insights?.[0] || 'Abnormal reading detected',
+      severity: ALERT_SEVERITY[analysis.riskLevel] || 'warning',
+      recommendations: analysis.recommendations || [],
+      dataContext: { healthDataId: healthData.id, analysis }
+    };
+  }
+
+  // Email the patient and their care team about a high or critical reading. A critical
+  // one also goes to the emergency contact, when they gave an email address.
+  async sendRiskAlerts(patient, healthData, analysis) {
+    try {
+      await emailService.sendHealthAlert(patient, healthData, analysis);
+      await careTeamService.notifyHealthAlert(patient, healthData, analysis);
+
+      const contact = patient.emergencyContact;
+      if (analysis.riskLevel === 'critical' && contact?.email && (await this.claimEmergencyAlert(patient))) {
+        await emailService.sendEmergencyContactAlert(contact, patient, healthData, analysis);
+      }
+    } catch (emailError) {
+      console.error('Failed to send email alert:', emailError);
+    }
+  }
+
+  // Whether the emergency contact may be emailed now, recording that they were. One
+  // conditional update, so parallel critical readings can't both claim it.
+  async claimEmergencyAlert(patient) {
+    const now = new Date();
+    const [claimed] = await Patient.update(
+      { emergencyContactAlertedAt: now },
+      {
+        where: {
+          id: patient.id,
+          [Op.or]: [
+            { emergencyContactAlertedAt: null },
+            { emergencyContactAlertedAt: { [Op.lte]: new Date(now.getTime() - EMERGENCY_ALERT_INTERVAL_MS) } }
+          ]
+        },
+        // Skip the per-patient demographics check, which a partial update can't satisfy
+        validate: false
+      }
+    );
+    return claimed > 0;
+  }
+
+  // Add the insight provider's explanation to a reading that has been classified and
+  // alerted on. Callers don't wait: a slow model must never hold up the risk level or
+  // an alert, and a failure leaves the rule-based insights in place.
+  // The explanation is only written if the reading still exists with the same value
+  // and analysis, so an edit or delete made while the model was busy wins.
+  async addExplanation(healthData, analysis) {
+    try {
+      const reading = aiAnalysisService.describeReading(healthData);
+      // As the analysis reads back from its JSON column
+      const stored = JSON.parse(JSON.stringify(analysis));
+      const explanation = await aiAnalysisService.explainAnalysis(healthData, analysis);
+
+      await sequelize.transaction(async (transaction) => {
+        // Paranoid, so a deleted reading isn't found
+        const current = await HealthData.findByPk(healthData.id, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!current || aiAnalysisService.describeReading(current) !== reading || !isDeepStrictEqual(current.aiAnalysis, stored)) {
+          return;
+        }
+        await current.update({ aiAnalysis: { ...analysis, explanation } }, { transaction });
+      });
+    } catch (error) {
+      console.error('Error adding reading explanation:', error);
+    }
+  }
+
+  // Risk alerts raised for this reading; they're always created after it
+  async findRiskAlerts(healthData) {
+    const alerts = await Feedback.findAll({
+      where: {
+        patientId: healthData.patientId,
+        type: 'risk_alert',
+        createdAt: { [Op.gte]: healthData.createdAt }
+      }
+    });
+
+    return alerts.filter(alert => alert.dataContext?.healthDataId === healthData.id);
+  }
+
+  // Bring the reading's risk alert in line with a fresh analysis: update it,
+  // raise one if the reading became risky, or withdraw it if it no longer is
+  async syncRiskAlert(healthData, analysis) {
+    const [alert, ...stale] = await this.findRiskAlerts(healthData);
+    await Promise.all(stale.map(extra => extra.destroy()));
+
+    if (!ALERT_LEVELS.includes(analysis.riskLevel)) {
+      if (alert) await alert.destroy();
+      return null;
+    }
+
+    const attributes = this.riskAlertAttributes(healthData, analysis);
+    if (alert) {
+      // A changed alert should be seen again
+      return alert.update({ ...attributes, isRead: false });
+    }
+    return Feedback.create(attributes);
+  }
+
+  async withdrawRiskAlerts(healthData) {
+    const alerts = await this.findRiskAlerts(healthData);
+    await Promise.all(alerts.map(alert => alert.destroy()));
+  }
+
+  // Apply a correction, keep the prior version, then re-analyse the reading
+  async updateReading(healthData, updates, { editorId, reason }) {
+    const before = this.snapshot(healthData);
+
+    await sequelize.transaction(async (transaction) => {
+      await healthData.update(updates, { transaction });
+
+      const changes = auditService.diff(before, this.snapshot(healthData));
+      if (changes) {
+        await HealthDataRevision.create({
+          healthDataId: healthData.id,
+          patientId: healthData.patientId,
+          editedById: editorId,
+          action: 'update',
+          previous: before,
+          changes,
+          reason: reason || null
+        }, { transaction });
+      }
+    });
+
+    const analysis = await aiAnalysisService.analyzeHealthData(healthData.patientId, healthData);
+    await healthData.update({ riskLevel: analysis.riskLevel, aiAnalysis: analysis });
+    await this.syncRiskAlert(healthData, analysis);
+
+    // A correction that makes a reading high risk, or worse than it was, warrants the
+    // same alert a new one would
+    if (aiAnalysisService.isHighRisk(analysis.riskLevel) &&
+        RISK_LEVELS.indexOf(analysis.riskLevel) > RISK_LEVELS.indexOf(before.riskLevel)) {
+      const patient = await Patient.findByPk(healthData.patientId);
+      await this.sendRiskAlerts(patient, healthData, analysis);
+    }
+
+    this.addExplanation(healthData, analysis);
+    return analysis;
+  }
+
+  // Soft-delete the reading; its alerts go with it
+  async deleteReading(healthData, { editorId, reason }) {
+    await sequelize.transaction(async (transaction) => {
+      await HealthDataRevision.create({
+        healthDataId: healthData.id,
+        patientId: healthData.patientId,
+        editedById: editorId,
+        action: 'delete',
+        previous: this.snapshot(healthData),
+        reason: reason || null
+      }, { transaction });
+
+      await healthData.destroy({ transaction });
+    });
+
+    await this.withdrawRiskAlerts(healthData);
+  }
+
+  getRevisions(healthDataId) {
+    return HealthDataRevision.findAll({
+      where: { healthDataId },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+}
+
+const healthReadingService = new HealthReadingService();
+
+module.exports = healthReadingService;
@@ -0,0 +1,123 @@
+const axios = require('axios');
+
+// Insight providers turn a rendered prompt into text. A provider has a `name`, recorded
+// with everything it writes, and `generate({ promptId, system, user, maxTokens, fallback })`,
+// resolving to the reply or rejecting when it has none. `fallback` is the rule-based
+// text the caller will use if the provider fails.
+//
+// Choose one with INSIGHT_PROVIDER:
+//   local   (default) no model: replies with the rule-based text. Deterministic, for
+//           tests and offline deployments.
+//   openai  any server with an OpenAI-style /chat/completions endpoint. INSIGHT_API_URL
+//           is the API root (default https://api.openai.com/v1; llama.cpp serves
+//           http://localhost:8080/v1, Ollama http://localhost:11434/v1), INSIGHT_MODEL
+//           the model, INSIGHT_API_KEY the key if the server wants one and
+//           INSIGHT_TIMEOUT_MS how long to wait (default 6000).
+
+class InsightProviderError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'InsightProviderError';
+    this.statusCode = statusCode;
+  }
+}
+
+class InsightProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async generate() {
+    throw new InsightProviderError(`${this.name} provider does not implement generate()`);
+  }
+}
+
+class OpenAICompatibleProvider extends InsightProvider {
+  constructor({ baseUrl = 'https://api.openai.com/v1', apiKey = null, model, timeoutMs = 6000, temperature = 0.3 } = {}) {
+    super('openai');
+    if (!model) {
+      throw new InsightProviderError('INSIGHT_MODEL is required for the openai insight provider', 500);
+    }
+    this.url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.temperature = temperature;
+  }
+
+  async generate({ system, user, maxTokens = null }) {
+    let response;
+    try {
+      response = await axios.post(this.url, {
+        model: this.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        temperature: this.temperature,
+        ...(maxTokens && { max_tokens: maxTokens })
+      }, {
+        // Local servers usually run without a key
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+        },
+        timeout: this.timeoutMs
+      });
+    } catch (error) {
+      const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw new InsightProviderError(`Insight request to ${this.url} failed: ${detail}`);
+    }
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new InsightProviderError('The insight provider returned no text');
+    }
+    return text.trim();
+  }
+}
+
+class LocalInsightProvider extends InsightProvider {
+  // `responses` maps prompt ids to fixed replies, for exercising what happens to
+  // model output without a model
+  constructor({ responses = {} } = {}) {
+    super('local');
+    this.responses = responses;
+  }
+
+  async generate({ promptId, fallback }) {
+    const text = this.responses[promptId] ?? fallback;
+    if (!text) throw new InsightProviderError(`No local text for "${promptId}"`);
+    return text;
+  }
+}
+
+// The provider the environment asks for; an unusable configuration is reported and the
+// local provider used, so a typo can't take analysis down
+const createInsightProvider = (env = process.env) => {
+  const kind = (env.INSIGHT_PROVIDER || 'local').toLowerCase();
+
+  try {
+    if (kind === 'local') return new LocalInsightProvider();
+    if (kind === 'openai') {
+      return new OpenAICompatibleProvider({
+        baseUrl: env.INSIGHT_API_URL || undefined,
+        apiKey: env.INSIGHT_API_KEY || null,
+        model: env.INSIGHT_MODEL,
+        timeoutMs: parseInt(env.INSIGHT_TIMEOUT_MS) || undefined
+      });
+    }
+    throw new InsightProviderError(`Unknown INSIGHT_PROVIDER "${env.INSIGHT_PROVIDER}"; use local or openai`, 500);
+  } catch (error) {
+    console.error(`⚠️ ${error.message} - using the local insight provider`);
+    return new LocalInsightProvider();
+  }
+};
+
+module.exports = {
+  InsightProvider,
+  OpenAICompatibleProvider,
+  LocalInsightProvider,
+  InsightProviderError,
+  createInsightProvider
+};
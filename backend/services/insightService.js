@@ -0,0 +1,40 @@
+const { createInsightProvider } = require('./insightProviders');
+const { activePromptSet, renderPrompt } = require('../utils/insightPrompts');
+const { stripDosingAdvice } = require('../utils/insightGuardrails');
+
+class InsightService {
+  constructor() {
+    // See services/insightProviders for the choices; swap at runtime with setProvider()
+    this.provider = createInsightProvider();
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Patient-friendly text for prompt `promptId` over `values`, with dosing advice
+  // removed. Only the structured facts in `values` reach the provider - no names or
+  // identifiers. When the provider fails or leaves nothing once guarded, the
+  // rule-based `fallback` is used as is.
+  // Returns { text, source, prompt: { id, version } | null, removedSentences }.
+  async narrate(promptId, values, fallback) {
+    try {
+      const { system, user, maxTokens, prompt } = renderPrompt(activePromptSet(), promptId, values);
+      const reply = await this.provider.generate({ promptId, system, user, maxTokens, fallback });
+      const { text, removed } = stripDosingAdvice(reply);
+
+      if (removed.length > 0) {
+        console.warn(`⚠️ Removed ${removed.length} dosing sentence(s) from ${this.provider.name} ${promptId} text`);
+      }
+      if (text) {
+        return { text, source: this.provider.name, prompt, removedSentences: removed.length };
+      }
+    } catch (error) {
+      console.error(`Insight provider ${this.provider.name} failed for ${promptId}:`, error.message);
+    }
+
+    return { text: fallback, source: 'rules', prompt: null, removedSentences: 0 };
+  }
+}
+
+module.exports = new InsightService();
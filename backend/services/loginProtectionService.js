@@ -0,0 +1,160 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, Patient, LoginAttempt } = require('../models');
+const emailService = require('./emailService');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'chronic-care-ai-secret-key';
+
+const CREDENTIAL_FAILURES = ['invalid_credentials', 'invalid_2fa'];
+
+class LoginProtectionService {
+  constructor() {
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+    this.ipMaxFailedAttempts = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+    this.ipWindowMinutes = 15;
+    this.baseDelaySeconds = 1;
+    this.maxDelaySeconds = 30;
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  isLocked(patient) {
+    return !!patient.lockedUntil && new Date(patient.lockedUntil) > new Date();
+  }
+
+  // Failures only count towards a lockout while they are recent and no lockout has since expired
+  getActiveFailureCount(patient) {
+    if (!patient.failedLoginAttempts || !patient.lastFailedLoginAt) return 0;
+
+    const windowStart = Date.now() - this.lockoutMinutes * 60 * 1000;
+    return new Date(patient.lastFailedLoginAt).getTime() > windowStart ? patient.failedLoginAttempts : 0;
+  }
+
+  // Seconds the account must wait before the next attempt: 1s, 2s, 4s ... capped
+  getRetryDelay(patient) {
+    const failures = this.getActiveFailureCount(patient);
+    if (!failures) return 0;
+
+    const delay = Math.min(this.baseDelaySeconds * 2 ** (failures - 1), this.maxDelaySeconds);
+    const elapsed = (Date.now() - new Date(patient.lastFailedLoginAt).getTime()) / 1000;
+    return Math.max(0, Math.ceil(delay - elapsed));
+  }
+
+  // Only wrong passwords and codes count; rejections for an address that is already
+  // blocked, or an account that is locked or throttled, would otherwise keep a client
+  // that retries blocked for good
+  async isIpBlocked(ipAddress) {
+    if (!ipAddress) return false;
+
+    const failures = await LoginAttempt.count({
+      where: {
+        ipAddress,
+        successful: false,
+        failureReason: CREDENTIAL_FAILURES,
+        createdAt: { [Op.gt]: new Date(Date.now() - this.ipWindowMinutes * 60 * 1000) }
+      }
+    });
+
+    return failures >= this.ipMaxFailedAttempts;
+  }
+
+  async recordAttempt(req, email, patient, successful, failureReason = null) {
+    return LoginAttempt.create({
+      patientId: patient ? patient.id : null,
+      email: this.normalizeEmail(email).substring(0, 255),
+      ipAddress: req.ip || null,
+      userAgent: (req.get('User-Agent') || '').substring(0, 255) || null,
+      successful,
+      failureReason
+    });
+  }
+
+  // Log a failed attempt and lock the account once it crosses the threshold.
+  // Returns { locked } so the caller can tell the user straight away.
+  async recordFailure(req, email, patient, failureReason = 'invalid_credentials') {
+    await this.recordAttempt(req, email, patient, false, failureReason);
+
+    if (!patient || failureReason === 'locked' || failureReason === 'throttled') {
+      return { locked: false };
+    }
+
+    // Count under a row lock: parallel guesses against a row each request loaded on its
+    // own would all write the same count and never reach the lockout
+    const { failures, lockedUntil, alreadyLocked } = await sequelize.transaction(async (transaction) => {
+      const current = await Patient.findByPk(patient.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (this.isLocked(current)) {
+        return { alreadyLocked: true };
+      }
+
+      const count = this.getActiveFailureCount(current) + 1;
+      const updates = count < this.maxFailedAttempts
+        ? { failedLoginAttempts: count, lastFailedLoginAt: new Date() }
+        : { failedLoginAttempts: 0, lastFailedLoginAt: new Date(), lockedUntil: new Date(Date.now() + this.lockoutMinutes * 60 * 1000) };
+      await current.update(updates, { transaction });
+      return { failures: count, lockedUntil: updates.lockedUntil || null };
+    });
+
+    // A parallel attempt got there first and has sent the email
+    if (alreadyLocked) return { locked: true };
+
+    if (!lockedUntil) return { locked: false };
+
+    // The unlock link is bound to the lock just set
+    await patient.reload();
+
+    console.warn(`⚠️ Account ${patient.id} locked after ${failures} failed sign-in attempts`);
+
+    const result = await emailService.sendAccountLockedEmail(patient, {
+      unlockToken: this.signUnlockToken(patient),
+      lockedUntil,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    if (result.error) {
+      console.error(`Failed to send lockout email to ${patient.email}:`, result.error);
+    }
+
+    return { locked: true };
+  }
+
+  async recordSuccess(req, patient) {
+    await this.recordAttempt(req, patient.email, patient, true);
+
+    if (patient.failedLoginAttempts || patient.lockedUntil) {
+      await this.unlock(patient);
+    }
+  }
+
+  async unlock(patient) {
+    return patient.update({ failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null });
+  }
+
+  // Bound to the current lock so the link stops working once that lock is lifted
+  signUnlockToken(patient) {
+    return jwt.sign(
+      {
+        patientId: patient.id,
+        lockedUntil: new Date(patient.lockedUntil).getTime(),
+        type: 'account_unlock'
+      },
+      JWT_SECRET,
+      { expiresIn: this.lockoutMinutes * 60 }
+    );
+  }
+
+  verifyUnlockToken(token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET);
+      return decoded.type === 'account_unlock' ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+const loginProtectionService = new LoginProtectionService();
+
+module.exports = loginProtectionService;
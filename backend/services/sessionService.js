@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'chronic-care-ai-secret-key';
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+class SessionService {
+  constructor() {
+    this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  signAccessToken(patient, session) {
+    return jwt.sign(
+      {
+        patientId: patient.id,
+        email: patient.email,
+        role: patient.role,
+        sessionId: session.id
+      },
+      JWT_SECRET,
+      { expiresIn: this.accessTokenExpiresIn }
+    );
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+  buildRefreshToken(session, secret) {
+    return `${session.id}.${secret}`;
+  }
+
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const separator = refreshToken.indexOf('.');
+    if (separator <= 0) return null;
+
+    return {
+      sessionId: refreshToken.slice(0, separator),
+      secret: refreshToken.slice(separator + 1)
+    };
+  }
+
+  getClientInfo(req) {
+    return {
+      userAgent: (req.get('User-Agent') || '').substring(0, 255) || null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  // Start a new session for a freshly authenticated patient
+  async createSession(patient, req) {
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const session = await Session.create({
+      patientId: patient.id,
+      refreshTokenHash: this.hashSecret(secret),
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000),
+      lastUsedAt: new Date(),
+      ...this.getClientInfo(req)
+    });
+
+    return {
+      session,
+      token: this.signAccessToken(patient, session),
+      refreshToken: this.buildRefreshToken(session, secret)
+    };
+  }
+
+  // Exchange a refresh token for a new access/refresh pair.
+  // Presenting an already-rotated token revokes the whole session.
+  async rotateSession(refreshToken, req) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      throw new SessionError('Invalid refresh token', 'invalid');
+    }
+
+    const session = await Session.findByPk(parsed.sessionId);
+    if (!session) {
+      throw new SessionError('Invalid refresh token', 'invalid');
+    }
+
+    if (session.revokedAt) {
+      throw new SessionError('Session has been revoked', 'revoked');
+    }
+
+    if (new Date(session.expiresAt) <= new Date()) {
+      throw new SessionError('Session expired', 'expired');
+    }
+
+    if (this.hashSecret(parsed.secret) !== session.refreshTokenHash) {
+      await this.revokeSession(session, 'token_reuse');
+      console.warn(`⚠️ Refresh token reuse detected for session ${session.id}, session revoked`);
+      throw new SessionError('Refresh token reuse detected', 'reuse');
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    await session.update({
+      refreshTokenHash: this.hashSecret(secret),
+      lastUsedAt: new Date(),
+      ...this.getClientInfo(req)
+    });
+
+    return {
+      session,
+      refreshToken: this.buildRefreshToken(session, secret)
+    };
+  }
+
+  async revokeSession(session, reason = 'revoked') {
+    if (session.revokedAt) return session;
+    return session.update({ revokedAt: new Date(), revokedReason: reason });
+  }
+
+  async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await Session.findByPk(parsed.sessionId);
+    if (!session || this.hashSecret(parsed.secret) !== session.refreshTokenHash) {
+      return null;
+    }
+
+    return this.revokeSession(session, reason);
+  }
+
+  // `except` keeps one session signed in, e.g. the one that changed the password
+  async revokeAllSessions(patientId, reason = 'revoked', { except = null } = {}) {
+    return Session.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { patientId, revokedAt: null, ...(except && { id: { [Op.ne]: except } }) } }
+    );
+  }
+
+  async isSessionActive(sessionId) {
+    const session = await Session.findByPk(sessionId);
+    return !!session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+  }
+
+  async getActiveSessions(patientId) {
+    return Session.findAll({
+      where: {
+        patientId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: { exclude: ['refreshTokenHash'] },
+      order: [['lastUsedAt', 'DESC']]
+    });
+  }
+}
+
+const sessionService = new SessionService();
+
+module.exports = sessionService;
+module.exports.SessionError = SessionError;
@@ -0,0 +1,247 @@
+const { Op } = require('sequelize');
+const { PatientTarget, Patient, HealthData, Goal } = require('../models');
+const aiAnalysisService = require('./aiAnalysisService');
+const { READING_TYPES } = require('../utils/readingTypes');
+const { convertValue, preferredUnit } = require('../utils/units');
+
+class TargetError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TargetError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Thresholds of a band, in the order their values must increase
+const BAND_KEYS = ['low', 'min', 'max', 'high'];
+
+// Peak flow bands are a share of the personal best rather than L/min
+const BAND_UNITS = { peak_flow: '% of personal best' };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseBloodPressure = (value) => typeof value === 'string' ? JSON.parse(value) : value;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+class TargetService {
+  constructor() {
+    // How far back goal suggestions look at readings
+    this.suggestionDays = 30;
+  }
+
+  // Types a target can be set for: every type the analysis has ranges for
+  get dataTypes() {
+    return Object.keys(aiAnalysisService.normalRanges);
+  }
+
+  // Defaults, the clinician's override and the effective ranges for every type
+  async listTargets(patientId) {
+    const targets = await PatientTarget.findAll({
+      where: { patientId },
+      include: [{ model: Patient, as: 'setBy', attributes: ['id', 'firstName', 'lastName'] }]
+    });
+    const ranges = aiAnalysisService.applyTargets(targets);
+
+    return this.dataTypes.map(dataType => {
+      const target = targets.find(t => t.dataType === dataType);
+      return {
+        dataType,
+        label: READING_TYPES[dataType].label,
+        unit: BAND_UNITS[dataType] || READING_TYPES[dataType].canonical,
+        defaults: aiAnalysisService.normalRanges[dataType],
+        override: target ? target.ranges : null,
+        ranges: ranges[dataType],
+        notes: target ? target.notes : null,
+        setBy: target && target.setBy
+          ? { id: target.setBy.id, name: `${target.setBy.firstName} ${target.setBy.lastName}` }
+          : null,
+        updatedAt: target ? target.updatedAt : null
+      };
+    });
+  }
+
+  // Check an override against the default shape: known keys only, numbers or null,
+  // and every band's thresholds in order once laid over the defaults
+  validateRanges(dataType, input) {
+    const ranges = this.cleanRanges(input, aiAnalysisService.normalRanges[dataType], 'ranges');
+    if (Object.keys(ranges).length === 0) {
+      throw new TargetError('Set at least one threshold, or remove the target to use the defaults');
+    }
+
+    const effective = aiAnalysisService.applyTargets([{ dataType, ranges }])[dataType];
+    this.checkOrder(effective, READING_TYPES[dataType].label);
+
+    if (ranges.personalBest !== undefined && ranges.personalBest !== null && ranges.personalBest <= 0) {
+      throw new TargetError('ranges.personalBest must be greater than 0');
+    }
+
+    return ranges;
+  }
+
+  cleanRanges(input, defaults, path) {
+    if (!isPlainObject(input)) {
+      throw new TargetError(`${path} must be an object`);
+    }
+
+    const cleaned = {};
+    for (const [key, value] of Object.entries(input)) {
+      if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+        throw new TargetError(`${path}.${key} is not a threshold for this reading type`);
+      }
+      if (isPlainObject(defaults[key])) {
+        cleaned[key] = this.cleanRanges(value, defaults[key], `${path}.${key}`);
+      } else if (value === null || (typeof value === 'number' && Number.isFinite(value))) {
+        cleaned[key] = value;
+      } else {
+        throw new TargetError(`${path}.${key} must be a number or null`);
+      }
+    }
+    return cleaned;
+  }
+
+  checkOrder(ranges, label) {
+    if (BAND_KEYS.some(key => key in ranges)) {
+      const bounds = BAND_KEYS.map(key => ranges[key]).filter(bound => typeof bound === 'number');
+      if (bounds.some((bound, i) => i > 0 && bound < bounds[i - 1])) {
+        throw new TargetError(`${label} thresholds must increase from low to min to max to high`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(ranges)) {
+      if (isPlainObject(value)) this.checkOrder(value, `${label} ${key.replace('_', ' ')}`);
+    }
+  }
+
+  async setTarget(patientId, dataType, { ranges, notes }, setById) {
+    if (!this.dataTypes.includes(dataType)) {
+      throw new TargetError(`Targets can't be set for ${dataType}`, 404);
+    }
+
+    const values = {
+      ranges: this.validateRanges(dataType, ranges),
+      notes: notes || null,
+      setById
+    };
+
+    const existing = await PatientTarget.findOne({ where: { patientId, dataType } });
+    return existing
+      ? existing.update(values)
+      : PatientTarget.create({ patientId, dataType, ...values });
+  }
+
+  // Back to the defaults; false when there was no target to remove
+  async clearTarget(patientId, dataType) {
+    const removed = await PatientTarget.destroy({ where: { patientId, dataType } });
+    return removed > 0;
+  }
+
+  // Goals worth setting where recent readings sit outside the patient's targets. A
+  // category that already has an open goal isn't suggested again. Values are in the
+  // viewer's preferred units.
+  async suggestGoals(patientId, unitPreferences = {}) {
+    const since = new Date(Date.now() - this.suggestionDays * 24 * 60 * 60 * 1000);
+    const [ranges, readings, openGoals] = await Promise.all([
+      aiAnalysisService.getRanges(patientId),
+      HealthData.findAll({
+        where: {
+          patientId,
+          dataType: { [Op.in]: ['blood_pressure', 'blood_sugar', 'weight'] },
+          recordedAt: { [Op.gte]: since }
+        },
+        order: [['recordedAt', 'DESC']]
+      }),
+      Goal.findAll({ where: { patientId, isAchieved: false }, attributes: ['category'] })
+    ]);
+
+    const taken = new Set(openGoals.map(goal => goal.category));
+    const ofType = (dataType) => readings.filter(reading => reading.dataType === dataType);
+    const display = (dataType, value) => {
+      const unit = preferredUnit(dataType, unitPreferences);
+      return { value: convertValue(dataType, value, READING_TYPES[dataType].canonical, unit), unit };
+    };
+
+    const suggestions = [
+      this.bloodPressureSuggestion(ofType('blood_pressure'), ranges.blood_pressure),
+      this.bloodSugarSuggestion(ofType('blood_sugar'), ranges.blood_sugar, display),
+      this.weightSuggestion(ofType('weight'), ranges.weight, display)
+    ];
+
+    return suggestions.filter(suggestion => suggestion && !taken.has(suggestion.category));
+  }
+
+  bloodPressureSuggestion(readings, band) {
+    const values = readings.map(reading => parseBloodPressure(reading.value));
+    if (values.length === 0) return null;
+
+    const systolic = band.systolic.max ?? band.systolic.high;
+    const diastolic = band.diastolic.max ?? band.diastolic.high;
+    const averageSystolic = Math.round(average(values.map(bp => bp.systolic)));
+    const averageDiastolic = Math.round(average(values.map(bp => bp.diastolic)));
+    if (averageSystolic <= systolic && averageDiastolic <= diastolic) return null;
+
+    return {
+      category: 'blood_pressure',
+      dataType: 'blood_pressure',
+      title: `Bring blood pressure down to ${systolic}/${diastolic} mmHg or lower`,
+      description: `Your average over the last ${this.suggestionDays} days is ${averageSystolic}/${averageDiastolic} mmHg.`,
+      targetValue: systolic,
+      unit: 'mmHg'
+    };
+  }
+
+  // The measurement context with the most readings above target, if over half are
+  bloodSugarSuggestion(readings, bands, display) {
+    const byContext = {};
+    for (const reading of readings) {
+      const context = bands[reading.measurementContext] ? reading.measurementContext : 'random';
+      const stats = byContext[context] || (byContext[context] = { total: 0, above: 0 });
+      stats.total += 1;
+      if (parseFloat(reading.value) > bands[context].max) stats.above += 1;
+    }
+
+    const [context, stats] = Object.entries(byContext)
+      .filter(([, { total, above }]) => above / total > 0.5)
+      .sort(([, a], [, b]) => b.above - a.above)[0] || [];
+    if (!context) return null;
+
+    const label = aiAnalysisService.seriesLabel('blood_sugar', context === 'random' ? null : context);
+    const target = display('blood_sugar', bands[context].max);
+    return {
+      category: 'blood_sugar',
+      dataType: 'blood_sugar',
+      measurementContext: context === 'random' ? null : context,
+      title: `Keep ${label} under ${target.value} ${target.unit}`,
+      description: `${stats.above} of your last ${stats.total} ${label} readings were above target.`,
+      targetValue: target.value,
+      unit: target.unit
+    };
+  }
+
+  // Only when a clinician has set a weight target
+  weightSuggestion(readings, band, display) {
+    if (readings.length === 0) return null;
+
+    const latest = parseFloat(readings[0].value);
+    const goal = typeof band.max === 'number' && latest > band.max ? band.max
+      : typeof band.min === 'number' && latest < band.min ? band.min
+        : null;
+    if (goal === null) return null;
+
+    const current = display('weight', latest);
+    const target = display('weight', goal);
+    return {
+      category: 'weight',
+      dataType: 'weight',
+      title: `Reach a weight of ${target.value} ${target.unit}`,
+      description: `Your latest weight is ${current.value} ${current.unit}; your care team's target is ${target.value} ${target.unit}.`,
+      targetValue: target.value,
+      unit: target.unit
+    };
+  }
+}
+
+const targetService = new TargetService();
+
+module.exports = targetService;
+module.exports.TargetError = TargetError;
@@ -0,0 +1,162 @@
+const { READING_TYPES } = require('../utils/readingTypes');
+const { READING_UNITS, presentReading } = require('../utils/units');
+const { ALPHA, linearRegression, predict, mannKendall, senSlope, binnedMeans } = require('../utils/timeSeries');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fewer readings than these and a trend, or a forecast, would be noise
+const MIN_TREND_READINGS = 3;
+const MIN_FORECAST_READINGS = 7;
+
+// Mann-Kendall and Sen's slope compare every pair of points, so longer series (a CGM
+// logs hundreds of readings a day) are averaged into daily or wider bins first
+const MAX_RANK_POINTS = 400;
+
+// Blood pressure is two series; every other type is one
+const COMPONENTS = {
+  blood_pressure: [
+    { key: 'systolic', label: 'Systolic pressure' },
+    { key: 'diastolic', label: 'Diastolic pressure' }
+  ]
+};
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+class TrendService {
+  componentsOf(dataType) {
+    return COMPONENTS[dataType] || [{ key: 'value', label: READING_TYPES[dataType]?.label || dataType }];
+  }
+
+  // Value of each component of a reading in the viewer's unit; null when it can't be read
+  componentValues(reading, unitPreferences) {
+    const { dataType, displayValue } = presentReading(reading, unitPreferences);
+
+    if (dataType === 'blood_pressure') {
+      try {
+        const bp = typeof displayValue === 'string' ? JSON.parse(displayValue) : displayValue;
+        const systolic = Number(bp.systolic);
+        const diastolic = Number(bp.diastolic);
+        return isNaN(systolic) || isNaN(diastolic) ? null : { systolic, diastolic };
+      } catch {
+        return null;
+      }
+    }
+
+    const value = parseFloat(displayValue);
+    return isNaN(value) ? null : { value };
+  }
+
+  // Trend, and optionally a forecast, for readings of one type (and, for blood sugar,
+  // one measurement context - callers pick the series). Readings may be in any order.
+  // Values are in the viewer's unit; `forecastDays` of 0 skips the forecast.
+  analyze(readings, { unitPreferences = null, forecastDays = 0, now = new Date() } = {}) {
+    const dataType = readings[0]?.dataType;
+    const unit = dataType ? presentReading(readings[0], unitPreferences).displayUnit : null;
+    const decimals = READING_UNITS[dataType]?.units[unit]?.decimals ?? 1;
+
+    const series = readings
+      .map(reading => ({ recordedAt: new Date(reading.recordedAt), values: this.componentValues(reading, unitPreferences) }))
+      .filter(entry => entry.values && !isNaN(entry.recordedAt.getTime()))
+      .sort((a, b) => a.recordedAt - b.recordedAt);
+
+    if (series.length < MIN_TREND_READINGS) {
+      return {
+        dataType,
+        unit,
+        dataPoints: series.length,
+        trend: 'insufficient_data',
+        components: [],
+        insights: [`Need at least ${MIN_TREND_READINGS} readings to look for a trend`]
+      };
+    }
+
+    // Time in days from the first reading, so slopes read as change per day
+    const origin = series[0].recordedAt.getTime();
+    const dayOf = (date) => (date.getTime() - origin) / DAY_MS;
+    const canForecast = forecastDays > 0 && series.length >= MIN_FORECAST_READINGS;
+
+    const components = this.componentsOf(dataType).map(({ key, label }) => {
+      const points = series.map(entry => ({ t: dayOf(entry.recordedAt), y: entry.values[key] }));
+      const regression = linearRegression(points);
+      const ranked = binnedMeans(points, MAX_RANK_POINTS);
+      const test = mannKendall(ranked);
+      const significant = test.pValue < ALPHA;
+
+      const fitted = (date) => round(predict(regression, dayOf(date)).value, decimals + 1);
+      const first = series[0].recordedAt;
+      const last = series[series.length - 1].recordedAt;
+
+      const component = {
+        key,
+        label,
+        points: series.map((entry, i) => ({ recordedAt: entry.recordedAt, value: points[i].y })),
+        // Robust rate for reporting; the least-squares line is what forecasts extend
+        slopePerDay: round(senSlope(ranked), 3),
+        regressionSlopePerDay: round(regression.slope, 3),
+        tau: round(test.tau, 3),
+        z: round(test.z, 2),
+        pValue: round(test.pValue, 4),
+        // Points the rank statistics above ran on: the readings, or their bin means
+        testedPoints: ranked.length,
+        direction: !significant || test.s === 0 ? 'stable' : test.s > 0 ? 'increasing' : 'decreasing',
+        fit: [
+          { recordedAt: first, value: fitted(first) },
+          { recordedAt: last, value: fitted(last) }
+        ]
+      };
+
+      if (canForecast) {
+        component.forecast = Array.from({ length: forecastDays }, (_, i) => {
+          const date = new Date(now.getTime() + (i + 1) * DAY_MS);
+          const { value, lower, upper } = predict(regression, dayOf(date));
+          return {
+            date,
+            value: round(value, decimals + 1),
+            // Readings can't go below zero, whatever the line says
+            lower: round(Math.max(0, lower), decimals + 1),
+            upper: round(upper, decimals + 1)
+          };
+        });
+      }
+
+      return component;
+    });
+
+    return {
+      dataType,
+      unit,
+      // Precision the unit is shown at; values here carry one more digit
+      decimals,
+      dataPoints: series.length,
+      trend: this.overallTrend(components),
+      confidenceLevel: 1 - ALPHA,
+      components,
+      insights: components.map(component => this.describe(component, unit, series.length, decimals))
+    };
+  }
+
+  // One direction for the whole reading: components moving apart are 'mixed'
+  overallTrend(components) {
+    const directions = new Set(components.map(c => c.direction).filter(d => d !== 'stable'));
+    if (directions.size === 0) return 'stable';
+    return directions.size === 1 ? [...directions][0] : 'mixed';
+  }
+
+  describe(component, unit, count, decimals) {
+    const subject = component.label;
+    let text = component.direction === 'stable'
+      ? `${subject} shows no clear trend across ${count} readings`
+      : `${subject} is ${component.direction === 'increasing' ? 'rising' : 'falling'} by about ${Math.abs(component.slopePerDay * 7).toFixed(decimals + 1)} ${unit} a week (p ${component.pValue < 0.001 ? '< 0.001' : `= ${component.pValue.toFixed(3)}`})`;
+
+    const end = component.forecast?.[component.forecast.length - 1];
+    if (end) {
+      text += `; expected around ${end.value.toFixed(decimals)} ${unit} in ${component.forecast.length} days (${Math.round((1 - ALPHA) * 100)}% range ${end.lower.toFixed(decimals)}-${end.upper.toFixed(decimals)})`;
+    }
+    return `${text}.`;
+  }
+}
+
+module.exports = new TrendService();
+module.exports.MIN_TREND_READINGS = MIN_TREND_READINGS;
+module.exports.MIN_FORECAST_READINGS = MIN_FORECAST_READINGS;
+module.exports.MAX_RANK_POINTS = MAX_RANK_POINTS;
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const { TwoFactorAuth } = require('../models');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'chronic-care-ai-secret-key';
+
+// RFC 6238 defaults: SHA-1, 6 digits, 30 second step; accept one step of clock drift
+authenticator.options = { window: 1 };
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Chronic Care AI';
+    this.recoveryCodeCount = 10;
+    this.challengeExpiresIn = '5m';
+  }
+
+  hashCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+  }
+
+  normalizeRecoveryCode(code) {
+    return String(code).replace(/[\s-]/g, '').toLowerCase();
+  }
+
+  // Start (or restart) enrollment with a fresh secret that stays pending until verified
+  async beginEnrollment(patient) {
+    const secret = authenticator.generateSecret();
+
+    const existing = await TwoFactorAuth.findOne({ where: { patientId: patient.id } });
+    if (existing) {
+      await existing.update({ secret, enabledAt: null, recoveryCodes: [], lastUsedStep: null });
+    } else {
+      await TwoFactorAuth.create({ patientId: patient.id, secret });
+    }
+
+    const otpauthUrl = authenticator.keyuri(patient.email, this.issuer, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  // Verify a TOTP code and record its time step so it can't be replayed
+  async verifyTotp(twoFactorAuth, code) {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return false;
+
+    const delta = authenticator.checkDelta(token, twoFactorAuth.secret);
+    if (delta === null) return false;
+
+    const step = Math.floor(Date.now() / 1000 / 30) + delta;
+    if (twoFactorAuth.lastUsedStep && step <= Number(twoFactorAuth.lastUsedStep)) {
+      return false;
+    }
+
+    await twoFactorAuth.update({ lastUsedStep: step });
+    return true;
+  }
+
+  // Consume a recovery code; each one works once
+  async useRecoveryCode(twoFactorAuth, code) {
+    const hash = this.hashCode(this.normalizeRecoveryCode(code));
+    const remaining = twoFactorAuth.recoveryCodes || [];
+
+    if (!remaining.includes(hash)) return false;
+
+    await twoFactorAuth.update({ recoveryCodes: remaining.filter(h => h !== hash) });
+    return true;
+  }
+
+  // Accepts either a current TOTP code or an unused recovery code
+  async verifyCode(twoFactorAuth, code) {
+    if (await this.verifyTotp(twoFactorAuth, code)) return { valid: true, method: 'totp' };
+    if (await this.useRecoveryCode(twoFactorAuth, code)) return { valid: true, method: 'recovery_code' };
+    return { valid: false };
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  // Confirm enrollment with a first valid code; returns plaintext recovery codes once
+  async completeEnrollment(patient, code) {
+    const twoFactorAuth = await TwoFactorAuth.findOne({ where: { patientId: patient.id } });
+    if (!twoFactorAuth || twoFactorAuth.enabledAt) {
+      return { error: 'No pending two-factor enrollment' };
+    }
+
+    if (!(await this.verifyTotp(twoFactorAuth, code))) {
+      return { error: 'Invalid verification code' };
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await twoFactorAuth.update({
+      enabledAt: new Date(),
+      recoveryCodes: recoveryCodes.map(c => this.hashCode(this.normalizeRecoveryCode(c)))
+    });
+    await patient.update({ twoFactorEnabled: true });
+
+    return { recoveryCodes };
+  }
+
+  async disable(patient) {
+    await TwoFactorAuth.destroy({ where: { patientId: patient.id } });
+    await patient.update({ twoFactorEnabled: false });
+  }
+
+  async getEnabled(patientId) {
+    const twoFactorAuth = await TwoFactorAuth.findOne({ where: { patientId } });
+    return twoFactorAuth && twoFactorAuth.enabledAt ? twoFactorAuth : null;
+  }
+
+  // Short-lived token proving the password step of a two-step login succeeded
+  signChallenge(patient) {
+    return jwt.sign(
+      { patientId: patient.id, type: '2fa_challenge' },
+      JWT_SECRET,
+      { expiresIn: this.challengeExpiresIn }
+    );
+  }
+
+  verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(challengeToken, JWT_SECRET);
+      return decoded.type === '2fa_challenge' ? decoded.patientId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+const twoFactorService = new TwoFactorService();
+
+module.exports = twoFactorService;
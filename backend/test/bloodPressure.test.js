@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stageBloodPressure, sessionReadings, stageSession } = require('../utils/bloodPressure');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2026-03-10T08:00:00Z');
+
+const bp = (systolic, diastolic, minutesAgo = 0, extra = {}) => ({
+  dataType: 'blood_pressure',
+  value: JSON.stringify({ systolic, diastolic }),
+  recordedAt: new Date(NOW.getTime() - minutesAgo * MINUTE),
+  ...extra
+});
+
+test('readings are staged by the ACC/AHA categories', () => {
+  const stage = (systolic, diastolic) => stageBloodPressure({ systolic, diastolic }).stage;
+
+  assert.strictEqual(stage(115, 75), 'normal');
+  assert.strictEqual(stage(125, 78), 'elevated');
+  assert.strictEqual(stage(125, 82), 'stage_1');
+  assert.strictEqual(stage(132, 70), 'stage_1');
+  assert.strictEqual(stage(128, 92), 'stage_2');
+  assert.strictEqual(stage(145, 85), 'stage_2');
+  assert.strictEqual(stage(180, 120), 'stage_2');
+  assert.strictEqual(stage(181, 100), 'hypertensive_crisis');
+  assert.strictEqual(stage(190, 125), 'hypertensive_crisis');
+  assert.strictEqual(stageBloodPressure({ systolic: 190, diastolic: 125 }).label, 'Hypertensive crisis');
+});
+
+test('a sitting is the readings taken in the 15 minutes up to this one', () => {
+  const current = bp(150, 95);
+  const history = [
+    bp(160, 100, 5),
+    bp(170, 104, 14),
+    bp(120, 80, 40),
+    { dataType: 'heart_rate', value: '80', recordedAt: NOW },
+    bp(200, 130, -3)
+  ];
+
+  assert.strictEqual(sessionReadings(current, history).length, 3);
+  assert.deepStrictEqual(stageSession(current, history), {
+    stage: 'stage_2',
+    label: 'Stage 2 hypertension',
+    systolic: 160,
+    diastolic: 100,
+    readings: 3
+  });
+});
+
+test('a saved reading found in its own history is counted once', () => {
+  const current = bp(130, 85, 0, { id: 'r1' });
+  const copy = bp(130, 85, 0, { id: 'r1' });
+  assert.strictEqual(stageSession(current, [copy]).readings, 1);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DATA_TYPES } = require('../utils/readingTypes');
+
+// Parsing needs no database; only the reading types come from the model
+const modelsPath = path.join(__dirname, '..', 'models', 'index.js');
+require.cache[modelsPath] = {
+  id: modelsPath,
+  filename: modelsPath,
+  loaded: true,
+  exports: { HealthData: { rawAttributes: { dataType: { values: DATA_TYPES } } } }
+};
+
+const healthImportService = require('../services/healthImportService');
+const { normalizeReadingValue, parseBloodPressure } = require('../utils/healthReadings');
+
+const HEADERS = ['Date', 'Type', 'Value', 'Unit'];
+const MAPPING = { recordedAt: 'Date', dataType: 'Type', value: 'Value', unit: 'Unit' };
+
+const build = (row, options) => healthImportService.buildReading(row, HEADERS, MAPPING, {}, {}, options);
+const errorsOf = (row, options) => (build(row, options).errors || []).map(e => e.message);
+
+test('blood pressure is two whole numbers, plausible and in order', () => {
+  assert.deepStrictEqual(parseBloodPressure(' 120 / 80 '), { bloodPressure: { systolic: 120, diastolic: 80 } });
+
+  for (const text of ['120abc/80', '120.5/80', '120/80/60', '120', '/80', '1200/80']) {
+    assert.match(parseBloodPressure(text).error, /format/, text);
+  }
+  assert.match(parseBloodPressure('999/50').error, /Systolic pressure must be between 50 and 300/);
+  assert.match(parseBloodPressure('120/10').error, /Diastolic pressure must be between 20 and 200/);
+  assert.match(parseBloodPressure('80/120').error, /higher than diastolic/);
+
+  // Manual entry goes through the same parser
+  assert.deepStrictEqual(normalizeReadingValue('blood_pressure', '130/85'), { value: '{"systolic":130,"diastolic":85}' });
+  assert.ok(normalizeReadingValue('blood_pressure', { systolic: 130, diastolic: 85 }).error);
+  assert.deepStrictEqual(errorsOf(['2024-03-01 08:00', 'Blood Pressure', '120abc/80', 'mmHg']),
+    ['Invalid blood pressure "120abc/80": Invalid blood pressure format. Use format: 120/80']);
+});
+
+test('values are wholly numeric, with decimal commas read as points', () => {
+  const { reading } = build(['2024-03-01 08:00', 'blood_sugar', '6,5', 'mmol/L']);
+  assert.strictEqual(reading.value, '117.1');
+  assert.strictEqual(reading.unit, 'mg/dL');
+
+  assert.deepStrictEqual(errorsOf(['2024-03-01 08:00', 'blood_sugar', '12abc', 'mg/dL']), ['"12abc" is not a number']);
+  assert.deepStrictEqual(errorsOf(['2024-03-01 08:00', 'weight', '-70', 'kg']), ['Weight must be between 0.5 and 650 kg']);
+});
+
+test('dates without an offset are wall-clock time in the patient\'s timezone', () => {
+  const options = { timeZone: 'Europe/Berlin' };
+  assert.strictEqual(build(['2024-03-01 08:00', 'heart_rate', '72', 'bpm'], options).reading.recordedAt.toISOString(), '2024-03-01T07:00:00.000Z');
+  assert.strictEqual(build(['2024-07-01', 'heart_rate', '72', 'bpm'], options).reading.recordedAt.toISOString(), '2024-06-30T22:00:00.000Z');
+  assert.strictEqual(build(['2024-03-01T08:00:00Z', 'heart_rate', '72', 'bpm'], options).reading.recordedAt.toISOString(), '2024-03-01T08:00:00.000Z');
+  assert.deepStrictEqual(errorsOf(['31/02/2024', 'heart_rate', '72', 'bpm'], { dateOrder: 'dmy' }), ['Unrecognised date "31/02/2024"']);
+});
+
+test('numeric dates are read in the order the file uses', () => {
+  assert.strictEqual(healthImportService.detectDateOrder(['01/02/2024', '25/02/2024']), 'dmy');
+  assert.strictEqual(healthImportService.detectDateOrder(['01/02/2024', '02/25/2024']), 'mdy');
+  assert.strictEqual(healthImportService.detectDateOrder(['01/02/2024']), 'mdy');
+
+  const dayFirst = healthImportService.parseDate('01/02/2024', 'UTC', 'dmy');
+  assert.strictEqual(dayFirst.toISOString(), '2024-02-01T00:00:00.000Z');
+  assert.strictEqual(healthImportService.parseDate('01/02/2024 8:05 PM', 'UTC').toISOString(), '2024-01-02T20:05:00.000Z');
+});
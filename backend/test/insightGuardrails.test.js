@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { SAFETY_NOTE, isDosingAdvice, stripDosingAdvice } = require('../utils/insightGuardrails');
+
+test('dosing and medication-change advice is recognised', () => {
+  assert.ok(isDosingAdvice('Take 500 mg of metformin with dinner.'));
+  assert.ok(isDosingAdvice('You could increase your insulin by 2 units.'));
+  assert.ok(isDosingAdvice('Try taking an extra pill tonight.'));
+  assert.ok(isDosingAdvice('Stop taking your statin if your muscles ache.'));
+  assert.ok(isDosingAdvice('Your dosage may need adjusting.'));
+  assert.ok(isDosingAdvice('Take 1000 mg/day of metformin.'));
+  assert.ok(isDosingAdvice('Try 2 units/kg insulin tonight.'));
+  assert.ok(isDosingAdvice('Use 5 mL / hour of the solution.'));
+});
+
+test('readings and ordinary advice are left alone', () => {
+  assert.ok(!isDosingAdvice('Your fasting blood sugar of 130 mg/dL is above your target.'));
+  assert.ok(!isDosingAdvice('Your eGFR of 55 mL/min/1.73m² is steady.'));
+  assert.ok(!isDosingAdvice('Your haemoglobin of 13 g/dL and CRP of 4 mg/L are normal.'));
+  assert.ok(!isDosingAdvice('Keep taking your medication as prescribed.'));
+  assert.ok(!isDosingAdvice('Your blood pressure is lower than last week.'));
+});
+
+test('stripped text keeps its paragraphs and points to the care team', () => {
+  const { text, removed } = stripDosingAdvice('Great work this week. Take 2 tablets in the morning!\n\nKeep walking daily.');
+
+  assert.deepStrictEqual(removed, ['Take 2 tablets in the morning!']);
+  assert.strictEqual(text, `Great work this week.\n\nKeep walking daily.\n\n${SAFETY_NOTE}`);
+  assert.deepStrictEqual(stripDosingAdvice('All steady.'), { text: 'All steady.', removed: [] });
+  assert.strictEqual(stripDosingAdvice('Double your insulin dose.').text, '');
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { PROMPTS_FILE, validatePromptSet, compilePromptSet, loadPromptSet, renderPrompt } = require('../utils/insightPrompts');
+
+const shipped = loadPromptSet();
+
+test('the shipped prompts are valid and cover what the analysis asks for', () => {
+  assert.deepStrictEqual(validatePromptSet(JSON.parse(fs.readFileSync(PROMPTS_FILE, 'utf8'))), []);
+  assert.ok(shipped.prompts.reading_explanation);
+  assert.ok(shipped.prompts.progress_summary);
+});
+
+test('validation reports undeclared placeholders and bad fields', () => {
+  const errors = validatePromptSet({
+    version: '',
+    prompts: {
+      a: { variables: ['reading'], system: 'Be kind.', user: 'Explain {reading} and {risk}', maxTokens: 0 },
+      b: { variables: [], system: '', user: 'Hi', temperature: 1 }
+    }
+  });
+
+  assert.ok(errors.includes('version must be a non-empty string'));
+  assert.ok(errors.includes('a.user uses {risk}, which isn\'t in its variables'));
+  assert.ok(errors.includes('a.maxTokens must be a positive whole number'));
+  assert.ok(errors.includes('b.system must be a non-empty string'));
+  assert.ok(errors.includes('b has unknown key "temperature"'));
+  assert.throws(() => compilePromptSet({ version: '1', prompts: {} }), /prompts must be a non-empty object/);
+});
+
+test('rendering fills lists, flags and missing values and records the prompt version', () => {
+  const rendered = renderPrompt(shipped, 'reading_explanation', {
+    reading: 'heart rate: 72 bpm',
+    riskLevel: 'low',
+    insights: ['Heart rate is within your target range.'],
+    trends: [],
+    lateEntry: false
+  });
+
+  assert.match(rendered.user, /Reading: heart rate: 72 bpm/);
+  assert.match(rendered.user, /- Heart rate is within your target range\./);
+  assert.match(rendered.user, /Trends:\nnone/);
+  assert.match(rendered.user, /Entered after the fact: no/);
+  assert.deepStrictEqual(rendered.prompt, { id: 'reading_explanation', version: shipped.version });
+  assert.throws(() => renderPrompt(shipped, 'nope'), /Unknown insight prompt "nope"/);
+});
@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const insightService = require('../services/insightService');
+const {
+  InsightProvider,
+  OpenAICompatibleProvider,
+  LocalInsightProvider,
+  createInsightProvider
+} = require('../services/insightProviders');
+const { SAFETY_NOTE } = require('../utils/insightGuardrails');
+
+const values = { reading: 'heart rate: 72 bpm', riskLevel: 'low', insights: ['Heart rate is within your target range.'] };
+const FALLBACK = 'Heart rate is within your target range.';
+
+// A stand-in for llama.cpp, Ollama or OpenAI: records each request and answers with `reply`
+let reply = { status: 200, body: { choices: [{ message: { content: 'Your heart rate looks healthy.' } }] } };
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply.body));
+  });
+});
+const ready = new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = () => `http://127.0.0.1:${server.address().port}/v1/`;
+
+after(() => server.close());
+
+test('the environment picks the provider, falling back to local when misconfigured', () => {
+  assert.ok(createInsightProvider({}) instanceof LocalInsightProvider);
+  assert.ok(createInsightProvider({ INSIGHT_PROVIDER: 'openai', INSIGHT_MODEL: 'llama3' }) instanceof OpenAICompatibleProvider);
+  assert.ok(createInsightProvider({ INSIGHT_PROVIDER: 'openai' }) instanceof LocalInsightProvider);
+  assert.ok(createInsightProvider({ INSIGHT_PROVIDER: 'gpt' }) instanceof LocalInsightProvider);
+});
+
+test('the OpenAI-compatible adapter sends a chat completion and reads the reply', async () => {
+  await ready;
+  const provider = new OpenAICompatibleProvider({ baseUrl: baseUrl(), model: 'llama3', apiKey: 'secret' });
+  insightService.setProvider(provider);
+
+  const result = await insightService.narrate('reading_explanation', values, FALLBACK);
+  assert.deepStrictEqual(result.text, 'Your heart rate looks healthy.');
+  assert.strictEqual(result.source, 'openai');
+  assert.strictEqual(result.prompt.id, 'reading_explanation');
+
+  const [request] = requests.slice(-1);
+  assert.strictEqual(request.url, '/v1/chat/completions');
+  assert.strictEqual(request.headers.authorization, 'Bearer secret');
+  assert.strictEqual(request.body.model, 'llama3');
+  assert.deepStrictEqual(request.body.messages.map(m => m.role), ['system', 'user']);
+  assert.match(request.body.messages[1].content, /heart rate: 72 bpm/);
+
+  // Local servers run without a key
+  await new OpenAICompatibleProvider({ baseUrl: baseUrl(), model: 'llama3' }).generate({ system: 's', user: 'u' });
+  assert.strictEqual(requests[requests.length - 1].headers.authorization, undefined);
+});
+
+test('a failing or empty provider falls back to the rule-based text', async () => {
+  await ready;
+  insightService.setProvider(new OpenAICompatibleProvider({ baseUrl: baseUrl(), model: 'llama3' }));
+
+  reply = { status: 500, body: { error: 'model not loaded' } };
+  assert.deepStrictEqual(await insightService.narrate('reading_explanation', values, FALLBACK),
+    { text: FALLBACK, source: 'rules', prompt: null, removedSentences: 0 });
+
+  reply = { status: 200, body: { choices: [{ message: { content: '  ' } }] } };
+  assert.strictEqual((await insightService.narrate('reading_explanation', values, FALLBACK)).source, 'rules');
+
+  insightService.setProvider(new InsightProvider('broken'));
+  assert.strictEqual((await insightService.narrate('reading_explanation', values, FALLBACK)).text, FALLBACK);
+});
+
+test('dosing advice in a reply is removed, and a reply that is all dosing advice is not used', async () => {
+  insightService.setProvider(new LocalInsightProvider({
+    responses: { reading_explanation: 'Your heart rate is fine. Take 25 mg of metoprolol tonight.' }
+  }));
+  const guarded = await insightService.narrate('reading_explanation', values, FALLBACK);
+  assert.strictEqual(guarded.text, `Your heart rate is fine.\n\n${SAFETY_NOTE}`);
+  assert.strictEqual(guarded.removedSentences, 1);
+
+  insightService.setProvider(new LocalInsightProvider({ responses: { reading_explanation: 'Double your dose.' } }));
+  assert.strictEqual((await insightService.narrate('reading_explanation', values, FALLBACK)).source, 'rules');
+});
+
+test('the local provider is deterministic', async () => {
+  insightService.setProvider(new LocalInsightProvider());
+  const first = await insightService.narrate('progress_summary', {}, 'You logged 5 readings.');
+  const second = await insightService.narrate('progress_summary', {}, 'You logged 5 readings.');
+
+  assert.deepStrictEqual(first, second);
+  assert.strictEqual(first.text, 'You logged 5 readings.');
+  assert.strictEqual(first.source, 'local');
+});
@@ -0,0 +1,129 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const PATIENT_ID = '11111111-1111-4111-8111-111111111111';
+
+// One patient row shared by every "request", and a transaction that runs its callbacks
+// one at a time the way a row lock would
+let row;
+let lockChain = Promise.resolve();
+const attempts = [];
+let countedWhere = null;
+
+const models = {
+  sequelize: {
+    transaction(callback) {
+      const run = lockChain.then(() => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+      lockChain = run.catch(() => {});
+      return run;
+    }
+  },
+  Patient: {
+    async findByPk(id) {
+      return id === row.id ? instance() : null;
+    }
+  },
+  LoginAttempt: {
+    async create(data) {
+      attempts.push(data);
+      return data;
+    },
+    async count({ where }) {
+      countedWhere = where;
+      return attempts.filter(a => a.ipAddress === where.ipAddress && !a.successful && where.failureReason.includes(a.failureReason)).length;
+    }
+  }
+};
+
+const modelsPath = path.join(__dirname, '..', 'models', 'index.js');
+require.cache[modelsPath] = { id: modelsPath, filename: modelsPath, loaded: true, exports: models };
+
+const emailService = require('../services/emailService');
+const loginProtectionService = require('../services/loginProtectionService');
+
+const lockEmails = [];
+emailService.sendAccountLockedEmail = async (patient, details) => {
+  lockEmails.push(details);
+  return { success: true };
+};
+
+// A fresh copy of the stored row, as each request would load it
+const instance = () => {
+  const copy = { ...row };
+  copy.update = async (updates) => {
+    Object.assign(row, updates);
+    Object.assign(copy, updates);
+  };
+  copy.reload = async () => Object.assign(copy, row);
+  return copy;
+};
+
+const req = { ip: '203.0.113.7', get: () => 'test-agent' };
+
+beforeEach(() => {
+  row = { id: PATIENT_ID, email: 'owner@example.com', failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null };
+  attempts.length = 0;
+  lockEmails.length = 0;
+});
+
+test('failures add up to a lockout and one email', async () => {
+  for (let i = 1; i < loginProtectionService.maxFailedAttempts; i++) {
+    assert.deepStrictEqual(await loginProtectionService.recordFailure(req, row.email, instance()), { locked: false });
+    assert.strictEqual(row.failedLoginAttempts, i);
+  }
+
+  assert.deepStrictEqual(await loginProtectionService.recordFailure(req, row.email, instance()), { locked: true });
+  assert.ok(loginProtectionService.isLocked(row));
+  assert.strictEqual(lockEmails.length, 1);
+  const token = loginProtectionService.verifyUnlockToken(lockEmails[0].unlockToken);
+  assert.strictEqual(token.lockedUntil, new Date(row.lockedUntil).getTime());
+});
+
+test('parallel wrong guesses are all counted', async () => {
+  // Every request loaded the row before any of them recorded its failure
+  const loaded = Array.from({ length: 10 }, () => instance());
+  const results = await Promise.all(loaded.map(patient => loginProtectionService.recordFailure(req, row.email, patient)));
+
+  assert.strictEqual(results.filter(r => r.locked).length, 10 - loginProtectionService.maxFailedAttempts + 1);
+  assert.ok(loginProtectionService.isLocked(row));
+  assert.strictEqual(lockEmails.length, 1);
+});
+
+test('refused attempts are logged but neither count nor lock', async () => {
+  await loginProtectionService.recordFailure(req, row.email, instance(), 'throttled');
+  await loginProtectionService.recordFailure(req, row.email, instance(), 'locked');
+  await loginProtectionService.recordFailure(req, 'nobody@example.com', null);
+
+  assert.strictEqual(row.failedLoginAttempts, 0);
+  assert.deepStrictEqual(attempts.map(a => a.failureReason), ['throttled', 'locked', 'invalid_credentials']);
+});
+
+test('the retry delay doubles with each recent failure, up to the cap', () => {
+  const justFailed = (failedLoginAttempts) => ({ failedLoginAttempts, lastFailedLoginAt: new Date() });
+
+  assert.strictEqual(loginProtectionService.getRetryDelay({ failedLoginAttempts: 0 }), 0);
+  assert.strictEqual(loginProtectionService.getRetryDelay(justFailed(1)), 1);
+  assert.strictEqual(loginProtectionService.getRetryDelay(justFailed(3)), 4);
+  assert.strictEqual(loginProtectionService.getRetryDelay(justFailed(10)), loginProtectionService.maxDelaySeconds);
+
+  // Failures older than the lockout window are forgotten
+  const stale = { failedLoginAttempts: 3, lastFailedLoginAt: new Date(Date.now() - (loginProtectionService.lockoutMinutes + 1) * 60000) };
+  assert.strictEqual(loginProtectionService.getActiveFailureCount(stale), 0);
+});
+
+test('an address is blocked on credential failures only', async () => {
+  for (let i = 0; i < loginProtectionService.ipMaxFailedAttempts - 1; i++) {
+    await loginProtectionService.recordAttempt(req, 'a@example.com', null, false, 'invalid_credentials');
+  }
+  // A client retrying while blocked mustn't extend its own block
+  for (let i = 0; i < 50; i++) {
+    await loginProtectionService.recordAttempt(req, 'a@example.com', null, false, 'throttled');
+  }
+  assert.strictEqual(await loginProtectionService.isIpBlocked(req.ip), false);
+  assert.deepStrictEqual(countedWhere.failureReason, ['invalid_credentials', 'invalid_2fa']);
+
+  await loginProtectionService.recordAttempt(req, 'a@example.com', null, false, 'invalid_2fa');
+  assert.strictEqual(await loginProtectionService.isIpBlocked(req.ip), true);
+  assert.strictEqual(await loginProtectionService.isIpBlocked(null), false);
+});
@@ -0,0 +1,194 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const OWNER_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_ID = '22222222-2222-4222-8222-222222222222';
+const CAREGIVER_ID = '33333333-3333-4333-8333-333333333333';
+
+// In-memory stand-in for a Sequelize model, enough for the routes under test
+const createModel = (name, rows = []) => ({
+  name,
+  rows,
+  async findByPk(id) {
+    return rows.find(row => row.id === id) || null;
+  },
+  async findAll() {
+    return rows;
+  },
+  async findOne({ where = {} } = {}) {
+    return rows.find(row => Object.entries(where).every(([key, value]) => row[key] === value)) || null;
+  },
+  async count() {
+    return rows.length;
+  },
+  async create(data) {
+    return { id: `${name}-new`, ...data, update: async () => {} };
+  }
+});
+
+const withUpdate = (row) => ({ ...row, update: async () => {}, destroy: async () => {} });
+
+const models = {
+  Patient: createModel('Patient', [
+    { id: OWNER_ID, email: 'owner@example.com', firstName: 'Owner', role: 'patient', chronicConditions: [] },
+    { id: OTHER_ID, email: 'other@example.com', firstName: 'Other', role: 'patient', chronicConditions: [] },
+    { id: CAREGIVER_ID, email: 'nurse@example.com', firstName: 'Nurse', role: 'caregiver', chronicConditions: [] }
+  ]),
+  HealthData: createModel('HealthData', [withUpdate({ id: 'hd-other', patientId: OTHER_ID, dataType: 'blood_sugar', value: '1100' })]),
+  Medication: createModel('Medication', [withUpdate({ id: 'med-other', patientId: OTHER_ID, name: 'Metformin' })]),
+  Reminder: createModel('Reminder', [withUpdate({ id: 'rem-other', patientId: OTHER_ID })]),
+  Goal: createModel('Goal', [withUpdate({ id: 'goal-other', patientId: OTHER_ID, targetValue: 10 })]),
+  Feedback: createModel('Feedback'),
+  AuditEvent: createModel('AuditEvent'),
+  CareRelationship: createModel('CareRelationship', [
+    { id: 'care-1', patientId: OTHER_ID, caregiverId: CAREGIVER_ID, relationshipType: 'caregiver', permissions: ['read_vitals'], status: 'active' },
+    // A patient account can never borrow access through a relationship row
+    { id: 'care-2', patientId: OTHER_ID, caregiverId: OWNER_ID, relationshipType: 'caregiver', permissions: ['read_vitals'], status: 'active' }
+  ])
+};
+
+// Swap the database-backed models module for the in-memory stand-ins
+const modelsPath = path.join(__dirname, '..', 'models', 'index.js');
+require.cache[modelsPath] = {
+  id: modelsPath,
+  filename: modelsPath,
+  loaded: true,
+  exports: models
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/health-data', require('../routes/healthData'));
+app.use('/api/medications', require('../routes/medications'));
+app.use('/api/reminders', require('../routes/reminders'));
+app.use('/api/goals', require('../routes/goals'));
+app.use('/api/patients', require('../routes/patients'));
+app.use('/api/ai-analysis', require('../routes/aiAnalysis'));
+
+const token = jwt.sign(
+  { patientId: OWNER_ID, email: 'owner@example.com' },
+  process.env.JWT_SECRET || 'chronic-care-ai-secret-key'
+);
+
+const caregiverToken = jwt.sign(
+  { patientId: CAREGIVER_ID, email: 'nurse@example.com' },
+  process.env.JWT_SECRET || 'chronic-care-ai-secret-key'
+);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+});
+
+const request = (method, url, body, authToken = token) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  return fetch(`${baseUrl}${url}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+};
+
+test('patient-scoped routes reject requests without a token', async () => {
+  const res = await request('GET', `/health-data/patient/${OWNER_ID}`, null, null);
+  assert.strictEqual(res.status, 401);
+});
+
+test('reading another patient\'s records returns 403', async () => {
+  const urls = [
+    `/health-data/patient/${OTHER_ID}`,
+    `/health-data/patient/${OTHER_ID}/trends?dataType=weight`,
+    `/medications/patient/${OTHER_ID}`,
+    `/reminders/patient/${OTHER_ID}`,
+    `/goals/patient/${OTHER_ID}`,
+    `/patients/${OTHER_ID}/dashboard`,
+    `/ai-analysis/patient/${OTHER_ID}/risk-assessment`
+  ];
+
+  for (const url of urls) {
+    const res = await request('GET', url);
+    assert.strictEqual(res.status, 403, `GET ${url}`);
+  }
+});
+
+test('creating records for another patient returns 403', async () => {
+  const cases = [
+    ['/health-data', { patientId: OTHER_ID, dataType: 'weight', value: '70', unit: 'kg' }],
+    ['/medications', { patientId: OTHER_ID, name: 'Aspirin', dosage: '81mg', frequency: 'daily' }],
+    ['/reminders', { patientId: OTHER_ID, type: 'diet', title: 'Lunch', message: 'Eat', scheduledFor: new Date() }],
+    ['/goals', { patientId: OTHER_ID, title: 'Walk', targetValue: 10, category: 'exercise' }],
+    ['/ai-analysis/analyze-health-data', { patientId: OTHER_ID, healthData: {} }]
+  ];
+
+  for (const [url, body] of cases) {
+    const res = await request('POST', url, body);
+    assert.strictEqual(res.status, 403, `POST ${url}`);
+  }
+});
+
+test('changing another patient\'s rows returns 403', async () => {
+  const cases = [
+    ['PUT', '/health-data/hd-other', { value: '110' }],
+    ['DELETE', '/health-data/hd-other'],
+    ['PUT', '/medications/med-other', { dosage: '1000mg' }],
+    ['POST', '/medications/med-other/taken', {}],
+    ['PATCH', '/reminders/rem-other/complete'],
+    ['DELETE', '/reminders/rem-other'],
+    ['PATCH', '/goals/goal-other/progress', { currentValue: 5 }],
+    ['DELETE', '/goals/goal-other']
+  ];
+
+  for (const [method, url, body] of cases) {
+    const res = await request(method, url, body);
+    assert.strictEqual(res.status, 403, `${method} ${url}`);
+  }
+});
+
+test('missing rows return 404 before any ownership decision', async () => {
+  const res = await request('DELETE', '/goals/does-not-exist');
+  assert.strictEqual(res.status, 404);
+});
+
+test('patients can still read their own records', async () => {
+  const res = await request('GET', `/goals/patient/${OWNER_ID}`);
+  assert.strictEqual(res.status, 200);
+});
+
+test('caregivers can use the permissions a patient granted them', async () => {
+  const res = await request('GET', `/health-data/patient/${OTHER_ID}`, null, caregiverToken);
+  assert.strictEqual(res.status, 200);
+});
+
+test('caregivers are refused anything outside their granted permissions', async () => {
+  const urls = [
+    `/medications/patient/${OTHER_ID}`,
+    `/goals/patient/${OTHER_ID}`,
+    `/reminders/patient/${OTHER_ID}`,
+    `/health-data/patient/${OWNER_ID}`
+  ];
+
+  for (const url of urls) {
+    const res = await request('GET', url, null, caregiverToken);
+    assert.strictEqual(res.status, 403, `GET ${url}`);
+  }
+
+  const res = await request('POST', '/health-data', { patientId: OTHER_ID, dataType: 'weight', value: '70', unit: 'kg' }, caregiverToken);
+  assert.strictEqual(res.status, 403);
+
+  // Reading vitals doesn't extend to correcting them
+  const edit = await request('PUT', '/health-data/hd-other', { value: '110' }, caregiverToken);
+  assert.strictEqual(edit.status, 403);
+});
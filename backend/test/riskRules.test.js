@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { RULES_FILE, evaluate, validateRuleSet, compileRuleSet, loadRuleSet, maxWindowHours } = require('../utils/riskRules');
+const { DEFAULT_RANGES, mergeRanges } = require('../utils/targetRanges');
+const { DATA_TYPES } = require('../utils/readingTypes');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const reading = (dataType, value, hoursAgo = 0, extra = {}) => ({
+  dataType,
+  value,
+  recordedAt: new Date(NOW.getTime() - hoursAgo * HOUR),
+  ...extra
+});
+
+const bp = (systolic, diastolic, hoursAgo) => reading('blood_pressure', JSON.stringify({ systolic, diastolic }), hoursAgo);
+
+const shipped = loadRuleSet();
+
+test('the shipped rule set is valid and covers every reading type', () => {
+  assert.deepStrictEqual(validateRuleSet(JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'))), []);
+  for (const dataType of DATA_TYPES) {
+    assert.ok(shipped.byType[dataType], `no rules for ${dataType}`);
+  }
+});
+
+test('validation reports unknown facts, bad range paths and missing fallbacks', () => {
+  const errors = validateRuleSet({
+    version: '1',
+    rules: [
+      { id: 'hr', dataType: 'heart_rate', when: { fact: 'pulse', op: 'gt', value: { range: 'maxx' } }, riskLevel: 'high', insight: 'x' },
+      { id: 'hr', dataType: 'heart_rate', riskLevel: 'severe', insight: '{band.max}' }
+    ]
+  });
+
+  assert.ok(errors.some(e => e.includes('unknown fact "pulse"')));
+  assert.ok(errors.some(e => e.includes('range "maxx"')));
+  assert.ok(errors.some(e => e.includes('id is used by another rule')));
+  assert.ok(errors.some(e => e.includes('riskLevel must be one of')));
+  assert.ok(errors.some(e => e.startsWith('blood_sugar has no fallback rule')));
+  assert.ok(!errors.some(e => e.startsWith('heart_rate has no fallback rule')));
+  assert.throws(() => compileRuleSet({ version: '1', rules: [] }), /rules must be a non-empty list/);
+});
+
+test('every result records the rule and rule set version that decided it', () => {
+  const result = evaluate(reading('heart_rate', '72'));
+  assert.strictEqual(result.riskLevel, 'low');
+  assert.deepStrictEqual(result.rule, { id: 'hr-in-range', version: shipped.version });
+});
+
+test('types the old analysis skipped are classified', () => {
+  assert.strictEqual(evaluate(reading('oxygen_saturation', '92')).riskLevel, 'moderate');
+  assert.strictEqual(evaluate(reading('oxygen_saturation', '89')).riskLevel, 'high');
+  assert.strictEqual(evaluate(reading('activity_level', '15')).rule.id, 'activity-below-target');
+  assert.strictEqual(evaluate(reading('sleep_quality', '3.5')).riskLevel, 'moderate');
+});
+
+test('thresholds follow the patient\'s target ranges', () => {
+  assert.strictEqual(evaluate(bp(135, 80)).riskLevel, 'moderate');
+
+  const ranges = mergeRanges(DEFAULT_RANGES, {
+    blood_pressure: { systolic: { max: 140, high: 150 }, diastolic: { max: 85, high: 90 } }
+  });
+  const result = evaluate(bp(135, 80), { ranges });
+  assert.strictEqual(result.riskLevel, 'low');
+  assert.strictEqual(result.insight, 'Blood pressure of 135/80 mmHg is within your target range.');
+});
+
+test('blood sugar is judged against the range for its measurement context', () => {
+  const fasting = evaluate(reading('blood_sugar', '115', 0, { measurementContext: 'fasting' }));
+  assert.strictEqual(fasting.riskLevel, 'moderate');
+  assert.match(fasting.insight, /^Fasting blood sugar of 115 mg\/dL is above the 100 mg\/dL target/);
+
+  assert.strictEqual(evaluate(reading('blood_sugar', '115', 0, { measurementContext: 'post_meal' })).riskLevel, 'low');
+});
+
+test('dangerous values are critical', () => {
+  assert.strictEqual(evaluate(bp(190, 125)).riskLevel, 'critical');
+  assert.strictEqual(evaluate(reading('blood_sugar', '35')).riskLevel, 'critical');
+  assert.strictEqual(evaluate(reading('oxygen_saturation', '82')).riskLevel, 'critical');
+  assert.strictEqual(evaluate(reading('peak_flow', '120'), { personalBest: 500 }).riskLevel, 'critical');
+});
+
+test('blood pressure is judged on the average of the sitting', () => {
+  const first = bp(186, 100, 0.1);
+  const result = evaluate(bp(172, 96), { history: [first] });
+  assert.strictEqual(result.riskLevel, 'high');
+  assert.match(result.insight, /^Blood pressure of 179\/98 mmHg \(Stage 2 hypertension\)/);
+
+  // A sitting that averages into crisis is critical even if this reading alone isn't
+  assert.strictEqual(evaluate(bp(178, 110), { history: [bp(190, 125, 0.1)] }).riskLevel, 'critical');
+});
+
+test('three readings above target within 48 hours raise the risk', () => {
+  const history = [bp(138, 80, 40), bp(136, 82, 20)];
+  const result = evaluate(bp(134, 80), { history });
+  assert.strictEqual(result.riskLevel, 'high');
+  assert.strictEqual(result.rule.id, 'bp-repeatedly-above-target');
+  assert.match(result.insight, /in 3 readings/);
+
+  // Too long ago to count
+  assert.strictEqual(evaluate(bp(134, 80), { history: [bp(138, 80, 60), bp(136, 82, 20)] }).riskLevel, 'moderate');
+  // The current reading has to be above target itself
+  assert.strictEqual(evaluate(bp(118, 76), { history }).riskLevel, 'low');
+});
+
+test('condition-specific rules only apply to patients with the condition', () => {
+  const history = [reading('weight', '80', 40)];
+  const gain = reading('weight', '82.5');
+
+  const withHeartDisease = evaluate(gain, { history, conditions: ['Heart Disease'] });
+  assert.strictEqual(withHeartDisease.riskLevel, 'high');
+  assert.match(withHeartDisease.insight, /up 2\.5 kg in 2 days/);
+  assert.strictEqual(evaluate(gain, { history }).riskLevel, 'low');
+});
+
+test('exceptConditions swap the general rule for a condition\'s own', () => {
+  assert.strictEqual(evaluate(reading('oxygen_saturation', '90')).riskLevel, 'moderate');
+
+  const copd = evaluate(reading('oxygen_saturation', '90'), { conditions: ['copd'] });
+  assert.strictEqual(copd.riskLevel, 'low');
+  assert.strictEqual(copd.rule.id, 'copd-spo2-in-range');
+});
+
+test('history windows are sized from the rules', () => {
+  assert.strictEqual(maxWindowHours('blood_pressure'), 48);
+  assert.strictEqual(maxWindowHours('heart_rate'), 0);
+  assert.strictEqual(maxWindowHours('cholesterol'), 0);
+});
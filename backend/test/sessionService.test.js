@@ -0,0 +1,124 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+
+const PATIENT_ID = '11111111-1111-4111-8111-111111111111';
+
+// In-memory sessions table
+let sessions = [];
+let nextId = 1;
+
+const withUpdate = (row) => Object.assign(row, {
+  async update(values) {
+    return Object.assign(row, values);
+  }
+});
+
+const matches = (row, where) => Object.entries(where).every(([key, value]) =>
+  value && typeof value === 'object' && Op.ne in value ? row[key] !== value[Op.ne] : row[key] === value
+);
+
+const models = {
+  Session: {
+    async create(data) {
+      const row = withUpdate({ id: `session-${nextId++}`, revokedAt: null, revokedReason: null, ...data });
+      sessions.push(row);
+      return row;
+    },
+    async findByPk(id) {
+      return sessions.find(row => row.id === id) || null;
+    },
+    async update(values, { where }) {
+      const rows = sessions.filter(row => matches(row, where));
+      rows.forEach(row => Object.assign(row, values));
+      return [rows.length];
+    }
+  }
+};
+
+const modelsPath = path.join(__dirname, '..', 'models', 'index.js');
+require.cache[modelsPath] = { id: modelsPath, filename: modelsPath, loaded: true, exports: models };
+
+const sessionService = require('../services/sessionService');
+const { SessionError } = sessionService;
+
+const patient = { id: PATIENT_ID, email: 'owner@example.com', role: 'patient' };
+const req = { ip: '203.0.113.7', get: () => 'test-agent' };
+
+const rejectsWith = (promise, code) => assert.rejects(promise, error => error instanceof SessionError && error.code === code);
+
+beforeEach(() => {
+  sessions = [];
+});
+
+test('a new session stores only the hash of its refresh token', async () => {
+  const { session, token, refreshToken } = await sessionService.createSession(patient, req);
+
+  const [sessionId, secret] = refreshToken.split('.');
+  assert.strictEqual(sessionId, session.id);
+  assert.strictEqual(session.refreshTokenHash, sessionService.hashSecret(secret));
+  assert.ok(!Object.values(session).includes(secret));
+  assert.strictEqual(jwt.decode(token).sessionId, session.id);
+  assert.strictEqual(session.ipAddress, req.ip);
+});
+
+test('rotation replaces the refresh token and keeps the session', async () => {
+  const { session, refreshToken } = await sessionService.createSession(patient, req);
+
+  const rotated = await sessionService.rotateSession(refreshToken, req);
+  assert.strictEqual(rotated.session.id, session.id);
+  assert.notStrictEqual(rotated.refreshToken, refreshToken);
+
+  const again = await sessionService.rotateSession(rotated.refreshToken, req);
+  assert.strictEqual(again.session.id, session.id);
+  assert.strictEqual(await sessionService.isSessionActive(session.id), true);
+});
+
+test('reusing a rotated refresh token revokes the session', async () => {
+  const { session, refreshToken } = await sessionService.createSession(patient, req);
+  const rotated = await sessionService.rotateSession(refreshToken, req);
+
+  await rejectsWith(sessionService.rotateSession(refreshToken, req), 'reuse');
+  assert.strictEqual(session.revokedReason, 'token_reuse');
+  assert.strictEqual(await sessionService.isSessionActive(session.id), false);
+
+  // The thief's copy and the patient's current token are both dead now
+  await rejectsWith(sessionService.rotateSession(rotated.refreshToken, req), 'revoked');
+});
+
+test('malformed, unknown and expired refresh tokens are refused', async () => {
+  await rejectsWith(sessionService.rotateSession(undefined, req), 'invalid');
+  await rejectsWith(sessionService.rotateSession('no-separator', req), 'invalid');
+  await rejectsWith(sessionService.rotateSession('session-999.secret', req), 'invalid');
+
+  const { session, refreshToken } = await sessionService.createSession(patient, req);
+  session.expiresAt = new Date(Date.now() - 1000);
+  await rejectsWith(sessionService.rotateSession(refreshToken, req), 'expired');
+});
+
+test('logout needs the current refresh token', async () => {
+  const { session, refreshToken } = await sessionService.createSession(patient, req);
+
+  assert.strictEqual(await sessionService.revokeByRefreshToken(`${session.id}.wrong`), null);
+  assert.strictEqual(session.revokedAt, null);
+
+  await sessionService.revokeByRefreshToken(refreshToken);
+  assert.strictEqual(session.revokedReason, 'logout');
+});
+
+test('revoking every session can spare the current one', async () => {
+  const current = (await sessionService.createSession(patient, req)).session;
+  const other = (await sessionService.createSession(patient, req)).session;
+  const someoneElse = (await sessionService.createSession({ ...patient, id: 'someone-else' }, req)).session;
+
+  await sessionService.revokeAllSessions(PATIENT_ID, 'password_change', { except: current.id });
+  assert.strictEqual(current.revokedAt, null);
+  assert.strictEqual(other.revokedReason, 'password_change');
+  assert.strictEqual(someoneElse.revokedAt, null);
+
+  await sessionService.revokeAllSessions(PATIENT_ID, 'password_reset');
+  assert.strictEqual(current.revokedReason, 'password_reset');
+  assert.strictEqual(other.revokedReason, 'password_change');
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { tQuantile, normalQuantile, linearRegression, predict, mannKendall, senSlope, binnedMeans } = require('../utils/timeSeries');
+
+const near = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} expected ${expected}, got ${actual}`);
+
+// Irregular days, y = 100 + 0.5t with a little alternating noise
+const DAYS = [0, 0.5, 3, 4, 9, 10.5, 14, 20, 21, 27];
+const series = DAYS.map((t, i) => ({ t, y: 100 + 0.5 * t + (i % 2 ? 0.4 : -0.4) }));
+
+test('quantiles match the published tables', () => {
+  near(normalQuantile(0.975), 1.959964, 1e-6);
+  near(tQuantile(0.975, 1), 12.7062, 1e-4);
+  near(tQuantile(0.975, 2), 4.3027, 1e-4);
+  near(tQuantile(0.975, 5), 2.5706, 0.01);
+  near(tQuantile(0.975, 10), 2.2281, 0.005);
+  near(tQuantile(0.975, 30), 2.0423, 0.001);
+});
+
+test('regression uses the time between readings, not their order', () => {
+  const regression = linearRegression(series);
+  near(regression.slope, 0.5, 0.05);
+  near(regression.intercept, 100, 0.5);
+  assert.strictEqual(regression.n, DAYS.length);
+
+  assert.strictEqual(linearRegression([{ t: 1, y: 5 }, { t: 1, y: 7 }]).slope, 0);
+  assert.strictEqual(linearRegression([{ t: 0, y: 5 }, { t: 1, y: 7 }]).residualError, null);
+});
+
+test('prediction intervals contain the line and widen away from the readings', () => {
+  const regression = linearRegression(series);
+  const inside = predict(regression, 14);
+  const ahead = predict(regression, 60);
+
+  assert.ok(inside.lower < inside.value && inside.value < inside.upper);
+  assert.ok(ahead.upper - ahead.lower > inside.upper - inside.lower);
+  near(ahead.value, 130, 2);
+
+  const exact = linearRegression([{ t: 0, y: 1 }, { t: 1, y: 2 }, { t: 2, y: 3 }]);
+  const point = predict(exact, 3);
+  near(point.value, 4, 1e-9);
+  near(point.upper - point.lower, 0, 1e-9);
+});
+
+test('Mann-Kendall finds a steady rise and ignores noise', () => {
+  const rising = mannKendall(series);
+  assert.ok(rising.pValue < 0.05);
+  assert.ok(rising.tau > 0.8);
+
+  const flat = mannKendall(DAYS.map((t, i) => ({ t, y: [120, 124, 119, 123, 121, 118, 124, 120, 122, 119][i] })));
+  assert.ok(flat.pValue > 0.05);
+
+  const ties = mannKendall([5, 5, 5, 5].map((y, t) => ({ t, y })));
+  assert.strictEqual(ties.s, 0);
+  near(ties.pValue, 1, 1e-6);
+});
+
+test('Sen\'s slope shrugs off a single outlier', () => {
+  const withOutlier = series.map((p, i) => (i === 4 ? { ...p, y: p.y + 40 } : p));
+  near(senSlope(withOutlier), 0.5, 0.1);
+  assert.ok(Math.abs(linearRegression(withOutlier).slope - 0.5) > Math.abs(senSlope(withOutlier) - 0.5));
+});
+
+test('long series are averaged into bins before the pairwise statistics', () => {
+  const short = [{ t: 0, y: 1 }, { t: 1, y: 2 }];
+  assert.strictEqual(binnedMeans(short, 10), short);
+
+  // Four readings a day for 30 days, rising half a unit a day
+  const dense = Array.from({ length: 120 }, (_, i) => ({ t: i / 4, y: 100 + i / 8 + (i % 2) }));
+  const daily = binnedMeans(dense, 30);
+  assert.strictEqual(daily.length, 30);
+  near(daily[0].t, 0.375, 1e-9);
+  near(daily[0].y, 100.6875, 1e-9);
+  near(senSlope(daily), 0.5, 1e-9);
+
+  // A year of readings every five minutes still leaves a bounded number of points
+  const cgm = Array.from({ length: 365 * 288 }, (_, i) => ({ t: i / 288, y: 140 + Math.sin(i) * 20 }));
+  assert.ok(binnedMeans(cgm, 400).length <= 400);
+});
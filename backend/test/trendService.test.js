@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const trendService = require('../services/trendService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const reading = (dataType, value, daysAgo, unit) => ({
+  dataType,
+  value,
+  unit,
+  recordedAt: new Date(NOW.getTime() - daysAgo * DAY)
+});
+
+// Systolic climbing about 1 mmHg every two days while diastolic holds steady
+const bpReadings = [28, 25, 24, 20, 16, 15, 11, 7, 4, 1].map((daysAgo, i) =>
+  reading('blood_pressure', JSON.stringify({ systolic: 125 + (28 - daysAgo) / 2 + (i % 2), diastolic: 80 + (i % 3) - 1 }), daysAgo, 'mmHg')
+);
+
+test('systolic and diastolic are trended separately', () => {
+  const result = trendService.analyze(bpReadings, { now: NOW });
+
+  const [systolic, diastolic] = result.components;
+  assert.strictEqual(systolic.key, 'systolic');
+  assert.strictEqual(systolic.direction, 'increasing');
+  assert.ok(Math.abs(systolic.slopePerDay - 0.5) < 0.1);
+  assert.strictEqual(diastolic.direction, 'stable');
+  assert.strictEqual(result.trend, 'increasing');
+  assert.match(result.insights[0], /^Systolic pressure is rising by about 3\.\d mmHg a week/);
+});
+
+test('forecasts are daily with a prediction interval, once there are enough readings', () => {
+  const result = trendService.analyze(bpReadings, { now: NOW, forecastDays: 14 });
+  const forecast = result.components[0].forecast;
+
+  assert.strictEqual(forecast.length, 14);
+  assert.strictEqual(forecast[0].date.getTime(), NOW.getTime() + DAY);
+  assert.ok(forecast[13].value > forecast[0].value);
+  assert.ok(forecast.every(day => day.lower <= day.value && day.value <= day.upper));
+  assert.ok(forecast[13].upper - forecast[13].lower > forecast[0].upper - forecast[0].lower);
+
+  assert.strictEqual(trendService.analyze(bpReadings.slice(0, 6), { now: NOW, forecastDays: 14 }).components[0].forecast, undefined);
+});
+
+test('values are trended in the viewer\'s unit', () => {
+  const readings = [0, 1, 2, 3].map(daysAgo => reading('blood_sugar', String(90 + daysAgo * 9), daysAgo, 'mg/dL'));
+  const result = trendService.analyze(readings, { unitPreferences: { blood_sugar: 'mmol/L' } });
+
+  assert.strictEqual(result.unit, 'mmol/L');
+  assert.strictEqual(result.components[0].points[0].value, 6.5);
+  assert.ok(result.components[0].slopePerDay < 0);
+});
+
+test('too few readings, or unreadable ones, are not a trend', () => {
+  const result = trendService.analyze([
+    reading('heart_rate', '70', 2),
+    reading('heart_rate', 'n/a', 1),
+    reading('heart_rate', '74', 0)
+  ]);
+  assert.strictEqual(result.trend, 'insufficient_data');
+  assert.strictEqual(result.dataPoints, 2);
+  assert.deepStrictEqual(result.components, []);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { toCanonical, convertValue, resolveUnit, parseUnitPreferences } = require('../utils/units');
+
+test('values in another accepted unit are stored converted', () => {
+  assert.deepStrictEqual(toCanonical('blood_sugar', 6.5, 'mmol/L'), { value: 117.1, unit: 'mg/dL' });
+  assert.deepStrictEqual(toCanonical('weight', '154', 'lbs'), { value: 69.85, unit: 'kg' });
+  assert.deepStrictEqual(toCanonical('temperature', 98.6, '°F'), { value: 37, unit: '°C' });
+  assert.deepStrictEqual(toCanonical('blood_sugar', '110', null, 'mg/dL'), { value: 110, unit: 'mg/dL' });
+  assert.strictEqual(resolveUnit('heart_rate', 'beats/min'), 'bpm');
+});
+
+test('a missing unit means the fallback, and a wrong one is an error', () => {
+  assert.deepStrictEqual(toCanonical('blood_sugar', 6, undefined, 'mmol/L'), { value: 108.1, unit: 'mg/dL' });
+  assert.match(toCanonical('heart_rate', 70, 'kg').error, /recorded in bpm/);
+});
+
+test('only numbers and wholly numeric strings are accepted', () => {
+  for (const value of ['abc', '12abc', '', ' ', { value: 5 }, [5], true, null, Infinity, NaN, '0x10', '1e3']) {
+    assert.match(toCanonical('blood_sugar', value, 'mg/dL').error || '', /Blood Sugar must be a number/, `accepted ${JSON.stringify(value)}`);
+  }
+  assert.deepStrictEqual(toCanonical('heart_rate', ' 72 ', 'bpm'), { value: 72, unit: 'bpm' });
+});
+
+test('values outside the plausible limits are rejected', () => {
+  assert.match(toCanonical('weight', -70, 'kg').error, /Weight must be between 0.5 and 650 kg/);
+  assert.match(toCanonical('heart_rate', 400, 'bpm').error, /Heart Rate must be between/);
+  assert.match(toCanonical('blood_sugar', 200, 'mmol/L').error, /Blood Sugar must be between/);
+  assert.match(toCanonical('oxygen_saturation', 101, '%').error, /between 0 and 100/);
+});
+
+test('blood pressure keeps its JSON and only has its unit checked', () => {
+  const value = JSON.stringify({ systolic: 120, diastolic: 80 });
+  assert.deepStrictEqual(toCanonical('blood_pressure', value, 'mmHg'), { value, unit: 'mmHg' });
+  assert.ok(toCanonical('blood_pressure', value, 'kPa').error);
+});
+
+test('stored values convert to the viewer\'s unit, honouring the unit they were saved in', () => {
+  assert.strictEqual(convertValue('blood_sugar', '117.1', 'mg/dL', 'mmol/L'), 6.5);
+  assert.strictEqual(convertValue('weight', '70', 'kg', 'kg'), '70');
+  assert.deepStrictEqual(parseUnitPreferences({ blood_sugar: 'mmol/l' }), { unitPreferences: { blood_sugar: 'mmol/L' } });
+  assert.ok(parseUnitPreferences({ heart_rate: 'bpm' }).error);
+});
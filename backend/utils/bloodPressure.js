@@ -0,0 +1,58 @@
+// Blood pressure categories from the 2017 ACC/AHA guideline. Readings taken in one
+// sitting are averaged before staging, as the guideline asks, so a nervous first
+// reading followed by calmer ones isn't staged on its own.
+
+// Most severe first: the first stage a reading meets is its stage
+const BP_STAGES = [
+  { stage: 'hypertensive_crisis', label: 'Hypertensive crisis', meets: ({ systolic, diastolic }) => systolic > 180 || diastolic > 120 },
+  { stage: 'stage_2', label: 'Stage 2 hypertension', meets: ({ systolic, diastolic }) => systolic >= 140 || diastolic >= 90 },
+  { stage: 'stage_1', label: 'Stage 1 hypertension', meets: ({ systolic, diastolic }) => systolic >= 130 || diastolic >= 80 },
+  { stage: 'elevated', label: 'Elevated', meets: ({ systolic }) => systolic >= 120 },
+  { stage: 'normal', label: 'Normal', meets: () => true }
+];
+
+// Readings this close together count as one sitting
+const SESSION_MINUTES = 15;
+
+const bloodPressureOf = (reading) => {
+  const bp = typeof reading.value === 'string' ? JSON.parse(reading.value) : reading.value;
+  return { systolic: Number(bp.systolic), diastolic: Number(bp.diastolic) };
+};
+
+const timeOf = (reading) => (reading.recordedAt ? new Date(reading.recordedAt).getTime() : Date.now());
+
+const stageBloodPressure = (bp) => {
+  const { stage, label } = BP_STAGES.find(s => s.meets(bp));
+  return { stage, label };
+};
+
+// Blood pressure readings from the sitting that ended with `reading`: it and those
+// taken up to SESSION_MINUTES before it. `history` may hold readings of any type.
+const sessionReadings = (reading, history = []) => {
+  const end = timeOf(reading);
+  const start = end - SESSION_MINUTES * 60 * 1000;
+  const earlier = history.filter(other =>
+    other !== reading &&
+    !(reading.id && other.id === reading.id) &&
+    other.dataType === 'blood_pressure' &&
+    timeOf(other) >= start && timeOf(other) <= end
+  );
+  return [...earlier, reading];
+};
+
+// The sitting's average, in whole mmHg, and the stage it falls in
+const stageSession = (reading, history = []) => {
+  const values = sessionReadings(reading, history).map(bloodPressureOf);
+  const average = (part) => Math.round(values.reduce((sum, bp) => sum + bp[part], 0) / values.length);
+  const bp = { systolic: average('systolic'), diastolic: average('diastolic') };
+
+  return { ...stageBloodPressure(bp), ...bp, readings: values.length };
+};
+
+module.exports = {
+  BP_STAGES,
+  SESSION_MINUTES,
+  stageBloodPressure,
+  sessionReadings,
+  stageSession
+};
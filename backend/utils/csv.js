@@ -0,0 +1,91 @@
+// Minimal RFC 4180 CSV helpers shared by data export and import
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize plain objects to CSV; columns default to every key seen across the rows
+const toCsv = (rows, columns = null) => {
+  const header = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [header.map(formatCell).join(',')];
+
+  for (const row of rows) {
+    lines.push(header.map(column => formatCell(row[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Guess the delimiter from the header line; European exports often use semicolons
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : count('\t') > count(',') ? '\t' : ',';
+};
+
+// Parse CSV text into an array of records (arrays of strings). Handles quoted
+// fields with embedded delimiters, escaped quotes and line breaks; blank lines are dropped.
+const parseCsv = (text, { delimiter } = {}) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(input);
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,147 @@
+// Parsing rules for health reading values shared by manual entry and bulk import
+
+const { READING_UNITS } = require('./units');
+
+// Default unit for each reading type when the source doesn't say: the unit it's stored in
+const DEFAULT_UNITS = Object.fromEntries(
+  Object.entries(READING_UNITS).map(([dataType, { canonical }]) => [dataType, canonical])
+);
+
+// Plausible bounds for each side of a blood pressure reading, in mmHg
+const BLOOD_PRESSURE_LIMITS = {
+  systolic: { min: 50, max: 300 },
+  diastolic: { min: 20, max: 200 }
+};
+
+const BLOOD_PRESSURE_PATTERN = /^\s*(\d{2,3})\s*\/\s*(\d{2,3})\s*$/;
+
+// Why a blood pressure can't be right; null when it's plausible
+const bloodPressureError = ({ systolic, diastolic }) => {
+  for (const [side, value] of Object.entries({ systolic, diastolic })) {
+    const { min, max } = BLOOD_PRESSURE_LIMITS[side];
+    if (value < min || value > max) {
+      return `${side === 'systolic' ? 'Systolic' : 'Diastolic'} pressure must be between ${min} and ${max} mmHg`;
+    }
+  }
+  if (systolic <= diastolic) {
+    return 'Systolic pressure must be higher than diastolic';
+  }
+  return null;
+};
+
+// "120/80" -> { bloodPressure: { systolic: 120, diastolic: 80 } }, or { error } when it
+// isn't two whole numbers or isn't plausible
+const parseBloodPressure = (text) => {
+  const match = BLOOD_PRESSURE_PATTERN.exec(String(text));
+  if (!match) {
+    return { error: 'Invalid blood pressure format. Use format: 120/80' };
+  }
+
+  const bloodPressure = { systolic: Number(match[1]), diastolic: Number(match[2]) };
+  const error = bloodPressureError(bloodPressure);
+  return error ? { error } : { bloodPressure };
+};
+
+// Convert a submitted value to what we store: blood pressure "120/80" becomes
+// JSON. Other values pass through for toCanonical, which only accepts numbers and
+// wholly numeric strings. Returns { value } or { error }.
+const normalizeReadingValue = (dataType, value) => {
+  if (dataType === 'blood_pressure') {
+    const { bloodPressure, error } = parseBloodPressure(value);
+    return error ? { error } : { value: JSON.stringify(bloodPressure) };
+  }
+
+  return { value };
+};
+
+// When a blood sugar reading was taken relative to meals
+const MEASUREMENT_CONTEXTS = ['fasting', 'pre_meal', 'post_meal', 'bedtime', 'random'];
+
+// How each context is shown to patients
+const MEASUREMENT_CONTEXT_LABELS = {
+  fasting: 'Fasting',
+  pre_meal: 'Pre-meal',
+  post_meal: 'Post-meal',
+  bedtime: 'Bedtime',
+  random: 'Random'
+};
+
+// Labels glucometers and spreadsheets use for each context
+const MEASUREMENT_CONTEXT_ALIASES = {
+  fasting: ['fasting', 'fast', 'wake up', 'waking', 'morning'],
+  pre_meal: ['pre meal', 'before meal', 'before food', 'pre prandial', 'preprandial', 'ac'],
+  post_meal: ['post meal', 'after meal', 'after food', 'post prandial', 'postprandial', 'pc'],
+  bedtime: ['bedtime', 'bed time', 'before bed', 'night'],
+  random: ['random', 'other', 'general', 'none']
+};
+
+// Resolve an optional measurement context; only blood sugar readings carry one.
+// Returns { measurementContext } (null when absent) or { error }.
+const parseMeasurementContext = (dataType, value) => {
+  if (value === undefined || value === null || value === '') {
+    return { measurementContext: null };
+  }
+  if (dataType !== 'blood_sugar') {
+    return { error: 'Measurement context only applies to blood sugar readings' };
+  }
+
+  const text = String(value).trim().toLowerCase().replace(/[_-]+/g, ' ');
+  const measurementContext = MEASUREMENT_CONTEXTS.find(context =>
+    context.replace('_', ' ') === text || MEASUREMENT_CONTEXT_ALIASES[context].includes(text)
+  );
+  if (!measurementContext) {
+    return { error: `Measurement context must be one of: ${MEASUREMENT_CONTEXTS.join(', ')}` };
+  }
+
+  return { measurementContext };
+};
+
+// Client timestamps must say which timezone they're in, e.g. 2024-03-01T08:30:00+01:00
+const TIMESTAMP_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// Tolerate small clock differences between the patient's device and the server
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Readings entered more than this long after they were taken count as late entries
+const LATE_ENTRY_THRESHOLD_MS = 60 * 60 * 1000;
+
+// Resolve an optional client-supplied recordedAt; defaults to `now` when absent
+const parseRecordedAt = (value, now = new Date()) => {
+  if (value === undefined || value === null || value === '') {
+    return { recordedAt: now };
+  }
+
+  if (typeof value !== 'string' || !TIMESTAMP_WITH_OFFSET.test(value.trim())) {
+    return { error: 'recordedAt must be an ISO 8601 timestamp with a timezone offset, e.g. 2024-03-01T08:30:00+01:00' };
+  }
+
+  const recordedAt = new Date(value.trim());
+  if (isNaN(recordedAt.getTime())) {
+    return { error: 'recordedAt is not a valid date' };
+  }
+
+  if (recordedAt.getTime() > now.getTime() + FUTURE_TOLERANCE_MS) {
+    return { error: 'recordedAt cannot be in the future' };
+  }
+
+  return { recordedAt };
+};
+
+// True when a reading was entered well after it was taken (backdated or synced later)
+const isLateEntry = (reading) => {
+  if (!reading.enteredAt || !reading.recordedAt) return false;
+  return new Date(reading.enteredAt) - new Date(reading.recordedAt) > LATE_ENTRY_THRESHOLD_MS;
+};
+
+module.exports = {
+  DEFAULT_UNITS,
+  MEASUREMENT_CONTEXTS,
+  MEASUREMENT_CONTEXT_LABELS,
+  BLOOD_PRESSURE_LIMITS,
+  bloodPressureError,
+  parseBloodPressure,
+  parseMeasurementContext,
+  normalizeReadingValue,
+  parseRecordedAt,
+  isLateEntry
+};
@@ -0,0 +1,51 @@
+// Safety checks on generated health text. Models can't be relied on to follow "no dosing
+// advice" in a prompt, so sentences that read as dosing or medication-change advice are
+// removed before a patient sees them, and a pointer to the care team takes their place.
+
+const SAFETY_NOTE = 'Talk to your care team before making any change to your medication.';
+
+const MEDICINES = '(?:medications?|medicines?|meds|insulin|metformin|statins?|inhalers?|pills?|tablets?|capsules?|drugs?|prescriptions?|doses?)';
+
+const DOSING_PATTERNS = [
+  // An amount of something: "500 mg", "1000 mg/day", "2 units/kg", "1-2 puffs" - but
+  // not a concentration readings are reported in, such as "130 mg/dL" or "90 mL/min"
+  /\b\d+(?:[.,]\d+)?(?:\s*(?:-|to)\s*\d+(?:[.,]\d+)?)?\s*(?:mg|mcg|µg|ug|g|ml|iu|units?|tablets?|pills?|capsules?|puffs?|drops?|sprays?|doses?)\b(?!\s*\/\s*(?:dl|l|min)\b)/i,
+  /\b(?:dose|doses|dosage|dosing|overdose)\b/i,
+  // Changing a medicine: "increase your insulin", "stop taking metformin"
+  new RegExp(`\\b(?:increase|decrease|reduce|lower|raise|double|halve|adjust|change|skip|stop|start|discontinue|switch|cut)\\w*\\b[^.!?]*\\b${MEDICINES}\\b`, 'i'),
+  new RegExp(`\\b(?:take|taking)\\b[^.!?]*\\b(?:extra|more|less|fewer|another|additional|half|double|twice)\\b[^.!?]*\\b${MEDICINES}\\b`, 'i'),
+  new RegExp(`\\b(?:extra|more|less|fewer|another|additional)\\s+${MEDICINES}\\b`, 'i')
+];
+
+const splitSentences = (text) => text
+  .split(/\n+/)
+  .flatMap(line => line.split(/(?<=[.!?])\s+/))
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+const isDosingAdvice = (sentence) => DOSING_PATTERNS.some(pattern => pattern.test(sentence));
+
+// `text` without its dosing advice, and the sentences removed. Paragraphs are kept;
+// the safety note is added once at the end when anything was taken out.
+const stripDosingAdvice = (text) => {
+  const removed = [];
+  const paragraphs = String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => splitSentences(paragraph)
+      .filter(sentence => {
+        if (!isDosingAdvice(sentence)) return true;
+        removed.push(sentence);
+        return false;
+      })
+      .join(' '))
+    .filter(Boolean);
+
+  if (paragraphs.length > 0 && removed.length > 0) paragraphs.push(SAFETY_NOTE);
+  return { text: paragraphs.join('\n\n'), removed };
+};
+
+module.exports = {
+  SAFETY_NOTE,
+  isDosingAdvice,
+  stripDosingAdvice
+};
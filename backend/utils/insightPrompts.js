@@ -0,0 +1,107 @@
+// Prompts for the insight provider. Like the risk rules they are data, kept in
+// prompts/insightPrompts.json under a version that every generated text records, so a
+// wording change can be traced to the explanations it produced.
+//
+// Each prompt has a `system` and a `user` template, the `variables` those templates may
+// use as {name}, and optionally `maxTokens` for the reply. Lists render one per line,
+// other objects as JSON.
+const fs = require('fs');
+const path = require('path');
+const { isPlainObject } = require('./targetRanges');
+
+const PROMPTS_FILE = path.join(__dirname, '..', 'prompts', 'insightPrompts.json');
+
+const PROMPT_KEYS = ['variables', 'maxTokens', 'system', 'user'];
+
+const placeholdersOf = (template) => [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+const validatePromptSet = (promptSet) => {
+  const errors = [];
+  if (!isPlainObject(promptSet)) return ['The prompt set must be a JSON object'];
+  if (typeof promptSet.version !== 'string' || !promptSet.version.trim()) {
+    errors.push('version must be a non-empty string');
+  }
+  if (!isPlainObject(promptSet.prompts) || Object.keys(promptSet.prompts).length === 0) {
+    return [...errors, 'prompts must be a non-empty object'];
+  }
+
+  for (const [id, prompt] of Object.entries(promptSet.prompts)) {
+    if (!isPlainObject(prompt)) {
+      errors.push(`${id} must be an object`);
+      continue;
+    }
+    Object.keys(prompt)
+      .filter(key => !PROMPT_KEYS.includes(key))
+      .forEach(key => errors.push(`${id} has unknown key "${key}"`));
+
+    const variables = Array.isArray(prompt.variables) ? prompt.variables : [];
+    if (!Array.isArray(prompt.variables) || !variables.every(v => typeof v === 'string')) {
+      errors.push(`${id}.variables must be a list of names`);
+    }
+    if (prompt.maxTokens !== undefined && !(Number.isInteger(prompt.maxTokens) && prompt.maxTokens > 0)) {
+      errors.push(`${id}.maxTokens must be a positive whole number`);
+    }
+
+    for (const part of ['system', 'user']) {
+      if (typeof prompt[part] !== 'string' || !prompt[part].trim()) {
+        errors.push(`${id}.${part} must be a non-empty string`);
+        continue;
+      }
+      placeholdersOf(prompt[part])
+        .filter(name => !variables.includes(name))
+        .forEach(name => errors.push(`${id}.${part} uses {${name}}, which isn't in its variables`));
+    }
+  }
+
+  return errors;
+};
+
+// Check a parsed prompt set; throws with every problem listed
+const compilePromptSet = (promptSet, source = 'prompt set') => {
+  const errors = validatePromptSet(promptSet);
+  if (errors.length > 0) {
+    throw new Error(`Invalid insight prompts in ${source}:\n  ${errors.join('\n  ')}`);
+  }
+  return { version: promptSet.version, prompts: promptSet.prompts };
+};
+
+const loadPromptSet = (file = PROMPTS_FILE) => compilePromptSet(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+
+const renderValue = (value) => {
+  if (value === undefined || value === null || value === '') return 'none';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(item => `- ${renderValue(item)}`).join('\n') : 'none';
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+};
+
+// The system and user messages for prompt `id`, with the prompt it came from
+const renderPrompt = (promptSet, id, values = {}) => {
+  const prompt = promptSet.prompts[id];
+  if (!prompt) throw new Error(`Unknown insight prompt "${id}"`);
+
+  const fill = (template) => template.replace(/\{(\w+)\}/g, (placeholder, name) => renderValue(values[name]));
+  return {
+    system: fill(prompt.system),
+    user: fill(prompt.user),
+    maxTokens: prompt.maxTokens || null,
+    prompt: { id, version: promptSet.version }
+  };
+};
+
+let active = null;
+
+// The deployed prompt set, loaded on first use
+function activePromptSet() {
+  if (!active) active = loadPromptSet();
+  return active;
+}
+
+module.exports = {
+  PROMPTS_FILE,
+  validatePromptSet,
+  compilePromptSet,
+  loadPromptSet,
+  renderPrompt,
+  activePromptSet
+};
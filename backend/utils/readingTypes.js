@@ -0,0 +1,173 @@
+// The health reading types we record. This is the single list the HealthData enum,
+// unit conversion, FHIR mapping and the client's type pickers are all built from -
+// a new type is added here and nowhere else.
+//
+// Each type has:
+//   label     shown to patients
+//   canonical the unit readings are stored in
+//   units     accepted units: `factor`/`offset` convert a value to the canonical unit
+//             (canonical = value * factor + offset), `decimals` is the precision shown
+//             in that unit, `ucum` its UCUM code and `aliases` other spellings
+//   limits    optional plausible bounds (canonical unit) and whether whole numbers only
+//   loinc     LOINC code, display and FHIR observation category; `aliases` are other
+//             codes partner systems send for the same measurement
+
+const READING_TYPES = {
+  blood_pressure: {
+    label: 'Blood Pressure',
+    canonical: 'mmHg',
+    units: {
+      mmHg: { factor: 1, decimals: 0, ucum: 'mm[Hg]', aliases: ['mm hg'] }
+    },
+    loinc: { code: '85354-9', display: 'Blood pressure panel with all children optional', category: 'vital-signs', aliases: ['55284-4'] }
+  },
+  blood_sugar: {
+    label: 'Blood Sugar',
+    canonical: 'mg/dL',
+    units: {
+      'mg/dL': { factor: 1, decimals: 0, ucum: 'mg/dL', aliases: ['mg/100ml'] },
+      'mmol/L': { factor: 18.016, decimals: 1, ucum: 'mmol/L', aliases: [] }
+    },
+    limits: { min: 10, max: 2000 },
+    loinc: { code: '2339-0', display: 'Glucose [Mass/volume] in Blood', category: 'laboratory', aliases: ['2345-7', '41653-7', '15074-8'] }
+  },
+  heart_rate: {
+    label: 'Heart Rate',
+    canonical: 'bpm',
+    units: {
+      bpm: { factor: 1, decimals: 0, ucum: '/min', aliases: ['beats/min', 'beats per minute', 'count/min'] }
+    },
+    limits: { min: 20, max: 300 },
+    loinc: { code: '8867-4', display: 'Heart rate', category: 'vital-signs', aliases: [] }
+  },
+  weight: {
+    label: 'Weight',
+    canonical: 'kg',
+    units: {
+      kg: { factor: 1, decimals: 1, ucum: 'kg', aliases: ['kgs', 'kilogram', 'kilograms'] },
+      lb: { factor: 0.45359237, decimals: 1, ucum: '[lb_av]', aliases: ['lbs', 'pound', 'pounds'] }
+    },
+    limits: { min: 0.5, max: 650 },
+    loinc: { code: '29463-7', display: 'Body weight', category: 'vital-signs', aliases: ['3141-9'] }
+  },
+  cholesterol: {
+    label: 'Cholesterol',
+    canonical: 'mg/dL',
+    units: {
+      'mg/dL': { factor: 1, decimals: 0, ucum: 'mg/dL', aliases: ['mg/100ml'] },
+      'mmol/L': { factor: 38.67, decimals: 2, ucum: 'mmol/L', aliases: [] }
+    },
+    loinc: { code: '2093-3', display: 'Cholesterol [Mass/volume] in Serum or Plasma', category: 'laboratory', aliases: [] }
+  },
+  oxygen_saturation: {
+    label: 'Oxygen Saturation',
+    canonical: '%',
+    units: {
+      '%': { factor: 1, decimals: 0, ucum: '%', aliases: ['percent'] }
+    },
+    limits: { min: 0, max: 100 },
+    loinc: { code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', category: 'vital-signs', aliases: ['2708-6'] }
+  },
+  activity_level: {
+    label: 'Activity Level',
+    canonical: 'minutes',
+    units: {
+      minutes: { factor: 1, decimals: 0, ucum: 'min', aliases: ['mins', 'minute'] }
+    },
+    loinc: { code: '55411-3', display: 'Exercise duration', category: 'activity', aliases: [] }
+  },
+  sleep_quality: {
+    label: 'Sleep Quality',
+    canonical: 'hours',
+    units: {
+      hours: { factor: 1, decimals: 1, ucum: 'h', aliases: ['hr', 'hrs', 'hour'] }
+    },
+    loinc: { code: '93832-4', display: 'Sleep duration', category: 'activity', aliases: [] }
+  },
+  temperature: {
+    label: 'Body Temperature',
+    canonical: '°C',
+    units: {
+      '°C': { factor: 1, decimals: 1, ucum: 'Cel', aliases: ['c', 'degc', 'celsius'] },
+      '°F': { factor: 5 / 9, offset: -160 / 9, decimals: 1, ucum: '[degF]', aliases: ['f', 'degf', 'fahrenheit'] }
+    },
+    limits: { min: 25, max: 45 },
+    loinc: { code: '8310-5', display: 'Body temperature', category: 'vital-signs', aliases: ['8331-1', '8332-9'] }
+  },
+  respiratory_rate: {
+    label: 'Respiratory Rate',
+    canonical: 'breaths/min',
+    units: {
+      'breaths/min': { factor: 1, decimals: 0, ucum: '/min', aliases: ['breaths per minute', 'rpm'] }
+    },
+    limits: { min: 0, max: 80 },
+    loinc: { code: '9279-1', display: 'Respiratory rate', category: 'vital-signs', aliases: [] }
+  },
+  hba1c: {
+    label: 'HbA1c',
+    canonical: '%',
+    units: {
+      '%': { factor: 1, decimals: 1, ucum: '%', aliases: ['percent', '% hb'] },
+      'mmol/mol': { factor: 0.09148, offset: 2.152, decimals: 0, ucum: 'mmol/mol', aliases: [] }
+    },
+    limits: { min: 3, max: 20 },
+    loinc: { code: '4548-4', display: 'Hemoglobin A1c/Hemoglobin.total in Blood', category: 'laboratory', aliases: ['17856-6', '59261-8'] }
+  },
+  egfr: {
+    label: 'eGFR',
+    canonical: 'mL/min/1.73m²',
+    units: {
+      'mL/min/1.73m²': { factor: 1, decimals: 0, ucum: 'mL/min/{1.73_m2}', aliases: ['ml/min/1.73m2', 'ml/min/1.73 m2', 'ml/min'] }
+    },
+    limits: { min: 0, max: 200 },
+    loinc: { code: '98979-8', display: 'Glomerular filtration rate/1.73 sq M.predicted [Volume Rate/Area] in Serum, Plasma or Blood by Creatinine-based formula (CKD-EPI 2021)', category: 'laboratory', aliases: ['62238-1', '33914-3', '48642-3', '48643-1'] }
+  },
+  creatinine: {
+    label: 'Creatinine',
+    canonical: 'mg/dL',
+    units: {
+      'mg/dL': { factor: 1, decimals: 2, ucum: 'mg/dL', aliases: [] },
+      'µmol/L': { factor: 1 / 88.42, decimals: 0, ucum: 'umol/L', aliases: ['μmol/l', 'micromol/l'] }
+    },
+    limits: { min: 0, max: 30 },
+    loinc: { code: '2160-0', display: 'Creatinine [Mass/volume] in Serum or Plasma', category: 'laboratory', aliases: ['38483-4'] }
+  },
+  peak_flow: {
+    label: 'Peak Flow',
+    canonical: 'L/min',
+    units: {
+      'L/min': { factor: 1, decimals: 0, ucum: 'L/min', aliases: ['lpm'] }
+    },
+    limits: { min: 0, max: 1000 },
+    loinc: { code: '19935-6', display: 'Maximum expiratory gas flow Respiratory system airway by Peak flow meter', category: 'vital-signs', aliases: ['33452-4'] }
+  },
+  pain_score: {
+    label: 'Pain Score',
+    canonical: '/10',
+    units: {
+      '/10': { factor: 1, decimals: 0, ucum: '{score}', aliases: ['score', '0-10', 'nrs'] }
+    },
+    limits: { min: 0, max: 10, integer: true },
+    loinc: { code: '72514-3', display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported', category: 'survey', aliases: ['38208-5'] }
+  }
+};
+
+const DATA_TYPES = Object.keys(READING_TYPES);
+
+// What the client needs to render pickers and forms: no FHIR or conversion internals
+const describeReadingTypes = () => DATA_TYPES.map(key => {
+  const type = READING_TYPES[key];
+  return {
+    key,
+    label: type.label,
+    unit: type.canonical,
+    units: Object.keys(type.units),
+    limits: type.limits || null
+  };
+});
+
+module.exports = {
+  READING_TYPES,
+  DATA_TYPES,
+  describeReadingTypes
+};
@@ -0,0 +1,371 @@
+// Risk rules decide the risk level and insight a reading gets. The rules are data, kept
+// in rules/riskRules.json under a version that every analysis records alongside the rule
+// that fired. Check edits with `npm run validate:rules`.
+//
+// A rule applies to one dataType and optionally only to patients who have (`conditions`)
+// or don't have (`exceptConditions`) one of the listed chronic conditions. Its `when`
+// condition is one of:
+//   { all: [...] }, { any: [...] }, { not: condition }
+//   { fact, op, value }  compare a fact about the reading. `value` is a number, string,
+//                        list (for `in`), true/false (for `exists`) or { range: "max" },
+//                        a path into the patient's target ranges for the type - relative
+//                        to the rule's `band` ("{context}" is the measurement context)
+//   { count: { when, atLeast, withinHours, sameContext } }
+//                        at least `atLeast` readings in the window, this one included,
+//                        meet `when`
+//   { change: { withinHours, op, value } }
+//                        this value minus the earliest one in the window
+// Blood pressure rules see the average of the readings taken in the same sitting as
+// `systolic`/`diastolic`, and its ACC/AHA `stage` (see utils/bloodPressure).
+// A rule without `when` always matches and is the type's fallback. Of the rules that
+// match, the highest risk wins; among equals, the first listed. Insights are templates
+// over the facts, {band.max}-style range values and the {count}/{change} just measured.
+const fs = require('fs');
+const path = require('path');
+const { DATA_TYPES, READING_TYPES } = require('./readingTypes');
+const { MEASUREMENT_CONTEXTS, MEASUREMENT_CONTEXT_LABELS } = require('./healthReadings');
+const { DEFAULT_RANGES, isPlainObject } = require('./targetRanges');
+const { SESSION_MINUTES, stageSession } = require('./bloodPressure');
+
+const RULES_FILE = path.join(__dirname, '..', 'rules', 'riskRules.json');
+
+const RISK_LEVELS = ['low', 'moderate', 'high', 'critical'];
+const COMPARISONS = ['gt', 'gte', 'lt', 'lte', 'eq', 'ne'];
+const OPERATORS = [...COMPARISONS, 'in', 'exists'];
+const RULE_KEYS = ['id', 'dataType', 'description', 'conditions', 'exceptConditions', 'band', 'when', 'riskLevel', 'insight'];
+
+// What rules can ask about a reading
+const FACTS = [
+  'value', 'systolic', 'diastolic', 'stage', 'stageLabel', 'sessionReadings', 'context', 'label', 'unit',
+  'percentOfBest', 'personalBest', 'ckdStage', 'ckdDescription'
+];
+// Template values measured while matching rather than read off the reading
+const MEASURED = ['count', 'change'];
+
+// Lower bounds of the CKD stages (eGFR, mL/min/1.73m²)
+const CKD_STAGES = [
+  { min: 90, stage: '1', description: 'normal kidney function' },
+  { min: 60, stage: '2', description: 'mildly reduced kidney function' },
+  { min: 45, stage: '3a', description: 'moderately reduced kidney function' },
+  { min: 30, stage: '3b', description: 'moderately reduced kidney function' },
+  { min: 15, stage: '4', description: 'severely reduced kidney function' },
+  { min: 0, stage: '5', description: 'kidney failure' }
+];
+
+const HOUR = 60 * 60 * 1000;
+
+const resolvePath = (object, keyPath) =>
+  keyPath.split('.').reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), object);
+
+const contextOf = (reading) => {
+  if (reading.dataType !== 'blood_sugar') return null;
+  return MEASUREMENT_CONTEXTS.includes(reading.measurementContext) ? reading.measurementContext : 'random';
+};
+
+const timeOf = (reading) => (reading.recordedAt ? new Date(reading.recordedAt).getTime() : Date.now());
+
+// Everything a rule can test about one reading
+const factsFor = (reading, personalBest = null) => {
+  const { dataType, value } = reading;
+  const context = contextOf(reading);
+  const facts = {
+    context,
+    unit: READING_TYPES[dataType] ? READING_TYPES[dataType].canonical : null,
+    label: context && context !== 'random'
+      ? `${MEASUREMENT_CONTEXT_LABELS[context]} blood sugar`
+      : dataType === 'blood_sugar' ? 'Blood sugar' : (READING_TYPES[dataType] ? READING_TYPES[dataType].label : dataType)
+  };
+
+  if (dataType === 'blood_pressure') {
+    const bp = typeof value === 'string' ? JSON.parse(value) : value;
+    facts.systolic = Number(bp.systolic);
+    facts.diastolic = Number(bp.diastolic);
+  } else {
+    facts.value = parseFloat(value);
+  }
+
+  if (dataType === 'peak_flow' && personalBest) {
+    facts.personalBest = personalBest;
+    facts.percentOfBest = Math.round((facts.value / personalBest) * 100);
+  }
+
+  if (dataType === 'egfr' && !isNaN(facts.value)) {
+    const { stage, description } = CKD_STAGES.find(s => facts.value >= s.min) || CKD_STAGES[CKD_STAGES.length - 1];
+    facts.ckdStage = stage;
+    facts.ckdDescription = description;
+  }
+
+  return facts;
+};
+
+// The part of the type's ranges a rule's { range } values are relative to
+const bandFor = (rule, ranges, facts) => {
+  const typeRanges = ranges[rule.dataType] || {};
+  if (!rule.band) return typeRanges;
+  return resolvePath(typeRanges, rule.band.replace('{context}', facts.context || 'random')) || {};
+};
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'number' && isNaN(value));
+
+const compare = (op, left, right) => {
+  if (op === 'exists') return !isMissing(left) === right;
+  if (isMissing(left) || isMissing(right)) return false;
+
+  switch (op) {
+    case 'gt': return left > right;
+    case 'gte': return left >= right;
+    case 'lt': return left < right;
+    case 'lte': return left <= right;
+    case 'eq': return left === right;
+    case 'ne': return left !== right;
+    case 'in': return right.includes(left);
+    default: return false;
+  }
+};
+
+// Readings of the same type in the `hours` before this one, oldest first
+const windowFor = (state, hours, sameContext = false) => {
+  const end = timeOf(state.reading);
+  const start = end - hours * HOUR;
+  return state.series.filter(reading => {
+    const time = timeOf(reading);
+    return time >= start && time <= end && (!sameContext || contextOf(reading) === state.facts.context);
+  });
+};
+
+const evaluateCondition = (condition, state) => {
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, state));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, state));
+  if (condition.not) return !evaluateCondition(condition.not, state);
+
+  if (condition.count) {
+    const { when, atLeast, withinHours, sameContext } = condition.count;
+    const matching = windowFor(state, withinHours, sameContext).filter(reading => {
+      const facts = reading === state.reading ? state.facts : factsFor(reading, state.personalBest);
+      return evaluateCondition(when, { ...state, reading, facts, band: bandFor(state.rule, state.ranges, facts) });
+    });
+    state.measured.count = matching.length;
+    return matching.length >= atLeast;
+  }
+
+  if (condition.change) {
+    const { withinHours, op, value } = condition.change;
+    const [earliest] = windowFor(state, withinHours).filter(reading => reading !== state.reading);
+    if (!earliest) return false;
+
+    const change = Math.round((state.facts.value - factsFor(earliest).value) * 100) / 100;
+    state.measured.change = change;
+    return compare(op, change, value);
+  }
+
+  const right = isPlainObject(condition.value) ? resolvePath(state.band, condition.value.range) : condition.value;
+  return compare(condition.op, state.facts[condition.fact], right);
+};
+
+const render = (template, values) =>
+  template.replace(/\{([\w.]+)\}/g, (placeholder, key) => {
+    const value = resolvePath(values, key);
+    return isMissing(value) ? placeholder : String(value);
+  });
+
+const hasCondition = (patientConditions, listed) =>
+  listed.some(condition => patientConditions.includes(condition.toLowerCase()));
+
+// Risk, insight and the rule that decided them for `reading`, or null when no rule
+// covers its type. `history` is earlier readings of the patient (any type);
+// `conditions` their chronic conditions.
+const evaluate = (reading, { ranges = DEFAULT_RANGES, history = [], conditions = [], personalBest = null, ruleSet = activeRuleSet() } = {}) => {
+  const facts = factsFor(reading, personalBest);
+  if (reading.dataType === 'blood_pressure') {
+    const { systolic, diastolic, stage, label, readings } = stageSession(reading, history);
+    Object.assign(facts, { systolic, diastolic, stage, stageLabel: label, sessionReadings: readings });
+  }
+  const patientConditions = (conditions || []).map(condition => String(condition).toLowerCase());
+  const series = [
+    ...history.filter(r => r.dataType === reading.dataType && r !== reading && !(reading.id && r.id === reading.id)),
+    reading
+  ].sort((a, b) => timeOf(a) - timeOf(b));
+
+  let fired = null;
+  for (const rule of ruleSet.byType[reading.dataType] || []) {
+    if (rule.conditions && !hasCondition(patientConditions, rule.conditions)) continue;
+    if (rule.exceptConditions && hasCondition(patientConditions, rule.exceptConditions)) continue;
+
+    const state = { rule, reading, facts, series, ranges, personalBest, band: bandFor(rule, ranges, facts), measured: {} };
+    if (rule.when && !evaluateCondition(rule.when, state)) continue;
+
+    if (!fired || RISK_LEVELS.indexOf(rule.riskLevel) > RISK_LEVELS.indexOf(fired.rule.riskLevel)) {
+      fired = { rule, values: { ...facts, ...state.measured, band: state.band } };
+    }
+  }
+
+  if (!fired) return null;
+  return {
+    riskLevel: fired.rule.riskLevel,
+    insight: render(fired.rule.insight, fired.values),
+    rule: { id: fired.rule.id, version: ruleSet.version }
+  };
+};
+
+// How far back a type's rules look, so callers fetch just enough history
+const maxWindowHours = (dataType, ruleSet = activeRuleSet()) => {
+  const hoursIn = (condition) => {
+    if (!isPlainObject(condition)) return 0;
+    if (condition.all || condition.any) return Math.max(0, ...(condition.all || condition.any).map(hoursIn));
+    if (condition.not) return hoursIn(condition.not);
+    if (condition.count) return Math.max(condition.count.withinHours, hoursIn(condition.count.when));
+    if (condition.change) return condition.change.withinHours;
+    return 0;
+  };
+  const session = dataType === 'blood_pressure' ? SESSION_MINUTES / 60 : 0;
+  return Math.max(session, ...(ruleSet.byType[dataType] || []).map(rule => hoursIn(rule.when)));
+};
+
+// Problems with a rule set, as readable messages; empty when it's valid
+const validateRuleSet = (ruleSet) => {
+  const errors = [];
+  if (!isPlainObject(ruleSet)) return ['The rule set must be a JSON object'];
+  if (typeof ruleSet.version !== 'string' || !ruleSet.version.trim()) {
+    errors.push('version must be a non-empty string');
+  }
+  if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    return [...errors, 'rules must be a non-empty list'];
+  }
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    const where = `rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    const fail = (message) => errors.push(`${where}: ${message}`);
+
+    if (!isPlainObject(rule)) return fail('must be an object');
+    Object.keys(rule).filter(key => !RULE_KEYS.includes(key)).forEach(key => fail(`unknown property "${key}"`));
+
+    if (typeof rule.id !== 'string' || !rule.id) fail('id must be a non-empty string');
+    else if (ids.has(rule.id)) fail('id is used by another rule');
+    else ids.add(rule.id);
+
+    if (!DATA_TYPES.includes(rule.dataType)) return fail(`unknown dataType "${rule.dataType}"`);
+    if (!RISK_LEVELS.includes(rule.riskLevel)) fail(`riskLevel must be one of: ${RISK_LEVELS.join(', ')}`);
+    for (const key of ['conditions', 'exceptConditions']) {
+      if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].length === 0 || rule[key].some(c => typeof c !== 'string'))) {
+        fail(`${key} must be a non-empty list of condition names`);
+      }
+    }
+
+    const typeRanges = DEFAULT_RANGES[rule.dataType] || {};
+    let band = typeRanges;
+    if (rule.band !== undefined) {
+      band = typeof rule.band === 'string' ? resolvePath(typeRanges, rule.band.replace('{context}', 'random')) : undefined;
+      if (!isPlainObject(band)) {
+        fail(`band "${rule.band}" isn't part of the ${rule.dataType} ranges`);
+        band = {};
+      }
+    }
+
+    if (rule.when !== undefined) validateCondition(rule.when, band, fail, 'when');
+
+    if (typeof rule.insight !== 'string' || !rule.insight.trim()) {
+      fail('insight must be a non-empty string');
+    } else {
+      for (const [, key] of rule.insight.matchAll(/\{([\w.]+)\}/g)) {
+        const [root, ...rest] = key.split('.');
+        const known = root === 'band'
+          ? rest.length > 0 && resolvePath(band, rest.join('.')) !== undefined
+          : rest.length === 0 && (FACTS.includes(root) || MEASURED.includes(root));
+        if (!known) fail(`insight uses unknown value {${key}}`);
+      }
+    }
+  });
+
+  // Every type needs a rule that always applies, so no reading goes unclassified
+  for (const dataType of DATA_TYPES) {
+    const fallback = ruleSet.rules.some(rule => isPlainObject(rule) && rule.dataType === dataType &&
+      rule.when === undefined && !rule.conditions && !rule.exceptConditions);
+    if (!fallback) errors.push(`${dataType} has no fallback rule (one without when or conditions)`);
+  }
+
+  return errors;
+};
+
+const validateCondition = (condition, band, fail, where) => {
+  if (!isPlainObject(condition)) return fail(`${where} must be an object`);
+
+  const kinds = ['all', 'any', 'not', 'count', 'change', 'fact'].filter(kind => condition[kind] !== undefined);
+  if (kinds.length !== 1) {
+    return fail(`${where} must have exactly one of all, any, not, count, change or fact`);
+  }
+
+  const [kind] = kinds;
+  if (kind === 'all' || kind === 'any') {
+    if (!Array.isArray(condition[kind]) || condition[kind].length === 0) return fail(`${where}.${kind} must be a non-empty list`);
+    return condition[kind].forEach((c, i) => validateCondition(c, band, fail, `${where}.${kind}[${i}]`));
+  }
+  if (kind === 'not') return validateCondition(condition.not, band, fail, `${where}.not`);
+
+  if (kind === 'count') {
+    const { when, atLeast, withinHours, sameContext } = condition.count;
+    if (!Number.isInteger(atLeast) || atLeast < 1) fail(`${where}.count.atLeast must be a whole number of at least 1`);
+    if (typeof withinHours !== 'number' || withinHours <= 0) fail(`${where}.count.withinHours must be a positive number`);
+    if (sameContext !== undefined && typeof sameContext !== 'boolean') fail(`${where}.count.sameContext must be true or false`);
+    return validateCondition(when, band, fail, `${where}.count.when`);
+  }
+
+  if (kind === 'change') {
+    const { withinHours, op, value } = condition.change;
+    if (typeof withinHours !== 'number' || withinHours <= 0) fail(`${where}.change.withinHours must be a positive number`);
+    if (!COMPARISONS.includes(op)) fail(`${where}.change.op must be one of: ${COMPARISONS.join(', ')}`);
+    if (typeof value !== 'number') fail(`${where}.change.value must be a number`);
+    return;
+  }
+
+  const { fact, op, value } = condition;
+  if (!FACTS.includes(fact)) fail(`${where} uses unknown fact "${fact}"`);
+  if (!OPERATORS.includes(op)) return fail(`${where}.op must be one of: ${OPERATORS.join(', ')}`);
+
+  if (op === 'in') {
+    if (!Array.isArray(value) || value.length === 0) fail(`${where}.value must be a non-empty list for "in"`);
+  } else if (op === 'exists') {
+    if (typeof value !== 'boolean') fail(`${where}.value must be true or false for "exists"`);
+  } else if (isPlainObject(value)) {
+    if (typeof value.range !== 'string' || Object.keys(value).length !== 1) {
+      fail(`${where}.value must be { "range": "<path>" }`);
+    } else if (resolvePath(band, value.range) === undefined || isPlainObject(resolvePath(band, value.range))) {
+      fail(`${where}.value range "${value.range}" isn't a threshold in this rule's band`);
+    }
+  } else if (typeof value !== 'number' && typeof value !== 'string') {
+    fail(`${where}.value must be a number, string or { "range": "<path>" }`);
+  }
+};
+
+// Check a parsed rule set and index its rules by type; throws with every problem listed
+const compileRuleSet = (ruleSet, source = 'rule set') => {
+  const errors = validateRuleSet(ruleSet);
+  if (errors.length > 0) {
+    throw new Error(`Invalid risk rules in ${source}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const byType = {};
+  ruleSet.rules.forEach(rule => (byType[rule.dataType] = byType[rule.dataType] || []).push(rule));
+  return { version: ruleSet.version, rules: ruleSet.rules, byType };
+};
+
+const loadRuleSet = (file = RULES_FILE) => compileRuleSet(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+
+let active = null;
+
+// The deployed rule set, loaded on first use
+function activeRuleSet() {
+  if (!active) active = loadRuleSet();
+  return active;
+}
+
+module.exports = {
+  RULES_FILE,
+  RISK_LEVELS,
+  evaluate,
+  maxWindowHours,
+  validateRuleSet,
+  compileRuleSet,
+  loadRuleSet,
+  activeRuleSet
+};
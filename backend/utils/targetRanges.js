@@ -0,0 +1,63 @@
+// Default target ranges for each reading type, in its stored unit. A band is
+// { low, min, max, high }: min-max is the target range and low/high the urgent limits
+// beyond it; null means no threshold. Clinicians override these per patient with a
+// PatientTarget, and the risk rules (rules/riskRules.json) refer to them by path
+// rather than repeating the numbers.
+const DEFAULT_RANGES = {
+  // mmHg: above target is ACC/AHA stage 1 hypertension, above `high` stage 2
+  blood_pressure: {
+    systolic: { low: null, min: null, max: 129, high: 139 },
+    diastolic: { low: null, min: null, max: 79, high: 89 }
+  },
+  // mg/dL by measurement context. Readings without a context are judged as random,
+  // the loosest non-meal range.
+  blood_sugar: {
+    fasting: { low: 54, min: 70, max: 100, high: 125 },
+    pre_meal: { low: 54, min: 70, max: 130, high: 180 },
+    post_meal: { low: 54, min: 70, max: 140, high: 180 },
+    bedtime: { low: 54, min: 70, max: 150, high: 200 },
+    random: { low: 54, min: 70, max: 140, high: 180 }
+  },
+  heart_rate: { low: null, min: 60, max: 100, high: null },
+  cholesterol: { low: null, min: null, max: 200, high: 240 },
+  oxygen_saturation: { low: 90, min: 95, max: null, high: null },
+  // kg; no population default, a clinician sets one per patient
+  weight: { low: null, min: null, max: null, high: null },
+  // Minutes a day
+  activity_level: { low: null, min: 30, max: null, high: null },
+  // Hours a night
+  sleep_quality: { low: 4, min: 7, max: 9, high: null },
+  // °C, NEWS2 bands
+  temperature: { low: 35.0, min: 36.0, max: 38.0, high: 39.0 },
+  // breaths/min, NEWS2 bands
+  respiratory_rate: { low: 8, min: 12, max: 20, high: 25 },
+  // %: from 6.5 is the diabetes range, from 9 very high
+  hba1c: { low: null, min: null, max: 6.4, high: 8.9 },
+  // mL/min/1.73m²: below 60 is CKD stage 3, below 30 stage 4
+  egfr: { low: 30, min: 60, max: null, high: null },
+  // mg/dL
+  creatinine: { low: null, min: null, max: 1.2, high: 2.0 },
+  // Bands are a percentage of the patient's personal best (action plan zones).
+  // personalBest (L/min) is worked out from their readings unless a clinician sets it.
+  peak_flow: { personalBest: null, low: 50, min: 80, max: null, high: null },
+  // 0-10 numeric rating scale
+  pain_score: { low: null, min: null, max: 3, high: 6 }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// `defaults` with `overrides` laid over it, key by key
+const mergeRanges = (defaults, overrides) => {
+  if (!isPlainObject(overrides)) return defaults;
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(defaults[key]) ? mergeRanges(defaults[key], value) : value;
+  }
+  return merged;
+};
+
+module.exports = {
+  DEFAULT_RANGES,
+  isPlainObject,
+  mergeRanges
+};
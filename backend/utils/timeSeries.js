@@ -0,0 +1,170 @@
+// Statistics for irregularly spaced readings. A series is a list of { t, y } points,
+// `t` in days (any origin) and `y` the value. Readings aren't taken at fixed intervals,
+// so everything here works from the times themselves rather than the point order.
+
+// Two-sided significance level for trends and coverage of prediction intervals
+const ALPHA = 0.05;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => sum(values) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+const normalCdf = (z) => {
+  const x = Math.abs(z);
+  const k = 1 / (1 + 0.2316419 * x);
+  const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+  const upper = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI) * poly;
+  return z >= 0 ? 1 - upper : upper;
+};
+
+// Standard normal quantile (Acklam's rational approximation, relative error < 1.2e-9)
+const normalQuantile = (p) => {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Student's t quantile: exact for 1 and 2 degrees of freedom, otherwise the
+// Cornish-Fisher expansion around the normal quantile (within 1% from 3 df)
+const tQuantile = (p, df) => {
+  if (df === 1) return Math.tan(Math.PI * (p - 0.5));
+  if (df === 2) return (2 * p - 1) / Math.sqrt(2 * p * (1 - p));
+
+  const z = normalQuantile(p);
+  const z3 = z ** 3;
+  const z5 = z ** 5;
+  const z7 = z ** 7;
+  return z +
+    (z3 + z) / (4 * df) +
+    (5 * z5 + 16 * z3 + 3 * z) / (96 * df ** 2) +
+    (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df ** 3);
+};
+
+// Ordinary least squares fit of y on t. `residualError` is the standard error of the
+// residuals; null until there are three points to estimate it from.
+const linearRegression = (points) => {
+  const n = points.length;
+  const meanT = mean(points.map(p => p.t));
+  const meanY = mean(points.map(p => p.y));
+  const sxx = sum(points.map(p => (p.t - meanT) ** 2));
+  const sxy = sum(points.map(p => (p.t - meanT) * (p.y - meanY)));
+
+  // All readings at the same moment: no slope to speak of
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = meanY - slope * meanT;
+  const sse = sum(points.map(p => (p.y - (intercept + slope * p.t)) ** 2));
+  const residualError = n > 2 ? Math.sqrt(sse / (n - 2)) : null;
+
+  return { n, slope, intercept, meanT, sxx, residualError };
+};
+
+// Value the fit predicts at `t`, with the interval a new reading should fall in
+// (1 - ALPHA of the time)
+const predict = (regression, t, alpha = ALPHA) => {
+  const { n, slope, intercept, meanT, sxx, residualError } = regression;
+  const value = intercept + slope * t;
+  if (residualError === null) return { value, lower: null, upper: null };
+
+  const leverage = sxx === 0 ? 0 : (t - meanT) ** 2 / sxx;
+  const margin = tQuantile(1 - alpha / 2, n - 2) * residualError * Math.sqrt(1 + 1 / n + leverage);
+  return { value, lower: value - margin, upper: value + margin };
+};
+
+// Mann-Kendall test for a monotonic trend, with the variance corrected for ties.
+// `tau` runs from -1 (always falling) to 1 (always rising).
+const mannKendall = (points) => {
+  const ordered = [...points].sort((a, b) => a.t - b.t);
+  const n = ordered.length;
+
+  let s = 0;
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(ordered[j].y - ordered[i].y);
+    }
+  }
+
+  const ties = {};
+  ordered.forEach(p => { ties[p.y] = (ties[p.y] || 0) + 1; });
+  const tieTerm = sum(Object.values(ties).map(count => count * (count - 1) * (2 * count + 5)));
+  const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+
+  // Continuity correction: S moves in steps of two
+  const z = variance > 0 && s !== 0 ? (s - Math.sign(s)) / Math.sqrt(variance) : 0;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  const pairs = n * (n - 1) / 2;
+
+  return { s, z, pValue, tau: pairs > 0 ? s / pairs : 0 };
+};
+
+// Theil-Sen slope: the median of the slopes between every pair of readings taken at
+// different times. Unlike least squares, one odd reading barely moves it.
+const senSlope = (points) => {
+  const slopes = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    for (let j = i + 1; j < points.length; j++) {
+      const dt = points[j].t - points[i].t;
+      if (dt !== 0) slopes.push((points[j].y - points[i].y) / dt);
+    }
+  }
+  return slopes.length > 0 ? median(slopes) : 0;
+};
+
+// The series averaged over equal-width time bins - at least a day wide, wider when
+// that still leaves more than `maxPoints` - for the pairwise statistics above, which
+// grow with the square of the point count. Linear in the points; a series that already
+// fits comes back as is.
+const binnedMeans = (points, maxPoints) => {
+  if (points.length <= maxPoints) return points;
+
+  // Not Math.min(...): a year of CGM readings is more arguments than a call can take
+  const start = points.reduce((min, p) => Math.min(min, p.t), Infinity);
+  const end = points.reduce((max, p) => Math.max(max, p.t), -Infinity);
+  const width = Math.max(1, (end - start) / maxPoints);
+
+  const bins = new Map();
+  points.forEach(p => {
+    const key = Math.min(Math.floor((p.t - start) / width), maxPoints - 1);
+    const bin = bins.get(key) || { t: 0, y: 0, count: 0 };
+    bin.t += p.t;
+    bin.y += p.y;
+    bin.count += 1;
+    bins.set(key, bin);
+  });
+
+  return [...bins.keys()]
+    .sort((a, b) => a - b)
+    .map(key => {
+      const { t, y, count } = bins.get(key);
+      return { t: t / count, y: y / count };
+    });
+};
+
+module.exports = {
+  ALPHA,
+  normalCdf,
+  normalQuantile,
+  tQuantile,
+  linearRegression,
+  predict,
+  mannKendall,
+  senSlope,
+  binnedMeans
+};
@@ -0,0 +1,63 @@
+// Wall-clock helpers for IANA timezones. Device exports report local times without an
+// offset, and daily totals need to follow the patient's day rather than UTC's.
+
+const formatters = new Map();
+
+// Throws a RangeError for unknown zones
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Local calendar day ("2024-03-01"), hour, minute and second of an instant
+const localParts = (date, timeZone) => {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second)
+  };
+};
+
+// Milliseconds the zone is ahead of UTC at the given instant
+const offsetAt = (time, timeZone) => {
+  const { day, hour, minute, second } = localParts(new Date(time), timeZone);
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date, hour, minute, second) - Math.floor(time / 1000) * 1000;
+};
+
+// The instant a local wall-clock time ({ day, hour, minute, second }) refers to
+const zonedTime = ({ day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const asUtc = Date.UTC(year, month - 1, date, hour, minute, second);
+  // Second pass settles times near a DST change, where the offset differs from the first guess
+  const guess = asUtc - offsetAt(asUtc, timeZone);
+  return new Date(asUtc - offsetAt(guess, timeZone));
+};
+
+module.exports = {
+  isValidTimeZone,
+  localParts,
+  zonedTime
+};
@@ -0,0 +1,159 @@
+// Units for health readings. Every reading is stored in its type's canonical unit;
+// values entered in another accepted unit are converted on the way in, and shown
+// in the viewer's preferred unit on the way out.
+
+const { READING_TYPES } = require('./readingTypes');
+
+// Per-type unit definitions from the reading type registry
+const READING_UNITS = Object.fromEntries(
+  Object.entries(READING_TYPES).map(([dataType, { canonical, units, limits }]) => [dataType, { canonical, units, limits }])
+);
+
+// Stored values keep a little more precision than anyone enters, so converting back
+// to the unit a patient typed gives them the same number
+const STORAGE_DECIMALS = 2;
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+const canonicalUnit = (dataType) => READING_UNITS[dataType]?.canonical || null;
+
+// Accepted unit labels for a reading type, canonical first
+const unitsFor = (dataType) => Object.keys(READING_UNITS[dataType]?.units || {});
+
+// Match a submitted unit against the type's accepted units; null when it isn't one
+const resolveUnit = (dataType, unit) => {
+  const entry = READING_UNITS[dataType];
+  if (!entry || typeof unit !== 'string') return null;
+
+  const text = unit.trim().toLowerCase();
+  return Object.keys(entry.units).find(label => {
+    const definition = entry.units[label];
+    return label.toLowerCase() === text || definition.ucum.toLowerCase() === text || definition.aliases.includes(text);
+  }) || null;
+};
+
+// The unit a viewer sees a reading type in; falls back to the canonical unit
+const preferredUnit = (dataType, preferences) => {
+  const unit = preferences && preferences[dataType];
+  return unit && unitsFor(dataType).includes(unit) ? unit : canonicalUnit(dataType);
+};
+
+const unitError = (dataType, unit) => {
+  const accepted = unitsFor(dataType);
+  return accepted.length === 1
+    ? `Unit "${unit}" doesn't match ${READING_TYPES[dataType].label.toLowerCase()} readings, which are recorded in ${accepted[0]}`
+    : `Unit "${unit}" doesn't match ${READING_TYPES[dataType].label.toLowerCase()} readings. Use one of: ${accepted.join(', ')}`;
+};
+
+// Bounds a stored value must fall within; null when it's plausible
+const limitsError = (dataType, value) => {
+  const limits = READING_UNITS[dataType].limits;
+  if (!limits) return null;
+
+  const { label, canonical } = READING_TYPES[dataType];
+  if (limits.integer && !Number.isInteger(value)) {
+    return `${label} must be a whole number`;
+  }
+  if (value < limits.min || value > limits.max) {
+    // Scores such as "/10" read better without their unit
+    const unit = canonical.startsWith('/') ? '' : ` ${canonical}`;
+    return `${label} must be between ${limits.min} and ${limits.max}${unit}`;
+  }
+  return null;
+};
+
+// A finite number, or a string that is one and nothing else; null for anything else
+// (objects, booleans, "12abc", Infinity)
+const readNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !/^\s*[+-]?(?:\d+(?:\.\d*)?|\.\d+)\s*$/.test(value)) return null;
+  return Number(value);
+};
+
+// Convert a parsed reading value to the canonical unit for storage and check it's
+// within the type's plausible limits. A missing unit means `fallbackUnit` (usually
+// the patient's preference). Blood pressure values are already JSON and only have
+// their unit checked; every other value must be numeric. Returns { value, unit } or
+// { error }.
+const toCanonical = (dataType, value, unit, fallbackUnit = null) => {
+  if (!READING_UNITS[dataType]) return { value, unit };
+
+  const given = unit === undefined || unit === null || unit === '' ? fallbackUnit || canonicalUnit(dataType) : unit;
+  const resolved = resolveUnit(dataType, given);
+  if (!resolved) return { error: unitError(dataType, given) };
+
+  const canonical = canonicalUnit(dataType);
+  if (dataType === 'blood_pressure') {
+    return { value, unit: canonical };
+  }
+
+  const number = readNumber(value);
+  if (number === null) {
+    return { error: `${READING_TYPES[dataType].label} must be a number` };
+  }
+
+  const { factor, offset = 0 } = READING_UNITS[dataType].units[resolved];
+  const converted = resolved === canonical ? number : round(number * factor + offset, STORAGE_DECIMALS);
+  const error = limitsError(dataType, converted);
+  if (error) return { error };
+
+  return { value: converted, unit: canonical };
+};
+
+// Convert a stored value to `unit`. Rows saved before conversion existed may carry a
+// non-canonical unit, so the stored unit is honoured rather than assumed.
+const convertValue = (dataType, value, fromUnit, toUnit) => {
+  const entry = READING_UNITS[dataType];
+  const from = resolveUnit(dataType, fromUnit) || canonicalUnit(dataType);
+  const number = Number(value);
+  if (!entry || dataType === 'blood_pressure' || from === toUnit || isNaN(number)) return value;
+
+  const source = entry.units[from];
+  const target = entry.units[toUnit];
+  const canonicalValue = number * source.factor + (source.offset || 0);
+  return round((canonicalValue - (target.offset || 0)) / target.factor, target.decimals);
+};
+
+// A reading as JSON, plus displayValue/displayUnit in the viewer's preferred unit
+const presentReading = (reading, preferences) => {
+  const json = typeof reading.toJSON === 'function' ? reading.toJSON() : { ...reading };
+  const displayUnit = preferredUnit(json.dataType, preferences) || json.unit;
+
+  return {
+    ...json,
+    displayValue: convertValue(json.dataType, json.value, json.unit, displayUnit),
+    displayUnit
+  };
+};
+
+// Validate a { dataType: unit } preference map. Only types with a choice of unit can
+// be set. Returns { unitPreferences } or { error }.
+const parseUnitPreferences = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'unitPreferences must be an object such as { "blood_sugar": "mmol/L" }' };
+  }
+
+  const unitPreferences = {};
+  for (const [dataType, unit] of Object.entries(input)) {
+    if (unitsFor(dataType).length < 2) {
+      return { error: `${dataType} has no alternative units to choose from` };
+    }
+    const resolved = resolveUnit(dataType, unit);
+    if (!resolved) return { error: unitError(dataType, unit) };
+    unitPreferences[dataType] = resolved;
+  }
+
+  return { unitPreferences };
+};
+
+module.exports = {
+  READING_UNITS,
+  canonicalUnit,
+  unitsFor,
+  resolveUnit,
+  preferredUnit,
+  toCanonical,
+  convertValue,
+  presentReading,
+  parseUnitPreferences
+};
@@ -1,11 +1,17 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useSearchParams } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { HealthTypesProvider } from './contexts/HealthTypesContext';
+import { getRedirectPath } from './utils';
 
 // Pages
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import UnlockAccount from './pages/UnlockAccount';
 import Dashboard from './pages/Dashboard';
 import HealthData from './pages/HealthData';
 import Medications from './pages/Medications';
@@ -13,6 +19,10 @@ import Goals from './pages/Goals';
 import Profile from './pages/Profile';
 import Layout from './components/layout/Layout';
 import EmailSettings from './pages/EmailSettings';
+import CarePatients from './pages/CarePatients';
+import CareTeam from './pages/CareTeam';
+import AcceptInvitation from './pages/AcceptInvitation';
+import AccessLog from './pages/AccessLog';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -29,9 +39,24 @@ const ProtectedRoute = ({ children }) => {
   return isAuthenticated ? children : <Navigate to="/login" />;
 };
 
+// Where a signed-in account lands: patients get their dashboard, care team members their patient list
+const homePath = (patient) => (!patient?.role || patient.role === 'patient' ? '/dashboard' : '/care/patients');
+
+// Pages about the signed-in patient's own record
+const PatientRoute = ({ children }) => {
+  const { patient } = useAuth();
+  return patient?.role && patient.role !== 'patient' ? <Navigate to={homePath(patient)} /> : children;
+};
+
+const HomeRedirect = () => {
+  const { patient } = useAuth();
+  return <Navigate to={homePath(patient)} />;
+};
+
 // Public Route Component (redirect if authenticated)
 const PublicRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, patient } = useAuth();
+  const [searchParams] = useSearchParams();
   
   if (loading) {
     return (
@@ -41,64 +66,85 @@ const PublicRoute = ({ children }) => {
     );
   }
   
-  return !isAuthenticated ? children : <Navigate to="/dashboard" />;
+  return !isAuthenticated ? children : <Navigate to={getRedirectPath(searchParams) || homePath(patient)} />;
 };
 
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="App">
-          <Toaster 
-            position="top-right"
-            toastOptions={{
-              duration: 4000,
-              style: {
-                background: '#363636',
-                color: '#fff',
-              },
-              success: {
-                duration: 3000,
-                theme: {
-                  primary: 'green',
-                  secondary: 'black',
+      <HealthTypesProvider>
+        <Router>
+          <div className="App">
+            <Toaster 
+              position="top-right"
+              toastOptions={{
+                duration: 4000,
+                style: {
+                  background: '#363636',
+                  color: '#fff',
                 },
-              },
-            }}
-          />
-          <Routes>
-            {/* Public Routes */}
-            <Route path="/login" element={
-              <PublicRoute>
-                <Login />
-              </PublicRoute>
-            } />
-            <Route path="/register" element={
-              <PublicRoute>
-                <Register />
-              </PublicRoute>
-            } />
+                success: {
+                  duration: 3000,
+                  theme: {
+                    primary: 'green',
+                    secondary: 'black',
+                  },
+                },
+              }}
+            />
+            <Routes>
+              {/* Public Routes */}
+              <Route path="/login" element={
+                <PublicRoute>
+                  <Login />
+                </PublicRoute>
+              } />
+              <Route path="/register" element={
+                <PublicRoute>
+                  <Register />
+                </PublicRoute>
+              } />
+              <Route path="/forgot-password" element={
+                <PublicRoute>
+                  <ForgotPassword />
+                </PublicRoute>
+              } />
+              <Route path="/reset-password" element={
+                <PublicRoute>
+                  <ResetPassword />
+                </PublicRoute>
+              } />
+            
+              {/* Works whether or not the patient is signed in */}
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route path="/unlock-account" element={<UnlockAccount />} />
+              <Route path="/care-invite" element={<AcceptInvitation />} />
             
-            {/* Protected Routes */}
-            <Route path="/" element={
-              <ProtectedRoute>
-                <Layout />
-              </ProtectedRoute>
-            }>
-              <Route index element={<Navigate to="/dashboard" />} />
-              <Route path="dashboard" element={<Dashboard />} />
-              <Route path="health-data" element={<HealthData />} />
-              <Route path="medications" element={<Medications />} />
-              <Route path="goals" element={<Goals />} />
-              <Route path="profile" element={<Profile />} />
-              <Route path="email-settings" element={<EmailSettings />} />
-            </Route>
+              {/* Protected Routes */}
+              <Route path="/" element={
+                <ProtectedRoute>
+                  <Layout />
+                </ProtectedRoute>
+              }>
+                <Route index element={<HomeRedirect />} />
+                <Route path="dashboard" element={<PatientRoute><Dashboard /></PatientRoute>} />
+                <Route path="health-data" element={<PatientRoute><HealthData /></PatientRoute>} />
+                <Route path="medications" element={<PatientRoute><Medications /></PatientRoute>} />
+                <Route path="goals" element={<PatientRoute><Goals /></PatientRoute>} />
+                <Route path="care-team" element={<PatientRoute><CareTeam /></PatientRoute>} />
+                <Route path="access-log" element={<PatientRoute><AccessLog /></PatientRoute>} />
+                <Route path="care/patients" element={<CarePatients />} />
+                <Route path="care/patients/:patientId" element={<CarePatients />} />
+                <Route path="profile" element={<Profile />} />
+                <Route path="email-settings" element={<EmailSettings />} />
+              </Route>
             
-            {/* Catch all route */}
-            <Route path="*" element={<Navigate to="/dashboard" />} />
-          </Routes>
-        </div>
-      </Router>
+              {/* Catch all route */}
+              <Route path="*" element={<HomeRedirect />} />
+            </Routes>
+          </div>
+        </Router>
+      </HealthTypesProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,141 @@
+import React from 'react';
+import { Droplet } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+// Time-in-range bands, highest first as on a standard AGP report
+const RANGE_BANDS = [
+  { key: 'veryHigh', label: 'Very high (>250)', color: 'bg-orange-500' },
+  { key: 'high', label: 'High (181-250)', color: 'bg-yellow-400' },
+  { key: 'inRange', label: 'In range (70-180)', color: 'bg-green-500' },
+  { key: 'low', label: 'Low (54-69)', color: 'bg-red-400' },
+  { key: 'veryLow', label: 'Very low (<54)', color: 'bg-red-700' },
+];
+
+const MetricTile = ({ label, value, target, ok }) => (
+  <div className="p-3 bg-gray-50 rounded">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className={`text-xl font-bold ${ok === false ? 'text-red-600' : 'text-gray-900'}`}>{value}</p>
+    {target && <p className="text-xs text-gray-400">{target}</p>}
+  </div>
+);
+
+const CgmSummary = ({ metrics }) => {
+  const { targets } = metrics;
+
+  // Bands are drawn outermost first; each fills down to the dataset before it
+  const agpData = {
+    labels: metrics.agp.map(point => point.time),
+    datasets: [
+      { label: '5th percentile', data: metrics.agp.map(p => p.p5), borderColor: 'transparent', pointRadius: 0, fill: false },
+      { label: '5-95%', data: metrics.agp.map(p => p.p95), borderColor: 'transparent', backgroundColor: 'rgba(59, 130, 246, 0.15)', pointRadius: 0, fill: 0 },
+      { label: '25th percentile', data: metrics.agp.map(p => p.p25), borderColor: 'transparent', pointRadius: 0, fill: false },
+      { label: '25-75%', data: metrics.agp.map(p => p.p75), borderColor: 'transparent', backgroundColor: 'rgba(59, 130, 246, 0.35)', pointRadius: 0, fill: 2 },
+      { label: 'Median', data: metrics.agp.map(p => p.p50), borderColor: 'rgb(37, 99, 235)', borderWidth: 2, pointRadius: 0, fill: false },
+    ],
+  };
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-lg font-semibold mb-1 flex items-center">
+        <Droplet className="h-5 w-5 mr-2 text-blue-500" />
+        Glucose (CGM)
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Last {metrics.days} days · {metrics.sampleCount} sensor readings · {metrics.dataSufficiency}% sensor wear
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Time in Ranges</h4>
+          <div className="flex">
+            <div className="w-8 h-48 flex flex-col rounded overflow-hidden">
+              {RANGE_BANDS.map(band => (
+                <div key={band.key} className={band.color} style={{ height: `${metrics.ranges[band.key]}%` }} />
+              ))}
+            </div>
+            <ul className="ml-4 flex flex-col justify-between text-xs text-gray-600">
+              {RANGE_BANDS.map(band => (
+                <li key={band.key}>
+                  <span className="font-semibold text-gray-900">{metrics.ranges[band.key]}%</span> {band.label}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2">
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Ambulatory Glucose Profile</h4>
+          <div className="h-56">
+            <Line
+              data={agpData}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                spanGaps: true,
+                plugins: {
+                  legend: {
+                    labels: { filter: (item) => !item.text.includes('percentile') },
+                  },
+                },
+                scales: {
+                  x: { ticks: { maxTicksLimit: 8 } },
+                  y: { suggestedMin: 40, suggestedMax: 300, title: { display: true, text: 'mg/dL' } },
+                },
+              }}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-6 text-center">
+        <MetricTile
+          label="Time in range"
+          value={`${metrics.timeInRange}%`}
+          target={`Target >${targets.timeInRange}%`}
+          ok={metrics.timeInRange > targets.timeInRange}
+        />
+        <MetricTile
+          label="Time below range"
+          value={`${metrics.timeBelowRange}%`}
+          target={`Target <${targets.timeBelowRange}%`}
+          ok={metrics.timeBelowRange < targets.timeBelowRange}
+        />
+        <MetricTile
+          label="GMI"
+          value={`${metrics.glucoseManagementIndicator}%`}
+          target={`Mean ${metrics.meanGlucose} mg/dL`}
+        />
+        <MetricTile
+          label="Variability (CV)"
+          value={`${metrics.coefficientOfVariation}%`}
+          target={`Target ≤${targets.coefficientOfVariation}%`}
+          ok={metrics.coefficientOfVariation <= targets.coefficientOfVariation}
+        />
+      </div>
+
+      {metrics.insights?.length > 0 && (
+        <ul className="mt-4 space-y-2">
+          {metrics.insights.map((insight, index) => (
+            <li key={index} className="p-3 bg-blue-50 rounded-lg border border-blue-200 text-sm text-blue-800">
+              {insight}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CgmSummary;
@@ -0,0 +1,319 @@
+import React, { useState } from 'react';
+import { Upload, FileText, AlertTriangle, CheckCircle, X } from 'lucide-react';
+import { useHealthTypes } from '../../contexts/HealthTypesContext';
+import { healthService } from '../../services/api';
+import { formatDate, formatHealthValue } from '../../utils';
+import toast from 'react-hot-toast';
+
+// Reading fields a CSV column can be mapped onto, in the order they're shown
+const IMPORT_FIELDS = [
+  { key: 'recordedAt', label: 'Date (or date and time)', required: true },
+  { key: 'time', label: 'Time, if in its own column' },
+  { key: 'dataType', label: 'Reading type' },
+  { key: 'value', label: 'Value (e.g. 110 or 120/80)' },
+  { key: 'systolic', label: 'Systolic, if in its own column' },
+  { key: 'diastolic', label: 'Diastolic, if in its own column' },
+  { key: 'unit', label: 'Unit' },
+  { key: 'measurementContext', label: 'Meal timing (blood sugar only)' },
+  { key: 'notes', label: 'Notes' }
+];
+
+const STEPS = ['upload', 'mapping', 'review'];
+
+const CsvImportWizard = ({ patientId, onClose, onImported }) => {
+  const { types, typeLabel } = useHealthTypes();
+  const [step, setStep] = useState('upload');
+  const [loading, setLoading] = useState(false);
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [fileInfo, setFileInfo] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [defaultDataType, setDefaultDataType] = useState('blood_sugar');
+  const [result, setResult] = useState(null);
+
+  const buildRequest = (dryRun) => {
+    // Drop unmapped fields so the server only sees real columns
+    const cleanMapping = Object.fromEntries(Object.entries(mapping).filter(([, header]) => header));
+    return {
+      patientId,
+      csv,
+      mapping: cleanMapping,
+      defaults: cleanMapping.dataType ? {} : { dataType: defaultDataType },
+      // Dates in the file are the patient's local time
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      dryRun
+    };
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setLoading(true);
+    try {
+      const text = await file.text();
+      const response = await healthService.importCsv({ patientId, csv: text });
+      if (response.data.success) {
+        setCsv(text);
+        setFileName(file.name);
+        setFileInfo(response.data.data);
+        setMapping(response.data.data.suggestedMapping);
+        setStep('mapping');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read CSV file');
+      console.error('Error reading CSV file:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setLoading(true);
+    try {
+      const response = await healthService.importCsv(buildRequest(true));
+      if (response.data.success) {
+        setResult(response.data.data);
+        setStep('review');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to preview import');
+      console.error('Error previewing import:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    try {
+      const response = await healthService.importCsv(buildRequest(false));
+      if (response.data.success) {
+        toast.success(response.data.message);
+        onImported();
+      }
+    } catch (error) {
+      // Rejected imports come back with the row-by-row report
+      if (error.response?.data?.data) {
+        setResult(error.response.data.data);
+      }
+      toast.error(error.response?.data?.message || 'Import failed');
+      console.error('Error importing health data:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const newReadings = result ? result.validRows - result.duplicateRows : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold">Import Readings from CSV</h2>
+            <p className="text-sm text-gray-500">
+              Step {STEPS.indexOf(step) + 1} of {STEPS.length}
+              {fileName && ` · ${fileName}`}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {step === 'upload' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Choose a CSV export from your glucometer, blood pressure cuff or spreadsheet. The first row
+              must contain column names; you'll match them to reading fields next.
+            </p>
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-blue-400">
+              <Upload className="h-8 w-8 text-gray-400" />
+              <span className="mt-2 text-sm font-medium text-gray-700">
+                {loading ? 'Reading file...' : 'Select a CSV file'}
+              </span>
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFileChange}
+                disabled={loading}
+                className="hidden"
+              />
+            </label>
+          </div>
+        )}
+
+        {step === 'mapping' && fileInfo && (
+          <div className="space-y-6">
+            <p className="text-sm text-gray-600">
+              Found {fileInfo.totalRows} row(s). Match each reading field to a column in your file.
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                    className="input-field"
+                  >
+                    <option value="">Not in file</option>
+                    {fileInfo.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {!mapping.dataType && (
+              <div className="max-w-sm">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Reading type for every row
+                </label>
+                <select
+                  value={defaultDataType}
+                  onChange={(e) => setDefaultDataType(e.target.value)}
+                  className="input-field"
+                >
+                  {types.map(type => (
+                    <option key={type.key} value={type.key}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs border border-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {fileInfo.headers.map(header => (
+                      <th key={header} className="px-2 py-1 text-left font-medium text-gray-700">{header}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {fileInfo.sampleRows.map((row, index) => (
+                    <tr key={index} className="border-t border-gray-200">
+                      {fileInfo.headers.map((header, column) => (
+                        <td key={header} className="px-2 py-1 text-gray-600">{row[column]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex space-x-3">
+              <button onClick={() => setStep('upload')} className="flex-1 btn-secondary" disabled={loading}>
+                Back
+              </button>
+              <button onClick={handlePreview} className="flex-1 btn-primary disabled:opacity-50" disabled={loading}>
+                {loading ? 'Checking...' : 'Preview Import'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'review' && result && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+              <div className="p-3 bg-gray-50 rounded">
+                <p className="text-2xl font-bold text-gray-900">{result.totalRows}</p>
+                <p className="text-xs text-gray-500">Rows</p>
+              </div>
+              <div className="p-3 bg-green-50 rounded">
+                <p className="text-2xl font-bold text-green-700">{newReadings}</p>
+                <p className="text-xs text-gray-500">New readings</p>
+              </div>
+              <div className="p-3 bg-gray-50 rounded">
+                <p className="text-2xl font-bold text-gray-700">{result.duplicateRows}</p>
+                <p className="text-xs text-gray-500">Already recorded</p>
+              </div>
+              <div className="p-3 bg-red-50 rounded">
+                <p className="text-2xl font-bold text-red-700">{result.errors.length}</p>
+                <p className="text-xs text-gray-500">Problems</p>
+              </div>
+            </div>
+
+            {result.errors.length > 0 ? (
+              <div>
+                <div className="flex items-center text-sm text-red-700 mb-2">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  Fix these rows in your file and upload it again. Nothing is imported until every row is valid.
+                </div>
+                <div className="max-h-60 overflow-y-auto border border-red-200 rounded">
+                  <table className="min-w-full text-xs">
+                    <thead className="bg-red-50">
+                      <tr>
+                        <th className="px-2 py-1 text-left font-medium text-gray-700">Row</th>
+                        <th className="px-2 py-1 text-left font-medium text-gray-700">Field</th>
+                        <th className="px-2 py-1 text-left font-medium text-gray-700">Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.errors.map((error, index) => (
+                        <tr key={index} className="border-t border-red-100">
+                          <td className="px-2 py-1 text-gray-600">{error.row}</td>
+                          <td className="px-2 py-1 text-gray-600">{error.field}</td>
+                          <td className="px-2 py-1 text-gray-600">{error.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ) : (
+              <div className="flex items-center text-sm text-green-700">
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Every row is valid.
+              </div>
+            )}
+
+            {result.preview?.length > 0 && (
+              <div>
+                <div className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                  <FileText className="h-4 w-4 mr-2" />
+                  First readings to be imported
+                </div>
+                <table className="min-w-full text-xs border border-gray-200">
+                  <tbody>
+                    {result.preview.map((reading, index) => (
+                      <tr key={index} className="border-t border-gray-200">
+                        <td className="px-2 py-1 text-gray-600">{formatDate(reading.recordedAt, 'MMM dd, yyyy HH:mm')}</td>
+                        <td className="px-2 py-1 text-gray-600">{typeLabel(reading.dataType)}</td>
+                        <td className="px-2 py-1 text-gray-900 font-medium">
+                          {formatHealthValue(reading.dataType, reading.value)} {reading.unit}
+                        </td>
+                        <td className="px-2 py-1 text-gray-500">{reading.notes}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <button onClick={() => setStep('mapping')} className="flex-1 btn-secondary" disabled={loading}>
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                className="flex-1 btn-primary disabled:opacity-50"
+                disabled={loading || result.errors.length > 0 || newReadings === 0}
+              >
+                {loading ? 'Importing...' : `Import ${newReadings} Reading(s)`}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CsvImportWizard;
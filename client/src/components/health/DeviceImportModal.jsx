@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { Upload, CheckCircle, X } from 'lucide-react';
+import { useHealthTypes } from '../../contexts/HealthTypesContext';
+import { healthService } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const SOURCES = {
+  'apple-health': {
+    label: 'Apple Health',
+    accept: '.zip,.xml',
+    help: 'In the Health app, tap your profile picture, then "Export All Health Data". Upload the export.zip it creates (or the export.xml inside it).'
+  },
+  'google-fit': {
+    label: 'Google Fit',
+    accept: '.zip',
+    help: 'At takeout.google.com, select only "Fit" and create the export. Upload the .zip archive you download.'
+  },
+  cgm: {
+    label: 'Glucose sensor (Dexcom or Libre)',
+    accept: '.csv,text/csv',
+    help: 'Export a CSV from Dexcom Clarity or LibreView. Sensor readings are kept separately and summarised as time in range on your dashboard.'
+  }
+};
+
+const DeviceImportModal = ({ patientId, onClose, onImported }) => {
+  const { typeLabel } = useHealthTypes();
+  const [source, setSource] = useState('apple-health');
+  const [file, setFile] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const uploading = progress !== null;
+
+  const upload = async () => {
+    const onUploadProgress = (event) => {
+      if (event.total) setProgress(Math.round((event.loaded / event.total) * 100));
+    };
+
+    // CGM exports are CSV text and go through their own endpoint
+    if (source === 'cgm') {
+      return healthService.importCgm({ patientId, csv: await file.text() }, onUploadProgress);
+    }
+    return healthService.importDeviceExport(patientId, source, file, onUploadProgress);
+  };
+
+  const handleImport = async () => {
+    setProgress(0);
+    try {
+      const response = await upload();
+      if (response.data.success) {
+        setResult(response.data.data);
+        toast.success(response.data.message);
+        onImported();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Import failed');
+      console.error('Error importing device export:', error);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">Import from Phone or Sensor</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" disabled={uploading}>
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        {result ? (
+          <div className="space-y-4">
+            <div className="flex items-center text-sm text-green-700">
+              <CheckCircle className="h-4 w-4 mr-2" />
+              {result.imported} new reading(s) imported from {SOURCES[source].label}
+              {result.duplicates > 0 && `, ${result.duplicates} already recorded`}.
+            </div>
+            {result.errorCount > 0 && (
+              <p className="text-sm text-yellow-700">
+                {result.errorCount} row(s) couldn't be read and were skipped.
+              </p>
+            )}
+            {result.byType && Object.keys(result.byType).length > 0 && (
+              <ul className="text-sm text-gray-600 space-y-1">
+                {Object.entries(result.byType).map(([dataType, count]) => (
+                  <li key={dataType} className="flex justify-between">
+                    <span>{typeLabel(dataType)}</span>
+                    <span className="font-medium">{count}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {source !== 'cgm' && (
+              <p className="text-xs text-gray-500">
+                Heart rate is stored as hourly averages; exercise minutes and sleep as daily totals.
+              </p>
+            )}
+            <button onClick={onClose} className="w-full btn-primary">
+              Done
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Source</label>
+              <select
+                value={source}
+                onChange={(e) => {
+                  setSource(e.target.value);
+                  setFile(null);
+                }}
+                className="input-field"
+                disabled={uploading}
+              >
+                {Object.entries(SOURCES).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">{SOURCES[source].help}</p>
+            </div>
+
+            <label className="flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-8 cursor-pointer hover:border-blue-400">
+              <Upload className="h-8 w-8 text-gray-400" />
+              <span className="mt-2 text-sm font-medium text-gray-700">
+                {file ? file.name : 'Select the export file'}
+              </span>
+              <input
+                key={source}
+                type="file"
+                accept={SOURCES[source].accept}
+                onChange={(e) => setFile(e.target.files[0] || null)}
+                disabled={uploading}
+                className="hidden"
+              />
+            </label>
+
+            {uploading && (
+              <div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${progress}%` }} />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {progress < 100 ? `Uploading... ${progress}%` : 'Processing readings. Large exports can take a few minutes.'}
+                </p>
+              </div>
+            )}
+
+            <div className="flex space-x-3">
+              <button onClick={onClose} className="flex-1 btn-secondary" disabled={uploading}>
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                className="flex-1 btn-primary disabled:opacity-50"
+                disabled={!file || uploading}
+              >
+                {uploading ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeviceImportModal;
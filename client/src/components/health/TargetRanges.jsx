@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { Crosshair, Pencil, RotateCcw } from 'lucide-react';
+import { patientService } from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Thresholds of a band in the order they must increase
+const BAND_FIELDS = [
+  { key: 'low', label: 'Urgent below' },
+  { key: 'min', label: 'Target from' },
+  { key: 'max', label: 'Target to' },
+  { key: 'high', label: 'Urgent above' },
+];
+
+const isBand = (value) => value && typeof value === 'object' && BAND_FIELDS.some(({ key }) => key in value);
+
+const partLabel = (key) => key.charAt(0).toUpperCase() + key.slice(1).replace('_', '-');
+
+// A type's ranges as labelled bands: blood pressure has systolic and diastolic, blood
+// sugar one per measurement context, everything else a single band
+const bandsOf = (ranges) => isBand(ranges)
+  ? [{ path: [], label: null, band: ranges }]
+  : Object.entries(ranges)
+    .filter(([, value]) => isBand(value))
+    .map(([key, band]) => ({ path: [key], label: partLabel(key), band }));
+
+const describeBand = (band, unit) => {
+  const { low, min, max, high } = band;
+  const has = (bound) => typeof bound === 'number';
+  const parts = [];
+
+  if (has(min) && has(max)) parts.push(`target ${min}-${max} ${unit}`);
+  else if (has(max)) parts.push(`target under ${max} ${unit}`);
+  else if (has(min)) parts.push(`target over ${min} ${unit}`);
+  if (has(low)) parts.push(`urgent below ${low}`);
+  if (has(high)) parts.push(`urgent above ${high}`);
+
+  return parts.join(', ') || 'no target set';
+};
+
+const getPath = (object, path) => path.reduce((value, key) => value?.[key], object);
+
+// Build the override from the form: only values that differ from the defaults
+const buildOverride = (values, defaults) => {
+  const override = {};
+  for (const [field, text] of Object.entries(values)) {
+    const path = field.split('.');
+    const value = text === '' ? null : Number(text);
+    if (value === getPath(defaults, path)) continue;
+
+    let node = override;
+    path.slice(0, -1).forEach(key => { node = node[key] = node[key] || {}; });
+    node[path[path.length - 1]] = value;
+  }
+  return override;
+};
+
+// Target ranges a patient's readings are judged against. Clinicians can change them;
+// everyone else sees them read-only.
+const TargetRanges = ({ patientId, editable = false }) => {
+  const [targets, setTargets] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadTargets();
+  }, [patientId]);
+
+  const loadTargets = async () => {
+    try {
+      const response = await patientService.getTargets(patientId);
+      if (response.data.success) {
+        setTargets(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading target ranges:', error);
+    }
+  };
+
+  const startEditing = (target) => {
+    const values = {};
+    bandsOf(target.ranges).forEach(({ path, band }) => {
+      BAND_FIELDS.forEach(({ key }) => {
+        values[[...path, key].join('.')] = band[key] ?? '';
+      });
+    });
+    if ('personalBest' in target.ranges) {
+      values.personalBest = target.ranges.personalBest ?? '';
+    }
+    setEditing({ dataType: target.dataType, values, notes: target.notes || '' });
+  };
+
+  const handleValueChange = (field, value) => {
+    setEditing(prev => ({ ...prev, values: { ...prev.values, [field]: value } }));
+  };
+
+  const handleSave = async (target) => {
+    setSaving(true);
+    try {
+      await patientService.setTarget(patientId, target.dataType, {
+        ranges: buildOverride(editing.values, target.defaults),
+        notes: editing.notes
+      });
+      toast.success(`${target.label} target saved`);
+      setEditing(null);
+      loadTargets();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save target');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async (target) => {
+    if (!window.confirm(`Go back to the default ${target.label.toLowerCase()} ranges?`)) return;
+
+    try {
+      await patientService.clearTarget(patientId, target.dataType);
+      toast.success(`${target.label} back to the default ranges`);
+      loadTargets();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reset target');
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-1">
+        <Crosshair className="h-5 w-5 text-purple-500 mr-2" />
+        Target Ranges
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {editable
+          ? 'Readings outside these ranges raise the risk level and alerts for this patient.'
+          : 'Your readings are checked against these ranges. Your clinician can personalise them.'}
+      </p>
+
+      <ul className="divide-y divide-gray-100">
+        {targets.map(target => (
+          <li key={target.dataType} className="py-3 text-sm">
+            <div className="flex items-start justify-between">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {target.label}
+                  {target.override && (
+                    <span className="ml-2 text-xs font-normal text-purple-700 bg-purple-50 px-2 py-0.5 rounded">Personalised</span>
+                  )}
+                </p>
+                {bandsOf(target.ranges).map(({ label, band }) => (
+                  <p key={label || 'band'} className="text-gray-600">
+                    {label && <span className="text-gray-500">{label}: </span>}
+                    {describeBand(band, target.unit)}
+                  </p>
+                ))}
+                {target.ranges.personalBest && (
+                  <p className="text-gray-600">Personal best: {target.ranges.personalBest} L/min</p>
+                )}
+                {target.notes && <p className="text-gray-500 italic mt-1">{target.notes}</p>}
+                {target.setBy && <p className="text-xs text-gray-400 mt-1">Set by {target.setBy.name}</p>}
+              </div>
+              {editable && editing?.dataType !== target.dataType && (
+                <div className="flex space-x-2">
+                  <button onClick={() => startEditing(target)} className="text-blue-600 hover:text-blue-800" title="Edit">
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  {target.override && (
+                    <button onClick={() => handleReset(target)} className="text-gray-500 hover:text-gray-700" title="Use defaults">
+                      <RotateCcw className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {editing?.dataType === target.dataType && (
+              <div className="mt-3 space-y-3">
+                {bandsOf(target.ranges).map(({ path, label }) => (
+                  <div key={label || 'band'}>
+                    {label && <p className="text-xs font-medium text-gray-700 mb-1">{label}</p>}
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                      {BAND_FIELDS.map(({ key, label: fieldLabel }) => {
+                        const field = [...path, key].join('.');
+                        return (
+                          <label key={field} className="text-xs text-gray-500">
+                            {fieldLabel} ({target.unit})
+                            <input
+                              type="number"
+                              step="any"
+                              value={editing.values[field]}
+                              onChange={(e) => handleValueChange(field, e.target.value)}
+                              className="input-field mt-1"
+                              placeholder="None"
+                            />
+                          </label>
+                        );
+                      })}
+                    </div>
+                  </div>
+                ))}
+                {'personalBest' in target.ranges && (
+                  <label className="block text-xs text-gray-500">
+                    Personal best (L/min) - leave empty to use the patient's best reading
+                    <input
+                      type="number"
+                      step="any"
+                      value={editing.values.personalBest}
+                      onChange={(e) => handleValueChange('personalBest', e.target.value)}
+                      className="input-field mt-1"
+                    />
+                  </label>
+                )}
+                <textarea
+                  value={editing.notes}
+                  onChange={(e) => setEditing(prev => ({ ...prev, notes: e.target.value }))}
+                  rows={2}
+                  className="input-field"
+                  placeholder="Why this target? Shown to the patient and care team"
+                />
+                <div className="flex space-x-2">
+                  <button onClick={() => setEditing(null)} className="btn-secondary">Cancel</button>
+                  <button onClick={() => handleSave(target)} disabled={saving} className="btn-primary disabled:opacity-50">
+                    {saving ? 'Saving...' : 'Save target'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default TargetRanges;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { aiAnalysisService } from '../../services/api';
+import { useHealthTypes } from '../../contexts/HealthTypesContext';
+import { MEASUREMENT_CONTEXTS, formatDate } from '../../utils';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Filler, Tooltip, Legend);
+
+const FORECAST_DAYS = [14, 30, 60];
+
+// One colour per series; blood pressure has two
+const COLORS = {
+  systolic: '239, 68, 68',
+  diastolic: '59, 130, 246',
+  value: '124, 58, 237',
+};
+
+const TREND_LABELS = {
+  increasing: { text: 'Rising', className: 'bg-orange-100 text-orange-800' },
+  decreasing: { text: 'Falling', className: 'bg-blue-100 text-blue-800' },
+  stable: { text: 'No clear trend', className: 'bg-gray-100 text-gray-700' },
+  mixed: { text: 'Mixed', className: 'bg-yellow-100 text-yellow-800' },
+};
+
+const at = (date) => new Date(date).getTime();
+
+// Readings, the fitted line and the forecast with its prediction interval, per series.
+// The band is drawn as an upper line filled down to the lower one just before it.
+const chartData = (components) => ({
+  datasets: components.flatMap(component => {
+    const color = COLORS[component.key] || COLORS.value;
+    const forecast = component.forecast || [];
+    return [
+      {
+        label: component.label,
+        data: component.points.map(p => ({ x: at(p.recordedAt), y: p.value })),
+        borderColor: `rgb(${color})`,
+        backgroundColor: `rgb(${color})`,
+        showLine: false,
+        pointRadius: 3,
+      },
+      {
+        label: `${component.label} trend`,
+        data: [...component.fit, ...forecast.map(day => ({ recordedAt: day.date, value: day.value }))]
+          .map(p => ({ x: at(p.recordedAt), y: p.value })),
+        borderColor: `rgb(${color})`,
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: `${component.label} lower`,
+        data: forecast.map(day => ({ x: at(day.date), y: day.lower })),
+        borderColor: 'transparent',
+        pointRadius: 0,
+        fill: false,
+      },
+      {
+        label: `${component.label} forecast range`,
+        data: forecast.map(day => ({ x: at(day.date), y: day.upper })),
+        borderColor: 'transparent',
+        backgroundColor: `rgba(${color}, 0.15)`,
+        pointRadius: 0,
+        fill: '-1',
+      },
+    ];
+  }),
+});
+
+const TrendForecast = ({ patientId }) => {
+  const { types } = useHealthTypes();
+  const [dataType, setDataType] = useState('blood_pressure');
+  const [measurementContext, setMeasurementContext] = useState('fasting');
+  const [forecastDays, setForecastDays] = useState(30);
+  const [prediction, setPrediction] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (patientId) loadPrediction();
+  }, [patientId, dataType, measurementContext, forecastDays]);
+
+  const loadPrediction = async () => {
+    try {
+      setLoading(true);
+      const context = dataType === 'blood_sugar' ? measurementContext : undefined;
+      const response = await aiAnalysisService.getPredictions(patientId, dataType, forecastDays, context);
+      if (response.data.success) {
+        setPrediction(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading trend forecast:', error);
+      setPrediction(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const hasForecast = prediction?.components?.length > 0;
+  const trend = hasForecast && TREND_LABELS[prediction.trend];
+
+  return (
+    <div className="card p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold flex items-center">
+          <TrendingUp className="h-5 w-5 mr-2 text-purple-500" />
+          Trend &amp; Forecast
+        </h3>
+        <div className="flex flex-wrap gap-2">
+          <select className="input-field w-auto" value={dataType} onChange={(e) => setDataType(e.target.value)}>
+            {types.map(type => (
+              <option key={type.key} value={type.key}>{type.label}</option>
+            ))}
+          </select>
+          {dataType === 'blood_sugar' && (
+            <select className="input-field w-auto" value={measurementContext} onChange={(e) => setMeasurementContext(e.target.value)}>
+              {Object.entries(MEASUREMENT_CONTEXTS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          )}
+          <select className="input-field w-auto" value={forecastDays} onChange={(e) => setForecastDays(Number(e.target.value))}>
+            {FORECAST_DAYS.map(days => (
+              <option key={days} value={days}>Next {days} days</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && !prediction ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+        </div>
+      ) : hasForecast ? (
+        <>
+          <div className="flex items-center gap-2 mb-2 text-sm">
+            <span className={`px-2 py-0.5 rounded-full font-medium ${trend.className}`}>{trend.text}</span>
+            <span className="text-gray-500">
+              {prediction.dataPoints} readings · shaded area is the {Math.round(prediction.confidenceLevel * 100)}% forecast range
+            </span>
+          </div>
+          <div className="h-72">
+            <Line
+              data={chartData(prediction.components)}
+              options={{
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                  legend: {
+                    labels: { filter: (item) => !item.text.endsWith(' lower') },
+                  },
+                  tooltip: {
+                    callbacks: {
+                      title: (items) => formatDate(items[0].parsed.x, 'MMM dd, yyyy'),
+                    },
+                  },
+                },
+                scales: {
+                  x: {
+                    type: 'linear',
+                    ticks: { maxTicksLimit: 8, callback: (value) => formatDate(value, 'MMM dd') },
+                  },
+                  y: { title: { display: true, text: prediction.unit } },
+                },
+              }}
+            />
+          </div>
+          <ul className="mt-4 space-y-1 text-sm text-gray-700">
+            {prediction.insights.map((insight, index) => (
+              <li key={index}>{insight}</li>
+            ))}
+          </ul>
+          {prediction.recommendation && (
+            <p className="mt-3 p-3 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-800">
+              {prediction.recommendation}
+            </p>
+          )}
+        </>
+      ) : (
+        <p className="text-sm text-gray-500 py-8 text-center">
+          {prediction?.message || 'No forecast available yet.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TrendForecast;
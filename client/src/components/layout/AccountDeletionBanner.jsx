@@ -0,0 +1,34 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Trash2 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDate } from '../../utils';
+
+const AccountDeletionBanner = () => {
+  const { patient } = useAuth();
+
+  if (!patient?.deletionScheduledFor) {
+    return null;
+  }
+
+  return (
+    <div className="bg-red-50 border-b border-red-200 px-4 py-2 md:px-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center text-sm text-red-800">
+          <Trash2 className="h-4 w-4 mr-2 flex-shrink-0" />
+          <span>
+            Your account will be permanently deleted on {formatDate(patient.deletionScheduledFor)}.
+          </span>
+        </div>
+        <Link
+          to="/profile?tab=data"
+          className="text-sm font-medium text-red-900 underline hover:text-red-700"
+        >
+          Keep my account
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default AccountDeletionBanner;
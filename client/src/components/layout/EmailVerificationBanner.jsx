@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { MailWarning } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const EmailVerificationBanner = () => {
+  const { patient } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  // Older sessions may not carry the flag yet; only warn on an explicit false
+  if (!patient || patient.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authService.resendVerification();
+      if (response.data.success) {
+        toast.success(`Verification email sent to ${patient.email}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-2 md:px-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="flex items-center text-sm text-yellow-800">
+          <MailWarning className="h-4 w-4 mr-2 flex-shrink-0" />
+          <span>
+            Please verify your email address. Reminders and health updates are paused until you do.
+          </span>
+        </div>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="text-sm font-medium text-yellow-900 underline hover:text-yellow-700 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend verification email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -3,6 +3,8 @@ import { Outlet } from 'react-router-dom';
 import Sidebar from './Sidebar';
 import Header from './Header';
 import Footer from './Footer';
+import EmailVerificationBanner from './EmailVerificationBanner';
+import AccountDeletionBanner from './AccountDeletionBanner';
 
 const Layout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -15,6 +17,8 @@ const Layout = () => {
       {/* Main content */}
       <div className="flex-1 flex flex-col overflow-hidden">
         <Header onMenuClick={() => setSidebarOpen(true)} />
+        <AccountDeletionBanner />
+        <EmailVerificationBanner />
         
         {/* Page content */}
         <main className="flex-1 overflow-auto">
@@ -7,7 +7,9 @@ import {
   Target, 
   User,
   X,
-  Mail
+  Mail,
+  Users,
+  ScrollText
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -15,16 +17,23 @@ const Sidebar = ({ open, setOpen }) => {
   const { patient, logout } = useAuth();
   const location = useLocation();
 
-  const navigation = [
+  const isCareTeam = patient?.role === 'caregiver' || patient?.role === 'clinician';
+
+  const navigation = isCareTeam ? [
+    { name: 'My Patients', href: '/care/patients', icon: Users },
+    { name: 'Profile', href: '/profile', icon: User },
+  ] : [
     { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
     { name: 'Health Data', href: '/health-data', icon: Heart },
     { name: 'Medications', href: '/medications', icon: Pill },
     { name: 'Goals', href: '/goals', icon: Target },
+    { name: 'Care Team', href: '/care-team', icon: Users },
+    { name: 'Access Log', href: '/access-log', icon: ScrollText },
      { name: 'Email Settings', href: '/email-settings', icon: Mail },
     { name: 'Profile', href: '/profile', icon: User },
   ];
 
-  const isActive = (path) => location.pathname === path;
+  const isActive = (path) => location.pathname === path || location.pathname.startsWith(`${path}/`);
 
   return (
     <>
@@ -66,6 +75,9 @@ const Sidebar = ({ open, setOpen }) => {
             {patient?.firstName} {patient?.lastName}
           </p>
           <p className="text-sm text-gray-500">{patient?.email}</p>
+          {isCareTeam && (
+            <p className="text-xs text-blue-600 mt-1 capitalize">{patient.role} account</p>
+          )}
         </div>
 
         {/* Navigation */}
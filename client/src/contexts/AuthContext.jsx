@@ -38,15 +38,25 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  const storeSession = ({ patient: patientData, token: newToken, refreshToken }) => {
+    localStorage.setItem('authToken', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('patient', JSON.stringify(patientData));
+    setToken(newToken);
+    setPatient(patientData);
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authService.login(email, password);
-      const { patient: patientData, token: newToken } = response.data.data;
-      
-      localStorage.setItem('authToken', newToken);
-      localStorage.setItem('patient', JSON.stringify(patientData));
-      setToken(newToken);
-      setPatient(patientData);
+      const { data } = response.data;
+
+      // 2FA accounts get a challenge instead of tokens
+      if (data.twoFactorRequired) {
+        return { success: true, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      storeSession(data);
       
       return { success: true };
     } catch (error) {
@@ -57,15 +67,24 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await authService.verifyTwoFactorLogin(challengeToken, code);
+      storeSession(response.data.data);
+
+      return { success: true };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: error.response?.data?.message || 'Verification failed' 
+      };
+    }
+  };
+
   const register = async (patientData) => {
     try {
       const response = await authService.register(patientData);
-      const { patient: newPatient, token: newToken } = response.data.data;
-      
-      localStorage.setItem('authToken', newToken);
-      localStorage.setItem('patient', JSON.stringify(newPatient));
-      setToken(newToken);
-      setPatient(newPatient);
+      storeSession(response.data.data);
       
       return { success: true };
     } catch (error) {
@@ -77,7 +96,16 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      // Revoke the session server-side; local sign-out doesn't wait on it
+      authService.logout(refreshToken).catch((error) => {
+        console.error('Error revoking session:', error);
+      });
+    }
+
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('patient');
     setToken(null);
     setPatient(null);
@@ -92,6 +120,7 @@ export const AuthProvider = ({ children }) => {
     patient,
     token,
     login,
+    verifyTwoFactor,
     register,
     logout,
     updatePatient,
@@ -0,0 +1,45 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { healthService } from '../services/api';
+import { useAuth } from './AuthContext';
+
+const HealthTypesContext = createContext();
+
+export const useHealthTypes = () => {
+  const context = useContext(HealthTypesContext);
+  if (!context) {
+    throw new Error('useHealthTypes must be used within a HealthTypesProvider');
+  }
+  return context;
+};
+
+// The reading types the server accepts, with their labels and units. Loaded once
+// after sign-in so forms never offer a type or unit the API would reject.
+export const HealthTypesProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [types, setTypes] = useState([]);
+
+  useEffect(() => {
+    if (!isAuthenticated || types.length > 0) return;
+
+    healthService.getTypes()
+      .then(response => setTypes(response.data.data))
+      .catch(error => console.error('Error loading reading types:', error));
+  }, [isAuthenticated]);
+
+  const byKey = Object.fromEntries(types.map(type => [type.key, type]));
+
+  const value = {
+    types,
+    getType: (key) => byKey[key] || null,
+    typeLabel: (key) => byKey[key]?.label || key,
+    unitsFor: (key) => byKey[key]?.units || [],
+    // The unit an account reads a type in, from its unit preferences
+    preferredUnit: (key, unitPreferences) => unitPreferences?.[key] || byKey[key]?.unit || ''
+  };
+
+  return (
+    <HealthTypesContext.Provider value={value}>
+      {children}
+    </HealthTypesContext.Provider>
+  );
+};
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { HeartHandshake, MailX } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { careTeamService } from '../services/api';
+import { CARE_PERMISSIONS } from '../utils';
+import toast from 'react-hot-toast';
+
+const AcceptInvitation = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, patient } = useAuth();
+  const navigate = useNavigate();
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(token ? null : 'This invitation link is invalid or incomplete.');
+  const [responding, setResponding] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+
+    const loadInvitation = async () => {
+      try {
+        const response = await careTeamService.previewInvitation(token);
+        setInvitation(response.data.data);
+      } catch (error) {
+        setError(error.response?.data?.message || 'Failed to load invitation');
+      }
+    };
+
+    loadInvitation();
+  }, [token]);
+
+  const handleAccept = async () => {
+    setResponding(true);
+    try {
+      const response = await careTeamService.acceptInvitation(token);
+      toast.success(response.data.message);
+      navigate(`/care/patients/${response.data.data.patientId}`);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to accept invitation');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setResponding(true);
+    try {
+      await careTeamService.declineInvitation(token);
+      setInvitation(null);
+      setError('You declined this invitation.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to decline invitation');
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  const returnPath = `/care-invite?token=${encodeURIComponent(token || '')}`;
+  const signedInAsInvitee = isAuthenticated && invitation &&
+    patient?.email?.toLowerCase() === invitation.email;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full card p-8 space-y-6">
+        {!invitation && !error && (
+          <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        )}
+
+        {error && (
+          <div className="text-center space-y-4">
+            <MailX className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="text-gray-700">{error}</p>
+            <Link to="/" className="inline-block font-medium text-blue-600 hover:text-blue-500">
+              Go to Chronic Care AI
+            </Link>
+          </div>
+        )}
+
+        {invitation && (
+          <>
+            <div className="text-center">
+              <HeartHandshake className="mx-auto h-12 w-12 text-blue-600" />
+              <h2 className="mt-4 text-2xl font-bold text-gray-900">
+                Join {invitation.patient.firstName}'s care team
+              </h2>
+              <p className="mt-2 text-gray-600">
+                {invitation.patient.firstName} {invitation.patient.lastName} invited {invitation.email} to follow
+                their care as their {invitation.relationship || invitation.relationshipType}.
+              </p>
+            </div>
+
+            <div className="bg-blue-50 rounded-lg p-4">
+              <p className="text-sm font-medium text-gray-900 mb-2">You'll be able to see:</p>
+              <ul className="space-y-1">
+                {invitation.permissions.map(permission => (
+                  <li key={permission} className="text-sm text-gray-700">
+                    • <span className="font-medium">{CARE_PERMISSIONS[permission]?.label || permission}</span>
+                    {CARE_PERMISSIONS[permission] && ` — ${CARE_PERMISSIONS[permission].description}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {signedInAsInvitee ? (
+              <div className="flex gap-3">
+                <button onClick={handleDecline} disabled={responding} className="flex-1 btn-secondary disabled:opacity-50">
+                  Decline
+                </button>
+                <button onClick={handleAccept} disabled={responding} className="flex-1 btn-primary disabled:opacity-50">
+                  Accept
+                </button>
+              </div>
+            ) : isAuthenticated ? (
+              <p className="text-sm text-gray-600 text-center">
+                You're signed in as {patient?.email}. Sign out and sign in as {invitation.email} to accept this invitation.
+              </p>
+            ) : (
+              <div className="space-y-3">
+                <Link
+                  to={`/login?redirect=${encodeURIComponent(returnPath)}`}
+                  className="block w-full text-center btn-primary"
+                >
+                  Sign in to accept
+                </Link>
+                <Link
+                  to={`/register?role=${invitation.relationshipType}&email=${encodeURIComponent(invitation.email)}&redirect=${encodeURIComponent(returnPath)}`}
+                  className="block w-full text-center btn-secondary"
+                >
+                  Create a {invitation.relationshipType} account
+                </Link>
+                <button onClick={handleDecline} disabled={responding} className="block w-full text-sm text-gray-500 hover:text-gray-700">
+                  No thanks, decline
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { ScrollText, Eye, PlusCircle, Pencil, Trash2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { patientService } from '../services/api';
+import { formatDate } from '../utils';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 50;
+
+const ACTIONS = {
+  read: { label: 'Viewed', icon: Eye, color: 'text-blue-600' },
+  create: { label: 'Added', icon: PlusCircle, color: 'text-green-600' },
+  update: { label: 'Changed', icon: Pencil, color: 'text-yellow-600' },
+  delete: { label: 'Deleted', icon: Trash2, color: 'text-red-600' }
+};
+
+const RESOURCE_LABELS = {
+  HealthData: 'health readings',
+  Medication: 'medications',
+  Goal: 'goals',
+  Reminder: 'reminders',
+  Dashboard: 'dashboard',
+  AIAnalysis: 'AI analysis'
+};
+
+const AccessLog = () => {
+  const { patient } = useAuth();
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [othersOnly, setOthersOnly] = useState(true);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (patient?.id) {
+      loadEvents(0);
+    }
+  }, [patient?.id, othersOnly]);
+
+  const loadEvents = async (offset) => {
+    try {
+      setLoading(true);
+      const response = await patientService.getAuditLog(patient.id, {
+        limit: PAGE_SIZE,
+        offset,
+        others: othersOnly ? 'true' : undefined
+      });
+      const { events: page, total } = response.data.data;
+      setEvents(prev => (offset === 0 ? page : [...prev, ...page]));
+      setTotal(total);
+    } catch (error) {
+      toast.error('Failed to load access log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const actorName = (event) => {
+    if (event.actorId === patient.id) return 'You';
+    if (!event.actor) return 'Deleted account';
+    return `${event.actor.firstName} ${event.actor.lastName}`;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Access Log</h1>
+          <p className="text-gray-600">Every time your health record was viewed or changed</p>
+        </div>
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={othersOnly}
+            onChange={(e) => setOthersOnly(e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+          />
+          Only show activity by others
+        </label>
+      </div>
+
+      <div className="card divide-y divide-gray-100">
+        {events.length === 0 && !loading && (
+          <div className="p-8 text-center">
+            <ScrollText className="mx-auto h-10 w-10 text-gray-300" />
+            <p className="mt-3 text-gray-500">
+              {othersOnly ? 'No one else has accessed your record.' : 'No activity recorded yet.'}
+            </p>
+          </div>
+        )}
+
+        {events.map(event => {
+          const action = ACTIONS[event.action];
+          const Icon = action.icon;
+          const changedFields = event.changes ? Object.keys(event.changes) : [];
+
+          return (
+            <div key={event.id} className="p-4 flex items-start gap-3">
+              <Icon className={`h-5 w-5 mt-0.5 flex-shrink-0 ${action.color}`} />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm text-gray-900">
+                  <span className="font-medium">{actorName(event)}</span>
+                  {event.actorId !== patient.id && event.actor && (
+                    <span className="text-gray-500 capitalize"> ({event.actorRole})</span>
+                  )}
+                  {' '}{action.label.toLowerCase()} {RESOURCE_LABELS[event.resourceType] || event.resourceType}
+                  {event.details?.count !== undefined && ` (${event.details.count} records)`}
+                </p>
+                {changedFields.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">Fields changed: {changedFields.join(', ')}</p>
+                )}
+                <p className="text-xs text-gray-400 mt-1">
+                  {formatDate(event.createdAt, 'MMM dd, yyyy HH:mm')} · {event.ipAddress || 'unknown IP'}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {events.length < total && (
+        <div className="text-center">
+          <button onClick={() => loadEvents(events.length)} disabled={loading} className="btn-secondary disabled:opacity-50">
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccessLog;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Users, Heart, Pill, Target, AlertTriangle, ArrowLeft, ChevronRight } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useHealthTypes } from '../contexts/HealthTypesContext';
+import { careTeamService, patientService } from '../services/api';
+import { CARE_PERMISSIONS, formatDate, formatReading } from '../utils';
+import toast from 'react-hot-toast';
+import TargetRanges from '../components/health/TargetRanges';
+
+const CarePatients = () => {
+  const { patientId } = useParams();
+  const { patient } = useAuth();
+  const { typeLabel } = useHealthTypes();
+  const [relationships, setRelationships] = useState([]);
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadPatients();
+  }, []);
+
+  useEffect(() => {
+    if (patientId) {
+      loadDashboard();
+    } else {
+      setDashboard(null);
+    }
+  }, [patientId]);
+
+  const loadPatients = async () => {
+    try {
+      const response = await careTeamService.getMyPatients();
+      if (response.data.success) {
+        setRelationships(response.data.data);
+      }
+    } catch (error) {
+      toast.error('Failed to load your patients');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadDashboard = async () => {
+    try {
+      const response = await patientService.getDashboard(patientId);
+      if (response.data.success) {
+        setDashboard(response.data.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load patient record');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const selected = relationships.find(r => r.patientId === patientId);
+
+  if (patientId) {
+    const permissions = dashboard?.access?.permissions || [];
+
+    return (
+      <div className="space-y-6">
+        <Link to="/care/patients" className="inline-flex items-center text-sm text-blue-600 hover:text-blue-500">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          All patients
+        </Link>
+
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {selected ? `${selected.patient.firstName} ${selected.patient.lastName}` : 'Patient'}
+          </h1>
+          <p className="text-gray-600">Shared with you: {permissions.map(p => CARE_PERMISSIONS[p]?.label || p).join(', ') || '—'}</p>
+        </div>
+
+        {!dashboard ? (
+          <div className="card p-6 text-gray-500">Loading record...</div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {permissions.includes('read_vitals') && (
+              <div className="card p-6">
+                <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                  <Heart className="h-5 w-5 text-red-500 mr-2" />
+                  Recent Vitals
+                </h2>
+                {dashboard.recentHealthData.length === 0 ? (
+                  <p className="text-sm text-gray-500">No readings in the last 7 days.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {dashboard.recentHealthData.map(reading => (
+                      <li key={reading.id} className="py-2 flex justify-between text-sm">
+                        <span className="text-gray-700">{typeLabel(reading.dataType)}</span>
+                        <span className="text-gray-900 font-medium">
+                          {formatReading(reading)}
+                          <span className="ml-2 text-gray-400 font-normal">{formatDate(reading.recordedAt)}</span>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {permissions.includes('read_vitals') && (
+              <div className="lg:col-span-2">
+                <TargetRanges patientId={patientId} editable={patient?.role === 'clinician'} />
+              </div>
+            )}
+
+            {permissions.includes('manage_medications') && (
+              <div className="card p-6">
+                <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                  <Pill className="h-5 w-5 text-blue-500 mr-2" />
+                  Active Medications
+                </h2>
+                {dashboard.medications.length === 0 ? (
+                  <p className="text-sm text-gray-500">No active medications.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {dashboard.medications.map(medication => (
+                      <li key={medication.id} className="py-2 text-sm">
+                        <p className="font-medium text-gray-900">{medication.name} · {medication.dosage}</p>
+                        <p className="text-gray-500">{medication.frequency}</p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {permissions.includes('read_goals') && (
+              <div className="card p-6">
+                <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                  <Target className="h-5 w-5 text-green-500 mr-2" />
+                  Active Goals
+                </h2>
+                {dashboard.goals.length === 0 ? (
+                  <p className="text-sm text-gray-500">No active goals.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {dashboard.goals.map(goal => (
+                      <li key={goal.id} className="py-2 text-sm flex justify-between">
+                        <span className="text-gray-900">{goal.title}</span>
+                        <span className="text-gray-500">{Math.round(goal.progress || 0)}%</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {permissions.includes('receive_alerts') && (
+              <div className="card p-6 lg:col-span-2">
+                <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+                  <AlertTriangle className="h-5 w-5 text-orange-500 mr-2" />
+                  Recent Alerts
+                </h2>
+                {dashboard.feedback.length === 0 ? (
+                  <p className="text-sm text-gray-500">No recent alerts.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100">
+                    {dashboard.feedback.map(item => (
+                      <li key={item.id} className="py-2 text-sm">
+                        <p className="font-medium text-gray-900">{item.title}</p>
+                        <p className="text-gray-600">{item.message}</p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">My Patients</h1>
+        <p className="text-gray-600">People who have shared their health record with you</p>
+      </div>
+
+      {relationships.length === 0 ? (
+        <div className="card p-8 text-center">
+          <Users className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-4 text-gray-600">
+            No one has shared their record with you yet. Ask your patient to invite you from their Care Team page.
+          </p>
+        </div>
+      ) : (
+        <div className="card divide-y divide-gray-100">
+          {relationships.map(relationship => (
+            <Link
+              key={relationship.id}
+              to={`/care/patients/${relationship.patientId}`}
+              className="flex items-center justify-between p-4 hover:bg-gray-50"
+            >
+              <div>
+                <p className="font-medium text-gray-900">
+                  {relationship.patient.firstName} {relationship.patient.lastName}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {(relationship.permissions || []).map(p => CARE_PERMISSIONS[p]?.label || p).join(' · ')}
+                </p>
+              </div>
+              <ChevronRight className="h-5 w-5 text-gray-400" />
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CarePatients;
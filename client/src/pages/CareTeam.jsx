@@ -0,0 +1,327 @@
+import React, { useState, useEffect } from 'react';
+import { Users, UserPlus, Mail, Trash2, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { careTeamService } from '../services/api';
+import { CARE_PERMISSIONS, formatDate } from '../utils';
+import toast from 'react-hot-toast';
+
+const emptyInvite = {
+  email: '',
+  name: '',
+  relationship: '',
+  relationshipType: 'caregiver',
+  permissions: ['read_vitals', 'receive_alerts']
+};
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-gray-100 text-gray-700'
+};
+
+const CareTeam = () => {
+  const { patient } = useAuth();
+  const [careTeam, setCareTeam] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [invite, setInvite] = useState(emptyInvite);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    loadCareTeam();
+  }, []);
+
+  const loadCareTeam = async () => {
+    try {
+      const [teamResponse, invitationsResponse] = await Promise.all([
+        careTeamService.getCareTeam(),
+        careTeamService.getInvitations()
+      ]);
+      setCareTeam(teamResponse.data.data.filter(r => r.status === 'active'));
+      setInvitations(invitationsResponse.data.data);
+    } catch (error) {
+      toast.error('Failed to load your care team');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const emergencyContact = patient?.emergencyContact;
+  const canInviteEmergencyContact = emergencyContact?.email &&
+    !careTeam.some(r => r.caregiver?.email === emergencyContact.email.toLowerCase()) &&
+    !invitations.some(i => i.status === 'pending' && i.email === emergencyContact.email.toLowerCase());
+
+  const fillFromEmergencyContact = () => {
+    setInvite({
+      ...emptyInvite,
+      email: emergencyContact.email,
+      name: emergencyContact.name || '',
+      relationship: emergencyContact.relationship || ''
+    });
+  };
+
+  const toggleInvitePermission = (permission) => {
+    setInvite(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(p => p !== permission)
+        : [...prev.permissions, permission]
+    }));
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    if (invite.permissions.length === 0) {
+      toast.error('Choose at least one category to share');
+      return;
+    }
+
+    setSending(true);
+    try {
+      const response = await careTeamService.sendInvitation(invite);
+      toast.success(response.data.message);
+      setInvite(emptyInvite);
+      loadCareTeam();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleWithdraw = async (invitationId) => {
+    try {
+      await careTeamService.withdrawInvitation(invitationId);
+      toast.success('Invitation withdrawn');
+      loadCareTeam();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to withdraw invitation');
+    }
+  };
+
+  const handleTogglePermission = async (relationship, permission) => {
+    const permissions = relationship.permissions.includes(permission)
+      ? relationship.permissions.filter(p => p !== permission)
+      : [...relationship.permissions, permission];
+
+    try {
+      await careTeamService.updatePermissions(relationship.id, permissions);
+      setCareTeam(prev => prev.map(r => (r.id === relationship.id ? { ...r, permissions } : r)));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update permissions');
+    }
+  };
+
+  const handleRevoke = async (relationship) => {
+    const name = `${relationship.caregiver.firstName} ${relationship.caregiver.lastName}`;
+    if (!window.confirm(`Stop sharing your record with ${name}?`)) return;
+
+    try {
+      await careTeamService.revokeAccess(relationship.id);
+      toast.success(`${name} no longer has access`);
+      loadCareTeam();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke access');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Care Team</h1>
+        <p className="text-gray-600">Share parts of your health record with family members, caregivers and clinicians</p>
+      </div>
+
+      {/* Active shares */}
+      <div className="card p-6">
+        <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+          <ShieldCheck className="h-5 w-5 text-green-600 mr-2" />
+          People with access
+        </h2>
+
+        {careTeam.length === 0 ? (
+          <p className="text-sm text-gray-500">You haven't shared your record with anyone yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {careTeam.map(relationship => (
+              <div key={relationship.id} className="py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {relationship.caregiver.firstName} {relationship.caregiver.lastName}
+                    <span className="ml-2 text-xs text-gray-500 capitalize">{relationship.relationshipType}</span>
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {relationship.caregiver.email} · since {formatDate(relationship.grantedAt)}
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  {Object.entries(CARE_PERMISSIONS).map(([key, { label }]) => (
+                    <label key={key} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={relationship.permissions.includes(key)}
+                        disabled={relationship.permissions.length === 1 && relationship.permissions.includes(key)}
+                        onChange={() => handleTogglePermission(relationship, key)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-1"
+                      />
+                      {label}
+                    </label>
+                  ))}
+                  <button
+                    onClick={() => handleRevoke(relationship)}
+                    className="text-sm font-medium text-red-600 hover:text-red-500"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Invite form */}
+      <div className="card p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="flex items-center text-lg font-semibold text-gray-900">
+            <UserPlus className="h-5 w-5 text-blue-600 mr-2" />
+            Invite someone
+          </h2>
+          {canInviteEmergencyContact && (
+            <button type="button" onClick={fillFromEmergencyContact} className="text-sm font-medium text-blue-600 hover:text-blue-500">
+              Invite my emergency contact
+            </button>
+          )}
+        </div>
+
+        <form onSubmit={handleInvite} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="email"
+              required
+              placeholder="Email address *"
+              value={invite.email}
+              onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+              className="input-field"
+            />
+            <input
+              type="text"
+              placeholder="Name"
+              value={invite.name}
+              onChange={(e) => setInvite({ ...invite, name: e.target.value })}
+              className="input-field"
+            />
+            <input
+              type="text"
+              placeholder="Relationship (e.g. Spouse, Home nurse)"
+              value={invite.relationship}
+              onChange={(e) => setInvite({ ...invite, relationship: e.target.value })}
+              className="input-field"
+            />
+            <select
+              value={invite.relationshipType}
+              onChange={(e) => setInvite({ ...invite, relationshipType: e.target.value })}
+              className="input-field"
+            >
+              <option value="caregiver">Family member / caregiver</option>
+              <option value="clinician">Clinician</option>
+            </select>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">What would you like to share?</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {Object.entries(CARE_PERMISSIONS).map(([key, { label, description }]) => (
+                <label key={key} className="flex items-start p-2 rounded-lg border border-gray-200">
+                  <input
+                    type="checkbox"
+                    checked={invite.permissions.includes(key)}
+                    onChange={() => toggleInvitePermission(key)}
+                    className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="ml-2">
+                    <span className="block text-sm font-medium text-gray-900">{label}</span>
+                    <span className="block text-xs text-gray-500">{description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button type="submit" disabled={sending} className="btn-primary disabled:opacity-50">
+              {sending ? 'Sending...' : 'Send Invitation'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Invitations */}
+      <div className="card p-6">
+        <h2 className="flex items-center text-lg font-semibold text-gray-900 mb-4">
+          <Mail className="h-5 w-5 text-purple-600 mr-2" />
+          Invitations
+        </h2>
+
+        {invitations.length === 0 ? (
+          <p className="text-sm text-gray-500">No invitations sent yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {invitations.map(invitation => {
+              const expired = invitation.status === 'pending' && new Date(invitation.expiresAt) <= new Date();
+              const status = expired ? 'expired' : invitation.status;
+
+              return (
+                <div key={invitation.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {invitation.name || invitation.email}
+                      {invitation.relationship && <span className="ml-2 text-gray-500 font-normal">{invitation.relationship}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {invitation.email} · sent {formatDate(invitation.createdAt)} ·{' '}
+                      {invitation.permissions.map(p => CARE_PERMISSIONS[p]?.label || p).join(', ')}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[status] || STATUS_STYLES.revoked}`}>
+                      {status}
+                    </span>
+                    {status === 'pending' && (
+                      <button
+                        onClick={() => handleWithdraw(invitation.id)}
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Withdraw invitation"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {careTeam.length === 0 && invitations.length === 0 && (
+        <div className="text-center text-sm text-gray-500">
+          <Users className="mx-auto h-8 w-8 text-gray-300 mb-2" />
+          People you invite can only see the categories you choose, and you can change or revoke access at any time.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CareTeam;
@@ -26,6 +26,8 @@ import { useAuth } from '../contexts/AuthContext';
 import { patientService, aiAnalysisService } from '../services/api';
 import { MOTIVATION_LEVELS, formatDate, formatHealthValue } from '../utils';
 import toast from 'react-hot-toast';
+import CgmSummary from '../components/health/CgmSummary';
+import TrendForecast from '../components/health/TrendForecast';
 
 ChartJS.register(
   CategoryScale,
@@ -42,6 +44,7 @@ const Dashboard = () => {
   const { patient } = useAuth();
   const [dashboardData, setDashboardData] = useState(null);
   const [aiInsights, setAiInsights] = useState(null);
+  const [cgmMetrics, setCgmMetrics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
@@ -50,6 +53,7 @@ const Dashboard = () => {
     if (patient?.id) {
       loadDashboardData();
       loadAIInsights();
+      loadCgmMetrics();
     }
   }, [patient?.id]);
 
@@ -88,10 +92,23 @@ const Dashboard = () => {
     }
   };
 
+  const loadCgmMetrics = async () => {
+    try {
+      const response = await aiAnalysisService.getCgmMetrics(patient.id);
+      if (response.data.success) {
+        setCgmMetrics(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading CGM metrics:', error);
+      // Only shown for patients who upload sensor data, so fail quietly
+    }
+  };
+
   const refreshData = async () => {
     setRefreshing(true);
     await loadDashboardData();
     await loadAIInsights();
+    await loadCgmMetrics();
     setRefreshing(false);
     toast.success('Dashboard refreshed!');
   };
@@ -168,6 +185,25 @@ const Dashboard = () => {
     ],
   };
 
+  // Upper blood pressure targets as dashed lines so readings above them stand out
+  const bpTargets = dashboardData?.targets?.blood_pressure;
+  if (bpTargets) {
+    [
+      { label: 'Systolic target', value: bpTargets.systolic.max, color: 'rgb(239, 68, 68)' },
+      { label: 'Diastolic target', value: bpTargets.diastolic.max, color: 'rgb(59, 130, 246)' },
+    ]
+      .filter(target => target.value !== null)
+      .forEach(target => bloodPressureData.datasets.push({
+        label: target.label,
+        data: bloodPressureData.labels.map(() => target.value),
+        borderColor: target.color,
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+      }));
+  }
+
   const motivation = getMotivationData();
   const adherenceData = {
     labels: ['Adherence', 'Remaining'],
@@ -335,6 +371,12 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* CGM time in range and glucose profile - only for patients with sensor data */}
+      {cgmMetrics?.sampleCount > 0 && <CgmSummary metrics={cgmMetrics} />}
+
+      {/* Trend significance and forecast for any reading type */}
+      <TrendForecast patientId={patient?.id} />
+
       {/* Recent Goals */}
       <div className="card p-6">
         <h3 className="text-lg font-semibold mb-4">Your Goals</h3>
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { KeyRound, ArrowLeft } from 'lucide-react';
+import { authService } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authService.forgotPassword(email);
+      if (response.data.success) {
+        setSubmitted(true);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <div className="mx-auto h-12 w-12 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center">
+            <KeyRound className="h-6 w-6 text-white" />
+          </div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Enter your email and we'll send you a link to reset it
+          </p>
+        </div>
+
+        {submitted ? (
+          <div className="card p-6 text-center space-y-4">
+            <p className="text-sm text-gray-700">
+              If an account exists for <strong>{email}</strong>, a password reset link is on its way.
+              The link expires in 1 hour and can only be used once.
+            </p>
+            <button
+              type="button"
+              onClick={() => setSubmitted(false)}
+              className="text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              Didn't get it? Send again
+            </button>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="mt-1 input-field"
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Sending...' : 'Send reset link'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="text-center">
+          <Link
+            to="/login"
+            className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-500"
+          >
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, Target, TrendingUp, Calendar } from 'lucide-react';
+import { Plus, Target, TrendingUp, Calendar, Lightbulb } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { goalService } from '../services/api';
 import { formatDate } from '../utils';
@@ -8,6 +8,7 @@ import toast from 'react-hot-toast';
 const Goals = () => {
   const { patient } = useAuth();
   const [goals, setGoals] = useState([]);
+  const [suggestions, setSuggestions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
   const [submitting, setSubmitting] = useState(false);
@@ -33,6 +34,7 @@ const Goals = () => {
 
   useEffect(() => {
     loadGoals();
+    loadSuggestions();
   }, [patient?.id]);
 
   const loadGoals = async () => {
@@ -47,6 +49,28 @@ const Goals = () => {
     }
   };
 
+  // Goals drawn from the patient's target ranges and recent readings
+  const loadSuggestions = async () => {
+    try {
+      const response = await goalService.getSuggestions(patient.id);
+      setSuggestions(response.data.data);
+    } catch (error) {
+      console.error('Error loading goal suggestions:', error);
+    }
+  };
+
+  const handleUseSuggestion = (suggestion) => {
+    setFormData({
+      title: suggestion.title,
+      description: suggestion.description,
+      category: suggestion.category,
+      targetValue: suggestion.targetValue,
+      unit: suggestion.unit,
+      deadline: ''
+    });
+    setShowAddForm(true);
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -80,6 +104,7 @@ const Goals = () => {
           deadline: ''
         });
         loadGoals();
+        loadSuggestions();
       }
     } catch (error) {
       toast.error('Failed to create goal');
@@ -258,6 +283,34 @@ const Goals = () => {
         </div>
       )}
 
+      {/* Suggested Goals */}
+      {suggestions.length > 0 && (
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Suggested Goals</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {suggestions.map((suggestion) => (
+              <div key={suggestion.category} className="card p-4 border-yellow-200 bg-yellow-50">
+                <div className="flex items-start space-x-3 mb-3">
+                  <div className="p-2 bg-yellow-100 rounded-lg">
+                    <Lightbulb className="h-5 w-5 text-yellow-600" />
+                  </div>
+                  <div>
+                    <h3 className="font-semibold text-gray-900">{suggestion.title}</h3>
+                    <p className="text-sm text-gray-600">{suggestion.description}</p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleUseSuggestion(suggestion)}
+                  className="btn-secondary w-full text-sm"
+                >
+                  Add as goal
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Active Goals */}
       <div>
         <h2 className="text-lg font-semibold text-gray-900 mb-4">Active Goals</h2>
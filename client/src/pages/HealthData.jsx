@@ -1,22 +1,46 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, TrendingUp, AlertTriangle, Calendar } from 'lucide-react';
+import { Plus, TrendingUp, AlertTriangle, Calendar, Upload, Pencil, Trash2, Smartphone } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useHealthTypes } from '../contexts/HealthTypesContext';
 import { healthService, aiAnalysisService } from '../services/api';
-import { HEALTH_DATA_TYPES, HEALTH_UNITS, formatDate, formatHealthValue } from '../utils';
+import { MEASUREMENT_CONTEXTS, BP_STAGE_COLORS, formatDate, formatHealthValue, formatReading, toDateTimeInputValue, isLateEntry } from '../utils';
 import toast from 'react-hot-toast';
+import CsvImportWizard from '../components/health/CsvImportWizard';
+import DeviceImportModal from '../components/health/DeviceImportModal';
+import TargetRanges from '../components/health/TargetRanges';
+
+// ACC/AHA stage of the sitting a blood pressure reading was taken in
+const BloodPressureStage = ({ stage }) => (
+  <p className={`text-xs font-medium ${BP_STAGE_COLORS[stage.stage] || 'text-gray-600'}`}>
+    {stage.label}
+    {stage.readings > 1 && (
+      <span className="font-normal text-gray-500">
+        {` - average of ${stage.readings} readings, ${stage.systolic}/${stage.diastolic}`}
+      </span>
+    )}
+  </p>
+);
 
 const HealthData = () => {
   const { patient } = useAuth();
+  const { types, getType, typeLabel, unitsFor, preferredUnit } = useHealthTypes();
   const [healthData, setHealthData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showDeviceImport, setShowDeviceImport] = useState(false);
+  // Reading being corrected; null while adding a new one
+  const [editingReading, setEditingReading] = useState(null);
   const [submitting, setSubmitting] = useState(false);
 
   const [formData, setFormData] = useState({
     dataType: 'blood_pressure',
     value: '',
-    unit: HEALTH_UNITS['blood_pressure'],
-    notes: ''
+    unit: 'mmHg',
+    notes: '',
+    measurementContext: '',
+    recordedAt: '',
+    reason: ''
   });
 
   useEffect(() => {
@@ -54,12 +78,15 @@ const HealthData = () => {
       setFormData(prev => ({
         ...prev,
         dataType: value,
-        unit: HEALTH_UNITS[value] || '',
-        value: '' // Reset value when type changes
+        unit: preferredUnit(value, patient.unitPreferences),
+        value: '', // Reset value when type changes
+        measurementContext: ''
       }));
     }
   };
 
+  const selectedType = getType(formData.dataType);
+
   const validateForm = () => {
     if (!formData.value.trim()) {
       toast.error('Please enter a value');
@@ -74,6 +101,11 @@ const HealthData = () => {
       }
     }
 
+    if (formData.recordedAt && new Date(formData.recordedAt) > new Date()) {
+      toast.error('The reading time cannot be in the future');
+      return false;
+    }
+
     return true;
   };
 
@@ -91,14 +123,15 @@ const HealthData = () => {
 
     // Process blood pressure value - KEEP AS STRING FORMAT
     if (formData.dataType === 'blood_pressure') {
-      const [systolic, diastolic] = formData.value.split('/').map(v => parseInt(v.trim()));
-      if (isNaN(systolic) || isNaN(diastolic)) {
+      // Same rule as the server: two whole numbers and nothing else
+      const match = /^\s*(\d{2,3})\s*\/\s*(\d{2,3})\s*$/.exec(formData.value);
+      if (!match) {
         toast.error('Please enter blood pressure in format: 120/80');
         setSubmitting(false);
         return;
       }
       // Keep as simple string format "140/90"
-      processedValue = `${systolic}/${diastolic}`;
+      processedValue = `${match[1]}/${match[2]}`;
     }
 
     const submissionData = {
@@ -107,35 +140,102 @@ const HealthData = () => {
       value: processedValue, // This will be "140/90" for blood pressure
       unit: formData.unit,
       notes: formData.notes,
-      recordedAt: new Date().toISOString()
+      measurementContext: formData.dataType === 'blood_sugar' ? formData.measurementContext || null : undefined,
+      // Leave blank for "now"; otherwise the local time the reading was taken
+      recordedAt: formData.recordedAt
+        ? new Date(formData.recordedAt).toISOString()
+        : new Date().toISOString()
     };
 
     console.log('Submitting health data:', submissionData);
 
+    if (editingReading) {
+      const response = await healthService.updateData(editingReading.id, {
+        value: submissionData.value,
+        unit: submissionData.unit,
+        notes: submissionData.notes,
+        measurementContext: submissionData.measurementContext,
+        // Clearing the time keeps the original rather than moving the reading to now
+        recordedAt: formData.recordedAt ? submissionData.recordedAt : undefined,
+        reason: formData.reason
+      });
+      if (response.data.success) {
+        toast.success('Reading updated');
+        closeForm();
+        await loadHealthData();
+      }
+      return;
+    }
+
     const response = await healthService.addData(submissionData);
     
     if (response.data.success) {
-      toast.success('Health data added successfully!');
-      setShowAddForm(false);
-      setFormData({
-        dataType: 'blood_pressure',
-        value: '',
-        unit: HEALTH_UNITS['blood_pressure'],
-        notes: ''
-      });
+      const { analysis } = response.data;
+      if (analysis?.riskLevel === 'critical') {
+        // Don't let urgent advice disappear with the usual toast
+        toast.error(analysis.insights?.[0] || 'This reading needs urgent attention.', { duration: 20000 });
+      } else {
+        toast.success('Health data added successfully!');
+      }
+      closeForm();
       await loadHealthData();
     } else {
       toast.error(response.data.message || 'Failed to add health data');
     }
   } catch (error) {
-    console.error('Error adding health data:', error);
-    const errorMessage = error.response?.data?.message || 'Failed to add health data. Please try again.';
+    console.error('Error saving health data:', error);
+    const errorMessage = error.response?.data?.message || 'Failed to save health data. Please try again.';
     toast.error(errorMessage);
   } finally {
     setSubmitting(false);
   }
 };
 
+  const closeForm = () => {
+    setShowAddForm(false);
+    setEditingReading(null);
+    setFormData({
+      dataType: 'blood_pressure',
+      value: '',
+      unit: 'mmHg',
+      notes: '',
+      measurementContext: '',
+      recordedAt: '',
+      reason: ''
+    });
+  };
+
+  const handleEdit = (reading) => {
+    setEditingReading(reading);
+    setFormData({
+      dataType: reading.dataType,
+      value: String(formatHealthValue(reading.dataType, reading.displayValue ?? reading.value)),
+      unit: reading.displayUnit || reading.unit,
+      notes: reading.notes || '',
+      measurementContext: reading.measurementContext || '',
+      recordedAt: toDateTimeInputValue(new Date(reading.recordedAt)),
+      reason: ''
+    });
+    setShowAddForm(true);
+  };
+
+  const handleDelete = async (reading) => {
+    if (!window.confirm(`Delete this ${typeLabel(reading.dataType)} reading? Any alert it raised will be withdrawn.`)) {
+      return;
+    }
+
+    try {
+      const response = await healthService.deleteData(reading.id);
+      if (response.data.success) {
+        setHealthData(prev => prev.filter(item => item.id !== reading.id));
+        toast.success('Reading deleted');
+      }
+    } catch (error) {
+      console.error('Error deleting health data:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete reading');
+    }
+  };
+
   const getRiskColor = (riskLevel) => {
     const colors = {
       low: 'bg-green-100 text-green-800',
@@ -162,20 +262,57 @@ const HealthData = () => {
           <h1 className="text-2xl font-bold text-gray-900">Health Data</h1>
           <p className="text-gray-600">Track and monitor your health metrics</p>
         </div>
-        <button
-          onClick={() => setShowAddForm(true)}
-          className="btn-primary flex items-center space-x-2"
-        >
-          <Plus className="h-4 w-4" />
-          <span>Add Data</span>
-        </button>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => setShowImport(true)}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <Upload className="h-4 w-4" />
+            <span>Import CSV</span>
+          </button>
+          <button
+            onClick={() => setShowDeviceImport(true)}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <Smartphone className="h-4 w-4" />
+            <span>Import from Device</span>
+          </button>
+          <button
+            onClick={() => setShowAddForm(true)}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Add Data</span>
+          </button>
+        </div>
       </div>
 
+      {/* CSV Import Wizard */}
+      {showImport && (
+        <CsvImportWizard
+          patientId={patient.id}
+          onClose={() => setShowImport(false)}
+          onImported={() => {
+            setShowImport(false);
+            loadHealthData();
+          }}
+        />
+      )}
+
+      {/* Apple Health / Google Fit / CGM Import */}
+      {showDeviceImport && (
+        <DeviceImportModal
+          patientId={patient.id}
+          onClose={() => setShowDeviceImport(false)}
+          onImported={loadHealthData}
+        />
+      )}
+
       {/* Add Data Form Modal */}
       {showAddForm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-lg max-w-md w-full p-6">
-            <h2 className="text-xl font-bold mb-4">Add Health Data</h2>
+            <h2 className="text-xl font-bold mb-4">{editingReading ? 'Edit Reading' : 'Add Health Data'}</h2>
             <form onSubmit={handleSubmit} className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -186,10 +323,11 @@ const HealthData = () => {
                   value={formData.dataType}
                   onChange={handleInputChange}
                   className="input-field"
+                  disabled={!!editingReading}
                   required
                 >
-                  {Object.entries(HEALTH_DATA_TYPES).map(([key, label]) => (
-                    <option key={key} value={key}>{label}</option>
+                  {types.map(type => (
+                    <option key={type.key} value={type.key}>{type.label}</option>
                   ))}
                 </select>
               </div>
@@ -200,6 +338,9 @@ const HealthData = () => {
                   {formData.dataType === 'blood_pressure' && (
                     <span className="text-gray-500 text-xs ml-1">(format: 120/80)</span>
                   )}
+                  {selectedType?.limits && formData.unit === selectedType.unit && (
+                    <span className="text-gray-500 text-xs ml-1">({selectedType.limits.min}-{selectedType.limits.max})</span>
+                  )}
                 </label>
                 <input
                   type="text"
@@ -209,7 +350,7 @@ const HealthData = () => {
                   className="input-field"
                   placeholder={
                     formData.dataType === 'blood_pressure' ? '120/80' : 
-                    `Enter ${HEALTH_DATA_TYPES[formData.dataType]} value`
+                    `Enter ${typeLabel(formData.dataType)} value`
                   }
                   required
                 />
@@ -219,14 +360,52 @@ const HealthData = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Unit
                 </label>
-                <input
-                  type="text"
+                <select
                   name="unit"
                   value={formData.unit}
                   onChange={handleInputChange}
                   className="input-field"
-                  required
+                  disabled={unitsFor(formData.dataType).length < 2}
+                >
+                  {unitsFor(formData.dataType).map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </div>
+
+              {formData.dataType === 'blood_sugar' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    When Was It Taken?
+                  </label>
+                  <select
+                    name="measurementContext"
+                    value={formData.measurementContext}
+                    onChange={handleInputChange}
+                    className="input-field"
+                  >
+                    <option value="">Not specified</option>
+                    {Object.entries(MEASUREMENT_CONTEXTS).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">Targets differ before and after meals, so this makes alerts more accurate</p>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Taken At (Optional)
+                </label>
+                <input
+                  type="datetime-local"
+                  name="recordedAt"
+                  value={formData.recordedAt}
+                  onChange={handleInputChange}
+                  max={toDateTimeInputValue()}
+                  className="input-field"
                 />
+                <p className="mt-1 text-xs text-gray-500">Leave blank if you just took this reading</p>
               </div>
 
               <div>
@@ -243,10 +422,26 @@ const HealthData = () => {
                 />
               </div>
 
+              {editingReading && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reason for Change (Optional)
+                  </label>
+                  <input
+                    type="text"
+                    name="reason"
+                    value={formData.reason}
+                    onChange={handleInputChange}
+                    className="input-field"
+                    placeholder="e.g. typed 1100 instead of 110"
+                  />
+                </div>
+              )}
+
               <div className="flex space-x-3 pt-4">
                 <button
                   type="button"
-                  onClick={() => setShowAddForm(false)}
+                  onClick={closeForm}
                   className="flex-1 btn-secondary"
                   disabled={submitting}
                 >
@@ -257,7 +452,7 @@ const HealthData = () => {
                   disabled={submitting}
                   className="flex-1 btn-primary disabled:opacity-50"
                 >
-                  {submitting ? 'Adding...' : 'Add Data'}
+                  {submitting ? 'Saving...' : editingReading ? 'Save Changes' : 'Add Data'}
                 </button>
               </div>
             </form>
@@ -272,15 +467,37 @@ const HealthData = () => {
             <div className="flex items-start justify-between mb-3">
               <div>
                 <h3 className="font-semibold text-gray-900">
-                  {HEALTH_DATA_TYPES[data.dataType]}
+                  {typeLabel(data.dataType)}
                 </h3>
                 <p className="text-2xl font-bold text-gray-900 mt-1">
-                  {formatHealthValue(data.dataType, data.value)} {data.unit}
+                  {formatReading(data)}
                 </p>
+                {data.measurementContext && (
+                  <p className="text-xs text-gray-500">{MEASUREMENT_CONTEXTS[data.measurementContext]}</p>
+                )}
+                {data.aiAnalysis?.bloodPressureStage && (
+                  <BloodPressureStage stage={data.aiAnalysis.bloodPressureStage} />
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${getRiskColor(data.riskLevel)}`}>
+                  {data.riskLevel}
+                </span>
+                <button
+                  onClick={() => handleEdit(data)}
+                  className="p-1 text-gray-400 hover:text-blue-600"
+                  title="Edit reading"
+                >
+                  <Pencil className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(data)}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Delete reading"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
               </div>
-              <span className={`px-2 py-1 text-xs font-medium rounded-full ${getRiskColor(data.riskLevel)}`}>
-                {data.riskLevel}
-              </span>
             </div>
 
             <div className="space-y-2 text-sm text-gray-600">
@@ -288,6 +505,11 @@ const HealthData = () => {
                 <Calendar className="h-4 w-4" />
                 <span>{formatDate(data.recordedAt, 'MMM dd, yyyy HH:mm')}</span>
               </div>
+              {isLateEntry(data) && (
+                <p className="text-xs text-gray-500">
+                  Entered {formatDate(data.enteredAt, 'MMM dd, yyyy HH:mm')}
+                </p>
+              )}
               
               {data.notes && (
                 <p className="text-sm text-gray-600">{data.notes}</p>
@@ -295,8 +517,8 @@ const HealthData = () => {
 
               {data.aiAnalysis && (
                 <div className="mt-2 p-2 bg-blue-50 rounded border border-blue-200">
-                  <p className="text-xs text-blue-800">
-                    <strong>AI Insight:</strong> {data.aiAnalysis.insights?.[0]}
+                  <p className="text-xs text-blue-800 whitespace-pre-line">
+                    <strong>AI Insight:</strong> {data.aiAnalysis.explanation?.text || data.aiAnalysis.insights?.[0]}
                   </p>
                 </div>
               )}
@@ -312,6 +534,8 @@ const HealthData = () => {
           <p className="mt-1 text-sm text-gray-500">Get started by adding your first health measurement.</p>
         </div>
       )}
+
+      <TargetRanges patientId={patient.id} />
     </div>
   );
 };
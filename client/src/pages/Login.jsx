@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { Eye, EyeOff, LogIn } from 'lucide-react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Eye, EyeOff, LogIn, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { getRedirectPath } from '../utils';
 import toast from 'react-hot-toast';
 
 const Login = () => {
@@ -11,8 +12,12 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const redirectTo = getRedirectPath(searchParams) || '/dashboard';
 
   const handleChange = (e) => {
     setFormData({
@@ -28,9 +33,31 @@ const Login = () => {
     try {
       const result = await login(formData.email, formData.password);
       
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
+        toast.success('Welcome back!');
+        navigate(redirectTo);
+      } else {
+        toast.error(result.error);
+      }
+    } catch (error) {
+      toast.error('An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(challengeToken, twoFactorCode);
+
       if (result.success) {
         toast.success('Welcome back!');
-        navigate('/dashboard');
+        navigate(redirectTo);
       } else {
         toast.error(result.error);
       }
@@ -41,6 +68,70 @@ const Login = () => {
     }
   };
 
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="mx-auto h-12 w-12 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full flex items-center justify-center">
+              <ShieldCheck className="h-6 w-6 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">
+                Authentication code
+              </label>
+              <input
+                id="twoFactorCode"
+                name="twoFactorCode"
+                type="text"
+                inputMode="text"
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                className="mt-1 input-field tracking-widest"
+                placeholder="123456"
+              />
+            </div>
+
+            <div className="space-y-3">
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+              <button
+                type="button"
+                onClick={cancelTwoFactor}
+                className="w-full btn-secondary"
+              >
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -1,14 +1,18 @@
 import React, { useState, useEffect } from 'react';
-import { User, Mail, Phone, Calendar, Shield, Save } from 'lucide-react';
+import { useSearchParams } from 'react-router-dom';
+import { User, Mail, Phone, Calendar, Shield, Save, Monitor, Smartphone, Database, Download, Trash2 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
-import { authService } from '../services/api';
+import { useHealthTypes } from '../contexts/HealthTypesContext';
+import { authService, patientService } from '../services/api';
 import { formatDate, formatTime } from '../utils';
 import toast from 'react-hot-toast';
 
 const Profile = () => {
   const { patient, updatePatient } = useAuth();
+  const { types } = useHealthTypes();
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('profile');
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile');
   const [profileData, setProfileData] = useState({
     firstName: '',
     lastName: '',
@@ -21,8 +25,10 @@ const Profile = () => {
     emergencyContact: {
       name: '',
       phone: '',
+      email: '',
       relationship: ''
-    }
+    },
+    unitPreferences: {}
   });
 
   const [passwordData, setPasswordData] = useState({
@@ -31,6 +37,20 @@ const Profile = () => {
     confirmPassword: ''
   });
 
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disableData, setDisableData] = useState({ password: '', code: '' });
+  const [twoFactorLoading, setTwoFactorLoading] = useState(false);
+
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
+
+  const [dataExports, setDataExports] = useState([]);
+  const [exportLoading, setExportLoading] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deletionLoading, setDeletionLoading] = useState(false);
+
   const chronicConditionsOptions = [
     'Diabetes',
     'Hypertension',
@@ -53,15 +73,199 @@ const Profile = () => {
         chronicConditions: patient.chronicConditions || [],
         preferredEmailTime: patient.preferredEmailTime ? patient.preferredEmailTime.slice(0, 5) : '09:00',
         phoneNumber: patient.phoneNumber || '',
-        emergencyContact: patient.emergencyContact || {
+        emergencyContact: {
           name: '',
           phone: '',
-          relationship: ''
-        }
+          email: '',
+          relationship: '',
+          ...patient.emergencyContact
+        },
+        unitPreferences: patient.unitPreferences || {}
       });
     }
   }, [patient]);
 
+  useEffect(() => {
+    if (activeTab === 'security') {
+      loadSessions();
+    }
+    if (activeTab === 'data') {
+      loadExports();
+    }
+  }, [activeTab]);
+
+  // Keep polling while an export is being built
+  const exportInProgress = dataExports.some(e => e.status === 'pending' || e.status === 'processing');
+
+  useEffect(() => {
+    if (activeTab !== 'data' || !exportInProgress) return;
+    const interval = setInterval(loadExports, 5000);
+    return () => clearInterval(interval);
+  }, [activeTab, exportInProgress]);
+
+  const loadExports = async () => {
+    try {
+      const response = await patientService.getExports(patient.id);
+      if (response.data.success) {
+        setDataExports(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading data exports:', error);
+    }
+  };
+
+  const handleRequestExport = async () => {
+    setExportLoading(true);
+    try {
+      const response = await patientService.requestExport(patient.id);
+      if (response.data.success) {
+        toast.success(response.data.message);
+        await loadExports();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start data export');
+      console.error('Error requesting data export:', error);
+    } finally {
+      setExportLoading(false);
+    }
+  };
+
+  const handleDownloadExport = async (dataExport) => {
+    try {
+      const response = await patientService.downloadExport(patient.id, dataExport.id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `chronic-care-data-${formatDate(dataExport.completedAt, 'yyyy-MM-dd')}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download export');
+      console.error('Error downloading data export:', error);
+    }
+  };
+
+  const loadSessions = async () => {
+    setSessionsLoading(true);
+    try {
+      const response = await authService.getSessions();
+      if (response.data.success) {
+        setSessions(response.data.data.sessions);
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      toast.error('Failed to load active sessions');
+    } finally {
+      setSessionsLoading(false);
+    }
+  };
+
+  const handleEndSession = async (sessionId) => {
+    try {
+      const response = await authService.endSession(sessionId);
+      if (response.data.success) {
+        setSessions(prev => prev.filter(session => session.id !== sessionId));
+        toast.success('Session ended');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to end session');
+      console.error('Error ending session:', error);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account and all of your health data? You can cancel during the grace period.')) {
+      return;
+    }
+
+    setDeletionLoading(true);
+    try {
+      const response = await authService.deleteAccount(deletePassword);
+      if (response.data.success) {
+        updatePatient({ ...patient, deletionScheduledFor: response.data.data.deletionScheduledFor });
+        setDeletePassword('');
+        toast.success(response.data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete account');
+      console.error('Error deleting account:', error);
+    } finally {
+      setDeletionLoading(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    setDeletionLoading(true);
+    try {
+      const response = await authService.cancelAccountDeletion();
+      if (response.data.success) {
+        updatePatient({ ...patient, deletionScheduledFor: null });
+        toast.success('Account deletion cancelled');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel account deletion');
+      console.error('Error cancelling account deletion:', error);
+    } finally {
+      setDeletionLoading(false);
+    }
+  };
+
+  const handleStartTwoFactor = async () => {
+    setTwoFactorLoading(true);
+    try {
+      const response = await authService.setupTwoFactor();
+      if (response.data.success) {
+        setTwoFactorSetup(response.data.data);
+        setRecoveryCodes(null);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+      console.error('Error starting 2FA setup:', error);
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleEnableTwoFactor = async (e) => {
+    e.preventDefault();
+    setTwoFactorLoading(true);
+    try {
+      const response = await authService.enableTwoFactor(twoFactorCode);
+      if (response.data.success) {
+        setRecoveryCodes(response.data.data.recoveryCodes);
+        setTwoFactorSetup(null);
+        setTwoFactorCode('');
+        updatePatient({ ...patient, twoFactorEnabled: true });
+        toast.success('Two-factor authentication enabled!');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+      console.error('Error enabling 2FA:', error);
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
+  const handleDisableTwoFactor = async (e) => {
+    e.preventDefault();
+    setTwoFactorLoading(true);
+    try {
+      const response = await authService.disableTwoFactor(disableData.password, disableData.code);
+      if (response.data.success) {
+        setDisableData({ password: '', code: '' });
+        setRecoveryCodes(null);
+        updatePatient({ ...patient, twoFactorEnabled: false });
+        toast.success('Two-factor authentication disabled');
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+      console.error('Error disabling 2FA:', error);
+    } finally {
+      setTwoFactorLoading(false);
+    }
+  };
+
   const handleProfileChange = (e) => {
     const { name, value, type, checked } = e.target;
     
@@ -72,6 +276,15 @@ const Profile = () => {
           ? [...prev.chronicConditions, value]
           : prev.chronicConditions.filter(condition => condition !== value)
       }));
+    } else if (name.startsWith('unitPreferences.')) {
+      const dataType = name.split('.')[1];
+      setProfileData(prev => ({
+        ...prev,
+        unitPreferences: {
+          ...prev.unitPreferences,
+          [dataType]: value
+        }
+      }));
     } else if (name.startsWith('emergencyContact.')) {
       const field = name.split('.')[1];
       setProfileData(prev => ({
@@ -201,6 +414,17 @@ const Profile = () => {
             <Shield className="h-4 w-4 inline mr-2" />
             Security
           </button>
+          <button
+            onClick={() => setActiveTab('data')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm ${
+              activeTab === 'data'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <Database className="h-4 w-4 inline mr-2" />
+            Your Data
+          </button>
         </nav>
       </div>
 
@@ -358,6 +582,29 @@ const Profile = () => {
                   </p>
                 </div>
 
+                {/* Units readings are entered and shown in */}
+                <div className="space-y-3">
+                  <h4 className="text-sm font-medium text-gray-700">Units</h4>
+                  {types.filter(type => type.units.length > 1).map(type => (
+                    <div key={type.key} className="flex items-center justify-between">
+                      <label htmlFor={`unit-${type.key}`} className="text-sm text-gray-700">
+                        {type.label}
+                      </label>
+                      <select
+                        id={`unit-${type.key}`}
+                        name={`unitPreferences.${type.key}`}
+                        value={profileData.unitPreferences[type.key] || type.unit}
+                        onChange={handleProfileChange}
+                        className="input-field w-32"
+                      >
+                        {type.units.map(unit => (
+                          <option key={unit} value={unit}>{unit}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+
                 {/* Emergency Contact */}
                 <div className="space-y-3">
                   <h4 className="text-sm font-medium text-gray-700">Emergency Contact</h4>
@@ -380,6 +627,15 @@ const Profile = () => {
                     className="input-field"
                   />
                   
+                  <input
+                    name="emergencyContact.email"
+                    type="email"
+                    placeholder="Email (lets you invite them to your care team)"
+                    value={profileData.emergencyContact.email}
+                    onChange={handleProfileChange}
+                    className="input-field"
+                  />
+                  
                   <input
                     name="emergencyContact.relationship"
                     type="text"
@@ -469,6 +725,261 @@ const Profile = () => {
               </button>
             </div>
           </form>
+
+          <div className="mt-10 pt-6 border-t border-gray-200 max-w-md">
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <Smartphone className="h-5 w-5 mr-2 text-gray-400" />
+              Two-Factor Authentication
+            </h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {patient.twoFactorEnabled
+                ? 'Enabled. You will be asked for a code from your authenticator app when signing in.'
+                : 'Add a second step to sign-in using an authenticator app.'}
+            </p>
+
+            {recoveryCodes && (
+              <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <p className="text-sm font-medium text-yellow-800 mb-2">
+                  Save these recovery codes somewhere safe. Each can be used once if you lose your device, and they won't be shown again.
+                </p>
+                <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900">
+                  {recoveryCodes.map((code) => (
+                    <li key={code}>{code}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {!patient.twoFactorEnabled && !twoFactorSetup && (
+              <button
+                type="button"
+                onClick={handleStartTwoFactor}
+                disabled={twoFactorLoading}
+                className="btn-primary"
+              >
+                {twoFactorLoading ? 'Starting...' : 'Enable Two-Factor Authentication'}
+              </button>
+            )}
+
+            {!patient.twoFactorEnabled && twoFactorSetup && (
+              <form onSubmit={handleEnableTwoFactor} className="space-y-4">
+                <p className="text-sm text-gray-700">
+                  Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                </p>
+                <img src={twoFactorSetup.qrCode} alt="Two-factor QR code" className="h-48 w-48 border rounded" />
+                <p className="text-xs text-gray-500 break-all">
+                  Can't scan? Enter this key manually: <span className="font-mono">{twoFactorSetup.secret}</span>
+                </p>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  className="input-field"
+                  placeholder="123456"
+                  required
+                />
+                <div className="flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setTwoFactorSetup(null)}
+                    className="flex-1 btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={twoFactorLoading}
+                    className="flex-1 btn-primary disabled:opacity-50"
+                  >
+                    {twoFactorLoading ? 'Verifying...' : 'Verify & Enable'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {patient.twoFactorEnabled && (
+              <form onSubmit={handleDisableTwoFactor} className="space-y-4">
+                <input
+                  type="password"
+                  value={disableData.password}
+                  onChange={(e) => setDisableData(prev => ({ ...prev, password: e.target.value }))}
+                  className="input-field"
+                  placeholder="Current password"
+                  required
+                />
+                <input
+                  type="text"
+                  autoComplete="one-time-code"
+                  value={disableData.code}
+                  onChange={(e) => setDisableData(prev => ({ ...prev, code: e.target.value }))}
+                  className="input-field"
+                  placeholder="Authentication or recovery code"
+                  required
+                />
+                <button
+                  type="submit"
+                  disabled={twoFactorLoading}
+                  className="btn-secondary disabled:opacity-50"
+                >
+                  {twoFactorLoading ? 'Disabling...' : 'Disable Two-Factor Authentication'}
+                </button>
+              </form>
+            )}
+          </div>
+
+          <div className="mt-10 pt-6 border-t border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Active Sessions</h3>
+            <p className="text-sm text-gray-600 mb-4">Devices currently signed in to your account</p>
+
+            {sessionsLoading ? (
+              <div className="flex justify-center py-6">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {sessions.map((session) => (
+                  <li key={session.id} className="flex items-center justify-between py-3">
+                    <div className="flex items-start space-x-3">
+                      <Monitor className="h-5 w-5 text-gray-400 mt-0.5" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {session.userAgent || 'Unknown device'}
+                          {session.current && (
+                            <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                              This device
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {session.ipAddress || 'Unknown IP'} · Last active {formatDate(session.lastUsedAt, 'MMM dd, yyyy HH:mm')}
+                        </p>
+                      </div>
+                    </div>
+                    {!session.current && (
+                      <button
+                        type="button"
+                        onClick={() => handleEndSession(session.id)}
+                        className="btn-secondary text-sm"
+                      >
+                        Sign out
+                      </button>
+                    )}
+                  </li>
+                ))}
+                {sessions.length === 0 && (
+                  <li className="py-3 text-sm text-gray-500">No active sessions</li>
+                )}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Data Tab */}
+      {activeTab === 'data' && (
+        <div className="card p-6 space-y-6">
+          <div className="max-w-2xl">
+            <h3 className="text-lg font-medium text-gray-900">Export Your Data</h3>
+            <p className="mt-1 text-sm text-gray-600">
+              Download a copy of everything we store about you: your profile, every health reading with its
+              AI analysis, medications, reminders, goals and feedback, in JSON and CSV formats. We'll email
+              you when it's ready.
+            </p>
+            <button
+              type="button"
+              onClick={handleRequestExport}
+              disabled={exportLoading || exportInProgress}
+              className="mt-4 btn-primary flex items-center"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              {exportInProgress ? 'Preparing export...' : 'Export my data'}
+            </button>
+          </div>
+
+          {dataExports.length > 0 && (
+            <ul className="divide-y divide-gray-200 border-t border-gray-200">
+              {dataExports.map(dataExport => (
+                <li key={dataExport.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      Requested {formatDate(dataExport.createdAt, 'MMM dd, yyyy HH:mm')}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {dataExport.status === 'ready'
+                        ? `Ready · ${(dataExport.fileSize / 1024).toFixed(1)} KB · available until ${formatDate(dataExport.expiresAt, 'MMM dd, yyyy')}`
+                        : dataExport.status === 'failed'
+                          ? 'Failed — please try again'
+                          : dataExport.status === 'expired'
+                            ? 'Expired'
+                            : 'Preparing...'}
+                    </p>
+                  </div>
+                  {dataExport.status === 'ready' && (
+                    <button
+                      type="button"
+                      onClick={() => handleDownloadExport(dataExport)}
+                      className="btn-secondary text-sm flex items-center"
+                    >
+                      <Download className="h-4 w-4 mr-1" />
+                      Download
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="max-w-md border-t border-gray-200 pt-6">
+            <h3 className="text-lg font-medium text-red-700">Delete Account</h3>
+            {patient?.deletionScheduledFor ? (
+              <div className="mt-2 space-y-4">
+                <p className="text-sm text-gray-600">
+                  Your account is scheduled for deletion on{' '}
+                  <strong>{formatDate(patient.deletionScheduledFor)}</strong>. Until then you can download
+                  your data or keep your account.
+                </p>
+                <button
+                  type="button"
+                  onClick={handleCancelDeletion}
+                  disabled={deletionLoading}
+                  className="btn-primary"
+                >
+                  {deletionLoading ? 'Cancelling...' : 'Keep my account'}
+                </button>
+              </div>
+            ) : (
+              <form onSubmit={handleDeleteAccount} className="mt-2 space-y-4">
+                <p className="text-sm text-gray-600">
+                  Your health readings, medications, reminders, goals and feedback will be permanently
+                  erased after a grace period, during which you can change your mind. Reminder emails stop
+                  immediately.
+                </p>
+                <div>
+                  <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700">
+                    Confirm your password
+                  </label>
+                  <input
+                    id="deletePassword"
+                    type="password"
+                    value={deletePassword}
+                    onChange={(e) => setDeletePassword(e.target.value)}
+                    className="mt-1 input-field"
+                    required
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={deletionLoading}
+                  className="flex items-center bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition-colors duration-200 disabled:opacity-50"
+                >
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  {deletionLoading ? 'Deleting...' : 'Delete my account'}
+                </button>
+              </form>
+            )}
+          </div>
         </div>
       )}
     </div>
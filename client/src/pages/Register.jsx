@@ -1,12 +1,16 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { Eye, EyeOff, UserPlus, Calendar, Phone } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { getRedirectPath } from '../utils';
 import toast from 'react-hot-toast';
 
 const Register = () => {
+  const [searchParams] = useSearchParams();
+  // Invitation links pre-fill the invited address and account type
   const [formData, setFormData] = useState({
-    email: '',
+    role: ['caregiver', 'clinician'].includes(searchParams.get('role')) ? searchParams.get('role') : 'patient',
+    email: searchParams.get('email') || '',
     password: '',
     confirmPassword: '',
     firstName: '',
@@ -19,6 +23,7 @@ const Register = () => {
     emergencyContact: {
       name: '',
       phone: '',
+      email: '',
       relationship: ''
     }
   });
@@ -27,6 +32,14 @@ const Register = () => {
   const { register } = useAuth();
   const navigate = useNavigate();
 
+  const isPatient = formData.role === 'patient';
+
+  const accountTypes = [
+    { value: 'patient', label: 'Patient', description: 'Track my own health' },
+    { value: 'caregiver', label: 'Caregiver', description: 'Support a family member' },
+    { value: 'clinician', label: 'Clinician', description: 'Care for my patients' }
+  ];
+
   const chronicConditionsOptions = [
     'Diabetes',
     'Hypertension',
@@ -84,6 +97,13 @@ const Register = () => {
 
     try {
       const { confirmPassword, ...submitData } = formData;
+
+      // Caregivers and clinicians don't keep a clinical profile
+      if (!isPatient) {
+        delete submitData.dateOfBirth;
+        delete submitData.gender;
+        delete submitData.chronicConditions;
+      }
       
       // Convert preferredEmailTime to proper format
       submitData.preferredEmailTime = `${submitData.preferredEmailTime}:00`;
@@ -92,7 +112,7 @@ const Register = () => {
       
       if (result.success) {
         toast.success('Account created successfully!');
-        navigate('/dashboard');
+        navigate(getRedirectPath(searchParams) || (isPatient ? '/dashboard' : '/care/patients'));
       } else {
         toast.error(result.error);
       }
@@ -125,6 +145,33 @@ const Register = () => {
         </div>
 
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">I am a...</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              {accountTypes.map((type) => (
+                <label
+                  key={type.value}
+                  className={`cursor-pointer rounded-lg border p-3 ${
+                    formData.role === type.value
+                      ? 'border-blue-500 bg-blue-50'
+                      : 'border-gray-300 bg-white hover:border-gray-400'
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="role"
+                    value={type.value}
+                    checked={formData.role === type.value}
+                    onChange={handleChange}
+                    className="sr-only"
+                  />
+                  <span className="block text-sm font-medium text-gray-900">{type.label}</span>
+                  <span className="block text-xs text-gray-500">{type.description}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             {/* Personal Information */}
             <div className="space-y-4">
@@ -175,6 +222,8 @@ const Register = () => {
                 />
               </div>
 
+              {isPatient && (
+              <>
               <div>
                 <label htmlFor="dateOfBirth" className="block text-sm font-medium text-gray-700">
                   Date of Birth *
@@ -208,12 +257,15 @@ const Register = () => {
                   <option value="other">Other</option>
                 </select>
               </div>
+              </>
+              )}
             </div>
 
             {/* Health & Contact Information */}
             <div className="space-y-4">
-              <h3 className="text-lg font-medium text-gray-900">Health & Contact</h3>
+              <h3 className="text-lg font-medium text-gray-900">{isPatient ? 'Health & Contact' : 'Contact'}</h3>
 
+              {isPatient && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Chronic Conditions
@@ -233,6 +285,7 @@ const Register = () => {
                   ))}
                 </div>
               </div>
+              )}
 
               <div>
                 <label htmlFor="phoneNumber" className="block text-sm font-medium text-gray-700">
@@ -284,6 +337,15 @@ const Register = () => {
                   className="input-field"
                 />
                 
+                <input
+                  name="emergencyContact.email"
+                  type="email"
+                  placeholder="Email (lets you invite them to your care team)"
+                  value={formData.emergencyContact.email}
+                  onChange={handleChange}
+                  className="input-field"
+                />
+                
                 <input
                   name="emergencyContact.relationship"
                   type="text"
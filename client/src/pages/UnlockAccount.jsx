@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Unlock, Lock } from 'lucide-react';
+import { authService } from '../services/api';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is invalid or incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const unlock = async () => {
+      try {
+        const response = await authService.unlockAccount(token);
+        if (response.data.success) {
+          setStatus('success');
+          setMessage(response.data.message);
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to unlock account');
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full card p-8 text-center space-y-4">
+        {status === 'unlocking' && (
+          <>
+            <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            <p className="text-gray-700">Unlocking your account...</p>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <Unlock className="mx-auto h-12 w-12 text-green-600" />
+            <h2 className="text-2xl font-bold text-gray-900">Account unlocked</h2>
+            <p className="text-gray-600">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <Lock className="mx-auto h-12 w-12 text-red-500" />
+            <h2 className="text-2xl font-bold text-gray-900">Unlock failed</h2>
+            <p className="text-gray-600">{message}</p>
+            <p className="text-sm text-gray-500">
+              Locks lift automatically after a short while, or you can{' '}
+              <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500">
+                reset your password
+              </Link>
+              .
+            </p>
+          </>
+        )}
+
+        {status !== 'unlocking' && (
+          <Link to="/login" className="inline-block font-medium text-blue-600 hover:text-blue-500">
+            Sign in
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
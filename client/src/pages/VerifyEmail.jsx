@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { MailCheck, MailX } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { patient, isAuthenticated, updatePatient } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is invalid or incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        const response = await authService.verifyEmail(token);
+        if (response.data.success) {
+          setStatus('success');
+          if (patient && patient.email === response.data.data.email) {
+            updatePatient({ ...patient, emailVerified: true });
+          }
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full card p-8 text-center space-y-4">
+        {status === 'verifying' && (
+          <>
+            <div className="mx-auto animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+            <p className="text-gray-700">Verifying your email address...</p>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <MailCheck className="mx-auto h-12 w-12 text-green-600" />
+            <h2 className="text-2xl font-bold text-gray-900">Email verified</h2>
+            <p className="text-gray-600">You'll now receive medication reminders and health updates.</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <MailX className="mx-auto h-12 w-12 text-red-500" />
+            <h2 className="text-2xl font-bold text-gray-900">Verification failed</h2>
+            <p className="text-gray-600">{message}</p>
+            {isAuthenticated && (
+              <p className="text-sm text-gray-500">You can request a new link from the banner in your dashboard.</p>
+            )}
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/dashboard' : '/login'}
+            className="inline-block font-medium text-blue-600 hover:text-blue-500"
+          >
+            {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
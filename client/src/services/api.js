@@ -21,15 +21,59 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Enhanced response interceptor to handle token expiration and errors
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('patient');
+  window.location.href = '/login';
+};
+
+// Single in-flight refresh shared by every request that hits a 401
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    // Use a bare axios call so the refresh itself never goes through these interceptors
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh-token`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        const { token, refreshToken: newRefreshToken, patient } = response.data.data;
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('refreshToken', newRefreshToken);
+        if (patient) {
+          localStorage.setItem('patient', JSON.stringify(patient));
+        }
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Enhanced response interceptor to refresh expired tokens and handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('patient');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = /\/auth\/(login|register|refresh-token|logout|forgot-password|reset-password|verify-email|unlock-account)/.test(originalRequest?.url || '');
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch {
+        // Refresh token expired, revoked or reused
+        clearSession();
+        return Promise.reject(error);
+      }
     }
     
     // Enhanced error logging
@@ -45,16 +89,28 @@ api.interceptors.response.use(
 
 export const authService = {
   login: (email, password) => api.post('/auth/login', { email, password }),
+  verifyTwoFactorLogin: (challengeToken, code) => 
+    api.post('/auth/login/2fa', { challengeToken, code }),
   register: (patientData) => api.post('/auth/register', patientData),
   getProfile: () => api.get('/auth/me'),
   updateProfile: (updates) => api.put('/auth/profile', updates),
   changePassword: (currentPassword, newPassword) => 
     api.post('/auth/change-password', { currentPassword, newPassword }),
-  refreshToken: () => api.post('/auth/refresh-token'),
-  logout: () => api.post('/auth/logout'),
+  refreshToken: (refreshToken) => api.post('/auth/refresh-token', { refreshToken }),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  getSessions: () => api.get('/auth/sessions'),
+  endSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (password, code) => api.post('/auth/2fa/disable', { password, code }),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
   resetPassword: (token, newPassword) => 
     api.post('/auth/reset-password', { token, newPassword }),
+  verifyEmail: (token) => api.get('/auth/verify-email', { params: { token } }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  unlockAccount: (token) => api.post('/auth/unlock-account', { token }),
+  deleteAccount: (password) => api.delete('/auth/account', { data: { password } }),
+  cancelAccountDeletion: () => api.post('/auth/account/cancel-deletion'),
   sendTestEmail: () => api.post('/auth/test-email'),
   reloadScheduler: () => api.post('/auth/reload-scheduler'),
 };
@@ -62,7 +118,28 @@ export const authService = {
 export const patientService = {
   getProfile: (patientId) => api.get(`/patients/profile/${patientId}`),
   getDashboard: (patientId) => api.get(`/patients/${patientId}/dashboard`),
+  getAuditLog: (patientId, params) => api.get(`/patients/${patientId}/audit-log`, { params }),
   updateProfile: (patientId, updates) => api.put(`/patients/profile/${patientId}`, updates),
+  requestExport: (patientId) => api.get(`/patients/${patientId}/export`),
+  getExports: (patientId) => api.get(`/patients/${patientId}/exports`),
+  downloadExport: (patientId, exportId) =>
+    api.get(`/patients/${patientId}/export/${exportId}/download`, { responseType: 'blob' }),
+  getTargets: (patientId) => api.get(`/patients/${patientId}/targets`),
+  setTarget: (patientId, dataType, data) => api.put(`/patients/${patientId}/targets/${dataType}`, data),
+  clearTarget: (patientId, dataType) => api.delete(`/patients/${patientId}/targets/${dataType}`),
+};
+
+export const careTeamService = {
+  getMyPatients: () => api.get('/care-team/patients'),
+  getCareTeam: () => api.get('/care-team'),
+  updatePermissions: (relationshipId, permissions) => api.patch(`/care-team/${relationshipId}`, { permissions }),
+  revokeAccess: (relationshipId) => api.delete(`/care-team/${relationshipId}`),
+  getInvitations: () => api.get('/care-team/invitations'),
+  sendInvitation: (data) => api.post('/care-team/invitations', data),
+  withdrawInvitation: (invitationId) => api.delete(`/care-team/invitations/${invitationId}`),
+  previewInvitation: (token) => api.get('/care-team/invitations/preview', { params: { token } }),
+  acceptInvitation: (token) => api.post('/care-team/invitations/accept', { token }),
+  declineInvitation: (token) => api.post('/care-team/invitations/decline', { token }),
 };
 
 export const healthService = {
@@ -70,8 +147,27 @@ export const healthService = {
     console.log('Sending health data:', data);
     return api.post('/health-data', data);
   },
+  getTypes: () => api.get('/health-data/types'),
   getPatientData: (patientId, params) => api.get(`/health-data/patient/${patientId}`, { params }),
   getTrends: (patientId, params) => api.get(`/health-data/patient/${patientId}/trends`, { params }),
+  importCsv: (data) => api.post('/health-data/import', data),
+  // `source` is apple-health or google-fit; the export file is sent as the raw body
+  importDeviceExport: (patientId, source, file, onUploadProgress) => api.post(
+    `/health-data/patient/${patientId}/import/${source}`,
+    file,
+    {
+      params: { timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone },
+      headers: { 'Content-Type': 'application/octet-stream' },
+      onUploadProgress
+    }
+  ),
+  importCgm: (data, onUploadProgress) => api.post('/health-data/cgm', {
+    ...data,
+    timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  }, { onUploadProgress }),
+  updateData: (healthDataId, updates) => api.put(`/health-data/${healthDataId}`, updates),
+  deleteData: (healthDataId, reason) => api.delete(`/health-data/${healthDataId}`, { data: { reason } }),
+  getRevisions: (healthDataId) => api.get(`/health-data/${healthDataId}/revisions`),
 };
 
 export const medicationService = {
@@ -85,6 +181,7 @@ export const medicationService = {
 export const goalService = {
   createGoal: (data) => api.post('/goals', data),
   getPatientGoals: (patientId) => api.get(`/goals/patient/${patientId}`),
+  getSuggestions: (patientId) => api.get(`/goals/patient/${patientId}/suggestions`),
   updateProgress: (goalId, data) => api.patch(`/goals/${goalId}/progress`, data),
   deleteGoal: (goalId) => api.delete(`/goals/${goalId}`),
 };
@@ -103,9 +200,12 @@ export const aiAnalysisService = {
     api.get(`/ai-analysis/patient/${patientId}/trends/${dataType}?days=${days}`),
   getMedicationInsights: (patientId) => api.get(`/ai-analysis/patient/${patientId}/medication-insights`),
   getMotivationalInsights: (patientId) => api.get(`/ai-analysis/patient/${patientId}/motivational-insights`),
-  getPredictions: (patientId, dataType, forecastDays) => 
-    api.post(`/ai-analysis/patient/${patientId}/predictions`, { dataType, forecastDays }),
+  getPredictions: (patientId, dataType, forecastDays, measurementContext) => 
+    api.post(`/ai-analysis/patient/${patientId}/predictions`, { dataType, forecastDays, measurementContext }),
   getRecommendations: (patientId) => api.get(`/ai-analysis/patient/${patientId}/recommendations`),
+  getCgmMetrics: (patientId, days = 14) => api.get(`/ai-analysis/patient/${patientId}/cgm-metrics`, {
+    params: { days, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+  }),
   getProgressReport: (patientId, period) => 
     api.get(`/ai-analysis/patient/${patientId}/progress-report?period=${period}`),
   analyzeHealthData: (patientId, healthData) => 
@@ -1,26 +1,14 @@
 // src/utils/index.js
 
-// Health data types and units
-export const HEALTH_DATA_TYPES = {
-  blood_pressure: 'Blood Pressure',
-  blood_sugar: 'Blood Sugar',
-  heart_rate: 'Heart Rate',
-  weight: 'Weight',
-  cholesterol: 'Cholesterol',
-  oxygen_saturation: 'Oxygen Saturation',
-  activity_level: 'Activity Level',
-  sleep_quality: 'Sleep Quality'
-};
+// Reading types, their labels and units come from the server; see contexts/HealthTypesContext
 
-export const HEALTH_UNITS = {
-  blood_pressure: 'mmHg',
-  blood_sugar: 'mg/dL',
-  heart_rate: 'bpm',
-  weight: 'kg',
-  cholesterol: 'mg/dL',
-  oxygen_saturation: '%',
-  activity_level: 'minutes',
-  sleep_quality: 'hours'
+// When a blood sugar reading was taken relative to meals; each has its own target range
+export const MEASUREMENT_CONTEXTS = {
+  fasting: 'Fasting',
+  pre_meal: 'Before a meal',
+  post_meal: 'After a meal (1-2 hours)',
+  bedtime: 'Bedtime',
+  random: 'Other / random'
 };
 
 export const RISK_LEVELS = {
@@ -30,12 +18,35 @@ export const RISK_LEVELS = {
   critical: { color: 'red', label: 'Critical' }
 };
 
+// ACC/AHA blood pressure stages the server assigns; labels come with each reading
+export const BP_STAGE_COLORS = {
+  normal: 'text-green-700',
+  elevated: 'text-yellow-700',
+  stage_1: 'text-orange-700',
+  stage_2: 'text-red-700',
+  hypertensive_crisis: 'text-red-800 font-bold'
+};
+
 export const MOTIVATION_LEVELS = {
   low: { color: 'red', label: 'Low', message: 'Let\'s build some momentum!' },
   medium: { color: 'yellow', label: 'Medium', message: 'You\'re making good progress!' },
   high: { color: 'green', label: 'High', message: 'Excellent work! Keep it up!' }
 };
 
+// What a patient can share with a caregiver or clinician
+export const CARE_PERMISSIONS = {
+  read_vitals: { label: 'Vitals', description: 'Readings, trends and AI analysis' },
+  manage_medications: { label: 'Medications', description: 'View, add and update medications' },
+  read_goals: { label: 'Goals', description: 'Health goals and progress' },
+  receive_alerts: { label: 'Alerts', description: 'Email copies of health alerts' }
+};
+
+// In-app path to return to after signing in; ignores anything that could leave the site
+export const getRedirectPath = (searchParams) => {
+  const redirect = searchParams.get('redirect');
+  return redirect && redirect.startsWith('/') && !redirect.startsWith('//') ? redirect : null;
+};
+
 // Date formatting utilities
 export const formatDate = (dateString, formatStr = 'MMM dd, yyyy') => {
   if (!dateString) return '';
@@ -74,6 +85,18 @@ export const formatDate = (dateString, formatStr = 'MMM dd, yyyy') => {
   }
 };
 
+// Local "yyyy-MM-ddTHH:mm" for datetime-local inputs
+export const toDateTimeInputValue = (date = new Date()) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Matches the server: entered more than an hour after it was taken
+export const isLateEntry = (reading) => {
+  if (!reading?.enteredAt || !reading?.recordedAt) return false;
+  return new Date(reading.enteredAt) - new Date(reading.recordedAt) > 60 * 60 * 1000;
+};
+
 export const formatTime = (timeString) => {
   if (!timeString) return '';
   try {
@@ -106,6 +129,10 @@ export const formatHealthValue = (dataType, value) => {
   return value;
 };
 
+// "6.5 mmol/L": a reading in the unit the API converted it to for the viewer
+export const formatReading = (reading) =>
+  `${formatHealthValue(reading.dataType, reading.displayValue ?? reading.value)} ${reading.displayUnit || reading.unit || ''}`.trim();
+
 // Validation utilities
 export const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -271,13 +298,14 @@ export const getNextMedicationTime = (schedule) => {
 
 // Export all utilities
 export default {
-  HEALTH_DATA_TYPES,
-  HEALTH_UNITS,
   RISK_LEVELS,
   MOTIVATION_LEVELS,
   formatDate,
+  toDateTimeInputValue,
+  isLateEntry,
   formatTime,
   formatHealthValue,
+  formatReading,
   validateEmail,
   validatePassword,
   validateBloodPressure,